@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Local OpenAI-compatible embedding service for eval scripts that need a real
+ * store without Ollama. Texts sharing words get similar vectors.
+ */
+
+const http = require('http');
+
+const DIMENSION = 16;
+
+function fakeEmbedding(text, dimension = DIMENSION) {
+  const vector = new Array(dimension).fill(0);
+  for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+    let hash = 0;
+    for (const ch of word) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    vector[hash % dimension] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function startMockEmbeddings(options = {}) {
+  const dimension = options.dimension || DIMENSION;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { input } = JSON.parse(body || '{}');
+      const texts = Array.isArray(input) ? input : [input];
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        object: 'list',
+        data: texts.map((text, index) => ({ object: 'embedding', index, embedding: fakeEmbedding(String(text), dimension) }))
+      }));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    server.host = `http://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  }));
+}
+
+// Factory options that point a store at the mock service
+function mockStoreOptions(server, dbPath, extra = {}) {
+  return {
+    dbPath,
+    modelName: 'mock-embedder',
+    embedderProvider: 'openai',
+    host: server.host,
+    flushDelay: 10,
+    ...extra
+  };
+}
+
+module.exports = { DIMENSION, fakeEmbedding, startMockEmbeddings, mockStoreOptions };
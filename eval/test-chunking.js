@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: Chunk Boundaries
+ *
+ * This test validates that:
+ * 1. Long prose is split into overlapping windows with correct line numbers
+ * 2. Markdown is split at headings and records the heading path
+ * 3. JavaScript and Python source is split at function, class and method boundaries
+ * 4. Regex literals containing quotes do not hide the symbols after them
+ * 5. Small neighbouring symbols are packed together instead of being dropped
+ * 6. A short source file with several tiny functions is still stored
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ChunkingPipeline, SlidingWindowChunker } = require('../lib/chunkers');
+const { findJavaScriptSymbols } = require('../lib/chunkers/symbols');
+const { VecStoreFactory } = require('../lib/vecstore-factory');
+const { startMockEmbeddings, mockStoreOptions } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'chunking-test.db');
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function chunkCode(content, filePath) {
+  return new ChunkingPipeline().chunkDocument({ id: filePath, content, metadata: { source: 'code', filePath } });
+}
+
+function checkLocations(content, chunks) {
+  for (const chunk of chunks) {
+    const { startOffset, endOffset, startLine } = chunk.metadata;
+    assert(content.slice(startOffset, endOffset) === chunk.content, `Offsets of ${chunk.id} do not match its content`);
+    assert(content.slice(0, startOffset).split('\n').length === startLine, `startLine of ${chunk.id} is wrong`);
+  }
+}
+
+const REGEX_SOURCE = `'use strict';
+
+function stripQuotes(value) {
+  return value.replace(/['"]/g, '');
+}
+
+function average(total, count) {
+  return total / count / 2;
+}
+
+class Tokenizer {
+  split(text) {
+    return text.split(/[\\s\`'"]+/).filter(Boolean).map(word => word.toLowerCase());
+  }
+
+  count(text) {
+    const words = this.split(text);
+    return words.length > 0 ? words.length : 0;
+  }
+}
+
+function isQuoted(text) {
+  return /^(["']).*\\1$/.test(text) && text.length > 1;
+}
+`;
+
+const SMALL_FUNCTIONS = `function add(a, b) { return a + b; }
+function subtract(a, b) { return a - b; }
+function multiply(a, b) { return a * b; }
+function divide(a, b) { return a / b; }
+function modulo(a, b) { return a % b; }
+function power(a, b) { return a ** b; }
+module.exports = { add, subtract, multiply, divide, modulo, power };
+`;
+
+async function runTest() {
+  console.log('=== Chunk Boundary Test ===\n');
+
+  let server = null;
+  let vecStore = null;
+
+  try {
+    // Test 1: Sliding windows overlap and keep line numbers
+    console.log('Test 1: Sliding window chunking...');
+    const prose = Array.from({ length: 120 }, (_, i) => `Line ${i} talks about vector search and chunk overlap.`).join('\n');
+    const windows = new ChunkingPipeline({ strategy: 'window', maxTokens: 100, overlapTokens: 20 })
+      .chunkDocument({ id: 'prose', content: prose, metadata: {} });
+    assert(windows.length > 1, 'Long prose should produce several windows');
+    assert(windows[1].metadata.startOffset < windows[0].metadata.endOffset, 'Windows should overlap');
+    assert(windows.every(chunk => chunk.metadata.chunkCount === windows.length), 'chunkCount should be set on every chunk');
+    checkLocations(prose, windows);
+    assert(new SlidingWindowChunker().chunk('   ').length === 0, 'Blank text should produce no chunks');
+    console.log(`✓ ${windows.length} overlapping windows\n`);
+
+    // Test 2: Markdown headings
+    console.log('Test 2: Markdown chunking...');
+    const markdown = '# Guide\n\nIntro text.\n\n## Install\n\n' + 'Run the installer. '.repeat(60) +
+      '\n\n## Usage\n\n' + 'Call the query method. '.repeat(60);
+    const sections = new ChunkingPipeline({ maxTokens: 200 })
+      .chunkDocument({ id: 'guide', content: markdown, metadata: { filePath: 'guide.md' } });
+    assert(sections.every(chunk => chunk.metadata.chunkStrategy === 'markdown'), 'Markdown files should use the markdown strategy');
+    assert(sections.some(chunk => chunk.content.startsWith('## Usage')), 'A chunk should start at the Usage heading');
+    checkLocations(markdown, sections);
+    console.log(`✓ ${sections.length} sections\n`);
+
+    // Test 3: Code boundaries
+    console.log('Test 3: Code chunking at symbol boundaries...');
+    const python = 'import os\n\n\nclass Store:\n    def __init__(self, path):\n        self.path = path\n' +
+      '        self.items = []\n\n    def add(self, item):\n        self.items.append(item)\n        return len(self.items)\n\n\n' +
+      'def main():\n    store = Store(os.getcwd())\n    store.add("first")\n    print(store.items)\n';
+    const pythonChunks = new ChunkingPipeline({ maxTokens: 24, minTokens: 4 })
+      .chunkDocument({ id: 'store.py', content: python, metadata: { source: 'code', filePath: 'store.py' } });
+    const pythonSymbols = pythonChunks.map(chunk => chunk.metadata.symbolName);
+    assert(pythonSymbols.includes('add') && pythonSymbols.includes('main'), `Python symbols missing: ${pythonSymbols.join(', ')}`);
+    assert(pythonChunks.find(chunk => chunk.metadata.symbolName === 'add').metadata.parentSymbol === 'Store',
+      'Methods should record their class');
+    checkLocations(python, pythonChunks);
+    console.log(`✓ Python split into ${pythonSymbols.filter(Boolean).join(', ')}\n`);
+
+    // Test 4: Regex literals with quotes
+    console.log('Test 4: Regex literals containing quotes...');
+    const symbols = findJavaScriptSymbols(REGEX_SOURCE);
+    const names = symbols.map(symbol => symbol.name);
+    assert(names.join(',') === 'stripQuotes,average,Tokenizer,isQuoted', `Unexpected symbols: ${names.join(', ')}`);
+    const tokenizer = symbols.find(symbol => symbol.name === 'Tokenizer');
+    assert(tokenizer.children.map(method => method.name).join(',') === 'split,count', 'Tokenizer methods not found');
+    assert(REGEX_SOURCE.slice(tokenizer.start, tokenizer.end).trimEnd().endsWith('}'), 'Class should end at its closing brace');
+    const regexChunks = chunkCode(REGEX_SOURCE, 'tokenizer.js');
+    assert(!regexChunks.some(chunk => chunk.metadata.symbolKind === 'module' && chunk.content.includes('class Tokenizer')),
+      'Symbols after a regex literal should not fall into a module chunk');
+    checkLocations(REGEX_SOURCE, regexChunks);
+    console.log(`✓ Found ${names.join(', ')}\n`);
+
+    // Test 5: Small symbols are packed
+    console.log('Test 5: Packing small symbols...');
+    const packed = chunkCode(SMALL_FUNCTIONS, 'math.js');
+    assert(packed.length > 1 && packed.length < 7, `Expected small functions to be packed, got ${packed.length} chunks`);
+    const covered = packed.map(chunk => chunk.metadata.symbolName).join(', ');
+    for (const name of ['add', 'subtract', 'multiply', 'divide', 'modulo', 'power']) {
+      assert(covered.includes(name), `${name} is not covered by any chunk`);
+    }
+    checkLocations(SMALL_FUNCTIONS, packed);
+    console.log(`✓ ${packed.length} chunks cover ${covered}\n`);
+
+    // Test 6: A short file of small functions is stored
+    console.log('Test 6: Storing a short source file...');
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB);
+    }
+    server = await startMockEmbeddings();
+    vecStore = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB));
+    const result = await vecStore.addChunkedDocument('math.js', SMALL_FUNCTIONS, { source: 'code', filePath: 'math.js' });
+    await vecStore.drain();
+    assert(!result.skipped && result.added === packed.length, `Expected ${packed.length} stored chunks, got ${JSON.stringify(result)}`);
+    const tooShort = await vecStore.addChunkedDocument('tiny.js', 'const x = 1;', { source: 'code', filePath: 'tiny.js' });
+    assert(tooShort.skipped, 'Files below the length floor should still be skipped');
+    const hits = await vecStore.query('multiply', 3);
+    assert(hits.some(hit => hit.id.startsWith('math.js')), 'Stored chunks should be searchable');
+    console.log(`✓ Stored ${result.added} chunks\n`);
+
+    console.log('=== All chunk boundary tests passed! ===');
+    return { passed: true, message: 'Chunk boundaries correct' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return { passed: false, error: error.message };
+  } finally {
+    if (vecStore) vecStore.store.close();
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
@@ -99,7 +99,7 @@ async function runTest() {
     const hasMCPClass = mcpContent.includes('class MCPServer');
     const hasSearchMethod = mcpContent.includes('async search(query');
     const mcpUsesVecStore = mcpContent.includes('this.vecStore');
-    const mcpCallsQuery = mcpContent.includes('await this.vecStore.query(');
+    const mcpCallsQuery = mcpContent.includes('await vecStore.query(');
 
     results.tests.push({
       name: 'MCP server search implementation',
@@ -128,10 +128,10 @@ async function runTest() {
 
     // Test 4: Analyze MCP-specific features
     console.log('Test 4: Analyzing MCP-specific features...');
-    const hasAutoSync = mcpContent.includes('ensureIndexSync');
-    const hasFileMonitoring = mcpContent.includes('startFileMonitoring');
+    const hasAutoSync = mcpContent.includes('reindexPaths');
+    const hasFileMonitoring = mcpContent.includes('startFileWatching');
     const hasBackgroundIndexing = mcpContent.includes('startBackgroundIndexing');
-    const hasJSONRPC = mcpContent.includes('jsonrpc');
+    const hasJSONRPC = mcpContent.includes('@modelcontextprotocol/sdk/server/stdio.js');
 
     results.tests.push({
       name: 'MCP-specific features',
@@ -146,14 +146,14 @@ async function runTest() {
 
     results.findings.push(
       'MCP mode has additional features not in CLI mode:',
-      `  - Auto-sync before search: ${hasAutoSync}`,
+      `  - Reindex on file change: ${hasAutoSync}`,
       `  - File monitoring: ${hasFileMonitoring}`,
       `  - Background indexing: ${hasBackgroundIndexing}`,
       `  - JSON-RPC protocol: ${hasJSONRPC}`
     );
 
     console.log('✓ MCP-specific features identified');
-    console.log(`  - Auto-sync before search: ${hasAutoSync}`);
+    console.log(`  - Reindex on file change: ${hasAutoSync}`);
     console.log(`  - File monitoring: ${hasFileMonitoring}`);
     console.log(`  - Background indexing: ${hasBackgroundIndexing}`);
     console.log(`  - JSON-RPC protocol: ${hasJSONRPC}\n`);
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: Pruning the Embedding Cache
+ *
+ * This test fills the embedding cache with entries that documents use, entries no document
+ * uses and entries for another model, each recently used and unused for 60 days, then runs
+ * `vexify cache prune` with every flag combination. It validates that:
+ * 1. By default orphans and other-model entries are removed
+ * 2. --keep-orphans keeps entries no document uses
+ * 3. --older-than only narrows down what the other flags would remove
+ * 4. --all clears the cache whatever else is passed
+ * 5. Entries for the indexed model that documents use are kept unless --all is given
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { VecStoreFactory } = require('../lib/vecstore-factory');
+const { SQLiteStorageAdapter } = require('../lib/adapters/sqlite');
+const { DIMENSION, fakeEmbedding, startMockEmbeddings, mockStoreOptions } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'embedding-cache-test.db');
+const OTHER_MODEL = 'mock-embedder-old';
+const DAY = 86400;
+
+const ALL_ENTRIES = ['used', 'usedOld', 'orphan', 'orphanOld', 'other', 'otherOld'];
+
+const CASES = [
+  { flags: [], kept: ['used', 'usedOld'] },
+  { flags: ['--older-than', '30'], kept: ['used', 'usedOld', 'orphan', 'other'] },
+  { flags: ['--keep-orphans'], kept: ['used', 'usedOld', 'orphan', 'orphanOld'] },
+  { flags: ['--keep-orphans', '--older-than', '30'], kept: ['used', 'usedOld', 'orphan', 'orphanOld', 'other'] },
+  { flags: ['--older-than', '90'], kept: ALL_ENTRIES },
+  { flags: ['--all'], kept: [] },
+  { flags: ['--all', '--keep-orphans', '--older-than', '30'], kept: [] }
+];
+
+const DOCUMENTS = {
+  used: 'Failed requests are retried three times with exponential backoff, starting at half a second, ' +
+    'before the error is reported to the caller of the client library.',
+  usedOld: 'Roast the tomatoes with garlic and onion, blend them with stock and basil, then simmer for ' +
+    'twenty minutes and season with salt, pepper and a spoon of cream before serving.'
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function runCli(cliArgs) {
+  return new Promise((resolve, reject) => {
+    execFile('node', ['lib/bin/cli.js', ...cliArgs], {
+      cwd: path.join(__dirname, '..'),
+      timeout: 60000
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout + stderr);
+      }
+    });
+  });
+}
+
+// Cache entries by name: [checksum, model, days since last use]
+function describeEntries(store) {
+  const checksum = id => store.db.prepare('SELECT checksum FROM documents WHERE id LIKE ?').get(`${id}%`).checksum;
+  return {
+    used: [checksum('used'), 'mock-embedder', 0],
+    usedOld: [checksum('usedOld'), 'mock-embedder', 60],
+    orphan: ['orphan-checksum', 'mock-embedder', 0],
+    orphanOld: ['orphan-old-checksum', 'mock-embedder', 60],
+    other: [checksum('used'), OTHER_MODEL, 0],
+    otherOld: [checksum('usedOld'), OTHER_MODEL, 60]
+  };
+}
+
+async function fillCache(entries) {
+  const store = new SQLiteStorageAdapter(TEST_DB);
+  try {
+    store.db.prepare('DELETE FROM embedding_cache').run();
+    const age = store.db.prepare(`
+      UPDATE embedding_cache SET last_used_at = strftime('%s', 'now') - ?
+      WHERE checksum = ? AND model = ?
+    `);
+    for (const [name, [checksum, model, days]] of Object.entries(entries)) {
+      await store.putCachedEmbedding(checksum, model, DIMENSION, fakeEmbedding(name));
+      age.run(days * DAY, checksum, model);
+    }
+  } finally {
+    store.close();
+  }
+}
+
+function remainingEntries(entries) {
+  const store = new SQLiteStorageAdapter(TEST_DB);
+  try {
+    const exists = store.db.prepare('SELECT 1 FROM embedding_cache WHERE checksum = ? AND model = ?');
+    return Object.keys(entries).filter(name => exists.get(entries[name][0], entries[name][1]));
+  } finally {
+    store.close();
+  }
+}
+
+async function runTest() {
+  console.log('=== Embedding Cache Prune Test ===\n');
+
+  let server = null;
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    for (const file of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+
+    server = await startMockEmbeddings();
+    const vecStore = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB));
+    for (const [id, content] of Object.entries(DOCUMENTS)) {
+      await vecStore.upsert(id, content, { source: 'folder', filePath: `${id}.md` });
+    }
+    const entries = describeEntries(vecStore.store);
+    vecStore.store.close();
+
+    for (const { flags, kept } of CASES) {
+      const label = flags.length > 0 ? flags.join(' ') : '(no flags)';
+      console.log(`cache prune ${label}...`);
+      await fillCache(entries);
+      await runCli(['cache', 'prune', TEST_DB, ...flags]);
+      const remaining = remainingEntries(entries);
+      assert(remaining.join(',') === kept.join(','),
+        `cache prune ${label} should keep [${kept.join(', ')}], kept [${remaining.join(', ')}]`);
+      console.log(`✓ Kept ${remaining.length > 0 ? remaining.join(', ') : 'nothing'}\n`);
+    }
+
+    console.log('=== All embedding cache tests passed! ===');
+    return { passed: true, message: 'cache prune flags narrow the default selection' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.stdout) console.error('STDOUT:', error.stdout.toString());
+    if (error.stderr) console.error('STDERR:', error.stderr.toString());
+    return { passed: false, error: error.message };
+  } finally {
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
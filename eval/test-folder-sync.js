@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: Incremental Folder Sync
+ *
+ * This test validates that FolderSync:
+ * 1. Indexes every supported file on the first sync
+ * 2. Skips unchanged files, including files whose mtime changed but content did not
+ * 3. Re-indexes modified files and removes deleted ones
+ * 4. Plans without writing in dry-run mode
+ * 5. Records files that fail to process and clears the error once they index
+ * 6. Re-indexes only the given paths with syncPaths()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FolderSync } = require('../lib/utils/folder-sync');
+const { VecStoreFactory } = require('../lib/vecstore-factory');
+const { startMockEmbeddings, mockStoreOptions } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'folder-sync-test.db');
+const DOCS_DIR = path.join(TEST_DIR, 'folder-sync-docs');
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function text(topic) {
+  return `Notes about ${topic}. Incremental sync compares the size and modification time of every file ` +
+    'with the signature stored in the files table, and only hashes the content when those differ.';
+}
+
+function writeDoc(name, content) {
+  const filePath = path.join(DOCS_DIR, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function summary(results) {
+  return `added ${results.added}, updated ${results.updated}, unchanged ${results.unchanged}, ` +
+    `removed ${results.removed}, errors ${results.errors.length}`;
+}
+
+function assertResults(results, expected, step) {
+  for (const [key, value] of Object.entries(expected)) {
+    const actual = key === 'errors' ? results.errors.length : results[key];
+    assert(actual === value, `${step}: expected ${key} ${value}, got ${summary(results)}`);
+  }
+}
+
+async function runTest() {
+  console.log('=== Incremental Folder Sync Test ===\n');
+
+  let server = null;
+  let vecStore = null;
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB);
+    }
+    fs.rmSync(DOCS_DIR, { recursive: true, force: true });
+
+    const alpha = writeDoc('alpha.txt', text('alpha'));
+    const beta = writeDoc('beta.md', `# Beta\n\n${text('beta')}`);
+    const gamma = writeDoc('nested/gamma.txt', text('gamma'));
+    writeDoc('node_modules/ignored.txt', text('ignored'));
+
+    server = await startMockEmbeddings();
+    vecStore = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB));
+    const folderSync = new FolderSync(vecStore, { recursive: true });
+    const store = vecStore.store;
+
+    // Test 1: First sync
+    console.log('Test 1: First sync...');
+    const first = await folderSync.sync(DOCS_DIR);
+    assertResults(first, { added: 3, updated: 0, unchanged: 0, errors: 0 }, 'First sync');
+    assert((await store.getFileSignatures()).size === 3, 'A signature should be stored for every file');
+    assert((await store.getBySource('filePath', gamma)).length > 0, 'Nested files should be indexed');
+    console.log(`✓ ${summary(first)}\n`);
+
+    // Test 2: Nothing changed, then only the mtime
+    console.log('Test 2: Unchanged and touched files...');
+    const second = await folderSync.sync(DOCS_DIR);
+    assertResults(second, { added: 0, updated: 0, unchanged: 3 }, 'Second sync');
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(alpha, later, later);
+    const touched = await folderSync.sync(DOCS_DIR);
+    assertResults(touched, { updated: 0, unchanged: 3 }, 'Sync after touch');
+    assert(touched.plan.touched.length === 1, 'The touched file should have its signature refreshed');
+    assert((await store.getFileSignatures()).get(alpha).mtime === later.getTime(), 'New mtime should be stored');
+    console.log('✓ Unchanged content is not re-indexed\n');
+
+    // Test 3: Modified and deleted files
+    console.log('Test 3: Modified and deleted files...');
+    writeDoc('beta.md', `# Beta\n\n${text('beta, rewritten with a longer paragraph about vector search')}`);
+    fs.unlinkSync(gamma);
+    const dryRun = await folderSync.sync(DOCS_DIR, { dryRun: true });
+    assert(dryRun.plan.update.length === 1 && dryRun.plan.delete.length === 1, 'Dry run should plan one update and one delete');
+    assert((await store.getBySource('filePath', gamma)).length > 0, 'Dry run must not remove anything');
+    const third = await folderSync.sync(DOCS_DIR);
+    assertResults(third, { updated: 1, removed: 1, unchanged: 1 }, 'Sync after edits');
+    const [betaDoc] = await store.getByIds(await store.getBySource('filePath', beta));
+    assert(betaDoc.content.includes('rewritten'), 'Updated file should have its new content');
+    assert((await store.getBySource('filePath', gamma)).length === 0, 'Deleted file should be removed');
+    assert(!(await store.getFileSignatures()).has(gamma), 'Deleted file should lose its signature');
+    console.log(`✓ ${summary(third)}\n`);
+
+    // Test 4: Failures are recorded and cleared
+    console.log('Test 4: Files that fail to process...');
+    const broken = writeDoc('broken.json', '{ "title": "unterminated');
+    const failing = await folderSync.sync(DOCS_DIR);
+    assertResults(failing, { errors: 1 }, 'Sync with a broken file');
+    assert((await store.getIngestErrors()).has(broken), 'The failure should be stored');
+    writeDoc('broken.json', JSON.stringify({ title: 'Fixed', body: text('json') }));
+    const fixed = await folderSync.sync(DOCS_DIR);
+    assertResults(fixed, { added: 1, errors: 0 }, 'Sync after fixing the file');
+    assert(!(await store.getIngestErrors()).has(broken), 'The failure should be cleared once the file indexes');
+    console.log('✓ Failure recorded, then cleared\n');
+
+    // Test 5: syncPaths
+    console.log('Test 5: syncPaths...');
+    writeDoc('alpha.txt', text('alpha, edited while watching'));
+    const delta = writeDoc('delta.txt', text('delta'));
+    const partial = await folderSync.syncPaths(DOCS_DIR, [alpha, delta, path.join(DOCS_DIR, 'nested')]);
+    assertResults(partial, { added: 1, updated: 1, removed: 0 }, 'syncPaths');
+    fs.unlinkSync(delta);
+    const removal = await folderSync.syncPaths(DOCS_DIR, [delta]);
+    assertResults(removal, { removed: 1 }, 'syncPaths after delete');
+    console.log('✓ Only the given paths are synced\n');
+
+    console.log('=== All folder sync tests passed! ===');
+    return { passed: true, message: 'Incremental sync working correctly' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return { passed: false, error: error.message };
+  } finally {
+    if (vecStore) vecStore.store.close();
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: MCP Catch-up After a Restart
+ *
+ * This test starts `vexify mcp` over stdio, stops it, changes files while it is down and
+ * starts it again, for a code repository and for a document folder. It validates that:
+ * 1. The first start indexes every file and stores a signature for each
+ * 2. After a restart, edited and added files are searchable and deleted files are gone
+ * 3. A restart without changes rewrites no documents
+ * 4. With several roots, an empty root and the documents of the others survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { startMockEmbeddings } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const WORKSPACE_DB = path.join(TEST_DIR, 'mcp-catch-up-workspace.db');
+const EMPTY_DIR = path.join(TEST_DIR, 'mcp-catch-up-empty');
+
+const SCENARIOS = [
+  {
+    name: 'Code repository',
+    dir: path.join(TEST_DIR, 'mcp-catch-up-repo'),
+    db: path.join(TEST_DIR, 'mcp-catch-up-repo.db'),
+    files: {
+      'package.json': JSON.stringify({ name: 'catch-up-fixture', version: '1.0.0' }, null, 2),
+      'src/queue.js': source('queue', 'Holds pending jobs in arrival order and hands them to workers one by one'),
+      'src/timer.js': source('timer', 'Measures how long each job takes and reports the slowest ones')
+    },
+    edit: ['src/queue.js', source('queue', 'Holds pending jobs ordered by priority, a heap replaces the plain array')],
+    add: ['src/limiter.js', source('limiter', 'Refuses new jobs once the token bucket is empty until it refills')],
+    remove: 'src/timer.js'
+  },
+  {
+    name: 'Document folder',
+    dir: path.join(TEST_DIR, 'mcp-catch-up-docs'),
+    db: path.join(TEST_DIR, 'mcp-catch-up-docs.db'),
+    files: {
+      'queue.md': prose('Queues', 'Pending jobs wait in arrival order and are handed to workers one by one'),
+      'timer.md': prose('Timers', 'Each job is measured and the slowest ones are reported')
+    },
+    edit: ['queue.md', prose('Queues', 'Pending jobs are ordered by priority, a heap replaces the plain array')],
+    add: ['limiter.md', prose('Limiter', 'New jobs are refused once the token bucket is empty until it refills')],
+    remove: 'timer.md'
+  }
+];
+
+function source(name, description) {
+  return `'use strict';\n\n// ${description}\nfunction ${name}(jobs) {\n  const pending = [...jobs];\n` +
+    `  return pending.map((job, index) => ({ job, index, name: '${name}' }));\n}\n\nmodule.exports = { ${name} };\n`;
+}
+
+function prose(title, text) {
+  return `# ${title}\n\n${text}. This page belongs to the job runner handbook and explains ` +
+    'how the runner behaves when many jobs arrive at once.\n';
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function writeFile(dir, name, content) {
+  const filePath = path.join(dir, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function text(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+function removeDatabase(dbPath) {
+  for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+async function startServer(scenario, host) {
+  const directories = scenario.dirs || [scenario.dir];
+  const client = new Client({ name: 'vexify-eval', version: '1.0.0' });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [
+      path.join(__dirname, '../lib/bin/cli.js'), 'mcp',
+      ...directories.flatMap(dir => ['--directory', dir]),
+      '--db-path', scenario.db,
+      '--model', 'mock-embedder',
+      '--provider', 'openai',
+      '--host', host
+    ],
+    stderr: 'ignore'
+  }));
+
+  const status = text(await client.callTool({ name: 'index_status', arguments: { wait: true } }));
+  assert(status.includes('Indexing: complete'), `Indexing should complete:\n${status}`);
+  return client;
+}
+
+async function searchPaths(client, query) {
+  const result = await client.callTool({ name: 'search_code', arguments: { query, mode: 'keyword', top_k: 5 } });
+  assert(!result.isError, `search_code failed: ${text(result)}`);
+  return result.structuredContent.results.map(item => item.path);
+}
+
+function readIndex(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return {
+      rowids: db.prepare('SELECT rowid FROM documents ORDER BY rowid').all().map(row => row.rowid).join(','),
+      roots: db.prepare("SELECT DISTINCT json_extract(metadata, '$.root') AS root FROM documents").all().map(row => row.root),
+      signatures: db.prepare('SELECT path FROM files').all().map(row => row.path)
+    };
+  } finally {
+    db.close();
+  }
+}
+
+async function runScenario(scenario, host) {
+  console.log(`${scenario.name}:`);
+  removeDatabase(scenario.db);
+  fs.rmSync(scenario.dir, { recursive: true, force: true });
+  for (const [name, content] of Object.entries(scenario.files)) {
+    writeFile(scenario.dir, name, content);
+  }
+
+  // First start
+  let client = await startServer(scenario, host);
+  assert((await searchPaths(client, 'arrival order')).includes(scenario.edit[0]), 'The original file should be indexed');
+  await client.close();
+  const first = readIndex(scenario.db);
+  const expected = Object.keys(scenario.files).filter(name => name.endsWith('.js') || name.endsWith('.md'));
+  for (const name of expected) {
+    assert(first.signatures.includes(path.join(scenario.dir, name)), `No signature stored for ${name}`);
+  }
+  console.log('  ✓ First start indexed every file');
+
+  // Changes while the server is down
+  writeFile(scenario.dir, ...scenario.edit);
+  writeFile(scenario.dir, ...scenario.add);
+  fs.unlinkSync(path.join(scenario.dir, scenario.remove));
+
+  client = await startServer(scenario, host);
+  assert((await searchPaths(client, 'priority heap')).includes(scenario.edit[0]), 'The edit should be searchable after restart');
+  assert(!(await searchPaths(client, 'arrival order')).includes(scenario.edit[0]), 'The old content should be gone');
+  assert((await searchPaths(client, 'token bucket')).includes(scenario.add[0]), 'The added file should be searchable');
+  assert(!(await searchPaths(client, 'slowest')).includes(scenario.remove), 'The deleted file should be removed');
+  const missing = await client.callTool({ name: 'get_document', arguments: { path: scenario.remove } });
+  assert(missing.isError, 'get_document should not find the deleted file');
+  await client.close();
+  const second = readIndex(scenario.db);
+  assert(!second.signatures.includes(path.join(scenario.dir, scenario.remove)), 'The deleted file should lose its signature');
+  console.log('  ✓ Offline edit, addition and deletion caught up');
+
+  // Restart without changes
+  client = await startServer(scenario, host);
+  await client.close();
+  const third = readIndex(scenario.db);
+  assert(third.rowids === second.rowids, 'A restart without changes should not rewrite any document');
+  console.log('  ✓ Unchanged files left alone\n');
+}
+
+// Runs after the scenarios, so both directories hold their edited files
+async function runWorkspace(host) {
+  console.log('Workspace with an empty root:');
+  removeDatabase(WORKSPACE_DB);
+  fs.rmSync(EMPTY_DIR, { recursive: true, force: true });
+  fs.mkdirSync(EMPTY_DIR);
+  const workspace = { dirs: [...SCENARIOS.map(scenario => scenario.dir), EMPTY_DIR], db: WORKSPACE_DB };
+
+  let client = await startServer(workspace, host);
+  await client.close();
+  const first = readIndex(WORKSPACE_DB);
+  for (const scenario of SCENARIOS) {
+    assert(first.roots.includes(path.basename(scenario.dir)), `No documents labelled with root ${path.basename(scenario.dir)}`);
+  }
+
+  client = await startServer(workspace, host);
+  assert((await searchPaths(client, 'token bucket')).length === SCENARIOS.length, 'Both roots should stay searchable');
+  await client.close();
+  assert(readIndex(WORKSPACE_DB).rowids === first.rowids, 'A restart should not re-crawl any root');
+  console.log('  ✓ Restart kept every root as it was\n');
+}
+
+async function runTest() {
+  console.log('=== MCP Catch-up Test ===\n');
+
+  let server = null;
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+
+    server = await startMockEmbeddings();
+    for (const scenario of SCENARIOS) {
+      await runScenario(scenario, server.host);
+    }
+    await runWorkspace(server.host);
+
+    console.log('=== All catch-up tests passed! ===');
+    return { passed: true, message: 'Offline changes are indexed on restart' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return { passed: false, error: error.message };
+  } finally {
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
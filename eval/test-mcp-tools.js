@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: MCP Tools over stdio
+ *
+ * This test starts `vexify mcp` on a small repository with the mock embedding service,
+ * connects to it with the MCP SDK client over stdio and validates that:
+ * 1. The server lists search_code, get_document, list_sources, index_status and reindex
+ * 2. index_status waits for the background index and reports its progress
+ * 3. search_code returns structured results for the indexed files
+ * 4. get_document returns a file by path, limited to a line range, and fails cleanly for unknown paths
+ * 5. list_sources lists every indexed file
+ * 6. reindex picks up an edited file
+ * 7. Indexed documents are exposed as resources
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { startMockEmbeddings } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'mcp-tools-test.db');
+const REPO_DIR = path.join(TEST_DIR, 'mcp-tools-repo');
+
+const RETRY_SOURCE = `'use strict';
+
+// Retries a failing request with exponential backoff before giving up
+async function withRetry(request, attempts = 3) {
+  let delay = 500;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+  }
+}
+
+module.exports = { withRetry };
+`;
+
+const CACHE_SOURCE = `'use strict';
+
+// Keeps the most recently used entries and evicts the oldest once the cache is full
+class LruCache {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.limit) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = { LruCache };
+`;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function writeFile(name, content) {
+  const filePath = path.join(REPO_DIR, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+function text(result) {
+  return result.content.map(item => item.text).join('\n');
+}
+
+async function callTool(client, name, args = {}) {
+  const result = await client.callTool({ name, arguments: args });
+  assert(!result.isError, `${name} failed: ${text(result)}`);
+  return result;
+}
+
+async function runTest() {
+  console.log('=== MCP Tools Test ===\n');
+
+  let server = null;
+  let client = null;
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    for (const file of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+    fs.rmSync(REPO_DIR, { recursive: true, force: true });
+
+    writeFile('package.json', JSON.stringify({ name: 'mcp-tools-fixture', version: '1.0.0' }, null, 2));
+    writeFile('src/retry.js', RETRY_SOURCE);
+    writeFile('src/cache.js', CACHE_SOURCE);
+
+    server = await startMockEmbeddings();
+    client = new Client({ name: 'vexify-eval', version: '1.0.0' });
+    await client.connect(new StdioClientTransport({
+      command: process.execPath,
+      args: [
+        path.join(__dirname, '../lib/bin/cli.js'), 'mcp',
+        '--directory', REPO_DIR,
+        '--db-path', TEST_DB,
+        '--model', 'mock-embedder',
+        '--provider', 'openai',
+        '--host', server.host
+      ],
+      stderr: 'ignore'
+    }));
+
+    // Test 1: Tool list
+    console.log('Test 1: Listing tools...');
+    const { tools } = await client.listTools();
+    const names = tools.map(tool => tool.name);
+    for (const name of ['search_code', 'get_document', 'list_sources', 'index_status', 'reindex']) {
+      assert(names.includes(name), `Tool ${name} is missing from ${names.join(', ')}`);
+    }
+    console.log(`✓ ${names.join(', ')}\n`);
+
+    // Test 2: Waiting for the initial index
+    console.log('Test 2: index_status with wait...');
+    const status = text(await callTool(client, 'index_status', { wait: true }));
+    assert(status.includes('Indexing: complete'), `Indexing should be complete:\n${status}`);
+    assert(status.includes('Server: ready'), `Server should be ready:\n${status}`);
+    console.log('✓ Background indexing complete\n');
+
+    // Test 3: Search
+    console.log('Test 3: search_code...');
+    const search = await callTool(client, 'search_code', { query: 'retry request exponential backoff delay', top_k: 3 });
+    const results = search.structuredContent.results;
+    assert(results.length > 0 && results[0].path === 'src/retry.js',
+      `Expected src/retry.js first, got ${results.map(result => result.path).join(', ')}`);
+    assert(results[0].startLine !== null && results[0].snippet.text, 'Code results should have lines and a snippet');
+    assert(text(search).includes('src/retry.js'), 'The text result should name the file too');
+    console.log(`✓ Found ${results[0].path} lines ${results[0].startLine}-${results[0].endLine}\n`);
+
+    // Test 4: get_document
+    console.log('Test 4: get_document...');
+    const whole = text(await callTool(client, 'get_document', { path: 'src/cache.js' }));
+    assert(whole.includes('class LruCache') && whole.includes('module.exports = { LruCache }'), 'The whole file should be returned');
+    const range = text(await callTool(client, 'get_document', { path: 'src/retry.js', start_line: 4, end_line: 5 }));
+    assert(range.includes('(lines 4-5') && range.includes('async function withRetry') && !range.includes('module.exports'),
+      `Expected lines 4-5 of src/retry.js, got:\n${range}`);
+    const missing = await client.callTool({ name: 'get_document', arguments: { path: 'src/missing.js' } });
+    assert(missing.isError, 'An unknown path should return an error result');
+    console.log('✓ Whole files, line ranges and unknown paths handled\n');
+
+    // Test 5: list_sources
+    console.log('Test 5: list_sources...');
+    const sources = text(await callTool(client, 'list_sources'));
+    assert(sources.includes('src/retry.js') && sources.includes('src/cache.js'), `Both files should be listed:\n${sources}`);
+    console.log(`✓ ${sources.split('\n')[0]}\n`);
+
+    // Test 6: reindex
+    console.log('Test 6: reindex after an edit...');
+    writeFile('src/retry.js', RETRY_SOURCE.replace('delay *= 2;', 'delay = Math.min(delay * 2, 8000); // capped jitterless backoff'));
+    const reindexed = text(await callTool(client, 'reindex', { paths: ['src/retry.js'] }));
+    assert(reindexed.startsWith('Reindexed src/retry.js'), `Unexpected reindex result: ${reindexed}`);
+    const edited = text(await callTool(client, 'get_document', { path: 'src/retry.js' }));
+    assert(edited.includes('capped jitterless backoff'), 'get_document should return the edited file');
+    const hits = await callTool(client, 'search_code', { query: 'capped jitterless', mode: 'keyword' });
+    assert(hits.structuredContent.results.some(result => result.path === 'src/retry.js'), 'The edit should be searchable');
+    const afterReindex = text(await callTool(client, 'index_status'));
+    assert(afterReindex.includes('Last reindex:') && !afterReindex.includes('Last reindex: never'), 'index_status should record the reindex');
+    console.log('✓ Edited file reindexed\n');
+
+    // Test 7: Resources
+    console.log('Test 7: Resources...');
+    const { resources } = await client.listResources();
+    const resource = resources.find(entry => entry.name === 'src/cache.js');
+    assert(resource, `src/cache.js should be listed as a resource, got ${resources.map(entry => entry.name).join(', ')}`);
+    const { contents } = await client.readResource({ uri: resource.uri });
+    assert(contents[0].text.includes('class LruCache'), 'Reading the resource should return the indexed text');
+    console.log(`✓ ${resources.length} resources\n`);
+
+    console.log('=== All MCP tool tests passed! ===');
+    return { passed: true, message: 'MCP tools working correctly' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return { passed: false, error: error.message };
+  } finally {
+    if (client) await client.close();
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: Schema Migrations
+ *
+ * This test builds a database with the schema vexify used before versioning
+ * (documents + vec_index only) and validates that:
+ * 1. `vexify migrate --dry-run` lists the pending migrations without changing the file
+ * 2. Opening the database applies every migration and keeps the existing documents
+ * 3. Migrated documents are found by vector and keyword search
+ * 4. Reopening a migrated database applies nothing
+ * 5. A database from a newer vexify is refused
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { execFile } = require('child_process');
+const { SQLiteStorageAdapter } = require('../lib/adapters/sqlite');
+const { MIGRATIONS } = require('../lib/adapters/migrations');
+const { VecStoreFactory } = require('../lib/vecstore-factory');
+const { DIMENSION, fakeEmbedding, startMockEmbeddings, mockStoreOptions } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'migrations-test.db');
+const NEWER_DB = path.join(TEST_DIR, 'migrations-newer-test.db');
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const BASELINE_DOCUMENTS = [
+  {
+    id: 'guide.md',
+    content: 'Schema migrations upgrade an existing vexify database in place. Every migration runs in its own ' +
+      'transaction, so an interrupted upgrade leaves the file at the last completed version.',
+    metadata: { source: 'folder', filePath: 'guide.md' }
+  },
+  {
+    id: 'notes.txt',
+    content: 'Gardening notes: tomatoes need full sun, regular watering and support once the plants start to ' +
+      'flower. Basil grows well next to them and keeps some pests away from the vegetable beds.',
+    metadata: { source: 'folder', filePath: 'notes.txt' }
+  }
+];
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function removeDatabase(dbPath) {
+  for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+// The schema written by vexify before schema_migrations existed
+function createBaselineDatabase(dbPath) {
+  const db = new Database(dbPath);
+  db.loadExtension(sqliteVec.getLoadablePath());
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id TEXT PRIMARY KEY,
+      vector BLOB NOT NULL,
+      content TEXT,
+      metadata TEXT,
+      checksum TEXT NOT NULL,
+      version TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s', 'now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksum ON documents(checksum);
+    CREATE INDEX IF NOT EXISTS idx_version ON documents(version);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS vec_index USING vec0(
+      id TEXT PRIMARY KEY,
+      embedding FLOAT[${DIMENSION}]
+    );
+  `);
+
+  const insertDocument = db.prepare(
+    'INSERT INTO documents (id, vector, content, metadata, checksum, version) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  const insertVector = db.prepare('INSERT INTO vec_index (id, embedding) VALUES (?, ?)');
+
+  for (const doc of BASELINE_DOCUMENTS) {
+    const vector = fakeEmbedding(doc.content);
+    insertDocument.run(doc.id, Buffer.from(new Float32Array(vector).buffer), JSON.stringify(doc.content),
+      JSON.stringify(doc.metadata), `checksum-${doc.id}`, '0.16.0');
+    insertVector.run(doc.id, JSON.stringify(vector));
+  }
+
+  db.close();
+}
+
+function runCli(cliArgs) {
+  return new Promise((resolve, reject) => {
+    execFile('node', ['lib/bin/cli.js', ...cliArgs], {
+      cwd: path.join(__dirname, '..'),
+      timeout: 60000
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout + stderr);
+      }
+    });
+  });
+}
+
+async function runTest() {
+  console.log('=== Schema Migration Test ===\n');
+
+  let server = null;
+  let vecStore = null;
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    removeDatabase(TEST_DB);
+    removeDatabase(NEWER_DB);
+    createBaselineDatabase(TEST_DB);
+
+    // Test 1: Dry run
+    console.log('Test 1: vexify migrate --dry-run...');
+    const dryRun = await runCli(['migrate', TEST_DB, '--dry-run']);
+    console.log(dryRun);
+    assert(dryRun.includes(`from schema version 0 to ${LATEST}`), 'Dry run should list every migration');
+    const untouched = new Database(TEST_DB, { readonly: true });
+    const hasMigrationsTable = untouched.prepare(
+      "SELECT name FROM sqlite_master WHERE name = 'schema_migrations'"
+    ).get();
+    untouched.close();
+    assert(!hasMigrationsTable, 'Dry run must not change the database');
+    console.log('✓ Dry run left the database unchanged\n');
+
+    // Test 2: Opening applies every migration
+    console.log('Test 2: Applying migrations...');
+    const store = new SQLiteStorageAdapter(TEST_DB);
+    const applied = store.migrator.getApplied().map(row => row.version);
+    assert(applied.length === MIGRATIONS.length && applied[applied.length - 1] === LATEST,
+      `Expected versions 1-${LATEST}, got ${applied.join(', ')}`);
+    const rows = store.db.prepare('SELECT collection, id, content FROM documents ORDER BY id').all();
+    assert(rows.length === BASELINE_DOCUMENTS.length, 'Documents were lost during the upgrade');
+    assert(rows.every(row => row.collection === 'default'), 'Existing documents belong to the default collection');
+    const ftsCount = store.db.prepare('SELECT COUNT(*) AS count FROM documents_fts').get().count;
+    assert(ftsCount === BASELINE_DOCUMENTS.length, 'Existing content should be added to the keyword index');
+    for (const table of ['vexify_meta', 'embedding_cache', 'files', 'collections', 'ingest_errors']) {
+      assert(store.migrator.tableExists(table), `Table ${table} was not created`);
+    }
+    store.close();
+    console.log(`✓ Applied ${applied.length} migrations, kept ${rows.length} documents\n`);
+
+    // Test 3: Search over migrated documents
+    console.log('Test 3: Searching migrated documents...');
+    server = await startMockEmbeddings();
+    vecStore = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB, { searchMode: 'hybrid' }));
+    const vectorHits = await vecStore.query('tomatoes basil watering', { topK: 1, mode: 'vector' });
+    assert(vectorHits[0] && vectorHits[0].id === 'notes.txt', 'Vector search should find the migrated document');
+    const keywordHits = await vecStore.query('interrupted upgrade', { topK: 1, mode: 'keyword' });
+    assert(keywordHits[0] && keywordHits[0].id === 'guide.md', 'Keyword search should find the migrated document');
+    vecStore.store.close();
+    vecStore = null;
+    console.log('✓ Vector and keyword search work after the upgrade\n');
+
+    // Test 4: Nothing left to apply
+    console.log('Test 4: Reopening the migrated database...');
+    const upToDate = await runCli(['migrate', TEST_DB]);
+    assert(upToDate.includes(`up to date (schema version ${LATEST})`), 'Migrated database should be up to date');
+    console.log('✓ No pending migrations\n');
+
+    // Test 5: Newer schema is refused
+    console.log('Test 5: Opening a database from a newer vexify...');
+    fs.copyFileSync(TEST_DB, NEWER_DB);
+    const newer = new Database(NEWER_DB);
+    newer.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(LATEST + 1, 'from_the_future');
+    newer.close();
+    try {
+      new SQLiteStorageAdapter(NEWER_DB).close();
+      throw new Error('Expected a newer schema to be refused');
+    } catch (error) {
+      if (!error.message.includes('is newer than this version of vexify supports')) throw error;
+    }
+    console.log('✓ Newer schema refused\n');
+
+    console.log('=== All migration tests passed! ===');
+    return { passed: true, message: 'Schema migrations working correctly' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.stdout) console.error('STDOUT:', error.stdout.toString());
+    if (error.stderr) console.error('STDERR:', error.stderr.toString());
+    return { passed: false, error: error.message };
+  } finally {
+    if (vecStore) vecStore.store.close();
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: OpenAI-compatible Embedding Provider
+ *
+ * This test validates, against a local mock gateway, that:
+ * 1. Requests carry the API key in the configured header
+ * 2. The embedding dimension of an unregistered model is probed on first call
+ * 3. The CLI can add and query documents with --provider openai --api-key-env
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+const { OpenAIEmbedder } = require('../lib/embedders/openai');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'openai-provider-test.db');
+const API_KEY = 'test-gateway-key';
+const DIMENSION = 16;
+
+function fakeEmbedding(text) {
+  const vector = new Array(DIMENSION).fill(0);
+  for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+    let hash = 0;
+    for (const ch of word) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    vector[hash % DIMENSION] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function startMockGateway(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, authorization: req.headers.authorization });
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.headers.authorization !== `Bearer ${API_KEY}`) {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ error: { message: 'Invalid API key' } }));
+        return;
+      }
+
+      const { input } = JSON.parse(body);
+      const texts = Array.isArray(input) ? input : [input];
+      res.end(JSON.stringify({
+        object: 'list',
+        data: texts.map((text, index) => ({ object: 'embedding', index, embedding: fakeEmbedding(text) }))
+      }));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function runCli(cliArgs, env) {
+  return new Promise((resolve, reject) => {
+    execFile('node', ['lib/bin/cli.js', ...cliArgs], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, ...env },
+      timeout: 60000
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout + stderr);
+      }
+    });
+  });
+}
+
+async function runTest() {
+  console.log('=== OpenAI-compatible Provider Test ===\n');
+
+  const requests = [];
+  const server = await startMockGateway(requests);
+  const host = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB);
+    }
+
+    // Test 1: Rejected key surfaces the gateway error
+    console.log('Test 1: Request with wrong API key...');
+    const unauthorized = new OpenAIEmbedder({ modelName: 'gateway-model', host, apiKey: 'wrong' });
+    try {
+      await unauthorized.probeDimension();
+      throw new Error('Expected probe with wrong key to fail');
+    } catch (error) {
+      if (!error.message.includes('HTTP 401')) throw error;
+    }
+    console.log('✓ Unauthorized request rejected\n');
+
+    // Test 2: Dimension probing for a model outside MODEL_REGISTRY
+    console.log('Test 2: Probing dimension...');
+    const embedder = new OpenAIEmbedder({ modelName: 'gateway-model', host, apiKey: API_KEY });
+    const dimension = await embedder.probeDimension();
+    if (dimension !== DIMENSION) {
+      throw new Error(`Expected dimension ${DIMENSION}, got ${dimension}`);
+    }
+    const batch = await embedder.embedBatch(['first text', 'second text']);
+    if (batch.length !== 2 || batch[0].length !== DIMENSION) {
+      throw new Error('Batch embedding returned unexpected shape');
+    }
+    console.log(`✓ Probed dimension ${dimension}, batch embedding works\n`);
+
+    // Test 3: CLI add + query through the provider flags
+    console.log('Test 3: CLI add and query with --provider openai...');
+    const providerArgs = ['--provider', 'openai', '--host', host, '--api-key-env', 'VEXIFY_TEST_KEY'];
+    const env = { VEXIFY_TEST_KEY: API_KEY };
+    const text = 'Reciprocal rank fusion merges keyword and vector rankings into a single list. ' +
+      'It rewards documents that appear near the top of both rankings without needing score calibration.';
+
+    await runCli(['add', TEST_DB, 'doc1', text, 'gateway-model', ...providerArgs], env);
+    const queryOutput = await runCli(['query', TEST_DB, 'rank fusion', '1', 'gateway-model', ...providerArgs], env);
+    console.log(queryOutput);
+
+    if (!queryOutput.includes('doc1')) {
+      throw new Error('Query output does not contain the added document');
+    }
+    if (requests.some(request => request.path !== '/v1/embeddings')) {
+      throw new Error('Requests were sent to an unexpected path');
+    }
+    console.log('✓ CLI add and query executed successfully\n');
+
+    console.log('=== All OpenAI provider tests passed! ===');
+    return { passed: true, message: 'OpenAI-compatible provider working correctly' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.stdout) console.error('STDOUT:', error.stdout.toString());
+    if (error.stderr) console.error('STDERR:', error.stderr.toString());
+    return { passed: false, error: error.message };
+  } finally {
+    server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: Re-embedding to Another Model
+ *
+ * This test indexes documents with one mock model and re-embeds them with another,
+ * stopping the run between building the new index and swapping it in. It validates that:
+ * 1. A stopped re-embed leaves its staged embeddings and job state behind
+ * 2. `vexify cache prune` keeps the embeddings staged for the unfinished re-embed
+ * 3. Resuming swaps the new index in without embedding anything again
+ * 4. A handle opened with the new model before the swap queries the new index afterwards
+ * 5. A handle still open with the old model refuses to query or write after the swap
+ * 6. A VecStore opened without a search uses the active index and the stored dimension,
+ *    and refuses to guess a dimension for a database that has none
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { VecStore } = require('../lib/vecstore');
+const { VecStoreFactory } = require('../lib/vecstore-factory');
+const { SQLiteStorageAdapter } = require('../lib/adapters/sqlite');
+const { SqliteVecSearch } = require('../lib/search/sqlite-vec');
+const { OpenAIEmbedder } = require('../lib/embedders/openai');
+const { Updater } = require('../lib/utils/updater');
+const { DIMENSION, startMockEmbeddings, mockStoreOptions } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'reembed-test.db');
+const NEXT_MODEL = 'mock-embedder-v2';
+
+const DOCUMENTS = {
+  retry: 'Failed requests are retried three times with exponential backoff, starting at half a second, ' +
+    'before the error is reported to the caller of the client library.',
+  soup: 'Roast the tomatoes with garlic and onion, blend them with stock and basil, then simmer for ' +
+    'twenty minutes and season with salt, pepper and a spoon of cream before serving.',
+  tides: 'Tides rise and fall twice a day because the moon pulls the oceans towards it while the earth ' +
+    'turns underneath, and the sun adds to the pull at new and full moon.'
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function runCli(cliArgs) {
+  return new Promise((resolve, reject) => {
+    execFile('node', ['lib/bin/cli.js', ...cliArgs], {
+      cwd: path.join(__dirname, '..'),
+      timeout: 60000
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout + stderr);
+      }
+    });
+  });
+}
+
+// Opens the database for re-embedding the way `vexify reembed` does
+async function openReembedStore(server) {
+  const store = new SQLiteStorageAdapter(TEST_DB);
+  return new VecStore({
+    embedder: new OpenAIEmbedder({ modelName: NEXT_MODEL, host: server.host }),
+    store,
+    search: new SqliteVecSearch(store.db, await store.getVectorTable(), DIMENSION, store.collection),
+    modelName: NEXT_MODEL,
+    dimension: DIMENSION
+  });
+}
+
+function cachedEntries(store, model) {
+  return store.db.prepare('SELECT COUNT(*) AS count FROM embedding_cache WHERE model = ?').get(model).count;
+}
+
+async function runTest() {
+  console.log('=== Re-embed Test ===\n');
+
+  let server = null;
+  let vecStore = null;
+  const handles = [];
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    for (const file of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+
+    server = await startMockEmbeddings();
+    let requests = 0;
+    server.on('request', () => { requests++; });
+
+    const indexed = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB));
+    for (const [id, content] of Object.entries(DOCUMENTS)) {
+      await indexed.upsert(id, content, { source: 'folder', filePath: `${id}.md` });
+    }
+    indexed.store.close();
+
+    // Test 1: Stopping before the swap
+    console.log('Test 1: Stopping a re-embed between building and swapping the index...');
+    vecStore = await openReembedStore(server);
+    const stopped = new Updater(vecStore);
+    stopped.swapIndex = () => {
+      throw new Error('stopped before the swap');
+    };
+    try {
+      await stopped.reembed({ provider: 'openai' });
+      throw new Error('The re-embed should have stopped before the swap');
+    } catch (error) {
+      if (error.message !== 'stopped before the swap') throw error;
+    }
+    const job = await Updater.getReembedJob(vecStore.store);
+    assert(job && job.model === NEXT_MODEL && job.processed === job.total, `Expected a built but unswapped job, got ${JSON.stringify(job)}`);
+    const staged = cachedEntries(vecStore.store, NEXT_MODEL);
+    assert(staged === Object.keys(DOCUMENTS).length, `Expected ${Object.keys(DOCUMENTS).length} staged embeddings, got ${staged}`);
+    console.log(`✓ ${staged} embeddings staged for ${NEXT_MODEL}\n`);
+
+    // Test 2: Pruning the cache while the swap is pending
+    console.log('Test 2: vexify cache prune with a re-embed pending...');
+    const pruned = await runCli(['cache', 'prune', TEST_DB]);
+    assert(cachedEntries(vecStore.store, NEXT_MODEL) === staged,
+      `cache prune removed embeddings staged for the re-embed:\n${pruned}`);
+    assert(cachedEntries(vecStore.store, 'mock-embedder') === staged, 'cache prune removed embeddings of the indexed model');
+    console.log('✓ Staged embeddings kept\n');
+
+    // Handles of other processes, e.g. `vexify serve` or `vexify mcp`, opened before the swap
+    const follower = await openReembedStore(server);
+    const stale = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB));
+    handles.push(follower, stale);
+    assert((await stale.query('tomatoes basil', { topK: 1 }))[0].id.startsWith('soup'), 'The old index should serve queries before the swap');
+
+    // Test 3: Resuming
+    console.log('Test 3: Resuming the re-embed...');
+    const before = requests;
+    const results = await new Updater(vecStore).reembed({ provider: 'openai' });
+    assert(requests === before, `Resuming should not embed again, sent ${requests - before} request(s)`);
+    assert(results.reprocessed === staged, `Expected ${staged} re-embedded documents, got ${results.reprocessed}`);
+    assert(await vecStore.store.getMeta('model') === NEXT_MODEL, 'The store should be indexed with the new model');
+    assert(await Updater.getReembedJob(vecStore.store) === null, 'The job should be cleared after the swap');
+    console.log(`✓ Swapped to ${results.table} from the staged embeddings\n`);
+
+    // Test 4: Another handle with the new model
+    console.log('Test 4: Querying the swapped index through another handle...');
+    const followed = await follower.query('tomatoes basil', { topK: 1 });
+    assert(followed[0] && followed[0].id.startsWith('soup'), `Expected soup first, got ${JSON.stringify(followed[0])}`);
+    assert(follower.search.tableName === results.table, 'The other handle should follow the swapped-in table');
+    await follower.upsert('tea', DOCUMENTS.soup.replace('tomatoes', 'tea leaves'), { source: 'folder', filePath: 'tea.md' });
+    const written = vecStore.store.db.prepare(`SELECT COUNT(*) AS count FROM ${results.table} WHERE id LIKE 'tea%'`).get().count;
+    assert(written > 0, 'Writes through the other handle should go to the swapped-in table');
+    console.log(`✓ The other handle moved to ${follower.search.tableName}\n`);
+
+    // Test 5: Another handle with the old model
+    console.log('Test 5: Using a handle still open with the old model...');
+    for (const [step, use] of [
+      ['query', () => stale.query('tomatoes basil', { topK: 1 })],
+      ['upsert', () => stale.upsert('salad', DOCUMENTS.soup.replace('tomatoes', 'lettuce'), { source: 'folder', filePath: 'salad.md' })]
+    ]) {
+      try {
+        await use();
+        throw new Error(`${step} should fail after the index was re-embedded`);
+      } catch (error) {
+        assert(error.message.includes(`re-embedded with ${NEXT_MODEL}`), `${step} failed with: ${error.message}`);
+      }
+    }
+    const salad = vecStore.store.db.prepare("SELECT COUNT(*) AS count FROM documents WHERE id LIKE 'salad%'").get().count;
+    assert(salad === 0, 'The refused upsert should not write anything');
+    console.log('✓ Queries and writes with the old model are refused\n');
+
+    // Test 6: Opening without a search
+    console.log('Test 6: VecStore without an explicit search...');
+    const opened = new VecStore({
+      embedder: new OpenAIEmbedder({ modelName: NEXT_MODEL, host: server.host }),
+      store: new SQLiteStorageAdapter(TEST_DB),
+      modelName: NEXT_MODEL
+    });
+    handles.push(opened);
+    assert(opened.search.tableName === results.table && opened.search.dimensions === DIMENSION,
+      `Expected ${results.table} with ${DIMENSION} dimensions, got ${opened.search.tableName} with ${opened.search.dimensions}`);
+    const emptyDb = path.join(TEST_DIR, 'reembed-empty-test.db');
+    if (fs.existsSync(emptyDb)) fs.unlinkSync(emptyDb);
+    const emptyStore = new SQLiteStorageAdapter(emptyDb);
+    try {
+      new VecStore({ embedder: opened.embedder, store: emptyStore });
+      throw new Error('A VecStore without a known dimension should not be created');
+    } catch (error) {
+      assert(error.message.includes('options.dimension'), `Unexpected error: ${error.message}`);
+    } finally {
+      emptyStore.close();
+    }
+    console.log(`✓ Opened ${opened.search.tableName} with ${opened.search.dimensions} dimensions\n`);
+
+    console.log('=== All re-embed tests passed! ===');
+    return { passed: true, message: 'Re-embedding survives a stop and a cache prune, other handles follow the swap' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.stdout) console.error('STDOUT:', error.stdout.toString());
+    if (error.stderr) console.error('STDERR:', error.stderr.toString());
+    return { passed: false, error: error.message };
+  } finally {
+    for (const handle of handles) {
+      handle.store.close();
+    }
+    if (vecStore) vecStore.store.close();
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: REST API
+ *
+ * This test runs `vexify serve`'s ApiServer against a mock embedding service and validates that:
+ * 1. /health and /openapi.json answer, and invalid requests get 4xx errors
+ * 2. Documents can be added, read, replaced and deleted through /documents
+ * 3. /query, /explain, /facets, /sources and /stats describe the stored documents
+ * 4. /ingest indexes an uploaded PDF page by page and reports unreadable files in /sources
+ * 5. An API key is required when configured
+ * 6. Without a key, foreign Host and Origin headers are refused
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { ApiServer } = require('../lib/api/server');
+const { VecStoreFactory } = require('../lib/vecstore-factory');
+const { startMockEmbeddings, mockStoreOptions } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'rest-api-test.db');
+const SAMPLE_PDF = '/usr/share/doc/shared-mime-info/shared-mime-info-spec.pdf';
+
+const GUIDE = 'Retry logic: failed requests are retried three times with exponential backoff, ' +
+  'starting at half a second, before the error is reported to the caller of the client library.';
+const GUIDE_V2 = 'Retry logic: failed requests are retried five times with exponential backoff and jitter, ' +
+  'so that many clients failing together do not retry at the same moment and overload the service again.';
+const RECIPE = 'Tomato soup: roast the tomatoes with garlic and onion, blend them with stock and basil, ' +
+  'then simmer for twenty minutes and season with salt, pepper and a spoon of cream before serving.';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function request(port, method, urlPath, { body, json, headers = {} } = {}) {
+  const payload = json !== undefined ? JSON.stringify(json) : body;
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let data = text;
+        try {
+          data = JSON.parse(text);
+        } catch {
+          // the UI page and other non-JSON bodies are returned as text
+        }
+        resolve({ status: res.statusCode, body: data });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+function expectStatus(response, status, step) {
+  assert(response.status === status,
+    `${step}: expected ${status}, got ${response.status} ${JSON.stringify(response.body).slice(0, 200)}`);
+  return response.body;
+}
+
+async function runTest() {
+  console.log('=== REST API Test ===\n');
+
+  let server = null;
+  let vecStore = null;
+  const apiServers = [];
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB);
+    }
+    assert(fs.existsSync(SAMPLE_PDF), `Sample PDF not found at ${SAMPLE_PDF}`);
+
+    server = await startMockEmbeddings();
+    vecStore = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB, { searchMode: 'hybrid' }));
+    const api = new ApiServer(vecStore, { port: 0, silent: true });
+    apiServers.push(api);
+    const { port } = await api.start();
+    const call = (method, urlPath, options) => request(port, method, urlPath, options);
+
+    // Test 1: Public routes and validation
+    console.log('Test 1: Health, OpenAPI document and validation...');
+    const health = expectStatus(await call('GET', '/health'), 200, 'GET /health');
+    assert(health.status === 'ok', 'Health should report ok');
+    const openApi = expectStatus(await call('GET', '/openapi.json'), 200, 'GET /openapi.json');
+    assert(openApi.paths && openApi.paths['/ingest'], 'OpenAPI document should describe /ingest');
+    expectStatus(await call('GET', '/nowhere'), 404, 'Unknown route');
+    expectStatus(await call('DELETE', '/stats'), 405, 'Wrong method');
+    expectStatus(await call('POST', '/query', { body: '{not json' }), 400, 'Invalid JSON');
+    expectStatus(await call('POST', '/query', { json: { query: 'retry', topK: 0 } }), 400, 'Invalid topK');
+    console.log('✓ Public routes answer, bad requests are refused\n');
+
+    // Test 2: Document CRUD
+    console.log('Test 2: Adding, reading, replacing and deleting documents...');
+    expectStatus(await call('POST', '/documents', { json: { id: 'guide', content: GUIDE, metadata: { language: 'en', type: 'doc' } } }),
+      201, 'POST /documents');
+    expectStatus(await call('POST', '/documents', { json: { id: 'recipe', content: RECIPE, metadata: { language: 'en', type: 'recipe' } } }),
+      201, 'POST /documents');
+    expectStatus(await call('POST', '/documents', { json: { id: 'guide', content: GUIDE } }), 409, 'Duplicate POST');
+    const guide = expectStatus(await call('GET', '/documents/guide'), 200, 'GET /documents/guide');
+    assert(guide.chunks.length === 1 && guide.chunks[0].content === GUIDE, 'GET should return the stored content');
+    const replaced = expectStatus(await call('PUT', '/documents/guide', { json: { content: GUIDE_V2, metadata: { language: 'en', type: 'doc' } } }),
+      200, 'PUT /documents/guide');
+    assert(replaced.replaced, 'PUT should replace the existing document');
+    const updated = expectStatus(await call('GET', '/documents/guide'), 200, 'GET after PUT');
+    assert(updated.chunks[0].content === GUIDE_V2, 'GET should return the replaced content');
+    expectStatus(await call('GET', '/documents/missing'), 404, 'GET unknown document');
+    console.log('✓ CRUD routes work\n');
+
+    // Test 3: Search and inspection
+    console.log('Test 3: Query, explain, facets, sources and stats...');
+    const results = expectStatus(await call('POST', '/query', { json: { query: 'retry backoff jitter', topK: 2, snippets: true } }),
+      200, 'POST /query').results;
+    assert(results[0] && results[0].id === 'guide', `Expected guide first, got ${results.map(r => r.id).join(', ')}`);
+    assert(results[0].content === GUIDE_V2 && results[0].snippet, 'Results should include content and snippets');
+    const filtered = expectStatus(await call('POST', '/query', { json: { query: 'retry backoff', where: 'type = recipe' } }),
+      200, 'POST /query with where').results;
+    assert(filtered.every(result => result.id === 'recipe'), 'where should restrict results');
+    const explained = expectStatus(await call('POST', '/explain', { json: { query: 'tomato basil soup', id: 'recipe' } }),
+      200, 'POST /explain');
+    assert(explained.chunks[0].vector && explained.chunks[0].vector.rank === 1, 'Explain should rank the recipe first');
+    const facets = expectStatus(await call('GET', '/facets'), 200, 'GET /facets');
+    assert(facets.documents === 2, `Facets should count 2 documents, got ${facets.documents}`);
+    const sources = expectStatus(await call('GET', '/sources'), 200, 'GET /sources');
+    assert(sources.sources.length === 2, `Expected 2 sources, got ${sources.sources.length}`);
+    const stats = expectStatus(await call('GET', '/stats'), 200, 'GET /stats');
+    assert(stats.documents === 2 && stats.model === 'mock-embedder', 'Stats should describe the store');
+    const removed = expectStatus(await call('DELETE', '/documents/recipe'), 200, 'DELETE /documents/recipe');
+    assert(removed.removed === 1, 'DELETE should report the removed document');
+    expectStatus(await call('DELETE', '/documents/recipe'), 404, 'DELETE again');
+    console.log('✓ Search and inspection routes describe the index\n');
+
+    // Test 4: Uploading a PDF
+    console.log('Test 4: Ingesting a PDF...');
+    const pdf = fs.readFileSync(SAMPLE_PDF);
+    const ingested = expectStatus(await call('POST', '/ingest?filename=spec.pdf', { body: pdf }), 200, 'POST /ingest');
+    assert(ingested.documents > 1 && ingested.chunks >= ingested.documents,
+      `Expected one document per page, got ${JSON.stringify({ documents: ingested.documents, chunks: ingested.chunks })}`);
+    const page = expectStatus(await call('GET', `/documents/${encodeURIComponent(ingested.ids[0])}`), 200, 'GET an ingested page');
+    assert(page.source === 'spec.pdf' && page.chunks[0].metadata.source === 'upload', 'Pages should be stored as uploads of spec.pdf');
+    const again = expectStatus(await call('POST', '/ingest?filename=spec.pdf', { body: pdf }), 200, 'POST /ingest again');
+    assert(again.replaced === ingested.chunks, 'Uploading the same file again should replace its pages');
+    expectStatus(await call('POST', '/ingest?filename=broken.pdf', { body: 'not a pdf at all' }), 400, 'Unreadable PDF');
+    expectStatus(await call('POST', '/ingest?filename=archive.xyz', { body: 'data' }), 415, 'Unsupported type');
+    const failed = expectStatus(await call('GET', '/sources?status=failed'), 200, 'GET /sources?status=failed');
+    assert(failed.sources.length === 1 && failed.sources[0].path === 'broken.pdf', 'The unreadable upload should be reported');
+    console.log(`✓ ${ingested.documents} pages stored as ${ingested.chunks} chunks\n`);
+
+    // Test 5: API key
+    console.log('Test 5: API key...');
+    const secured = new ApiServer(vecStore, { port: 0, apiKey: 'secret-key', silent: true });
+    apiServers.push(secured);
+    const securedPort = (await secured.start()).port;
+    expectStatus(await request(securedPort, 'GET', '/stats'), 401, 'Missing key');
+    expectStatus(await request(securedPort, 'GET', '/stats', { headers: { 'X-API-Key': 'wrong' } }), 401, 'Wrong key');
+    expectStatus(await request(securedPort, 'GET', '/stats', { headers: { 'X-API-Key': 'secret-key' } }), 200, 'X-API-Key');
+    expectStatus(await request(securedPort, 'GET', '/stats', { headers: { Authorization: 'Bearer secret-key' } }), 200, 'Bearer key');
+    expectStatus(await request(securedPort, 'GET', '/health'), 200, 'Public route with a key configured');
+    console.log('✓ Key required on protected routes\n');
+
+    // Test 6: DNS rebinding and cross-site requests
+    console.log('Test 6: Foreign Host and Origin headers...');
+    expectStatus(await call('GET', '/stats', { headers: { Host: `attacker.example:${port}` } }), 403, 'Foreign Host');
+    expectStatus(await call('POST', '/query', { json: { query: 'retry' }, headers: { Origin: 'http://attacker.example' } }),
+      403, 'Foreign Origin');
+    expectStatus(await call('GET', '/stats', { headers: { Host: `localhost:${port}` } }), 200, 'localhost Host');
+    expectStatus(await call('POST', '/query', { json: { query: 'retry' }, headers: { Origin: `http://127.0.0.1:${port}` } }),
+      200, 'Same Origin');
+    console.log('✓ Only requests for the bind address are served\n');
+
+    console.log('=== All REST API tests passed! ===');
+    return { passed: true, message: 'REST API working correctly' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return { passed: false, error: error.message };
+  } finally {
+    for (const api of apiServers) {
+      await api.close();
+    }
+    if (vecStore) vecStore.store.close();
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
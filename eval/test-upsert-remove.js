@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Test: Upsert and Delete Keep vec_index Consistent
+ *
+ * This test validates that:
+ * 1. upsert() replaces a document and all of its chunks, vectors included
+ * 2. Shrinking a document removes the vectors of chunks it no longer has
+ * 3. remove() and clearSource() delete documents and vectors together
+ * 4. The adapter's deleteByIds / deleteByCrawlUrl / delete leave no orphan vectors
+ * 5. `vexify verify` finds no problems afterwards, and repairs an index broken on purpose
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { execFile } = require('child_process');
+const { VecStoreFactory } = require('../lib/vecstore-factory');
+const { startMockEmbeddings, mockStoreOptions } = require('./mock-embeddings');
+
+const TEST_DIR = path.join(__dirname, '../test-research');
+const TEST_DB = path.join(TEST_DIR, 'upsert-remove-test.db');
+
+const PARAGRAPH = 'Vectors live in vec_index next to the documents table, so every write that changes ' +
+  'a document has to change its vector in the same transaction or searches return stale results.';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function longDocument(paragraphs, topic) {
+  return Array.from({ length: paragraphs }, (_, i) => `Section ${i} about ${topic}. ${PARAGRAPH}`).join('\n\n');
+}
+
+function counts(vecStore) {
+  const db = vecStore.store.db;
+  return {
+    documents: db.prepare('SELECT COUNT(*) AS count FROM documents').get().count,
+    vectors: db.prepare('SELECT COUNT(*) AS count FROM vec_index').get().count,
+    orphans: db.prepare('SELECT COUNT(*) AS count FROM vec_index WHERE id NOT IN (SELECT id FROM documents)').get().count
+  };
+}
+
+function assertConsistent(vecStore, expectedDocuments, step) {
+  const current = counts(vecStore);
+  assert(current.orphans === 0, `${step}: ${current.orphans} orphan vectors`);
+  assert(current.documents === current.vectors, `${step}: ${current.documents} documents but ${current.vectors} vectors`);
+  if (expectedDocuments !== undefined) {
+    assert(current.documents === expectedDocuments, `${step}: expected ${expectedDocuments} documents, got ${current.documents}`);
+  }
+  return current;
+}
+
+function runCli(cliArgs) {
+  return new Promise((resolve, reject) => {
+    execFile('node', ['lib/bin/cli.js', ...cliArgs], {
+      cwd: path.join(__dirname, '..'),
+      timeout: 60000
+    }, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout + stderr);
+      }
+    });
+  });
+}
+
+async function runTest() {
+  console.log('=== Upsert / Delete Consistency Test ===\n');
+
+  let server = null;
+  let vecStore = null;
+
+  try {
+    if (!fs.existsSync(TEST_DIR)) {
+      fs.mkdirSync(TEST_DIR, { recursive: true });
+    }
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB);
+    }
+
+    server = await startMockEmbeddings();
+    vecStore = await VecStoreFactory.create(mockStoreOptions(server, TEST_DB, {
+      chunking: { strategy: 'paragraph', maxTokens: 60, overlapTokens: 0 }
+    }));
+
+    // Test 1: Upsert a chunked document
+    console.log('Test 1: Upserting a chunked document...');
+    const first = await vecStore.upsert('handbook', longDocument(6, 'indexing'), { source: 'folder', filePath: 'handbook.md' });
+    assert(first.chunks > 1 && !first.replaced, `Expected a new chunked document, got ${JSON.stringify(first)}`);
+    assertConsistent(vecStore, first.chunks, 'After first upsert');
+    console.log(`✓ Stored ${first.chunks} chunks with vectors\n`);
+
+    // Test 2: Replacing with fewer chunks
+    console.log('Test 2: Replacing it with a shorter version...');
+    const second = await vecStore.upsert('handbook', longDocument(2, 'searching'), { source: 'folder', filePath: 'handbook.md' });
+    assert(second.replaced && second.chunks < first.chunks, `Expected a smaller replacement, got ${JSON.stringify(second)}`);
+    assertConsistent(vecStore, second.chunks, 'After shrinking upsert');
+    const hits = await vecStore.query('Section 0 about searching', 1);
+    assert(hits[0] && hits[0].content.includes('searching'), 'Search should return the new version');
+    console.log(`✓ ${first.chunks} chunks replaced by ${second.chunks}\n`);
+
+    // Test 3: remove() and clearSource()
+    console.log('Test 3: remove() and clearSource()...');
+    await vecStore.upsert('faq', longDocument(1, 'questions'), { source: 'folder', filePath: 'faq.md' });
+    await vecStore.upsert('page', longDocument(1, 'crawling'), { source: 'crawl', crawlUrl: 'https://example.com/page' });
+    const removed = await vecStore.remove('handbook');
+    assert(removed === second.chunks, `remove() should delete every chunk, deleted ${removed}`);
+    assertConsistent(vecStore, 2, 'After remove');
+    await vecStore.clearSource('filePath', 'faq.md');
+    assertConsistent(vecStore, 1, 'After clearSource');
+    console.log('✓ Documents and vectors removed together\n');
+
+    // Test 4: Adapter delete methods
+    console.log('Test 4: Adapter delete methods...');
+    await vecStore.upsert('a', longDocument(1, 'alpha'), { source: 'folder', filePath: 'a.md' });
+    await vecStore.upsert('b', longDocument(1, 'beta'), { source: 'folder', filePath: 'b.md' });
+    assertConsistent(vecStore, 3, 'Before adapter deletes');
+    await vecStore.store.deleteByIds(['a']);
+    assertConsistent(vecStore, 2, 'After deleteByIds');
+    await vecStore.store.delete('b');
+    assertConsistent(vecStore, 1, 'After delete');
+    const crawlRemoved = await vecStore.store.deleteByCrawlUrl('https://example.com/page');
+    assert(crawlRemoved === 1, 'deleteByCrawlUrl should report the removed page');
+    assertConsistent(vecStore, 0, 'After deleteByCrawlUrl');
+    console.log('✓ No orphan vectors left by the adapter\n');
+
+    // Test 5: vexify verify
+    console.log('Test 5: vexify verify and --repair...');
+    await vecStore.upsert('handbook', longDocument(3, 'verification'), { source: 'folder', filePath: 'handbook.md' });
+    vecStore.store.close();
+    vecStore = null;
+
+    const clean = await runCli(['verify', TEST_DB]);
+    assert(clean.includes('Database is consistent'), 'A database maintained through VecStore should verify cleanly');
+
+    const broken = new Database(TEST_DB);
+    broken.loadExtension(sqliteVec.getLoadablePath());
+    broken.prepare("DELETE FROM vec_index WHERE id = 'handbook:chunk:0'").run();
+    broken.close();
+
+    try {
+      await runCli(['verify', TEST_DB]);
+      throw new Error('verify should fail on a missing vector');
+    } catch (error) {
+      if (!error.stderr || !error.stderr.includes('Missing vectors: 1')) throw error;
+    }
+    const repaired = await runCli(['verify', TEST_DB, '--repair']);
+    assert(repaired.includes('restored 1 missing'), 'Repair should restore the missing vector');
+    const again = await runCli(['verify', TEST_DB]);
+    assert(again.includes('Database is consistent'), 'Database should be consistent after repair');
+    console.log('✓ verify detects and repairs a missing vector\n');
+
+    console.log('=== All upsert / delete tests passed! ===');
+    return { passed: true, message: 'vec_index stays consistent' };
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.stdout) console.error('STDOUT:', error.stdout.toString());
+    if (error.stderr) console.error('STDERR:', error.stderr.toString());
+    return { passed: false, error: error.message };
+  } finally {
+    if (vecStore) vecStore.store.close();
+    if (server) server.close();
+  }
+}
+
+// Run the test
+if (require.main === module) {
+  runTest().then(result => {
+    process.exit(result.passed ? 0 : 1);
+  });
+}
+
+module.exports = { runTest };
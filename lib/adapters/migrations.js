@@ -0,0 +1,287 @@
+'use strict';
+
+// Ordered schema migrations. Each runs in its own transaction together with its
+// schema_migrations row. Never edit a released migration; append a new one instead.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_documents',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+          id TEXT PRIMARY KEY,
+          vector BLOB NOT NULL,
+          content TEXT,
+          metadata TEXT,
+          checksum TEXT NOT NULL,
+          version TEXT NOT NULL,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_checksum ON documents(checksum);
+        CREATE INDEX IF NOT EXISTS idx_version ON documents(version);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'create_documents_fts',
+    up(db) {
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+          content,
+          tokenize = "unicode61 tokenchars '_'"
+        );
+
+        CREATE TRIGGER IF NOT EXISTS documents_fts_insert AFTER INSERT ON documents
+        WHEN new.content IS NOT NULL
+        BEGIN
+          INSERT INTO documents_fts (rowid, content) VALUES (new.rowid, json_extract(new.content, '$'));
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS documents_fts_delete AFTER DELETE ON documents
+        BEGIN
+          DELETE FROM documents_fts WHERE rowid = old.rowid;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS documents_fts_update AFTER UPDATE OF content ON documents
+        BEGIN
+          DELETE FROM documents_fts WHERE rowid = old.rowid;
+          INSERT INTO documents_fts (rowid, content)
+          SELECT new.rowid, json_extract(new.content, '$') WHERE new.content IS NOT NULL;
+        END;
+
+        DELETE FROM documents_fts;
+        INSERT INTO documents_fts (rowid, content)
+        SELECT rowid, json_extract(content, '$') FROM documents WHERE content IS NOT NULL;
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'create_vexify_meta',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS vexify_meta (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'create_embedding_cache',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS embedding_cache (
+          checksum TEXT NOT NULL,
+          model TEXT NOT NULL,
+          dimension INTEGER NOT NULL,
+          vector BLOB NOT NULL,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          last_used_at INTEGER DEFAULT (strftime('%s', 'now')),
+          PRIMARY KEY (checksum, model, dimension)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache(last_used_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'create_files',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS files (
+          path TEXT PRIMARY KEY,
+          mtime INTEGER NOT NULL,
+          size INTEGER NOT NULL,
+          hash TEXT NOT NULL,
+          indexed_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'index_document_sources',
+    up(db) {
+      // Expression indexes only match queries that use the same literal JSON path
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_documents_file_path ON documents(json_extract(metadata, '$.filePath'));
+        CREATE INDEX IF NOT EXISTS idx_documents_crawl_url ON documents(json_extract(metadata, '$.crawlUrl'));
+        CREATE INDEX IF NOT EXISTS idx_documents_file_id ON documents(json_extract(metadata, '$.fileId'));
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'add_collections',
+    up(db) {
+      // Keys become (collection, id) and (collection, path), which needs a table rebuild.
+      // Rowids are copied so documents_fts rows still point at their documents.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS collections (
+          name TEXT PRIMARY KEY,
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+
+        CREATE TABLE documents_new (
+          collection TEXT NOT NULL DEFAULT 'default',
+          id TEXT NOT NULL,
+          vector BLOB NOT NULL,
+          content TEXT,
+          metadata TEXT,
+          checksum TEXT NOT NULL,
+          version TEXT NOT NULL,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          PRIMARY KEY (collection, id)
+        );
+
+        INSERT INTO documents_new (rowid, id, vector, content, metadata, checksum, version, created_at)
+        SELECT rowid, id, vector, content, metadata, checksum, version, created_at FROM documents;
+
+        DROP TABLE documents;
+        ALTER TABLE documents_new RENAME TO documents;
+
+        CREATE INDEX idx_checksum ON documents(collection, checksum);
+        CREATE INDEX idx_version ON documents(version);
+        CREATE INDEX idx_documents_file_path ON documents(collection, json_extract(metadata, '$.filePath'));
+        CREATE INDEX idx_documents_crawl_url ON documents(collection, json_extract(metadata, '$.crawlUrl'));
+        CREATE INDEX idx_documents_file_id ON documents(collection, json_extract(metadata, '$.fileId'));
+
+        CREATE TRIGGER documents_fts_insert AFTER INSERT ON documents
+        WHEN new.content IS NOT NULL
+        BEGIN
+          INSERT INTO documents_fts (rowid, content) VALUES (new.rowid, json_extract(new.content, '$'));
+        END;
+
+        CREATE TRIGGER documents_fts_delete AFTER DELETE ON documents
+        BEGIN
+          DELETE FROM documents_fts WHERE rowid = old.rowid;
+        END;
+
+        CREATE TRIGGER documents_fts_update AFTER UPDATE OF content ON documents
+        BEGIN
+          DELETE FROM documents_fts WHERE rowid = old.rowid;
+          INSERT INTO documents_fts (rowid, content)
+          SELECT new.rowid, json_extract(new.content, '$') WHERE new.content IS NOT NULL;
+        END;
+
+        CREATE TABLE files_new (
+          collection TEXT NOT NULL DEFAULT 'default',
+          path TEXT NOT NULL,
+          mtime INTEGER NOT NULL,
+          size INTEGER NOT NULL,
+          hash TEXT NOT NULL,
+          indexed_at INTEGER DEFAULT (strftime('%s', 'now')),
+          PRIMARY KEY (collection, path)
+        );
+
+        INSERT INTO files_new (path, mtime, size, hash, indexed_at)
+        SELECT path, mtime, size, hash, indexed_at FROM files;
+
+        DROP TABLE files;
+        ALTER TABLE files_new RENAME TO files;
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'create_ingest_errors',
+    up(db) {
+      // The last failure of each source that could not be indexed, cleared once it indexes
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS ingest_errors (
+          collection TEXT NOT NULL DEFAULT 'default',
+          path TEXT NOT NULL,
+          error TEXT NOT NULL,
+          failed_at INTEGER DEFAULT (strftime('%s', 'now')),
+          PRIMARY KEY (collection, path)
+        );
+      `);
+    }
+  }
+];
+
+class Migrator {
+  constructor(db, migrations = MIGRATIONS) {
+    this.db = db;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  tableExists(name) {
+    return !!this.db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?"
+    ).get(name);
+  }
+
+  getApplied() {
+    if (!this.tableExists('schema_migrations')) return [];
+    return this.db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  }
+
+  getCurrentVersion() {
+    const applied = this.getApplied();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  getLatestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  getPending() {
+    const applied = new Set(this.getApplied().map(row => row.version));
+    return this.migrations.filter(migration => !applied.has(migration.version));
+  }
+
+  migrate({ dryRun = false } = {}) {
+    const from = this.getCurrentVersion();
+    const latest = this.getLatestVersion();
+
+    if (from > latest) {
+      throw new Error(
+        `Database schema version ${from} is newer than this version of vexify supports (${latest}). ` +
+        `Upgrade vexify to open it.`
+      );
+    }
+
+    const pending = this.getPending();
+    // Databases created before versioning already have tables but no schema_migrations rows
+    const upgraded = pending.length > 0 && (from > 0 || this.tableExists('documents'));
+
+    if (dryRun || pending.length === 0) {
+      return { from, to: dryRun ? latest : from, applied: [], pending, upgraded };
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+    const applied = [];
+
+    for (const migration of pending) {
+      const run = this.db.transaction(() => {
+        migration.up(this.db);
+        record.run(migration.version, migration.name);
+      });
+
+      try {
+        run();
+      } catch (error) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+      applied.push(migration);
+    }
+
+    return { from, to: this.getCurrentVersion(), applied, pending: [], upgraded };
+  }
+}
+
+module.exports = { Migrator, MIGRATIONS };
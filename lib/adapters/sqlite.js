@@ -4,10 +4,54 @@ const Database = require('better-sqlite3');
 const sqliteVec = require('sqlite-vec');
 const path = require('path');
 const fs = require('fs');
+const { buildWhereClause } = require('../search/filters');
+const { Migrator } = require('./migrations');
+
+const DOCUMENT_COLUMNS = ['id', 'vector', 'content', 'metadata', 'checksum', 'version'];
+const DEFAULT_COLLECTION = 'default';
+
+// Collection names end up in vector table names, so they must be plain identifiers
+function validateCollectionName(name) {
+  if (typeof name !== 'string' || !/^[a-z0-9_]{1,64}$/.test(name)) {
+    throw new Error(`Invalid collection name: ${name}. Use up to 64 lowercase letters, digits and underscores.`);
+  }
+  return name;
+}
+
+function sourceField(sourceType) {
+  if (!/^\w+$/.test(sourceType)) {
+    throw new Error(`Invalid source field: ${sourceType}`);
+  }
+  return `json_extract(metadata, '$.${sourceType}')`;
+}
+
+function decodeRow(row) {
+  const doc = {};
+  if (row.id !== undefined) doc.id = row.id;
+  if (row.vector !== undefined) {
+    doc.vector = Array.from(new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4));
+  }
+  if (row.version !== undefined) doc.version = row.version;
+  if (row.checksum !== undefined) doc.checksum = row.checksum;
+  if (row.content !== undefined && row.content !== null) doc.content = JSON.parse(row.content);
+  if (row.metadata !== undefined && row.metadata !== null) doc.metadata = JSON.parse(row.metadata);
+  return doc;
+}
 
 class SQLiteStorageAdapter {
-  constructor(dbPath = './vecstore.db') {
+  constructor(dbPath = './vecstore.db', options = {}) {
     this.dbPath = dbPath;
+    this.collection = validateCollectionName(options.collection || DEFAULT_COLLECTION);
+    this.preparedStatements = {};
+
+    // Adapters for other collections of the same file share its connection
+    if (options.db) {
+      this.db = options.db;
+      this.sharedConnection = true;
+      this.migrator = new Migrator(this.db);
+      this.prepareStatements();
+      return;
+    }
 
     const dir = path.dirname(dbPath);
     if (!fs.existsSync(dir) && dir !== '.') {
@@ -16,46 +60,324 @@ class SQLiteStorageAdapter {
 
     this.db = new Database(dbPath);
     this.db.loadExtension(sqliteVec.getLoadablePath());
-    this.preparedStatements = {};
-    this.init();
+    this.db.pragma('recursive_triggers = ON');
+    this.migrator = new Migrator(this.db);
+
+    // migrate: false opens the file without touching its schema (used by `vexify migrate --dry-run`)
+    if (options.migrate !== false) {
+      this.init();
+    }
   }
 
   init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS documents (
-        id TEXT PRIMARY KEY,
-        vector BLOB NOT NULL,
-        content TEXT,
-        metadata TEXT,
-        checksum TEXT NOT NULL,
-        version TEXT NOT NULL,
-        created_at INTEGER DEFAULT (strftime('%s', 'now'))
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_checksum ON documents(checksum);
-      CREATE INDEX IF NOT EXISTS idx_version ON documents(version);
-    `);
+    const result = this.migrator.migrate();
+    if (result.upgraded) {
+      console.error(`Upgraded database schema ${this.dbPath} from version ${result.from} to ${result.to}`);
+    }
+
+    this.prepareStatements();
+  }
 
+  prepareStatements() {
     this.preparedStatements.put = this.db.prepare(`
-      INSERT OR REPLACE INTO documents (id, vector, content, metadata, checksum, version)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO documents (collection, id, vector, content, metadata, checksum, version)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
     this.preparedStatements.getByChecksum = this.db.prepare(
-      'SELECT id FROM documents WHERE checksum = ?'
+      'SELECT id FROM documents WHERE collection = ? AND checksum = ?'
+    );
+
+    this.preparedStatements.delete = this.db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+
+    this.preparedStatements.getDocumentIds = this.db.prepare(
+      'SELECT id FROM documents WHERE collection = ? AND (id = ? OR substr(id, 1, ?) = ?)'
     );
 
     this.preparedStatements.checksumExists = this.db.prepare(
-      'SELECT COUNT(*) as count FROM documents WHERE checksum = ?'
+      'SELECT COUNT(*) as count FROM documents WHERE collection = ? AND checksum = ?'
     );
+
+    this.preparedStatements.putFile = this.db.prepare(`
+      INSERT OR REPLACE INTO files (collection, path, mtime, size, hash, indexed_at)
+      VALUES (?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+
+    this.preparedStatements.deleteFile = this.db.prepare('DELETE FROM files WHERE collection = ? AND path = ?');
+
+    this.preparedStatements.putIngestError = this.db.prepare(`
+      INSERT OR REPLACE INTO ingest_errors (collection, path, error, failed_at)
+      VALUES (?, ?, ?, strftime('%s', 'now'))
+    `);
+
+    this.preparedStatements.deleteIngestError = this.db.prepare('DELETE FROM ingest_errors WHERE collection = ? AND path = ?');
+
+    this.preparedStatements.getCachedEmbedding = this.db.prepare(
+      'SELECT vector FROM embedding_cache WHERE checksum = ? AND model = ? AND dimension = ?'
+    );
+
+    this.preparedStatements.touchCachedEmbedding = this.db.prepare(`
+      UPDATE embedding_cache SET last_used_at = strftime('%s', 'now')
+      WHERE checksum = ? AND model = ? AND dimension = ?
+    `);
+
+    this.preparedStatements.putCachedEmbedding = this.db.prepare(`
+      INSERT OR REPLACE INTO embedding_cache (checksum, model, dimension, vector)
+      VALUES (?, ?, ?, ?)
+    `);
   }
 
-  async put(doc) {
+  async getFileSignatures() {
+    const rows = this.db.prepare('SELECT path, mtime, size, hash, indexed_at FROM files WHERE collection = ?').all(this.collection);
+    return new Map(rows.map(row => [row.path, row]));
+  }
+
+  // Paths of indexed files, including ones indexed before the files table existed
+  async getTrackedFilePaths() {
+    const rows = this.db.prepare(`
+      SELECT DISTINCT json_extract(metadata, '$.filePath') as path
+      FROM documents
+      WHERE collection = ?
+        AND json_extract(metadata, '$.source') = 'file'
+        AND json_extract(metadata, '$.filePath') IS NOT NULL
+    `).all(this.collection);
+    return new Set(rows.map(row => row.path));
+  }
+
+  writeFileSignature(signature) {
+    this.preparedStatements.putFile.run(this.collection, signature.path, signature.mtime, signature.size, signature.hash);
+  }
+
+  removeFileSignature(filePath) {
+    return this.preparedStatements.deleteFile.run(this.collection, filePath).changes;
+  }
+
+  async getIngestErrors() {
+    const rows = this.db.prepare('SELECT path, error, failed_at FROM ingest_errors WHERE collection = ?').all(this.collection);
+    return new Map(rows.map(row => [row.path, row]));
+  }
+
+  writeIngestError(filePath, message) {
+    this.preparedStatements.putIngestError.run(this.collection, filePath, message);
+  }
+
+  removeIngestError(filePath) {
+    return this.preparedStatements.deleteIngestError.run(this.collection, filePath).changes;
+  }
+
+  // Counts of each value of a metadata field, e.g. { code: 120, file: 8 } for source
+  async countMetadataValues(field, where = null) {
+    const filter = buildWhereClause(where);
+    const column = sourceField(field);
+    const rows = this.db.prepare(`
+      SELECT ${column} AS value, COUNT(*) AS count FROM documents
+      WHERE collection = ? AND ${column} IS NOT NULL${filter.sql ? ` AND ${filter.sql}` : ''}
+      GROUP BY value ORDER BY count DESC
+    `).all(this.collection, ...filter.params);
+    return Object.fromEntries(rows.map(row => [row.value, row.count]));
+  }
+
+  async getCachedEmbedding(checksum, model, dimension) {
+    const row = this.preparedStatements.getCachedEmbedding.get(checksum, model, dimension);
+    if (!row) return null;
+
+    this.preparedStatements.touchCachedEmbedding.run(checksum, model, dimension);
+    return Array.from(new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4));
+  }
+
+  async putCachedEmbedding(checksum, model, dimension, vector) {
+    const vectorBlob = Buffer.from(new Float32Array(vector).buffer);
+    this.preparedStatements.putCachedEmbedding.run(checksum, model, dimension, vectorBlob);
+  }
+
+  // By default removes entries no document references and entries for models other
+  // than the given ones (the models the collections are indexed with).
+  async pruneEmbeddingCache({ all = false, keepOrphans = false, olderThanDays = null, models = [] } = {}) {
+    if (all) {
+      return this.db.prepare('DELETE FROM embedding_cache').run().changes;
+    }
+
+    // Unused entries are the ones no document needs and the ones for other models;
+    // --older-than narrows those down to the ones not used recently
+    const unused = [];
+    const params = [];
+
+    if (!keepOrphans) {
+      unused.push('checksum NOT IN (SELECT checksum FROM documents)');
+    }
+    if (models.length > 0) {
+      unused.push(`NOT (${models.map(() => '(model = ? AND dimension = ?)').join(' OR ')})`);
+      models.forEach(entry => params.push(entry.model, entry.dimension));
+    }
+
+    if (unused.length === 0) return 0;
+
+    let where = unused.join(' OR ');
+    if (olderThanDays) {
+      where = `(${where}) AND last_used_at < strftime('%s', 'now') - ?`;
+      params.push(Math.round(olderThanDays * 86400));
+    }
+
+    const stmt = this.db.prepare(`DELETE FROM embedding_cache WHERE ${where}`);
+    return stmt.run(...params).changes;
+  }
+
+  async getEmbeddingCacheStats() {
+    return this.db.prepare(`
+      SELECT model, dimension, COUNT(*) as entries
+      FROM embedding_cache
+      GROUP BY model, dimension
+      ORDER BY entries DESC
+    `).all();
+  }
+
+  // Documents that cannot be re-embedded because only their vector was stored
+  countDocumentsWithoutContent() {
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM documents
+      WHERE collection = ? AND (content IS NULL OR trim(json_extract(content, '$')) = '')
+    `).get(this.collection).count;
+  }
+
+  // Replaces document vectors with the cached embeddings of another model in one
+  // transaction. Documents without a cached embedding would keep vectors of the old
+  // model, so they are removed; the Updater refuses stores without content up front.
+  applyCachedEmbeddings(model, dimension, version) {
+    return this.transaction(() => {
+      const updated = this.db.prepare(`
+        UPDATE documents SET vector = c.vector, version = ?
+        FROM embedding_cache c
+        WHERE c.checksum = documents.checksum AND c.model = ? AND c.dimension = ?
+          AND documents.collection = ? AND documents.content IS NOT NULL
+      `).run(version, model, dimension, this.collection).changes;
+
+      const removed = this.db.prepare(`
+        DELETE FROM documents
+        WHERE collection = ? AND (content IS NULL OR NOT EXISTS (
+          SELECT 1 FROM embedding_cache c
+          WHERE c.checksum = documents.checksum AND c.model = ? AND c.dimension = ?
+        ))
+      `).run(this.collection, model, dimension).changes;
+
+      return { updated, removed };
+    });
+  }
+
+  // Meta of the default collection keeps the keys it had before collections existed
+  metaKey(key) {
+    return this.collection === DEFAULT_COLLECTION ? key : `collection.${this.collection}.${key}`;
+  }
+
+  async getMeta(key) {
+    return this.readMeta(key);
+  }
+
+  readMeta(key) {
+    const row = this.db.prepare('SELECT value FROM vexify_meta WHERE key = ?').get(this.metaKey(key));
+    return row ? row.value : null;
+  }
+
+  async setMeta(key, value) {
+    this.writeMeta(key, value);
+  }
+
+  writeMeta(key, value) {
+    this.db.prepare('INSERT OR REPLACE INTO vexify_meta (key, value) VALUES (?, ?)').run(this.metaKey(key), String(value));
+  }
+
+  removeMeta(prefix) {
+    const scoped = this.metaKey(prefix);
+    return this.db.prepare('DELETE FROM vexify_meta WHERE substr(key, 1, ?) = ?').run(scoped.length, scoped).changes;
+  }
+
+  defaultVectorTable() {
+    return this.collection === DEFAULT_COLLECTION ? 'vec_index' : `vec_${this.collection}_index`;
+  }
+
+  // A re-embed builds its index in a second table, so the active one is recorded here
+  async getVectorTable() {
+    return (await this.getMeta('vector_table')) || this.defaultVectorTable();
+  }
+
+  forCollection(name) {
+    return new SQLiteStorageAdapter(this.dbPath, { db: this.db, collection: name });
+  }
+
+  async collectionExists(name) {
+    if (name === DEFAULT_COLLECTION) return true;
+    return !!this.db.prepare('SELECT name FROM collections WHERE name = ?').get(name);
+  }
+
+  async listCollections() {
+    const rows = this.db.prepare('SELECT name FROM collections ORDER BY name').all();
+    return [DEFAULT_COLLECTION, ...rows.map(row => row.name)];
+  }
+
+  async createCollection(name) {
+    validateCollectionName(name);
+    if (await this.collectionExists(name)) {
+      throw new Error(`Collection ${name} already exists`);
+    }
+    this.db.prepare('INSERT INTO collections (name) VALUES (?)').run(name);
+  }
+
+  // Removes a collection with its documents, file signatures, ingest errors, settings and vector tables
+  async dropCollection(name) {
+    if (name === DEFAULT_COLLECTION) {
+      throw new Error('The default collection cannot be dropped');
+    }
+    if (!(await this.collectionExists(name))) {
+      throw new Error(`Collection ${name} does not exist`);
+    }
+
+    const scoped = this.forCollection(name);
+    const tables = new Set([await scoped.getVectorTable(), scoped.defaultVectorTable(), `${scoped.defaultVectorTable()}_next`]);
+    const reembedTable = await scoped.getMeta('reembed.table');
+    if (reembedTable) tables.add(reembedTable);
+
+    return this.transaction(() => {
+      const removed = this.db.prepare('DELETE FROM documents WHERE collection = ?').run(name).changes;
+      this.db.prepare('DELETE FROM files WHERE collection = ?').run(name);
+      this.db.prepare('DELETE FROM ingest_errors WHERE collection = ?').run(name);
+      scoped.removeMeta('');
+      for (const table of tables) {
+        this.db.exec(`DROP TABLE IF EXISTS ${table}`);
+      }
+      this.db.prepare('DELETE FROM collections WHERE name = ?').run(name);
+      return removed;
+    });
+  }
+
+  // Documents with content that have no cached embedding for the given model yet
+  countMissingEmbeddings(model, dimension) {
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM documents d
+      WHERE collection = ? AND content IS NOT NULL AND trim(json_extract(content, '$')) != ''
+        AND NOT EXISTS (
+          SELECT 1 FROM embedding_cache c
+          WHERE c.checksum = d.checksum AND c.model = ? AND c.dimension = ?
+        )
+    `).get(this.collection, model, dimension).count;
+  }
+
+  async updateMetadata(id, metadata) {
+    const stmt = this.db.prepare('UPDATE documents SET metadata = ? WHERE collection = ? AND id = ?');
+    stmt.run(metadata ? JSON.stringify(metadata) : null, this.collection, id);
+  }
+
+  // Synchronous helpers for use inside transaction(); VecStore pairs them with
+  // the vector index so both tables change atomically.
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  writeDocument(doc) {
     const vectorBlob = Buffer.from(new Float32Array(doc.vector).buffer);
     const metadataJson = doc.metadata ? JSON.stringify(doc.metadata) : null;
     const contentJson = doc.content !== undefined ? JSON.stringify(doc.content) : null;
 
     this.preparedStatements.put.run(
+      this.collection,
       doc.id,
       vectorBlob,
       contentJson,
@@ -65,34 +387,71 @@ class SQLiteStorageAdapter {
     );
   }
 
+  removeDocuments(ids) {
+    let removed = 0;
+    for (const id of ids) {
+      removed += this.preparedStatements.delete.run(this.collection, id).changes;
+    }
+    return removed;
+  }
+
+  async put(doc) {
+    this.writeDocument(doc);
+  }
+
   async putBatch(docs) {
-    const insert = this.db.transaction((documents) => {
-      for (const doc of documents) {
-        const vectorBlob = Buffer.from(new Float32Array(doc.vector).buffer);
-        const metadataJson = doc.metadata ? JSON.stringify(doc.metadata) : null;
-        const contentJson = doc.content !== undefined ? JSON.stringify(doc.content) : null;
-
-        this.preparedStatements.put.run(
-          doc.id,
-          vectorBlob,
-          contentJson,
-          metadataJson,
-          doc.checksum,
-          doc.version
-        );
+    this.transaction(() => {
+      for (const doc of docs) {
+        this.writeDocument(doc);
       }
     });
+  }
+
+  async getDocumentIds(id) {
+    const prefix = `${id}:chunk:`;
+    const rows = this.preparedStatements.getDocumentIds.all(this.collection, id, prefix.length, prefix);
+    return rows.map(r => r.id);
+  }
 
-    insert(docs);
+  async getByIds(ids, columns = DOCUMENT_COLUMNS) {
+    if (ids.length === 0) return [];
+
+    const unknown = columns.filter(column => !DOCUMENT_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown document column: ${unknown.join(', ')}. Allowed: ${DOCUMENT_COLUMNS.join(', ')}`);
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT ${columns.join(', ')} FROM documents
+      WHERE collection = ? AND id IN (${ids.map(() => '?').join(', ')})
+    `);
+    return stmt.all(this.collection, ...ids).map(decodeRow);
+  }
+
+  // The subset of ids whose documents match a metadata filter
+  async filterIds(ids, where) {
+    if (ids.length === 0) return [];
+
+    const filter = buildWhereClause(where);
+    const stmt = this.db.prepare(`
+      SELECT id FROM documents
+      WHERE collection = ? AND id IN (${ids.map(() => '?').join(', ')})${filter.sql ? ` AND ${filter.sql}` : ''}
+    `);
+    return stmt.all(this.collection, ...ids, ...filter.params).map(row => row.id);
+  }
+
+  async getVectors(ids) {
+    const docs = await this.getByIds(ids, ['id', 'vector']);
+    return new Map(docs.map(doc => [doc.id, doc.vector]));
   }
 
   async getByChecksum(checksum) {
-    const row = this.preparedStatements.getByChecksum.get(checksum);
+    const row = this.preparedStatements.getByChecksum.get(this.collection, checksum);
     return row ? row.id : null;
   }
 
   async checksumExists(checksum) {
-    const result = this.preparedStatements.checksumExists.get(checksum);
+    const result = this.preparedStatements.checksumExists.get(this.collection, checksum);
     return result.count > 0;
   }
 
@@ -103,29 +462,53 @@ class SQLiteStorageAdapter {
     const stmt = this.db.prepare(`
       SELECT DISTINCT checksum
       FROM documents
-      WHERE checksum IN (${placeholders})
+      WHERE collection = ? AND checksum IN (${placeholders})
     `);
-    const rows = stmt.all(...checksums);
+    const rows = stmt.all(this.collection, ...checksums);
     return rows.map(r => r.checksum);
   }
 
   async getBySource(sourceType, sourceValue) {
     const stmt = this.db.prepare(`
       SELECT id FROM documents
-      WHERE json_extract(metadata, ?) = ?
+      WHERE collection = ? AND ${sourceField(sourceType)} = ?
+    `);
+    const rows = stmt.all(this.collection, sourceValue);
+    return rows.map(r => r.id);
+  }
+
+  async getIdsByFilePath(filePath) {
+    return this.getBySource('filePath', filePath);
+  }
+
+  // Ids whose metadata value lies below a path prefix, e.g. all files of a removed directory
+  async getBySourcePrefix(sourceType, prefix) {
+    const stmt = this.db.prepare(`
+      SELECT id FROM documents
+      WHERE collection = ? AND substr(${sourceField(sourceType)}, 1, ?) = ?
     `);
-    const rows = stmt.all(`$.${sourceType}`, sourceValue);
+    const rows = stmt.all(this.collection, prefix.length, prefix);
     return rows.map(r => r.id);
   }
 
+  // Distinct metadata values below a path prefix, e.g. the indexed files of a directory
+  async getSourceValuesByPrefix(sourceType, prefix) {
+    const stmt = this.db.prepare(`
+      SELECT DISTINCT ${sourceField(sourceType)} AS value FROM documents
+      WHERE collection = ? AND substr(${sourceField(sourceType)}, 1, ?) = ?
+    `);
+    return stmt.all(this.collection, prefix.length, prefix).map(row => row.value);
+  }
+
   async getCrawledUrls() {
     const stmt = this.db.prepare(`
       SELECT DISTINCT json_extract(metadata, '$.crawlUrl') as url
       FROM documents
-      WHERE json_extract(metadata, '$.source') = 'crawl'
+      WHERE collection = ?
+        AND json_extract(metadata, '$.source') = 'crawl'
         AND json_extract(metadata, '$.crawlUrl') IS NOT NULL
     `);
-    const rows = stmt.all();
+    const rows = stmt.all(this.collection);
     return new Set(rows.map(r => r.url));
   }
 
@@ -135,11 +518,12 @@ class SQLiteStorageAdapter {
         json_extract(metadata, '$.crawlUrl') as url,
         json_extract(metadata, '$.contentHash') as hash
       FROM documents
-      WHERE json_extract(metadata, '$.source') = 'crawl'
+      WHERE collection = ?
+        AND json_extract(metadata, '$.source') = 'crawl'
         AND json_extract(metadata, '$.crawlUrl') IS NOT NULL
       GROUP BY json_extract(metadata, '$.crawlUrl')
     `);
-    const rows = stmt.all();
+    const rows = stmt.all(this.collection);
     const urlMap = new Map();
     for (const row of rows) {
       urlMap.set(row.url, row.hash);
@@ -147,48 +531,87 @@ class SQLiteStorageAdapter {
     return urlMap;
   }
 
+  // Deletes documents together with their vectors, in the active index and in the
+  // one a running re-embed is building
   async deleteByIds(ids) {
-    if (ids.length === 0) return;
-    const placeholders = ids.map(() => '?').join(',');
-    const stmt = this.db.prepare(`DELETE FROM documents WHERE id IN (${placeholders})`);
-    stmt.run(...ids);
+    if (ids.length === 0) return 0;
+
+    const tables = [this.readMeta('vector_table') || this.defaultVectorTable(), this.readMeta('reembed.table')]
+      .filter(table => table && this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+
+    return this.transaction(() => {
+      for (const table of tables) {
+        const stmt = this.db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+        ids.forEach(id => stmt.run(id));
+      }
+      return this.removeDocuments(ids);
+    });
   }
 
   async deleteByCrawlUrl(url) {
+    const ids = await this.getBySource('crawlUrl', url);
+    await this.deleteByIds(ids);
+    return ids.length;
+  }
+
+  // Loads every matching row into memory; prefer iterate() on large databases
+  async getAll(where = null) {
+    const filter = buildWhereClause(where);
+    const stmt = this.db.prepare(`SELECT * FROM documents WHERE collection = ?${filter.sql ? ` AND ${filter.sql}` : ''}`);
+    return stmt.all(this.collection, ...filter.params).map(decodeRow);
+  }
+
+  // Yields documents in batches of batchSize, paging by rowid so memory stays bounded
+  // and no statement is held open while the caller awaits (writes stay possible).
+  async *iterate({ columns = DOCUMENT_COLUMNS, where = null, batchSize = 1000 } = {}) {
+    const unknown = columns.filter(column => !DOCUMENT_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown document column: ${unknown.join(', ')}. Allowed: ${DOCUMENT_COLUMNS.join(', ')}`);
+    }
+
+    const filter = buildWhereClause(where);
     const stmt = this.db.prepare(`
-      DELETE FROM documents
-      WHERE json_extract(metadata, '$.crawlUrl') = ?
+      SELECT rowid AS _rowid, ${columns.join(', ')} FROM documents
+      WHERE collection = ? AND rowid > ?${filter.sql ? ` AND ${filter.sql}` : ''}
+      ORDER BY rowid
+      LIMIT ?
     `);
-    const result = stmt.run(url);
-    return result.changes;
-  }
 
-  async getAll() {
-    const stmt = this.db.prepare('SELECT * FROM documents');
-    const rows = stmt.all();
+    let lastRowid = 0;
+    while (true) {
+      const rows = stmt.all(this.collection, lastRowid, ...filter.params, batchSize);
+      if (rows.length === 0) return;
+
+      lastRowid = rows[rows.length - 1]._rowid;
+      yield rows.map(decodeRow);
 
-    return rows.map(row => {
-      const vectorArray = Array.from(new Float32Array(row.vector.buffer));
+      if (rows.length < batchSize) return;
+    }
+  }
 
-      return {
-        id: row.id,
-        vector: vectorArray,
-        version: row.version,
-        checksum: row.checksum,
-        ...(row.content !== null && { content: JSON.parse(row.content) }),
-        ...(row.metadata !== null && { metadata: JSON.parse(row.metadata) })
-      };
+  async countDocuments(where = null) {
+    const filter = buildWhereClause(where);
+    const stmt = this.db.prepare(`SELECT COUNT(*) as count FROM documents WHERE collection = ?${filter.sql ? ` AND ${filter.sql}` : ''}`);
+    return stmt.get(this.collection, ...filter.params).count;
+  }
+
+  async mergeMetadata(ids, patch) {
+    const stmt = this.db.prepare("UPDATE documents SET metadata = json_patch(COALESCE(metadata, '{}'), ?) WHERE collection = ? AND id = ?");
+    const patchJson = JSON.stringify(patch);
+    this.transaction(() => {
+      for (const id of ids) {
+        stmt.run(patchJson, this.collection, id);
+      }
     });
   }
 
   async delete(id) {
-    const stmt = this.db.prepare('DELETE FROM documents WHERE id = ?');
-    stmt.run(id);
+    return this.deleteByIds([id]);
   }
 
   close() {
-    this.db.close();
+    if (!this.sharedConnection) this.db.close();
   }
 }
 
-module.exports = { SQLiteStorageAdapter };
\ No newline at end of file
+module.exports = { SQLiteStorageAdapter, DEFAULT_COLLECTION, validateCollectionName };
\ No newline at end of file
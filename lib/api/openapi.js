@@ -0,0 +1,395 @@
+'use strict';
+
+const { FILTER_FIELDS } = require('../search/filters');
+
+const EXPLAIN_DEPTH = 200;
+const FACET_FIELDS = ['source', 'language', 'type'];
+
+const ERROR_RESPONSE = {
+  description: 'Error',
+  content: {
+    'application/json': {
+      schema: { $ref: '#/components/schemas/Error' }
+    }
+  }
+};
+
+const json = (schema, description = 'OK') => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const FILTER_SCHEMAS = {
+  match: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+  glob: { type: 'string', description: 'Glob, e.g. src/**/*.js' },
+  prefix: { type: 'string', description: 'Prefix, e.g. https://docs.example.com/guide/' },
+  range: {
+    oneOf: [
+      { type: 'string', description: 'Lower bound (inclusive), as an ISO date' },
+      {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          after: { type: 'string' },
+          to: { type: 'string' },
+          before: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    ]
+  }
+};
+
+const WHERE_SCHEMA = {
+  oneOf: [
+    {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(FILTER_FIELDS).map(([field, kind]) => [field, FILTER_SCHEMAS[kind]])),
+      additionalProperties: false
+    },
+    { type: 'string', description: 'Filter expression as accepted by vexify query --where, e.g. "source=code,filePath=lib/**"' }
+  ]
+};
+
+// OpenAPI 3.1 description of the REST API, served on /openapi.json
+function buildOpenApiDocument({ version, limits, auth, ui }) {
+  const secured = auth ? [{ apiKey: [] }, { bearer: [] }] : [];
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'vexify',
+      version,
+      description: 'Query and maintain a vexify vector store over HTTP. ' +
+        `JSON bodies are limited to ${limits.maxBodyBytes} bytes, uploads to ${limits.maxUploadBytes} bytes.`
+    },
+    servers: [{ url: '/' }],
+    security: secured,
+    paths: {
+      ...(ui && {
+        '/': {
+          get: {
+            summary: 'Browser UI for searching and inspecting the index',
+            security: [],
+            responses: { 200: { description: 'OK', content: { 'text/html': { schema: { type: 'string' } } } } }
+          }
+        }
+      }),
+      '/health': {
+        get: {
+          summary: 'Liveness check',
+          security: [],
+          responses: { 200: json(ref('Health')) }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          security: [],
+          responses: { 200: json({ type: 'object' }) }
+        }
+      },
+      '/stats': {
+        get: {
+          summary: 'Store statistics',
+          responses: { 200: json(ref('Stats')), 401: ERROR_RESPONSE }
+        }
+      },
+      '/query': {
+        post: {
+          summary: 'Search the store',
+          requestBody: { required: true, content: { 'application/json': { schema: ref('QueryRequest') } } },
+          responses: { 200: json(ref('QueryResponse')), 400: ERROR_RESPONSE, 401: ERROR_RESPONSE, 413: ERROR_RESPONSE }
+        }
+      },
+      '/explain': {
+        post: {
+          summary: 'Where the chunks of a document rank for a query',
+          description: `Shows why a document is missing from results: whether each chunk passes the filter and its rank ` +
+            `among the top ${EXPLAIN_DEPTH} vector and keyword results (null when it is not among them).`,
+          requestBody: { required: true, content: { 'application/json': { schema: ref('ExplainRequest') } } },
+          responses: { 200: json(ref('Explanation')), 400: ERROR_RESPONSE, 401: ERROR_RESPONSE, 404: ERROR_RESPONSE }
+        }
+      },
+      '/facets': {
+        get: {
+          summary: 'Document counts per source, language and type',
+          description: 'Counts of a field ignore the filter on that field, so other values stay visible while one is selected.',
+          parameters: [
+            { name: 'where', in: 'query', schema: { type: 'string' }, description: 'Filter as a JSON object or a filter expression' }
+          ],
+          responses: { 200: json(ref('Facets')), 400: ERROR_RESPONSE, 401: ERROR_RESPONSE }
+        }
+      },
+      '/documents': {
+        post: {
+          summary: 'Add a document; fails with 409 if the id exists',
+          description: 'Long documents are split into chunks stored as <id>:chunk:<n>. ' +
+            'Documents shorter than 150 characters are not indexed and come back with skipped: true.',
+          requestBody: { required: true, content: { 'application/json': { schema: ref('DocumentInput') } } },
+          responses: {
+            201: json(ref('WriteResult'), 'Created'),
+            200: json(ref('WriteResult'), 'Skipped'),
+            400: ERROR_RESPONSE,
+            401: ERROR_RESPONSE,
+            409: ERROR_RESPONSE,
+            413: ERROR_RESPONSE
+          }
+        }
+      },
+      '/documents/{id}': {
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        get: {
+          summary: 'Get a document, its chunks and the other documents from the same source',
+          responses: { 200: json(ref('Document')), 401: ERROR_RESPONSE, 404: ERROR_RESPONSE }
+        },
+        put: {
+          summary: 'Add or replace a document and all of its chunks',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['content'],
+                  properties: { content: { type: 'string' }, metadata: { type: 'object' } }
+                }
+              }
+            }
+          },
+          responses: { 200: json(ref('WriteResult')), 400: ERROR_RESPONSE, 401: ERROR_RESPONSE, 413: ERROR_RESPONSE }
+        },
+        delete: {
+          summary: 'Delete a document and its chunks',
+          responses: {
+            200: json({ type: 'object', properties: { id: { type: 'string' }, removed: { type: 'integer' } } }),
+            401: ERROR_RESPONSE,
+            404: ERROR_RESPONSE
+          }
+        }
+      },
+      '/ingest': {
+        post: {
+          summary: 'Extract and index an uploaded file',
+          description: 'The file is parsed by the processor for its extension (see /stats for the list) and ' +
+            'replaces earlier uploads of the same name. Documents get source "upload" and filePath set to the file name.',
+          parameters: [
+            { name: 'filename', in: 'query', required: true, schema: { type: 'string' }, description: 'Name of the file, e.g. report.pdf' },
+            { name: 'metadata', in: 'query', required: false, schema: { type: 'string' }, description: 'JSON object merged into the metadata of every document' }
+          ],
+          requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+          responses: {
+            200: json(ref('IngestResult')),
+            400: ERROR_RESPONSE,
+            401: ERROR_RESPONSE,
+            413: ERROR_RESPONSE,
+            415: ERROR_RESPONSE
+          }
+        }
+      },
+      '/sources': {
+        get: {
+          summary: 'Files, URLs and uploads in the store with their document counts',
+          parameters: [
+            { name: 'source', in: 'query', schema: { type: 'string' }, description: 'Only this source type, e.g. file, code, crawl, upload' },
+            { name: 'prefix', in: 'query', schema: { type: 'string' }, description: 'Only sources starting with this path or URL' },
+            { name: 'status', in: 'query', schema: { type: 'string', enum: ['indexed', 'failed', 'changed', 'missing'] } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 100 } }
+          ],
+          responses: { 200: json(ref('SourceList')), 401: ERROR_RESPONSE }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] } }
+        },
+        Health: {
+          type: 'object',
+          properties: { status: { type: 'string', enum: ['ok'] }, version: { type: 'string' } }
+        },
+        Stats: {
+          type: 'object',
+          properties: {
+            documents: { type: 'integer' },
+            collection: { type: 'string' },
+            model: { type: ['string', 'null'] },
+            dimension: { type: ['integer', 'null'] },
+            searchMode: { type: 'string' },
+            extensions: { type: 'array', items: { type: 'string' } },
+            limits: {
+              type: 'object',
+              properties: { maxBodyBytes: { type: 'integer' }, maxUploadBytes: { type: 'integer' }, maxTopK: { type: 'integer' } }
+            }
+          }
+        },
+        QueryRequest: {
+          type: 'object',
+          required: ['query'],
+          properties: {
+            query: { type: 'string' },
+            topK: { type: 'integer', minimum: 1, maximum: limits.maxTopK, default: 5 },
+            mode: { type: 'string', enum: ['vector', 'keyword', 'hybrid'] },
+            hybridWeight: { type: 'number', minimum: 0, maximum: 1 },
+            where: WHERE_SCHEMA,
+            mmr: { oneOf: [{ type: 'boolean' }, { type: 'number', minimum: 0, maximum: 1 }], description: 'true or a relevance/diversity lambda' },
+            maxPerSource: { type: 'integer', minimum: 1 },
+            includeContent: { type: 'boolean', default: true },
+            snippets: { type: 'boolean', default: false, description: 'Add the passage best matching the query with highlights' }
+          },
+          additionalProperties: false
+        },
+        QueryResult: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            score: { type: 'number' },
+            content: { type: 'string' },
+            metadata: { type: 'object' },
+            snippet: ref('Snippet'),
+            vectorScore: { type: ['number', 'null'], description: 'Hybrid mode: score in the vector ranking' },
+            vectorRank: { type: ['integer', 'null'] },
+            keywordScore: { type: ['number', 'null'], description: 'Hybrid mode: bm25 score in the keyword ranking' },
+            keywordRank: { type: ['integer', 'null'] },
+            retrievalScore: { type: 'number' },
+            otherMatches: { type: 'array', items: { type: 'object' } }
+          },
+          required: ['id', 'score']
+        },
+        Snippet: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            highlights: {
+              type: 'array',
+              items: { type: 'object', properties: { start: { type: 'integer' }, end: { type: 'integer' } } }
+            },
+            startLine: { type: 'integer' },
+            endLine: { type: 'integer' }
+          }
+        },
+        ExplainRequest: {
+          type: 'object',
+          required: ['query', 'id'],
+          properties: { query: { type: 'string' }, id: { type: 'string' }, where: WHERE_SCHEMA }
+        },
+        Explanation: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            id: { type: 'string' },
+            depth: { type: 'integer' },
+            chunks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  matchesFilter: { type: 'boolean' },
+                  vector: { oneOf: [ref('Position'), { type: 'null' }] },
+                  keyword: { oneOf: [ref('Position'), { type: 'null' }] }
+                }
+              }
+            }
+          }
+        },
+        Position: {
+          type: 'object',
+          properties: { rank: { type: 'integer' }, score: { type: 'number' } }
+        },
+        Facets: {
+          type: 'object',
+          properties: {
+            documents: { type: 'integer' },
+            facets: {
+              type: 'object',
+              properties: Object.fromEntries(FACET_FIELDS.map(field => [
+                field, { type: 'object', additionalProperties: { type: 'integer' } }
+              ]))
+            }
+          }
+        },
+        QueryResponse: {
+          type: 'object',
+          properties: { query: { type: 'string' }, results: { type: 'array', items: ref('QueryResult') } }
+        },
+        DocumentInput: {
+          type: 'object',
+          required: ['id', 'content'],
+          properties: { id: { type: 'string' }, content: { type: 'string' }, metadata: { type: 'object' } }
+        },
+        Document: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            source: { type: ['string', 'null'], description: 'File path, URL or Drive file id' },
+            neighbours: { type: 'array', items: { type: 'string' }, description: 'Ids of the documents from the same source, in order' },
+            chunks: {
+              type: 'array',
+              items: { type: 'object', properties: { id: { type: 'string' }, content: { type: 'string' }, metadata: { type: 'object' } } }
+            }
+          }
+        },
+        WriteResult: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            chunks: { type: 'integer' },
+            replaced: { type: 'boolean' },
+            skipped: { type: 'boolean' }
+          }
+        },
+        IngestResult: {
+          type: 'object',
+          properties: {
+            filename: { type: 'string' },
+            documents: { type: 'integer', description: 'Documents the processor extracted' },
+            chunks: { type: 'integer', description: 'Chunks indexed; short ones are dropped' },
+            replaced: { type: 'integer', description: 'Chunks of an earlier upload that were removed' },
+            ids: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        SourceList: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            documents: { type: 'integer' },
+            failed: { type: 'integer' },
+            sources: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string' },
+                  source: { type: ['string', 'null'] },
+                  documents: { type: 'integer' },
+                  lastIndexed: { type: ['integer', 'null'], description: 'Milliseconds since the epoch' },
+                  status: {
+                    type: 'string',
+                    enum: ['indexed', 'failed', 'changed', 'missing'],
+                    description: 'failed: the last attempt to index it failed; changed: modified on disk since it was indexed; ' +
+                      'missing: deleted from disk but still indexed'
+                  },
+                  error: {
+                    type: 'object',
+                    properties: { message: { type: 'string' }, failedAt: { type: 'integer' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument, EXPLAIN_DEPTH, FACET_FIELDS };
@@ -0,0 +1,589 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getProcessor, getAllExtensions } = require('../processors');
+const { buildWhereClause, parseWhereExpression } = require('../search/filters');
+const { extractSnippet } = require('../search/snippet');
+const { allowedHostsFor, foreignRequestReason } = require('../utils/request-guard');
+const { buildOpenApiDocument, EXPLAIN_DEPTH, FACET_FIELDS } = require('./openapi');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const MAX_TOP_K = 100;
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+const SOURCE_STATUSES = ['indexed', 'failed', 'changed', 'missing'];
+// Metadata naming the file, URL or Drive file a document came from, most specific first
+const SOURCE_FIELDS = ['absolutePath', 'filePath', 'crawlUrl', 'fileId'];
+const UI_HEADERS = {
+  'Content-Type': 'text/html; charset=utf-8',
+  'Content-Security-Policy': "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'",
+  'X-Content-Type-Options': 'nosniff'
+};
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const baseId = (id) => id.replace(/:chunk:\d+$/, '');
+
+// Natural order, so page 2 and chunk 2 come before page 10 and chunk 10
+const compareIds = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Only synced files have a signature; their state on disk is compared with it
+function sourceStatus(entry, signature) {
+  if (entry.error) return 'failed';
+  if (!signature) return 'indexed';
+
+  let stats;
+  try {
+    stats = fs.statSync(signature.path);
+  } catch {
+    return 'missing';
+  }
+  return stats.size === signature.size && stats.mtime.getTime() === signature.mtime ? 'indexed' : 'changed';
+}
+
+// Serves one VecStore as a JSON API for tools that can't load vexify as a library.
+// Routes are described by buildOpenApiDocument(), served on /openapi.json. Unless
+// options.ui is false, / serves a page for searching and inspecting the index.
+class ApiServer {
+  constructor(vecStore, options = {}) {
+    this.vecStore = vecStore;
+    this.port = options.port ?? 3200;
+    this.host = options.host || '127.0.0.1';
+    this.apiKey = options.apiKey || null;
+    this.maxBodyBytes = options.maxBodyBytes || MAX_BODY_BYTES;
+    this.maxUploadBytes = options.maxUploadBytes || MAX_UPLOAD_BYTES;
+    this.version = options.version || require('../../package.json').version;
+    this.ui = options.ui ?? true;
+    this.pageHtml = null;
+    this.log = options.silent ? () => {} : (...args) => console.error(...args);
+    this.allowedHosts = null;
+    this.httpServer = null;
+
+    this.routes = [
+      ['GET', /^\/$/, () => this.page(), { public: true }],
+      ['GET', /^\/health$/, () => this.health(), { public: true }],
+      ['GET', /^\/openapi\.json$/, () => this.openApi(), { public: true }],
+      ['GET', /^\/stats$/, () => this.stats()],
+      ['GET', /^\/sources$/, (req, url) => this.listSources(url.searchParams)],
+      ['GET', /^\/facets$/, (req, url) => this.facets(url.searchParams)],
+      ['POST', /^\/query$/, async (req) => this.query(await this.readJson(req))],
+      ['POST', /^\/explain$/, async (req) => this.explain(await this.readJson(req))],
+      ['POST', /^\/documents$/, async (req) => this.addDocument(await this.readJson(req))],
+      ['GET', /^\/documents\/([^/]+)$/, (req, url, id) => this.getDocument(id)],
+      ['PUT', /^\/documents\/([^/]+)$/, async (req, url, id) => this.upsertDocument(id, await this.readJson(req))],
+      ['DELETE', /^\/documents\/([^/]+)$/, (req, url, id) => this.removeDocument(id)],
+      ['POST', /^\/ingest$/, async (req, url) => this.ingest(url.searchParams, await this.readBody(req, this.maxUploadBytes))]
+    ];
+  }
+
+  start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        const status = error.statusCode || 500;
+        if (status >= 500) {
+          this.log(`${req.method} ${req.url} failed:`, error.message);
+        }
+        if (!res.headersSent) {
+          if (status === 413) res.setHeader('Connection', 'close');
+          this.send(res, status, { error: { message: error.message } });
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        this.allowedHosts = allowedHostsFor(this.host, this.httpServer.address().port);
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Without a key, any web page could otherwise reach the API through the browser
+    if (!this.apiKey) {
+      const reason = foreignRequestReason(req, this.allowedHosts);
+      if (reason) throw httpError(403, `Forbidden: ${reason}`);
+    }
+
+    const routes = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+
+    if (routes.length === 0) {
+      throw httpError(404, `Not found: ${url.pathname}`);
+    }
+
+    const route = routes.find(([method]) => method === req.method);
+    if (!route) {
+      res.setHeader('Allow', routes.map(([method]) => method).join(', '));
+      throw httpError(405, `Method ${req.method} not allowed on ${url.pathname}`);
+    }
+
+    const [, pattern, handler, options = {}] = route;
+    if (!options.public && !this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw httpError(401, 'Unauthorized: send the API key in X-API-Key or as a bearer token');
+    }
+
+    let params;
+    try {
+      params = url.pathname.match(pattern).slice(1).map(decodeURIComponent);
+    } catch (error) {
+      throw httpError(400, `Malformed path: ${url.pathname}`);
+    }
+    const { status = 200, body, headers } = await handler(req, url, ...params);
+    if (headers) {
+      res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(body) });
+      return res.end(body);
+    }
+    this.send(res, status, body);
+  }
+
+  isAuthorized(req) {
+    if (!this.apiKey) return true;
+
+    const header = req.headers.authorization || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    const given = Buffer.from(req.headers['x-api-key'] || (bearer ? bearer[1] : ''));
+    const expected = Buffer.from(this.apiKey);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Oversized bodies are refused from Content-Length when it is sent, otherwise
+  // as soon as the limit is crossed
+  readBody(req, limit) {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > limit) {
+      req.resume();
+      return Promise.reject(httpError(413, `Request body exceeds ${limit} bytes`));
+    }
+
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          // Discard the rest so the client still receives the 413
+          req.removeAllListeners('data');
+          req.resume();
+          reject(httpError(413, `Request body exceeds ${limit} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  async readJson(req) {
+    const text = (await this.readBody(req, this.maxBodyBytes)).toString('utf8');
+    let body;
+    try {
+      body = text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw httpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+  }
+
+  send(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+
+  // The page calls the API with the key the user enters, so it can be public itself
+  page() {
+    if (!this.ui) {
+      throw httpError(404, 'Not found: /');
+    }
+    this.pageHtml = this.pageHtml || fs.readFileSync(path.join(__dirname, 'ui.html'), 'utf8');
+    return { headers: UI_HEADERS, body: this.pageHtml };
+  }
+
+  health() {
+    return { body: { status: 'ok', version: this.version } };
+  }
+
+  openApi() {
+    return {
+      body: buildOpenApiDocument({
+        version: this.version,
+        limits: this.limits(),
+        auth: Boolean(this.apiKey),
+        ui: this.ui
+      })
+    };
+  }
+
+  limits() {
+    return { maxBodyBytes: this.maxBodyBytes, maxUploadBytes: this.maxUploadBytes, maxTopK: MAX_TOP_K };
+  }
+
+  async stats() {
+    const store = this.vecStore.store;
+    return {
+      body: {
+        documents: await store.countDocuments(),
+        collection: store.collection,
+        model: this.vecStore.modelName,
+        dimension: this.vecStore.dimension,
+        searchMode: this.vecStore.searchMode,
+        version: this.version,
+        extensions: getAllExtensions(),
+        limits: this.limits()
+      }
+    };
+  }
+
+  parseWhere(where) {
+    if (where === undefined || where === null) return null;
+
+    try {
+      const parsed = typeof where === 'string' ? parseWhereExpression(where) : where;
+      if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('where must be an object or a filter expression');
+      }
+      // Rejects unknown fields and bad dates before anything is embedded
+      buildWhereClause(parsed);
+      return parsed;
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+
+  async query(body) {
+    const { query, topK = 5, mode, hybridWeight, mmr, maxPerSource, includeContent = true, snippets = false } = body;
+
+    if (typeof query !== 'string' || !query.trim()) {
+      throw httpError(400, 'query must be a non-empty string');
+    }
+    if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+      throw httpError(400, `topK must be an integer from 1 to ${MAX_TOP_K}`);
+    }
+    if (mode !== undefined && !SEARCH_MODES.includes(mode)) {
+      throw httpError(400, `mode must be one of ${SEARCH_MODES.join(', ')}`);
+    }
+    if (hybridWeight !== undefined && !(typeof hybridWeight === 'number' && hybridWeight >= 0 && hybridWeight <= 1)) {
+      throw httpError(400, 'hybridWeight must be a number from 0 to 1');
+    }
+    if (mmr !== undefined && typeof mmr !== 'boolean' && !(typeof mmr === 'number' && mmr >= 0 && mmr <= 1)) {
+      throw httpError(400, 'mmr must be true, false or a number from 0 to 1');
+    }
+    if (maxPerSource !== undefined && !(Number.isInteger(maxPerSource) && maxPerSource >= 1)) {
+      throw httpError(400, 'maxPerSource must be a positive integer');
+    }
+
+    const results = await this.vecStore.query(query, {
+      topK,
+      mode,
+      hybridWeight,
+      where: this.parseWhere(body.where),
+      mmr: mmr || undefined,
+      maxPerSource
+    });
+
+    return {
+      body: {
+        query,
+        results: results.map(result => ({
+          id: result.id,
+          score: result.score,
+          ...(includeContent && { content: result.content ?? null }),
+          metadata: result.metadata || {},
+          ...(snippets && { snippet: extractSnippet(result.content || '', query, { firstLine: result.metadata?.startLine }) }),
+          ...(result.vectorScore !== undefined && { vectorScore: result.vectorScore, vectorRank: result.vectorRank }),
+          ...(result.keywordScore !== undefined && { keywordScore: result.keywordScore, keywordRank: result.keywordRank }),
+          ...(result.retrievalScore !== undefined && { retrievalScore: result.retrievalScore }),
+          ...(result.otherMatches && { otherMatches: result.otherMatches })
+        }))
+      }
+    };
+  }
+
+  validateDocument({ content, metadata }) {
+    if (typeof content !== 'string') {
+      throw httpError(400, 'content must be a string');
+    }
+    if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+      throw httpError(400, 'metadata must be an object');
+    }
+  }
+
+  async addDocument(body) {
+    if (typeof body.id !== 'string' || !body.id) {
+      throw httpError(400, 'id must be a non-empty string');
+    }
+    this.validateDocument(body);
+
+    if ((await this.vecStore.store.getDocumentIds(body.id)).length > 0) {
+      throw httpError(409, `Document ${body.id} already exists; use PUT /documents/${encodeURIComponent(body.id)} to replace it`);
+    }
+
+    const result = await this.vecStore.upsert(body.id, body.content, body.metadata);
+    return { status: result.skipped ? 200 : 201, body: result };
+  }
+
+  async upsertDocument(id, body) {
+    this.validateDocument(body);
+    return { body: await this.vecStore.upsert(id, body.content, body.metadata) };
+  }
+
+  // The chunks of a document in order, plus its neighbours: the other documents from
+  // the same file, URL or Drive file, e.g. the other pages of a PDF
+  async getDocument(id) {
+    const store = this.vecStore.store;
+    const docs = (await store.getByIds(await store.getDocumentIds(id), ['id', 'content', 'metadata']))
+      .sort((a, b) => (a.metadata?.chunkIndex ?? 0) - (b.metadata?.chunkIndex ?? 0));
+
+    if (docs.length === 0) {
+      throw httpError(404, `Document not found: ${id}`);
+    }
+
+    const metadata = docs[0].metadata || {};
+    const field = SOURCE_FIELDS.find(name => metadata[name]);
+    const neighbours = field
+      ? [...new Set((await store.getBySource(field, metadata[field])).map(baseId))].sort(compareIds)
+      : [id];
+
+    return {
+      body: {
+        id,
+        source: field ? metadata[field] : null,
+        neighbours,
+        chunks: docs.map(doc => ({ id: doc.id, content: doc.content ?? null, metadata: doc.metadata || {} }))
+      }
+    };
+  }
+
+  // Where the chunks of a document rank for a query, to see why it is missing from
+  // results: whether it passes the filter and its place in vector and keyword retrieval
+  async explain(body) {
+    const { query, id } = body;
+    if (typeof query !== 'string' || !query.trim()) {
+      throw httpError(400, 'query must be a non-empty string');
+    }
+    if (typeof id !== 'string' || !id) {
+      throw httpError(400, 'id must be a non-empty string');
+    }
+
+    const store = this.vecStore.store;
+    const ids = await store.getDocumentIds(id);
+    if (ids.length === 0) {
+      throw httpError(404, `Document not found: ${id}`);
+    }
+
+    const where = this.parseWhere(body.where);
+    const passing = new Set(where ? await store.filterIds(ids, where) : ids);
+    const [vectorResults, keywordResults] = await Promise.all([
+      this.vecStore.retrieve(query, EXPLAIN_DEPTH, { mode: 'vector', where }),
+      this.vecStore.keywordSearch ? this.vecStore.retrieve(query, EXPLAIN_DEPTH, { mode: 'keyword', where }) : []
+    ]);
+
+    const position = (results, chunkId) => {
+      const index = results.findIndex(result => result.id === chunkId);
+      return index === -1 ? null : { rank: index + 1, score: results[index].score };
+    };
+
+    return {
+      body: {
+        query,
+        id,
+        depth: EXPLAIN_DEPTH,
+        chunks: ids.sort(compareIds).map(chunkId => ({
+          id: chunkId,
+          matchesFilter: passing.has(chunkId),
+          vector: position(vectorResults, chunkId),
+          keyword: position(keywordResults, chunkId)
+        }))
+      }
+    };
+  }
+
+  // Counts of each source, language and type. The counts of a field ignore the filter on
+  // that field, so the other values stay visible while one is selected.
+  async facets(params) {
+    const where = this.parseWhere(params.get('where')) || {};
+    const store = this.vecStore.store;
+    const facets = {};
+
+    for (const field of FACET_FIELDS) {
+      const others = Object.fromEntries(Object.entries(where).filter(([name]) => name !== field));
+      facets[field] = await store.countMetadataValues(field, others);
+    }
+
+    return { body: { documents: await store.countDocuments(where), facets } };
+  }
+
+  async removeDocument(id) {
+    const removed = await this.vecStore.remove(id);
+    if (removed === 0) {
+      throw httpError(404, `Document not found: ${id}`);
+    }
+    return { body: { id, removed } };
+  }
+
+  // Runs an uploaded file through the processor for its extension. Uploads are stored
+  // with source "upload" so folder sync never mistakes them for files it tracks.
+  async ingest(params, buffer) {
+    const filename = path.basename(params.get('filename') || '');
+    if (!filename) {
+      throw httpError(400, 'filename query parameter is required, e.g. /ingest?filename=report.pdf');
+    }
+    if (buffer.length === 0) {
+      throw httpError(400, 'Request body is empty; send the file contents');
+    }
+
+    let extra = {};
+    if (params.has('metadata')) {
+      try {
+        extra = JSON.parse(params.get('metadata'));
+      } catch (error) {
+        throw httpError(400, `Invalid metadata parameter: ${error.message}`);
+      }
+      if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+        throw httpError(400, 'metadata must be a JSON object');
+      }
+    }
+
+    const extension = path.extname(filename).toLowerCase();
+    const ProcessorClass = extension && getProcessor(extension);
+    if (!ProcessorClass) {
+      throw httpError(415, `Unsupported file type: ${extension || filename}. Supported: ${getAllExtensions().join(', ')}`);
+    }
+
+    const vecStore = this.vecStore;
+    const store = vecStore.store;
+
+    // Failures are kept with the file name so /sources reports them
+    let documents;
+    let docs;
+    try {
+      try {
+        documents = await new ProcessorClass().processBuffer(buffer, filename);
+      } catch (error) {
+        throw httpError(400, `Cannot read ${filename}: ${error.message}`);
+      }
+      documents = documents.map(doc => ({
+        ...doc,
+        metadata: { ...doc.metadata, ...extra, source: 'upload', filePath: filename, fileName: filename }
+      }));
+
+      await vecStore.flushBuffer();
+      docs = await vecStore.prepareDocuments(documents);
+    } catch (error) {
+      store.writeIngestError(filename, error.message);
+      throw error;
+    }
+
+    const previous = await store.getByIds(await store.getBySource('filePath', filename), ['id', 'metadata']);
+    const previousIds = previous.filter(doc => doc.metadata?.source === 'upload').map(doc => doc.id);
+    const replaced = store.transaction(() => {
+      store.removeIngestError(filename);
+      return vecStore.writeDocuments(docs, previousIds);
+    });
+
+    this.log(`Ingested ${filename}: ${docs.length} chunks from ${documents.length} documents`);
+    return {
+      body: {
+        filename,
+        documents: documents.length,
+        chunks: docs.length,
+        replaced,
+        ids: docs.map(doc => doc.id)
+      }
+    };
+  }
+
+  // One entry per file, URL, Drive file or upload with its document count and status:
+  // indexed, failed (its last indexing failed; error says why), changed (modified on
+  // disk since it was indexed) or missing (deleted from disk but still indexed)
+  async listSources(params) {
+    const source = params.get('source') || null;
+    const prefix = params.get('prefix') || '';
+    const status = params.get('status') || null;
+    const limit = parseInt(params.get('limit'), 10) || 100;
+    if (limit < 1) {
+      throw httpError(400, 'limit must be a positive integer');
+    }
+    if (status && !SOURCE_STATUSES.includes(status)) {
+      throw httpError(400, `status must be one of ${SOURCE_STATUSES.join(', ')}`);
+    }
+
+    const store = this.vecStore.store;
+    const signatures = await store.getFileSignatures();
+    const sources = new Map();
+    let documents = 0;
+
+    for await (const batch of store.iterate({ columns: ['id', 'metadata'], where: source ? { source } : null })) {
+      for (const doc of batch) {
+        const metadata = doc.metadata || {};
+        const field = SOURCE_FIELDS.find(name => metadata[name]);
+        const key = field ? metadata[field] : baseId(doc.id);
+        if (!key.startsWith(prefix)) continue;
+
+        const entry = sources.get(key) || { path: key, source: metadata.source || null, documents: 0, lastIndexed: null };
+        const indexedAt = metadata.lastIndexed || (metadata.processedAt ? Date.parse(metadata.processedAt) : null);
+        if (indexedAt && indexedAt > (entry.lastIndexed || 0)) {
+          entry.lastIndexed = indexedAt;
+        }
+
+        entry.documents++;
+        documents++;
+        sources.set(key, entry);
+      }
+    }
+
+    // Files that never indexed have an error but no documents
+    for (const [key, failure] of await store.getIngestErrors()) {
+      if (!key.startsWith(prefix) || (source && !sources.has(key))) continue;
+
+      const entry = sources.get(key) || { path: key, source: null, documents: 0, lastIndexed: null };
+      entry.error = { message: failure.error, failedAt: failure.failed_at * 1000 };
+      sources.set(key, entry);
+    }
+
+    let failed = 0;
+    for (const [key, entry] of sources) {
+      const signature = signatures.get(key);
+      if (signature?.indexed_at) {
+        entry.lastIndexed = Math.max(entry.lastIndexed || 0, signature.indexed_at * 1000);
+      }
+      entry.status = sourceStatus(entry, signature);
+      if (entry.status === 'failed') failed++;
+    }
+
+    const all = [...sources.values()]
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => a.path.localeCompare(b.path));
+    return { body: { total: all.length, documents, failed, sources: all.slice(0, limit) } };
+  }
+
+  async close() {
+    if (this.httpServer) {
+      this.httpServer.closeAllConnections?.();
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+    await this.vecStore.flushBuffer();
+  }
+}
+
+module.exports = { ApiServer };
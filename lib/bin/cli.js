@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 'use strict';
 
-const { VecStoreFactory, FolderSync, getConfig, processors, WebCrawler, Updater } = require('../index');
+const { VecStore, VecStoreFactory, SQLiteStorageAdapter, FolderSync, FolderWatcher, getConfig, selectDefaultModel, processors, WebCrawler, Updater, ApiServer, parseWhereExpression, mergeCollectionResults } = require('../index');
 const { GoogleDriveCrawler } = require('../crawlers/gdrive');
 const { CodeCrawler } = require('../crawlers/code');
 const { MCPServer } = require('../mcp/server');
+const { createRoots, loadWorkspaceFile } = require('../mcp/workspace');
+const { SqliteVecSearch } = require('../search/sqlite-vec');
+const { IndexVerifier } = require('../utils/verifier');
+const { Exporter } = require('../utils/exporter');
+const { Importer } = require('../utils/importer');
+const { validateModelDimension } = require('../config/defaults');
 const fs = require('fs');
 const path = require('path');
 
@@ -17,20 +23,108 @@ function getArgValue(flagName) {
 
   const arg = args[idx];
   if (arg.includes('=')) {
-    return arg.split('=')[1];
+    return arg.slice(arg.indexOf('=') + 1);
   }
   return args[idx + 1];
 }
 
+function getPositionalArgs(valueFlags = []) {
+  const positional = [];
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      if (valueFlags.includes(arg)) i++;
+      continue;
+    }
+    positional.push(arg);
+  }
+  return positional;
+}
+
+const EMBEDDER_FLAGS = ['--provider', '--host', '--api-key-env', '--api-key-header', '--embedding-path'];
+
+function getEmbedderAuthOptions() {
+  const options = {};
+  const provider = getArgValue('--provider');
+  const apiKeyEnv = getArgValue('--api-key-env');
+  const apiKeyHeader = getArgValue('--api-key-header');
+  const embeddingPath = getArgValue('--embedding-path');
+
+  if (apiKeyEnv) {
+    if (!process.env[apiKeyEnv]) {
+      console.error(`Environment variable ${apiKeyEnv} (from --api-key-env) is not set`);
+      process.exit(1);
+    }
+    options.apiKey = process.env[apiKeyEnv];
+  } else if (provider === 'openai' && process.env.OPENAI_API_KEY) {
+    options.apiKey = process.env.OPENAI_API_KEY;
+  }
+
+  if (apiKeyHeader) options.apiKeyHeader = apiKeyHeader;
+  if (embeddingPath) options.embeddingPath = embeddingPath;
+
+  return options;
+}
+
+// Named collections remember their embedder, so it is filled in before getConfig()
+// applies the provider defaults
+async function withCollectionSettings(options) {
+  if (!options.collection) return options;
+
+  const store = new SQLiteStorageAdapter(getConfig(options).dbPath, { collection: options.collection });
+  try {
+    return await VecStoreFactory.withCollectionSettings(store, options);
+  } finally {
+    store.close();
+  }
+}
+
+const RERANK_FLAGS = ['--rerank', '--rerank-host', '--rerank-candidates', '--rerank-api-key-env'];
+
+function getRerankOptions() {
+  const options = {};
+  const candidates = getArgValue('--rerank-candidates');
+  const apiKeyEnv = getArgValue('--rerank-api-key-env');
+
+  options.rerankModel = getArgValue('--rerank') || undefined;
+  options.rerankHost = getArgValue('--rerank-host') || undefined;
+  if (candidates) options.rerankCandidates = parseInt(candidates);
+  if (apiKeyEnv) {
+    if (!process.env[apiKeyEnv]) {
+      console.error(`Environment variable ${apiKeyEnv} (from --rerank-api-key-env) is not set`);
+      process.exit(1);
+    }
+    options.rerankApiKey = process.env[apiKeyEnv];
+  }
+
+  return options;
+}
+
+function getChunkingOptions() {
+  const chunking = {};
+  const strategy = getArgValue('--chunker');
+  const chunkSize = getArgValue('--chunk-size');
+  const chunkOverlap = getArgValue('--chunk-overlap');
+
+  if (strategy) chunking.strategy = strategy;
+  if (chunkSize) chunking.maxTokens = parseInt(chunkSize);
+  if (chunkOverlap) chunking.overlapTokens = parseInt(chunkOverlap);
+
+  return chunking;
+}
+
 async function init() {
   const provider = getArgValue('--provider');
   const host = getArgValue('--host');
 
+  const positional = getPositionalArgs(EMBEDDER_FLAGS);
+
   const config = getConfig({
-    dbPath: args[1],
-    modelName: args[2],
+    dbPath: positional[0],
+    modelName: positional[1],
     embedderProvider: provider,
-    host: host
+    host: host,
+    ...getEmbedderAuthOptions()
   });
 
   console.error(`Initializing vecstore with database: ${config.dbPath}`);
@@ -45,24 +139,27 @@ async function init() {
 
 async function add() {
   if (args.length < 4) {
-    console.error('Usage: vexify add <db-path> <id> <text> [model] [--provider <vllm|ollama>] [--host <url>]');
+    console.error('Usage: vexify add <db-path> <id> <text> [model] [--provider <vllm|ollama|transformers|openai>] [--host <url>]');
     process.exit(1);
   }
 
-  const id = args[2];
-  const text = args[3];
+  const positional = getPositionalArgs(EMBEDDER_FLAGS);
+  const id = positional[1];
+  const text = positional[2];
   const provider = getArgValue('--provider');
   const host = getArgValue('--host');
 
   const config = getConfig({
-    dbPath: args[1],
-    modelName: args[4],
+    dbPath: positional[0],
+    modelName: positional[3],
     embedderProvider: provider,
-    host: host
+    host: host,
+    ...getEmbedderAuthOptions()
   });
 
   const vecStore = await VecStoreFactory.create(config);
-  await vecStore.addDocument(id, text);
+  await vecStore.addChunkedDocument(id, text);
+  await vecStore.flushBuffer();
 
   console.error(`✓ Added document: ${id}`);
   process.exit(0);
@@ -70,28 +167,76 @@ async function add() {
 
 async function query() {
   if (args.length < 3) {
-    console.error('Usage: vexify query <db-path> <query-text> [topK] [model] [--provider <vllm|ollama>] [--host <url>]');
+    console.error('Usage: vexify query <db-path> <query-text> [topK] [model] [--mode <hybrid|vector|keyword>] [--hybrid-weight <0-1>] [--where <expr>] [--collection <name[,name...]>] [--all-collections] [--rerank <model>] [--rerank-host <url>] [--mmr] [--max-per-source N] [--provider <vllm|ollama|transformers|openai>] [--host <url>]');
     process.exit(1);
   }
 
-  const queryText = args[2];
+  const positional = getPositionalArgs([...EMBEDDER_FLAGS, ...RERANK_FLAGS, '--mode', '--hybrid-weight', '--where', '--collection', '--mmr-lambda', '--max-per-source']);
+  const queryText = positional[1];
   const provider = getArgValue('--provider');
   const host = getArgValue('--host');
+  const mode = getArgValue('--mode') || undefined;
+  const hybridWeight = getArgValue('--hybrid-weight');
+  const where = parseWhereExpression(getArgValue('--where'));
+  const mmrLambda = getArgValue('--mmr-lambda');
+  const maxPerSource = getArgValue('--max-per-source');
+  const mmr = mmrLambda ? parseFloat(mmrLambda) : args.includes('--mmr') || undefined;
 
-  const config = getConfig({
-    dbPath: args[1],
-    topK: parseInt(args[3]),
-    modelName: args[4],
+  const options = {
+    dbPath: positional[0],
+    topK: positional[2] ? parseInt(positional[2]) : undefined,
+    modelName: positional[3],
     embedderProvider: provider,
-    host: host
-  });
+    host: host,
+    ...getEmbedderAuthOptions(),
+    searchMode: mode,
+    hybridWeight: hybridWeight ? parseFloat(hybridWeight) : undefined,
+    ...getRerankOptions()
+  };
+  const config = getConfig(options);
+
+  let collections = [getArgValue('--collection') || undefined];
+  if (args.includes('--all-collections')) {
+    const store = new SQLiteStorageAdapter(config.dbPath);
+    collections = await store.listCollections();
+    store.close();
+  } else if (collections[0] && collections[0].includes(',')) {
+    collections = collections[0].split(',').map(name => name.trim()).filter(Boolean);
+  }
 
-  const vecStore = await VecStoreFactory.create(config);
-  const results = await vecStore.query(queryText, config.topK);
+  // Each collection is searched with its own embedder; scores are normalised before merging
+  const resultsByCollection = {};
+  for (const collection of collections) {
+    const vecStore = await VecStoreFactory.create(getConfig(await withCollectionSettings({ ...options, collection })));
+    resultsByCollection[collection || 'default'] = await vecStore.query(queryText, {
+      topK: config.topK,
+      mode: config.searchMode,
+      where,
+      mmr,
+      maxPerSource: maxPerSource ? parseInt(maxPerSource) : undefined
+    });
+    vecStore.store.close();
+  }
+
+  const merged = collections.length > 1;
+  const results = merged
+    ? mergeCollectionResults(resultsByCollection, config.topK)
+    : Object.values(resultsByCollection)[0];
 
-  console.error(`\nTop ${config.topK} results:\n`);
+  console.error(`\nTop ${config.topK} results (${config.searchMode}${config.rerankModel ? `, reranked by ${config.rerankModel}` : ''}` +
+    `${merged ? `, across ${collections.join(', ')}` : ''}):\n`);
   results.forEach((result, i) => {
-    console.error(`${i + 1}. [${result.id}] (score: ${result.score.toFixed(4)})`);
+    console.error(`${i + 1}. [${merged ? `${result.collection}/` : ''}${result.id}] (score: ${result.score.toFixed(4)})`);
+
+    if (result.vectorScore !== undefined || result.keywordScore !== undefined) {
+      const vectorScore = result.vectorScore !== null ? result.vectorScore.toFixed(4) : '-';
+      const keywordScore = result.keywordScore !== null ? result.keywordScore.toFixed(4) : '-';
+      console.error(`   Vector: ${vectorScore}, Keyword: ${keywordScore}`);
+    }
+
+    if (result.retrievalScore !== undefined) {
+      console.error(`   Retrieval score: ${result.retrievalScore.toFixed(4)}`);
+    }
 
     if (result.metadata?.crawlUrl) {
       console.error(`   URL: ${result.metadata.crawlUrl}`);
@@ -101,6 +246,14 @@ async function query() {
       console.error(`   Page: ${result.metadata.pageNumber}/${result.metadata.totalPages || '?'}`);
     }
 
+    if (result.otherMatches?.length > 0) {
+      const locations = result.otherMatches.map(match =>
+        match.pageNumber ? `page ${match.pageNumber}` :
+          match.startLine ? `lines ${match.startLine}-${match.endLine}` :
+            match.rowIndex !== undefined ? `row ${match.rowIndex}` : match.id);
+      console.error(`   Also matches: ${locations.join(', ')}`);
+    }
+
     console.error(`   ${result.content.substring(0, 100)}${result.content.length > 100 ? '...' : ''}\n`);
   });
 
@@ -133,7 +286,7 @@ function listProcessors() {
 
 async function syncFolder() {
   if (args.length < 3) {
-    console.error('Usage: vexify sync <db-path> <folder-path> [model] [--extensions .pdf,.txt] [--no-recursive] [--provider <vllm|ollama>] [--host <url>]');
+    console.error('Usage: vexify sync <db-path> <folder-path> [model] [--extensions .pdf,.txt] [--no-recursive] [--dry-run] [--watch] [--collection <name>] [--provider <vllm|ollama|transformers|openai>] [--host <url>]');
     process.exit(1);
   }
 
@@ -141,43 +294,54 @@ async function syncFolder() {
 
   const extensionsArgIndex = args.findIndex(arg => arg.startsWith('--extensions'));
   let extensions = undefined;
-  let extensionValues = [];
   if (extensionsArgIndex !== -1) {
     const extensionsArg = args[extensionsArgIndex];
     if (extensionsArg.includes('=')) {
       extensions = extensionsArg.split('=')[1].split(',').map(e => e.trim());
     } else if (extensionsArgIndex + 1 < args.length) {
-      extensionValues = args[extensionsArgIndex + 1].split(',');
-      extensions = extensionValues.map(e => e.trim());
+      extensions = args[extensionsArgIndex + 1].split(',').map(e => e.trim());
     }
   }
 
-  const modelName = args.find(arg =>
-    !arg.startsWith('--') &&
-    arg !== args[0] &&
-    arg !== args[1] &&
-    arg !== folderPath &&
-    !extensionValues.includes(arg)
-  );
+  const modelName = getPositionalArgs(['--extensions', '--collection', ...EMBEDDER_FLAGS, '--chunker', '--chunk-size', '--chunk-overlap'])[2];
 
   const recursive = args.includes('--no-recursive') ? false : undefined;
   const provider = getArgValue('--provider');
   const host = getArgValue('--host');
 
-  const config = getConfig({
+  const config = getConfig(await withCollectionSettings({
     dbPath: args[1],
+    collection: getArgValue('--collection') || undefined,
     modelName,
     extensions,
     recursive,
+    watchMode: args.includes('--watch') || undefined,
     embedderProvider: provider,
-    host: host
-  });
+    host: host,
+    chunking: getChunkingOptions()
+  }));
 
   if (!fs.existsSync(folderPath)) {
     console.error(`Error: Folder not found: ${folderPath}`);
     process.exit(1);
   }
 
+  if (args.includes('--dry-run')) {
+    // Planning only reads signatures, so no embedder is needed
+    const store = new SQLiteStorageAdapter(config.dbPath, { collection: config.collection });
+    const plan = await new FolderSync({ store }, config).plan(folderPath);
+    store.close();
+
+    const relative = filePath => path.relative(path.resolve(folderPath), filePath);
+    console.error(`Sync plan for ${folderPath} (dry run):`);
+    plan.add.forEach(file => console.error(`  + ${file.relativePath}`));
+    plan.update.forEach(file => console.error(`  ~ ${file.relativePath}`));
+    plan.delete.forEach(filePath => console.error(`  - ${relative(filePath)}`));
+    console.error(`\n${plan.add.length} to add, ${plan.update.length} to update, ` +
+      `${plan.delete.length} to delete, ${plan.unchanged.length} unchanged`);
+    process.exit(0);
+  }
+
   const vecStore = await VecStoreFactory.create(config);
   const folderSync = new FolderSync(vecStore, config);
 
@@ -188,8 +352,10 @@ async function syncFolder() {
   const results = await folderSync.sync(folderPath);
 
   console.error(`\n✓ Sync completed:`);
-  console.error(`  Added: ${results.added} documents`);
-  console.error(`  Skipped: ${results.skipped} duplicates`);
+  console.error(`  Added: ${results.added} files`);
+  console.error(`  Updated: ${results.updated} files`);
+  console.error(`  Unchanged: ${results.unchanged} files`);
+  console.error(`  Skipped: ${results.skipped} files without indexable content`);
   console.error(`  Removed: ${results.removed} files`);
 
   if (results.errors.length > 0) {
@@ -199,17 +365,45 @@ async function syncFolder() {
     });
   }
 
-  process.exit(0);
+  if (!config.watchMode) {
+    process.exit(0);
+  }
+
+  const folderAbsPath = path.resolve(folderPath);
+  const dbAbsPath = path.resolve(config.dbPath);
+
+  const watcher = new FolderWatcher(folderAbsPath, {
+    recursive: config.recursive,
+    debounce: config.watchDebounce,
+    ignore: (fullPath, isDirectory) => fullPath.startsWith(dbAbsPath) ||
+      folderSync.isIgnored(fullPath, folderAbsPath, isDirectory),
+    onChange: async (paths) => {
+      const changes = await folderSync.syncPaths(folderAbsPath, paths);
+      console.error(`✓ ${changes.added} added, ${changes.updated} updated, ${changes.removed} removed` +
+        (changes.errors.length > 0 ? `, ${changes.errors.length} errors` : ''));
+      changes.errors.forEach(err => {
+        console.error(`  - ${err.file}: ${err.error}`);
+      });
+    }
+  }).start();
+
+  console.error(`\nWatching ${folderPath} for changes (Ctrl+C to stop)...`);
+
+  process.on('SIGINT', async () => {
+    await watcher.close();
+    vecStore.store.close();
+    process.exit(0);
+  });
 }
 
 async function crawl() {
   if (args.length < 2) {
-    console.error('Usage: vexify crawl <url> [output-dir] [--max-pages N] [--max-depth N] [--db-path path] [--model name]');
+    console.error('Usage: vexify crawl <url> [output-dir] [--max-pages N] [--max-depth N] [--db-path path] [--model name] [--collection name]');
     process.exit(1);
   }
 
   const url = args[1];
-  const outputDirArg = args.find((arg, i) => i > 1 && !arg.startsWith('--'));
+  const outputDirArg = getPositionalArgs(['--max-pages', '--max-depth', '--db-path', '--model', '--collection', '--concurrency', ...EMBEDDER_FLAGS, '--chunker', '--chunk-size', '--chunk-overlap'])[1];
   const outputDir = outputDirArg || `./${new URL(url).hostname.replace(/^www\./, '')}`;
 
   const maxPages = parseInt(getArgValue('--max-pages')) || 10000;
@@ -232,7 +426,15 @@ async function crawl() {
   let vecStore = null;
   let indexed = { added: 0, skipped: 0 };
 
-  const config = getConfig({ dbPath, modelName, embedderProvider: provider, host: host });
+  const config = getConfig(await withCollectionSettings({
+    dbPath,
+    collection: getArgValue('--collection') || undefined,
+    modelName,
+    embedderProvider: provider,
+    host: host,
+    ...getEmbedderAuthOptions(),
+    chunking: getChunkingOptions()
+  }));
   vecStore = await VecStoreFactory.create(config);
 
   const { TextDeduplicator } = require('../processors/dedup');
@@ -289,13 +491,13 @@ async function crawl() {
       const newHash = doc.metadata.contentHash;
 
       if (oldHash && newHash && oldHash !== newHash) {
-        const deleted = await vecStore.store.deleteByCrawlUrl(page.url);
+        const deleted = await vecStore.clearSource('crawlUrl', page.url);
         if (deleted > 0) {
           updated++;
         }
       }
 
-      const result = await vecStore.addDocument(doc.id, doc.content, doc.metadata);
+      const result = await vecStore.addChunkedDocument(doc.id, doc.content, doc.metadata);
       if (result.skipped) {
         indexed.skipped++;
       } else {
@@ -317,18 +519,22 @@ async function crawl() {
 
 async function update() {
   if (args.length < 2) {
-    console.error('Usage: vexify update <db-path> [model] [--provider <vllm|ollama>] [--host <url>]');
+    console.error('Usage: vexify update <db-path> [model] [--migrate] [--provider <vllm|ollama|transformers|openai>] [--host <url>]');
     process.exit(1);
   }
 
   const provider = getArgValue('--provider');
   const host = getArgValue('--host');
 
+  const positional = getPositionalArgs(EMBEDDER_FLAGS);
+
   const config = getConfig({
-    dbPath: args[1],
-    modelName: args[2],
+    dbPath: positional[0],
+    modelName: positional[1],
     embedderProvider: provider,
-    host: host
+    host: host,
+    ...getEmbedderAuthOptions(),
+    migrateModel: args.includes('--migrate')
   });
 
   const vecStore = await VecStoreFactory.create(config);
@@ -352,6 +558,474 @@ async function update() {
   process.exit(0);
 }
 
+async function reembed() {
+  const positional = getPositionalArgs(['--model', '--batch-size', '--collection', ...EMBEDDER_FLAGS]);
+  const dbPath = positional[0];
+  const modelName = getArgValue('--model');
+  const collection = getArgValue('--collection') || undefined;
+
+  if (!dbPath || (!modelName && !args.includes('--status'))) {
+    console.error('Usage: vexify reembed <db-path> --model <model> [--provider <vllm|ollama|transformers|openai>] [--host <url>] [--batch-size <n>] [--restart] [--background] [--collection <name>]');
+    console.error('       vexify reembed <db-path> --status [--collection <name>]');
+    console.error('');
+    console.error('Builds a vector index for another model next to the current one, which keeps serving');
+    console.error('queries until the new index is complete. Rerun the same command to resume.');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(dbPath)) {
+    console.error(`Database not found: ${dbPath}`);
+    process.exit(1);
+  }
+
+  if (args.includes('--background')) {
+    const logPath = `${dbPath}.reembed.log`;
+    const log = fs.openSync(logPath, 'a');
+    const child = require('child_process').spawn(
+      process.execPath,
+      [__filename, ...args.filter(arg => arg !== '--background')],
+      { detached: true, stdio: ['ignore', log, log] }
+    );
+    child.unref();
+    console.error(`Re-embedding in the background (pid ${child.pid}), logging to ${logPath}`);
+    console.error(`Check progress with: vexify reembed ${dbPath} --status${collection ? ` --collection ${collection}` : ''}`);
+    process.exit(0);
+  }
+
+  const config = getConfig(await withCollectionSettings({
+    dbPath,
+    collection,
+    modelName,
+    embedderProvider: getArgValue('--provider'),
+    host: getArgValue('--host'),
+    ...getEmbedderAuthOptions()
+  }));
+  const store = new SQLiteStorageAdapter(dbPath, { collection });
+
+  if (args.includes('--status')) {
+    const job = await Updater.getReembedJob(store);
+    const current = `${await store.getMeta('model')} (${await store.getMeta('dimension')} dimensions)`;
+    if (!job) {
+      console.error(`No re-embed in progress. Index model: ${current}`);
+    } else {
+      const percent = job.total > 0 ? Math.floor(job.processed / job.total * 100) : 0;
+      console.error(`Re-embedding ${current} → ${job.model} (${job.dimension} dimensions)`);
+      console.error(`  Progress: ${job.processed}/${job.total} documents (${percent}%)`);
+      console.error(`  Started: ${job.startedAt}`);
+      if (job.updatedAt) console.error(`  Last update: ${job.updatedAt}`);
+    }
+    store.close();
+    process.exit(0);
+  }
+
+  const { embedder, embedderType } = await VecStoreFactory.createEmbedder(config);
+  const dimension = await VecStoreFactory.probeDimension(embedder, config);
+
+  if (embedder.modelName === await store.getMeta('model') && String(dimension) === await store.getMeta('dimension')) {
+    console.error(`✓ ${dbPath} is already indexed with ${embedder.modelName} (${dimension} dimensions)`);
+    store.close();
+    process.exit(0);
+  }
+
+  const vecStore = new VecStore({
+    embedder,
+    store,
+    search: new SqliteVecSearch(store.db, await store.getVectorTable(), dimension, store.collection),
+    embedBatchSize: config.embedBatchSize,
+    embedBatchTokens: config.embedBatchTokens,
+    embedConcurrency: config.embedConcurrency,
+    modelName: embedder.modelName,
+    dimension,
+    validateDimension: validateModelDimension
+  });
+
+  const updater = new Updater(vecStore);
+  const job = await Updater.getReembedJob(store);
+  console.error(job && job.model === embedder.modelName && job.dimension === dimension && !args.includes('--restart')
+    ? `Resuming re-embed with ${embedder.modelName} (${job.processed}/${job.total} documents done)...`
+    : `Re-embedding ${dbPath} with ${embedder.modelName} (${dimension} dimensions)...`);
+
+  const batchSize = parseInt(getArgValue('--batch-size')) || undefined;
+  const results = await updater.reembed({
+    provider: embedderType,
+    batchSize,
+    restart: args.includes('--restart'),
+    onProgress: ({ processed, total }) => {
+      const percent = total > 0 ? Math.floor(processed / total * 100) : 100;
+      console.error(`  [${processed}/${total}] ${percent}%`);
+    }
+  });
+
+  console.error(`\n✓ Switched ${dbPath} to ${embedder.modelName}:`);
+  console.error(`  Re-embedded: ${results.reprocessed} documents`);
+
+  store.close();
+  process.exit(0);
+}
+
+async function migrate() {
+  const dbPath = getPositionalArgs()[0];
+  if (!dbPath) {
+    console.error('Usage: vexify migrate <db-path> [--dry-run]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(dbPath)) {
+    console.error(`Database not found: ${dbPath}`);
+    process.exit(1);
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const store = new SQLiteStorageAdapter(dbPath, { migrate: false });
+
+  try {
+    const result = store.migrator.migrate({ dryRun });
+    const migrations = dryRun ? result.pending : result.applied;
+
+    if (migrations.length === 0) {
+      console.error(`✓ ${dbPath} is up to date (schema version ${result.from})`);
+    } else {
+      console.error(dryRun
+        ? `Would migrate ${dbPath} from schema version ${result.from} to ${result.to}:`
+        : `✓ Migrated ${dbPath} from schema version ${result.from} to ${result.to}:`);
+      migrations.forEach(migration => {
+        console.error(`  ${migration.version}. ${migration.name}`);
+      });
+    }
+  } finally {
+    store.close();
+  }
+
+  process.exit(0);
+}
+
+async function verify() {
+  const dbPath = getPositionalArgs(['--collection'])[0];
+  if (!dbPath) {
+    console.error('Usage: vexify verify <db-path> [--repair] [--collection <name>]');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(dbPath)) {
+    console.error(`Database not found: ${dbPath}`);
+    process.exit(1);
+  }
+
+  const collection = getArgValue('--collection') || undefined;
+  await withCollectionSettings({ dbPath, collection });
+
+  const store = new SQLiteStorageAdapter(dbPath, { collection });
+  const dimension = parseInt(await store.getMeta('dimension')) || undefined;
+  const verifier = new IndexVerifier(store, new SqliteVecSearch(store.db, await store.getVectorTable(), dimension, store.collection));
+
+  let exitCode = 0;
+  try {
+    const report = await verifier.check();
+
+    console.error(`Database: ${dbPath}${collection ? ` (collection ${collection})` : ''}`);
+    console.error(`  Documents: ${report.documents}`);
+    console.error(`  Vectors: ${report.vectors}${report.indexDimension ? ` (${report.indexDimension} dimensions)` : ' (no vector index)'}`);
+    console.error(`  Orphan vectors (no document): ${report.orphanVectors.length}`);
+    console.error(`  Missing vectors: ${report.missingVectors.length}`);
+    console.error(`  Stale vectors: ${report.staleVectors.length}`);
+    console.error(`  Wrong dimension: ${report.wrongDimension.length}`);
+    console.error(`  Keyword index: ${report.orphanFts} orphaned, ${report.missingFts} missing`);
+
+    if (report.ok) {
+      console.error('\n✓ Database is consistent');
+    } else if (args.includes('--repair')) {
+      const repaired = await verifier.repair(report);
+      console.error(`\n✓ Repaired: removed ${repaired.orphanVectors} orphan vectors, ` +
+        `restored ${repaired.missingVectors} missing and ${repaired.staleVectors} stale vectors, ` +
+        `fixed ${repaired.fts} keyword index rows`);
+      if (report.wrongDimension.length > 0) {
+        console.error(`⚠ ${report.wrongDimension.length} documents have vectors of another dimension; ` +
+          `re-embed them with: vexify reembed ${dbPath} --model <model>${collection ? ` --collection ${collection}` : ''}`);
+        exitCode = 1;
+      }
+    } else {
+      console.error('\nRun again with --repair to fix these issues');
+      exitCode = 1;
+    }
+  } finally {
+    store.close();
+  }
+
+  process.exit(exitCode);
+}
+
+async function exportStore() {
+  const positional = getPositionalArgs(['--format', '--collection', '--batch-size']);
+  const [dbPath, filePath] = positional;
+
+  if (!dbPath || !filePath) {
+    console.error('Usage: vexify export <db-path> <file> [--format jsonl|columnar] [--no-vectors] [--collection <name>]');
+    console.error('');
+    console.error('jsonl writes one document per line; columnar writes row groups with packed float32 vectors,');
+    console.error('which is smaller and faster to load. Both start with a header describing the model.');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(dbPath)) {
+    console.error(`Database not found: ${dbPath}`);
+    process.exit(1);
+  }
+
+  const collectionName = getArgValue('--collection') || undefined;
+  const store = new SQLiteStorageAdapter(dbPath, { collection: collectionName });
+
+  try {
+    if (!(await store.collectionExists(store.collection))) {
+      throw new Error(`Collection ${store.collection} does not exist in ${dbPath}`);
+    }
+
+    const exporter = new Exporter(store, {
+      format: getArgValue('--format') || 'jsonl',
+      vectors: !args.includes('--no-vectors'),
+      batchSize: parseInt(getArgValue('--batch-size')) || undefined
+    });
+    const result = await exporter.exportTo(filePath);
+
+    const model = result.model ? `${result.model.name} (${result.model.dimension} dimensions)` : 'no recorded model';
+    console.error(`✓ Exported ${result.documents} documents to ${filePath} (${result.layout}, ${model}` +
+      `${result.vectors ? '' : ', without vectors'})`);
+  } finally {
+    store.close();
+  }
+
+  process.exit(0);
+}
+
+async function importStore() {
+  const positional = getPositionalArgs(['--collection', '--batch-size', ...EMBEDDER_FLAGS]);
+  const [dbPath, filePath, modelArg] = positional;
+
+  if (!dbPath || !filePath) {
+    console.error('Usage: vexify import <db-path> <file> [model] [--collection <name>] [--provider <vllm|ollama|transformers|openai>] [--host <url>]');
+    console.error('');
+    console.error('Vectors in the file are used as-is when the target uses the same model, so no embedding');
+    console.error('service is needed. Otherwise every document is re-embedded with the target model.');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    console.error(`File not found: ${filePath}`);
+    process.exit(1);
+  }
+
+  const header = await Importer.readHeader(filePath);
+  const collectionName = getArgValue('--collection') || undefined;
+
+  // Imports create the named collection they target, seeded with the export's model
+  let created = false;
+  const store = new SQLiteStorageAdapter(dbPath, { collection: collectionName });
+  if (!(await store.collectionExists(store.collection))) {
+    await store.createCollection(store.collection);
+    created = true;
+  }
+  const storedModel = await store.getMeta('model');
+  store.close();
+
+  const modelName = modelArg || storedModel || (header.model && header.model.name);
+  const provider = getArgValue('--provider');
+
+  let vecStore;
+  try {
+    if (header.vectors && header.model && modelName === header.model.name && !provider) {
+      vecStore = await VecStoreFactory.openWithoutEmbedder({
+        dbPath,
+        collection: collectionName,
+        modelName,
+        dimension: header.model.dimension,
+        provider: header.model.provider
+      });
+    } else {
+      const sameModel = header.model && modelName === header.model.name;
+      vecStore = await VecStoreFactory.create(getConfig(await withCollectionSettings({
+        dbPath,
+        collection: collectionName,
+        modelName,
+        embedderProvider: provider || (sameModel ? header.model.provider : undefined),
+        host: getArgValue('--host'),
+        ...getEmbedderAuthOptions()
+      })));
+    }
+  } catch (error) {
+    if (created) {
+      const cleanup = new SQLiteStorageAdapter(dbPath);
+      await cleanup.dropCollection(collectionName);
+      cleanup.close();
+    }
+    throw error;
+  }
+
+  const importer = new Importer(vecStore, { batchSize: parseInt(getArgValue('--batch-size')) || undefined });
+  const reembed = !Importer.canUseVectors(header, vecStore.modelName, vecStore.dimension);
+
+  console.error(`Importing ${header.documents} documents from ${filePath} into ${dbPath}` +
+    `${collectionName ? ` (collection ${collectionName})` : ''}`);
+  if (reembed) {
+    const from = header.model ? header.model.name : 'an unrecorded model';
+    console.error(header.vectors
+      ? `Re-embedding with ${vecStore.modelName}, the export was made with ${from}`
+      : `Embedding with ${vecStore.modelName}, the export has no vectors`);
+  }
+
+  const results = await importer.importFrom(filePath, (done, total) => {
+    console.error(`  [${done}/${total}] ${total > 0 ? Math.round(done / total * 100) : 100}%`);
+  });
+
+  console.error(`\n✓ Imported ${results.imported} documents`);
+  if (results.skipped > 0) {
+    console.error(`  Skipped: ${results.skipped} without content to embed`);
+  }
+  if (results.errors.length > 0) {
+    console.error(`\n⚠ Errors (${results.errors.length}):`);
+    results.errors.slice(0, 5).forEach(err => {
+      console.error(`  - ${err.id}: ${err.error}`);
+    });
+  }
+
+  vecStore.store.close();
+  process.exit(results.errors.length > 0 ? 1 : 0);
+}
+
+async function getCollectionModels(store) {
+  const models = [];
+  for (const name of await store.listCollections()) {
+    const scoped = store.forCollection(name);
+    const model = await scoped.getMeta('model');
+    const dimension = parseInt(await scoped.getMeta('dimension'));
+    if (model && dimension) models.push({ model, dimension });
+
+    // A paused or running re-embed keeps its staged vectors in the cache until the swap
+    const job = await Updater.getReembedJob(scoped);
+    if (job && job.dimension) models.push({ model: job.model, dimension: job.dimension });
+  }
+  return models;
+}
+
+async function collection() {
+  const positional = getPositionalArgs(['--model', ...EMBEDDER_FLAGS]);
+  const [subcommand, dbPath, name] = positional;
+
+  if (!['create', 'list', 'drop'].includes(subcommand) || !dbPath || (subcommand !== 'list' && !name)) {
+    console.error('Usage: vexify collection create <db-path> <name> [--model <model>] [--provider <vllm|ollama|transformers|openai>] [--host <url>]');
+    console.error('       vexify collection list <db-path>');
+    console.error('       vexify collection drop <db-path> <name>');
+    console.error('');
+    console.error('Each collection has its own embedding model and vector index. Use --collection <name>');
+    console.error('with sync, crawl, code, gdrive and query to work with one.');
+    process.exit(1);
+  }
+
+  if (subcommand !== 'create' && !fs.existsSync(dbPath)) {
+    console.error(`Database not found: ${dbPath}`);
+    process.exit(1);
+  }
+
+  const store = new SQLiteStorageAdapter(dbPath);
+
+  if (subcommand === 'list') {
+    try {
+      console.error(`Collections in ${dbPath}:`);
+      for (const collectionName of await store.listCollections()) {
+        const scoped = store.forCollection(collectionName);
+        const model = await scoped.getMeta('model');
+        const embedding = model
+          ? `${model} (${await scoped.getMeta('dimension')} dimensions, ${await scoped.getMeta('provider')})`
+          : 'no model yet';
+        console.error(`  ${collectionName}: ${await scoped.countDocuments()} documents, ${embedding}`);
+      }
+    } finally {
+      store.close();
+    }
+    process.exit(0);
+  }
+
+  if (subcommand === 'drop') {
+    try {
+      const removed = await store.dropCollection(name);
+      console.error(`✓ Dropped collection ${name} (${removed} documents)`);
+    } finally {
+      store.close();
+    }
+    process.exit(0);
+  }
+
+  await store.createCollection(name);
+  store.close();
+
+  const host = getArgValue('--host');
+  let vecStore;
+  try {
+    vecStore = await VecStoreFactory.create(getConfig({
+      dbPath,
+      collection: name,
+      modelName: getArgValue('--model'),
+      embedderProvider: getArgValue('--provider'),
+      host,
+      ...getEmbedderAuthOptions()
+    }));
+  } catch (error) {
+    // Don't leave a collection behind whose embedder never worked
+    const cleanup = new SQLiteStorageAdapter(dbPath);
+    await cleanup.dropCollection(name);
+    cleanup.close();
+    throw error;
+  }
+
+  if (host) await vecStore.store.setMeta('host', host);
+
+  console.error(`✓ Created collection ${name} with ${vecStore.modelName} (${vecStore.dimension} dimensions, ` +
+    `${await vecStore.store.getMeta('provider')})`);
+  process.exit(0);
+}
+
+async function cache() {
+  const positional = getPositionalArgs(['--older-than']);
+  const subcommand = positional[0];
+  const dbPath = positional[1];
+
+  if (subcommand !== 'prune' || !dbPath) {
+    console.error('Usage: vexify cache prune <db-path> [--older-than <days>] [--keep-orphans] [--all]');
+    console.error('');
+    console.error('By default removes cached embeddings that no document uses and embeddings for');
+    console.error('models other than the ones the database\'s collections are indexed with.');
+    console.error('--older-than limits that to entries not used for the given number of days.');
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(dbPath)) {
+    console.error(`Database not found: ${dbPath}`);
+    process.exit(1);
+  }
+
+  const olderThan = getArgValue('--older-than');
+  const store = new SQLiteStorageAdapter(dbPath);
+
+  try {
+    const before = await store.getEmbeddingCacheStats();
+    const removed = await store.pruneEmbeddingCache({
+      all: args.includes('--all'),
+      keepOrphans: args.includes('--keep-orphans'),
+      olderThanDays: olderThan ? parseFloat(olderThan) : null,
+      models: await getCollectionModels(store)
+    });
+    const after = await store.getEmbeddingCacheStats();
+
+    const total = stats => stats.reduce((sum, row) => sum + row.entries, 0);
+    console.error(`✓ Pruned ${removed} cached embeddings (${total(before)} → ${total(after)})`);
+    after.forEach(row => {
+      console.error(`  ${row.model} (${row.dimension}d): ${row.entries}`);
+    });
+  } finally {
+    store.close();
+  }
+
+  process.exit(0);
+}
+
 async function syncGdrive() {
   if (args.length < 3) {
     console.error('Usage: vexify gdrive <db-path> <folder-id> [options]');
@@ -362,6 +1036,7 @@ async function syncGdrive() {
     console.error('  --max-files <N>             Maximum files to process (default: 1000)');
     console.error('  --model <name>              Embedding model (default: nomic-embed-text)');
     console.error('  --incremental               Process 1 file at a time, resume on next call');
+    console.error('  --collection <name>         Index into a named collection');
     process.exit(1);
   }
 
@@ -384,6 +1059,8 @@ async function syncGdrive() {
       options.embedderProvider = args[++i];
     } else if (args[i] === '--host') {
       options.host = args[++i];
+    } else if (args[i] === '--collection') {
+      options.collection = args[++i];
     } else if (args[i] === '--incremental') {
       options.incrementalMode = true;
       options.maxFiles = 1;
@@ -395,12 +1072,14 @@ async function syncGdrive() {
     process.exit(1);
   }
 
-  const config = getConfig({
+  const config = getConfig(await withCollectionSettings({
     dbPath,
+    collection: options.collection,
     modelName: options.modelName,
     embedderProvider: options.embedderProvider,
-    host: options.host
-  });
+    host: options.host,
+    ...getEmbedderAuthOptions()
+  }));
   const vecStore = await VecStoreFactory.create(config);
 
   const crawler = new GoogleDriveCrawler(options);
@@ -442,23 +1121,25 @@ async function crawlCode() {
     console.error('');
     console.error('Options:');
     console.error('  --db-path <path>        Database file (default: ./code.db)');
-    console.error('  --model <name>          Embedding model (default: unclemusclez/jina-embeddings-v2-base-code)');
+    console.error('  --model <name>          Embedding model (default: the provider\'s code model, e.g. unclemusclez/jina-embeddings-v2-base-code for ollama)');
     console.error('  --max-depth <N>         Maximum directory depth (default: 10)');
     console.error('  --max-size <MB>         Maximum file size in MB (default: 1)');
     console.error('  --include-binary        Include binary files');
     console.error('  --ignore <pattern>      Additional ignore pattern (can be used multiple times)');
+    console.error('  --collection <name>     Index into a named collection');
     process.exit(1);
   }
 
   // Parse options
   let dbPath = './code.db';
-  let modelName = 'unclemusclez/jina-embeddings-v2-base-code';
+  let modelName;
   let maxDepth = 10;
   let maxSizeMB = 1;
   let includeBinary = false;
   let customIgnorePatterns = [];
   let embedderProvider;
   let host;
+  let collection;
 
   for (let i = 2; i < args.length; i++) {
     switch (args[i]) {
@@ -486,6 +1167,17 @@ async function crawlCode() {
       case '--ignore':
         customIgnorePatterns.push(args[++i]);
         break;
+      case '--collection':
+        collection = args[++i];
+        break;
+      case '--chunker':
+      case '--chunk-size':
+      case '--chunk-overlap':
+      case '--api-key-env':
+      case '--api-key-header':
+      case '--embedding-path':
+        i++;
+        break;
       default:
         console.error(`Unknown option: ${args[i]}`);
         process.exit(1);
@@ -498,11 +1190,18 @@ async function crawlCode() {
     process.exit(1);
   }
 
-  const config = getConfig({
+  const options = await withCollectionSettings({
     dbPath,
+    collection,
     modelName,
     embedderProvider,
-    host
+    host,
+    ...getEmbedderAuthOptions(),
+    chunking: getChunkingOptions()
+  });
+  const config = getConfig({
+    ...options,
+    modelName: options.modelName || selectDefaultModel(options.embedderProvider || getConfig().embedderProvider, true)
   });
 
   const vecStore = await VecStoreFactory.create(config);
@@ -510,7 +1209,7 @@ async function crawlCode() {
   console.error(`🔍 Code repository crawler`);
   console.error(`Directory: ${rootPath}`);
   console.error(`Database: ${dbPath}`);
-  console.error(`Model: ${modelName}`);
+  console.error(`Model: ${config.modelName}`);
   console.error(`Max depth: ${maxDepth}`);
   console.error(`Max file size: ${maxSizeMB}MB`);
   if (customIgnorePatterns.length > 0) {
@@ -529,7 +1228,7 @@ async function crawlCode() {
   let indexed = { added: 0, skipped: 0 };
 
   const onPageCrawled = async (doc) => {
-    const result = await vecStore.addDocument(doc.id, doc.content, doc.metadata);
+    const result = await vecStore.addChunkedDocument(doc.id, doc.content, doc.metadata);
     if (result.skipped) {
       indexed.skipped++;
     } else {
@@ -552,13 +1251,18 @@ async function startMcpServer() {
   const options = {
     silent: true
   };
+  const httpOptions = {};
+  const directories = [];
+  let workspaceFile = null;
 
   // Parse MCP-specific options (all optional now)
   for (let i = 1; i < args.length; i++) {
     if (args[i] === '--db-path') {
       options.dbPath = args[++i];
     } else if (args[i] === '--directory') {
-      options.directory = args[++i];
+      directories.push(args[++i]);
+    } else if (args[i] === '--workspace') {
+      workspaceFile = args[++i];
     } else if (args[i] === '--model') {
       options.modelName = args[++i];
     } else if (args[i] === '--provider') {
@@ -567,13 +1271,60 @@ async function startMcpServer() {
       options.host = args[++i];
     } else if (args[i] === '--verbose') {
       options.silent = false;
+    } else if (args[i] === '--http') {
+      httpOptions.port = parseInt(args[++i], 10);
+    } else if (args[i] === '--bind') {
+      httpOptions.host = args[++i];
+    } else if (args[i] === '--auth-token-env') {
+      httpOptions.authTokenEnv = args[++i];
+    }
+  }
+
+  // Several --directory flags or a workspace file serve one index over several roots
+  try {
+    if (workspaceFile) {
+      if (directories.length > 0) {
+        throw new Error('Use either --workspace or --directory');
+      }
+      options.roots = loadWorkspaceFile(workspaceFile);
+    } else if (directories.length > 1) {
+      options.roots = createRoots(directories);
+    } else {
+      options.directory = directories[0];
     }
+  } catch (error) {
+    console.error(`MCP server error: ${error.message}`);
+    process.exit(1);
   }
 
-  const server = new MCPServer(options);
+  if (httpOptions.port !== undefined && !(httpOptions.port >= 0 && httpOptions.port <= 65535)) {
+    console.error('--http requires a port number');
+    process.exit(1);
+  }
+  if (httpOptions.authTokenEnv) {
+    if (httpOptions.port === undefined) {
+      console.error('--auth-token-env only applies with --http');
+      process.exit(1);
+    }
+    if (!process.env[httpOptions.authTokenEnv]) {
+      console.error(`Environment variable ${httpOptions.authTokenEnv} (from --auth-token-env) is not set`);
+      process.exit(1);
+    }
+    httpOptions.authToken = process.env[httpOptions.authTokenEnv];
+  }
+
+  // Over HTTP nothing else owns stderr, so log unless asked otherwise
+  if (httpOptions.port !== undefined && !args.includes('--quiet')) {
+    options.silent = false;
+  }
+
+  const server = new MCPServer({ ...options, ...getEmbedderAuthOptions(), ...getRerankOptions() });
+  const startServer = () => (httpOptions.port !== undefined
+    ? server.startHttp({ port: httpOptions.port, host: httpOptions.host, authToken: httpOptions.authToken })
+    : server.start());
 
   try {
-    await server.start();
+    await startServer();
   } catch (error) {
     if (error.message.includes('better_sqlite3.node') || error.message.includes('bindings file')) {
       console.error('Detecting missing better-sqlite3 build, attempting auto-fix...');
@@ -584,7 +1335,7 @@ async function startMcpServer() {
           execSync(`node "${installScript}"`, { stdio: 'inherit' });
           console.error('Auto-fix completed, retrying MCP server start...');
           delete require.cache[require.resolve('better-sqlite3')];
-          await server.start();
+          await startServer();
           return;
         }
       } catch (fixError) {
@@ -606,11 +1357,103 @@ async function startMcpServer() {
       process.exit(1);
     }
 
+    if (error.code === 'EADDRINUSE') {
+      console.error(`MCP server error: port ${httpOptions.port} is already in use`);
+      process.exit(1);
+    }
+
     console.error('MCP server error:', error.message);
     process.exit(1);
   }
 }
 
+async function serve() {
+  const positional = getPositionalArgs([...EMBEDDER_FLAGS, ...RERANK_FLAGS, '--port', '--bind', '--auth-token-env', '--collection', '--mode', '--hybrid-weight', '--max-body', '--max-upload']);
+  if (positional.length < 1) {
+    console.error('Usage: vexify serve <db-path> [model] [--port <port>] [--bind <host>] [--auth-token-env <VAR>] [--collection <name>] [--mode <hybrid|vector|keyword>] [--max-body <MB>] [--max-upload <MB>] [--no-ui] [--provider <vllm|ollama|transformers|openai>] [--host <url>]');
+    process.exit(1);
+  }
+
+  const port = getArgValue('--port') !== null ? parseInt(getArgValue('--port'), 10) : 3200;
+  if (!(port >= 0 && port <= 65535)) {
+    console.error('--port requires a port number');
+    process.exit(1);
+  }
+
+  let apiKey = null;
+  const authTokenEnv = getArgValue('--auth-token-env');
+  if (authTokenEnv) {
+    if (!process.env[authTokenEnv]) {
+      console.error(`Environment variable ${authTokenEnv} (from --auth-token-env) is not set`);
+      process.exit(1);
+    }
+    apiKey = process.env[authTokenEnv];
+  }
+
+  const megabytes = (flag) => {
+    const value = getArgValue(flag);
+    if (value === null) return undefined;
+    const bytes = Math.floor(parseFloat(value) * 1024 * 1024);
+    if (!(bytes > 0)) {
+      console.error(`${flag} requires a size in MB`);
+      process.exit(1);
+    }
+    return bytes;
+  };
+  const maxBodyBytes = megabytes('--max-body');
+  const maxUploadBytes = megabytes('--max-upload');
+
+  const hybridWeight = getArgValue('--hybrid-weight');
+  const config = getConfig(await withCollectionSettings({
+    dbPath: positional[0],
+    modelName: positional[1],
+    embedderProvider: getArgValue('--provider'),
+    host: getArgValue('--host'),
+    collection: getArgValue('--collection') || undefined,
+    searchMode: getArgValue('--mode') || undefined,
+    hybridWeight: hybridWeight ? parseFloat(hybridWeight) : undefined,
+    ...getEmbedderAuthOptions(),
+    ...getRerankOptions()
+  }));
+
+  const vecStore = await VecStoreFactory.create(config);
+  const server = new ApiServer(vecStore, {
+    port,
+    host: getArgValue('--bind') || undefined,
+    apiKey,
+    maxBodyBytes,
+    maxUploadBytes,
+    ui: !args.includes('--no-ui'),
+    silent: args.includes('--quiet')
+  });
+
+  let address;
+  try {
+    address = await server.start();
+  } catch (error) {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`Serve error: port ${port} is already in use`);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  console.error(`✓ Serving ${config.dbPath}${vecStore.store.collection !== 'default' ? ` (collection ${vecStore.store.collection})` : ''} ` +
+    `on http://${address.address}:${address.port} (model: ${vecStore.modelName}${apiKey ? ', API key required' : ''})`);
+  if (!args.includes('--no-ui')) {
+    console.error(`  Search and index inspection: http://${address.address}:${address.port}/`);
+  }
+  console.error(`  OpenAPI description: http://${address.address}:${address.port}/openapi.json`);
+
+  const shutdown = async () => {
+    await server.close();
+    vecStore.store.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
 function help() {
   console.error(`
 vexify - Portable vector database with vLLM or Ollama embeddings
@@ -622,24 +1465,82 @@ Commands:
   init <db-path> [model]                      Initialize a new vector store
   add <db-path> <id> <text> [model]           Add a document
   query <db-path> <query> [topK] [model]      Query the vector store
-  sync <db-path> <folder-path> [model] [opts] Sync folder with database
+  sync <db-path> <folder-path> [model] [opts] Sync folder with database (only changed files are re-indexed; --dry-run prints the plan, --watch keeps syncing)
   crawl <url> [output-dir] [opts]             Crawl site with automatic indexing
   code <directory-path> [opts]                Index code repository with smart ignore patterns
   gdrive <db-path> <folder-id> [opts]         Sync Google Drive folder
-  update <db-path> [model]                    Re-embed old documents with new version
-  mcp [options]                               Start MCP server for agent integration (syncs before each search, uses current directory and ./.vexify.db by default)
+  update <db-path> [model] [--migrate]        Re-embed old documents with new version
+                                              (--migrate re-embeds everything for a different model)
+  reembed <db-path> --model <model> [opts]    Switch to another model, building the new index while the old one serves queries
+  verify <db-path> [--repair]                 Check documents, vector and keyword indexes agree
+  collection <create|list|drop> <db-path> [name]
+                                              Manage named collections, each with its own model and vector index
+  export <db-path> <file> [opts]              Write documents, vectors and the model descriptor to a portable file
+  import <db-path> <file> [model] [opts]      Load an export, re-embedding when the target model differs
+  cache prune <db-path> [opts]                Remove unused entries from the embedding cache
+  migrate <db-path> [--dry-run]               Upgrade a database's schema in place (runs automatically on open)
+  mcp [options]                               Start MCP server for agent integration (reindexes changed files as they change, uses current directory and ./.vexify.db by default)
+  serve <db-path> [model] [opts]              Serve the store as an HTTP JSON API (query, documents, file ingest, sources)
+                                              and a browser UI for searching and inspecting the index
   processors                                   List supported file formats
   help                                         Show this help message
 
 General Options:
-  --provider <vllm|ollama>   Embedding provider (default: vllm)
-  --host <url>               Provider host (default: http://localhost:8000 for vllm, http://localhost:11434 for ollama)
+  --provider <name>          Embedding provider: vllm, ollama, transformers, openai, or auto (default: vllm)
+  --host <url>               Provider host (default: http://localhost:8000 for vllm, http://localhost:11434 for ollama,
+                             https://api.openai.com for openai)
   --model <name>             Embedding model (default: BAAI/bge-base-en-v1.5 for vllm, embeddinggemma for ollama)
 
+OpenAI-compatible Provider Options (--provider openai):
+  --api-key-env <VAR>        Read the API key from this environment variable (default: OPENAI_API_KEY)
+  --api-key-header <name>    Header carrying the key (default: Authorization, sent as "Bearer <key>")
+  --embedding-path <path>    Embeddings endpoint path (default: /v1/embeddings)
+                             Models outside the built-in registry have their dimension probed on first call
+
+Query Options:
+  --mode <hybrid|vector|keyword>  Search mode (default: vector)
+  --hybrid-weight <0-1>      Vector weight when fusing hybrid rankings (default: 0.5)
+  --where <expr>             Metadata filter, e.g. "source=code,language=python|go,filePath=src/**,processedAt>=2025-01-01"
+                             Fields: source, language, type, mimeType, filePath (glob), crawlUrl (prefix), processedAt, modifiedTime
+  --collection <a,b>         Search these collections; scores are normalised per collection before merging
+  --all-collections          Search every collection in the database
+
+Collection Options (sync, crawl, code, gdrive, reembed, verify):
+  --collection <name>        Index, re-embed or verify a named collection (create it first with: vexify collection create)
+
+Rerank Options (query, mcp, serve):
+  --rerank <model>           Rescore the top candidates with a cross-encoder, e.g. Xenova/ms-marco-MiniLM-L-6-v2
+                             (runs in-process with transformers.js unless --rerank-host is given)
+  --rerank-host <url>        Use a reranker served over HTTP instead (vLLM or text-embeddings-inference /rerank)
+  --rerank-candidates N      Candidates passed to the reranker before the top K are kept (default: 50)
+  --rerank-api-key-env <VAR> Send the key in this environment variable as a bearer token to --rerank-host
+
+Diversity Options (query):
+  --mmr                      Reorder results with maximal marginal relevance to avoid near-duplicate chunks
+  --mmr-lambda <0-1>         Relevance/diversity trade-off for --mmr, 1 = relevance only (default: 0.5)
+  --max-per-source N         Return at most N results per file, URL or Drive file; further hits are listed
+                             as other matching locations of the best one
+
 Sync Options:
   --extensions .pdf,.txt     File extensions to process (default: all supported)
   --no-recursive             Don't scan subfolders
 
+Chunking Options (sync, crawl, code):
+  --chunker <strategy>       auto, code, window, markdown, paragraph, or none (default: auto)
+                             auto splits JS/TS and Python along function/class boundaries
+  --chunk-size N             Maximum tokens per chunk (default: 512)
+  --chunk-overlap N          Tokens shared between sliding windows (default: 64)
+
+Export/Import Options:
+  --format <jsonl|columnar>  Export layout (default: jsonl); import detects it
+  --no-vectors               Export content only; importing it embeds every document
+  --collection <name>        Export or import one collection (import creates it if needed)
+
+Cache Options (cache prune):
+  --older-than <days>        Limit pruning to entries not used for this many days
+  --keep-orphans             Keep entries no current document uses (e.g. reverted edits)
+  --all                      Clear the whole embedding cache
+
 Crawl Options:
   --max-pages N              Maximum pages to crawl (default: 10000)
   --max-depth N              Maximum link depth (default: 3)
@@ -661,8 +1562,29 @@ Google Drive Options:
 
 MCP Server Options:
   --db-path <path>           Database file (default: ./.vexify.db)
-  --directory <path>         Directory to index/search (default: current directory)
-  --model <name>             Embedding model (default: unclemusclez/jina-embeddings-v2-base-code)
+  --directory <path>         Directory to index/search (default: current directory); repeat it to serve several
+                             roots from one index, e.g. sibling repositories and a docs folder
+  --workspace <file>         JSON file listing roots, each with its own path, name, model, collection and
+                             ignore patterns (see MCP_INTEGRATION.md)
+  --model <name>             Embedding model (default: the provider's code model for code repositories,
+                             e.g. unclemusclez/jina-embeddings-v2-base-code for ollama)
+  --http <port>              Serve MCP over HTTP instead of stdio, so several agents share one process and index
+                             (streamable HTTP on /mcp, legacy HTTP+SSE on /sse)
+  --bind <host>              Address to listen on with --http (default: 127.0.0.1)
+  --auth-token-env <VAR>     Require the token in this environment variable as a bearer token (with --http)
+  --quiet                    Don't log to stderr with --http
+
+Serve Options:
+  --port <port>              Port to listen on (default: 3200)
+  --bind <host>              Address to listen on (default: 127.0.0.1)
+  --auth-token-env <VAR>     Require the key in this environment variable, sent as X-API-Key or a bearer token
+  --collection <name>        Serve a named collection instead of the default one
+  --mode <hybrid|vector|keyword>  Default search mode for /query (default: vector)
+  --max-body <MB>            Largest JSON request body (default: 1)
+  --max-upload <MB>          Largest file accepted by /ingest (default: 25)
+  --no-ui                    Don't serve the search and inspection page on /
+  --quiet                    Don't log requests that fail or ingest files
+                             The API is described at /openapi.json
 
 Crawl Features:
   ✓ Automatic resume on Ctrl+C - state saved to .crawl-state.json
@@ -680,8 +1602,17 @@ Examples:
   npx vexify init ./mydb.db
   npx vexify add ./mydb.db doc1 "Hello world"
   npx vexify query ./mydb.db "greeting" 5
+  npx vexify query ./mydb.db "ERR_CONNECTION_REFUSED" --mode hybrid
+  npx vexify query ./mydb.db "retry logic" --where "language=javascript,filePath=lib/**"
+  npx vexify query ./mydb.db "retry logic" --rerank Xenova/ms-marco-MiniLM-L-6-v2
+  npx vexify query ./mydb.db "retry logic" --rerank BAAI/bge-reranker-v2-m3 --rerank-host http://localhost:8080
+  npx vexify query ./library.db "quarterly revenue" 10 --mmr --max-per-source 1
   npx vexify sync ./mydb.db ./docs
   npx vexify sync ./mydb.db ./docs --extensions .pdf,.docx
+  npx vexify sync ./mydb.db ./docs --dry-run
+  npx vexify sync ./mydb.db ./docs --watch
+  npx vexify sync ./mydb.db ./docs text-embedding-3-small --provider openai --api-key-env OPENAI_API_KEY
+  npx vexify sync ./mydb.db ./docs bge-m3 --provider openai --host http://localhost:4000 --api-key-env LITELLM_KEY
   npx vexify crawl https://example.com
   npx vexify crawl https://example.com --max-pages=5000
   npx vexify code ./my-project --model unclemusclez/jina-embeddings-v2-base-code
@@ -689,9 +1620,25 @@ Examples:
   npx vexify gdrive ./mydb.db root --service-account ./sa.json --impersonate user@domain.com
   npx vexify gdrive ./mydb.db 1ABC_folderID --client-secret ./oauth.json
   npx vexify update ./mydb.db
+  npx vexify reembed ./mydb.db --model mxbai-embed-large --provider ollama --background
+  npx vexify reembed ./mydb.db --status
+  npx vexify collection create ./mydb.db code --model unclemusclez/jina-embeddings-v2-base-code --provider ollama
+  npx vexify code ./my-project --db-path ./mydb.db --collection code
+  npx vexify query ./mydb.db "auth middleware" --all-collections
+  npx vexify export ./mydb.db ./mydb.jsonl
+  npx vexify export ./mydb.db ./mydb.vexify --format columnar
+  npx vexify import ./seed.db ./mydb.vexify
+  npx vexify import ./seed.db ./mydb.jsonl nomic-embed-text --provider ollama
+  npx vexify migrate ./mydb.db --dry-run
+  npx vexify cache prune ./mydb.db --older-than 30
+  npx vexify verify ./mydb.db --repair
   npx vexify mcp
   npx vexify mcp --directory ./my-project --db-path ./project.db
   npx vexify mcp --directory ~/docstudio --model nomic-embed-text
+  npx vexify mcp --directory ./my-project --http 3100 --auth-token-env VEXIFY_MCP_TOKEN
+  npx vexify mcp --directory ../api --directory ../web --directory ../docs --db-path ./workspace.db
+  npx vexify mcp --workspace ./vexify-workspace.json --db-path ./workspace.db
+  npx vexify serve ./mydb.db --port 3200 --auth-token-env VEXIFY_API_KEY
   npx vexify processors
 
 Default model: nomic-embed-text (via Ollama) - fast, cross-platform (x86, ARM, Apple Silicon)
@@ -728,9 +1675,33 @@ async function main() {
       case 'update':
         await update();
         break;
+      case 'reembed':
+        await reembed();
+        break;
+      case 'migrate':
+        await migrate();
+        break;
+      case 'collection':
+        await collection();
+        break;
+      case 'export':
+        await exportStore();
+        break;
+      case 'import':
+        await importStore();
+        break;
+      case 'cache':
+        await cache();
+        break;
+      case 'verify':
+        await verify();
+        break;
       case 'mcp':
         await startMcpServer();
         break;
+      case 'serve':
+        await serve();
+        break;
       case 'processors':
         listProcessors();
         break;
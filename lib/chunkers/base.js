@@ -0,0 +1,131 @@
+'use strict';
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+class BaseChunker {
+  constructor(options = {}) {
+    if (this.constructor === BaseChunker) {
+      throw new Error('BaseChunker is abstract');
+    }
+    this.maxTokens = options.maxTokens || 512;
+    this.overlapTokens = Math.min(options.overlapTokens ?? 64, Math.floor(this.maxTokens / 2));
+    this.minTokens = options.minTokens ?? 32;
+  }
+
+  static get strategy() {
+    throw new Error('strategy getter must be implemented');
+  }
+
+  chunk(text, metadata = {}) {
+    throw new Error('chunk method must be implemented');
+  }
+
+  tokenize(text, start = 0, end = text.length) {
+    const tokens = [];
+    const pattern = new RegExp(TOKEN_PATTERN.source, 'gu');
+    pattern.lastIndex = start;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null && match.index < end) {
+      tokens.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return tokens;
+  }
+
+  countTokens(text, start = 0, end = text.length) {
+    return this.tokenize(text, start, end).length;
+  }
+
+  buildLineIndex(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    return lineStarts;
+  }
+
+  lineAt(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  }
+
+  createChunk(text, start, end, lineStarts, extra = {}) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+
+    if (start >= end) return null;
+
+    return {
+      content: text.slice(start, end),
+      startOffset: start,
+      endOffset: end,
+      startLine: this.lineAt(lineStarts, start),
+      endLine: this.lineAt(lineStarts, end - 1),
+      ...extra
+    };
+  }
+
+  windowRange(text, start, end, lineStarts, extra = {}) {
+    const tokens = this.tokenize(text, start, end);
+    if (tokens.length <= this.maxTokens) {
+      const chunk = this.createChunk(text, start, end, lineStarts, extra);
+      return chunk ? [chunk] : [];
+    }
+
+    const chunks = [];
+    const step = Math.max(1, this.maxTokens - this.overlapTokens);
+
+    for (let i = 0; i < tokens.length; i += step) {
+      const last = Math.min(i + this.maxTokens, tokens.length) - 1;
+      const windowStart = i === 0 ? start : tokens[i].start;
+      const windowEnd = last === tokens.length - 1 ? end : tokens[last].end;
+      const chunk = this.createChunk(text, windowStart, windowEnd, lineStarts, extra);
+      if (chunk) chunks.push(chunk);
+      if (last === tokens.length - 1) break;
+    }
+
+    return chunks;
+  }
+
+  packSegments(text, segments, lineStarts) {
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (!current) return;
+      chunks.push(...this.windowRange(text, current.start, current.end, lineStarts, current.extra));
+      current = null;
+    };
+
+    for (const segment of segments) {
+      const tokenCount = this.countTokens(text, segment.start, segment.end);
+      const startsNewGroup = segment.boundary && current && current.tokens >= this.minTokens;
+
+      if (current && (startsNewGroup || current.tokens + tokenCount > this.maxTokens)) {
+        flush();
+      }
+
+      if (!current) {
+        current = { start: segment.start, end: segment.end, tokens: tokenCount, extra: segment.extra || {} };
+      } else {
+        current.end = segment.end;
+        current.tokens += tokenCount;
+      }
+    }
+
+    flush();
+    return chunks;
+  }
+}
+
+module.exports = { BaseChunker };
@@ -0,0 +1,154 @@
+'use strict';
+
+const path = require('path');
+const { BaseChunker } = require('./base');
+const { findJavaScriptSymbols, findPythonSymbols } = require('./symbols');
+
+const SYMBOL_FINDERS = {
+  javascript: findJavaScriptSymbols,
+  python: findPythonSymbols
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: 'javascript',
+  typescript: 'javascript',
+  jsx: 'javascript',
+  module: 'javascript',
+  commonjs: 'javascript',
+  python: 'python'
+};
+
+const EXTENSION_LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'javascript',
+  '.tsx': 'javascript',
+  '.mts': 'javascript',
+  '.cts': 'javascript',
+  '.py': 'python',
+  '.pyw': 'python',
+  '.pyi': 'python'
+};
+
+class CodeChunker extends BaseChunker {
+  static get strategy() {
+    return 'code';
+  }
+
+  static supports(metadata = {}) {
+    return CodeChunker.resolveLanguage(metadata) !== null;
+  }
+
+  static resolveLanguage(metadata = {}) {
+    if (metadata.language && LANGUAGE_ALIASES[metadata.language]) {
+      return LANGUAGE_ALIASES[metadata.language];
+    }
+    const filePath = metadata.filePath || metadata.fileName || '';
+    return EXTENSION_LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  chunk(text, metadata = {}) {
+    const lineStarts = this.buildLineIndex(text);
+    const language = CodeChunker.resolveLanguage(metadata);
+    const findSymbols = SYMBOL_FINDERS[language];
+    const symbols = findSymbols ? findSymbols(text) : [];
+
+    if (symbols.length === 0) {
+      return this.windowRange(text, 0, text.length, lineStarts);
+    }
+
+    const chunks = [];
+    let cursor = 0;
+
+    for (const symbol of symbols) {
+      if (symbol.start > cursor) {
+        chunks.push(...this.windowRange(text, cursor, symbol.start, lineStarts, { symbolKind: 'module' }));
+      }
+      chunks.push(...this.chunkSymbol(text, symbol, lineStarts));
+      cursor = Math.max(cursor, symbol.end);
+    }
+
+    if (cursor < text.length) {
+      chunks.push(...this.windowRange(text, cursor, text.length, lineStarts, { symbolKind: 'module' }));
+    }
+
+    return this.packSmallChunks(text, chunks, lineStarts);
+  }
+
+  // Runs of small neighbours (one-line functions, short methods, imports) are packed
+  // into one chunk of at least minTokens that lists the symbols it covers
+  packSmallChunks(text, chunks, lineStarts) {
+    const groups = [];
+
+    for (const chunk of chunks) {
+      const tokens = this.countTokens(text, chunk.startOffset, chunk.endOffset);
+      const last = groups[groups.length - 1];
+      if (last && last.tokens < this.minTokens && last.tokens + tokens <= this.maxTokens) {
+        last.chunks.push(chunk);
+        last.tokens += tokens;
+      } else {
+        groups.push({ chunks: [chunk], tokens });
+      }
+    }
+
+    const tail = groups[groups.length - 1];
+    const previous = groups[groups.length - 2];
+    if (previous && tail.tokens < this.minTokens && previous.tokens + tail.tokens <= this.maxTokens) {
+      previous.chunks.push(...tail.chunks);
+      previous.tokens += tail.tokens;
+      groups.pop();
+    }
+
+    return groups.map(group => group.chunks.length === 1
+      ? group.chunks[0]
+      : this.joinChunks(text, group.chunks, lineStarts));
+  }
+
+  joinChunks(text, chunks, lineStarts) {
+    const first = chunks[0];
+    const named = chunks.filter(chunk => chunk.symbolName);
+    const names = [...new Set(named.map(chunk => chunk.symbolName))];
+    const kinds = new Set(chunks.map(chunk => chunk.symbolKind));
+    const parents = new Set(chunks.map(chunk => chunk.parentSymbol));
+
+    return this.createChunk(text, first.startOffset, chunks[chunks.length - 1].endOffset, lineStarts, {
+      ...(names.length > 0 && { symbolName: names.join(', ') }),
+      symbolKind: kinds.size === 1 ? first.symbolKind : 'module',
+      ...(parents.size === 1 && first.parentSymbol && { parentSymbol: first.parentSymbol })
+    });
+  }
+
+  chunkSymbol(text, symbol, lineStarts) {
+    const extra = this.symbolMetadata(symbol);
+
+    if (symbol.children.length === 0 || this.countTokens(text, symbol.start, symbol.end) <= this.maxTokens) {
+      return this.windowRange(text, symbol.start, symbol.end, lineStarts, extra);
+    }
+
+    const chunks = [];
+    const firstChild = symbol.children[0];
+    if (firstChild.start > symbol.start) {
+      chunks.push(...this.windowRange(text, symbol.start, firstChild.start, lineStarts, extra));
+    }
+
+    symbol.children.forEach((child, index) => {
+      const next = symbol.children[index + 1];
+      const end = next ? next.start : symbol.end;
+      chunks.push(...this.windowRange(text, child.start, end, lineStarts, this.symbolMetadata(child)));
+    });
+
+    return chunks;
+  }
+
+  symbolMetadata(symbol) {
+    return {
+      symbolName: symbol.name,
+      symbolKind: symbol.kind,
+      ...(symbol.parent && { parentSymbol: symbol.parent })
+    };
+  }
+}
+
+module.exports = { CodeChunker };
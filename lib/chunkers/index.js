@@ -0,0 +1,89 @@
+'use strict';
+
+const { BaseChunker } = require('./base');
+const { SlidingWindowChunker } = require('./window');
+const { MarkdownChunker } = require('./markdown');
+const { ParagraphChunker } = require('./paragraph');
+const { CodeChunker } = require('./code');
+
+const chunkers = new Map();
+
+function register(ChunkerClass) {
+  chunkers.set(ChunkerClass.strategy, ChunkerClass);
+}
+
+function getChunker(strategy) {
+  return chunkers.get(strategy);
+}
+
+function getAllStrategies() {
+  return Array.from(chunkers.keys());
+}
+
+[SlidingWindowChunker, MarkdownChunker, ParagraphChunker, CodeChunker].forEach(register);
+
+class ChunkingPipeline {
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'auto';
+    this.options = options;
+    this.instances = new Map();
+
+    if (this.strategy !== 'auto' && this.strategy !== 'none' && !getChunker(this.strategy)) {
+      throw new Error(`Unknown chunking strategy: ${this.strategy}. Use 'auto', 'none', or one of: ${getAllStrategies().join(', ')}`);
+    }
+  }
+
+  selectStrategy(metadata = {}) {
+    if (this.strategy !== 'auto') return this.strategy;
+
+    const filePath = String(metadata.filePath || metadata.fileName || '').toLowerCase();
+    if (/\.(md|markdown|mdx)$/.test(filePath) || metadata.language === 'markdown') {
+      return 'markdown';
+    }
+    if (metadata.source === 'code' || metadata.type === 'code') {
+      return CodeChunker.supports(metadata) ? 'code' : 'window';
+    }
+    return 'paragraph';
+  }
+
+  getInstance(strategy) {
+    if (!this.instances.has(strategy)) {
+      const ChunkerClass = getChunker(strategy);
+      this.instances.set(strategy, new ChunkerClass(this.options));
+    }
+    return this.instances.get(strategy);
+  }
+
+  chunkDocument(doc) {
+    if (this.strategy === 'none' || !doc.content) {
+      return [doc];
+    }
+
+    const strategy = this.selectStrategy(doc.metadata || {});
+    const chunks = this.getInstance(strategy).chunk(doc.content, doc.metadata || {});
+
+    return chunks.map(({ content, ...location }, index) => ({
+      id: chunks.length === 1 ? doc.id : `${doc.id}:chunk:${index}`,
+      content,
+      metadata: {
+        ...doc.metadata,
+        ...location,
+        chunkIndex: index,
+        chunkCount: chunks.length,
+        chunkStrategy: strategy
+      }
+    }));
+  }
+}
+
+module.exports = {
+  BaseChunker,
+  SlidingWindowChunker,
+  MarkdownChunker,
+  ParagraphChunker,
+  CodeChunker,
+  ChunkingPipeline,
+  register,
+  getChunker,
+  getAllStrategies
+};
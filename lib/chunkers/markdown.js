@@ -0,0 +1,59 @@
+'use strict';
+
+const { BaseChunker } = require('./base');
+
+class MarkdownChunker extends BaseChunker {
+  static get strategy() {
+    return 'markdown';
+  }
+
+  chunk(text) {
+    const lineStarts = this.buildLineIndex(text);
+    const segments = [];
+    const headingPath = [];
+    let inFence = false;
+    let sectionStart = 0;
+    let sectionHeading = null;
+
+    for (let line = 0; line < lineStarts.length; line++) {
+      const start = lineStarts[line];
+      const end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : text.length;
+      const lineText = text.slice(start, end);
+
+      if (/^\s*(```|~~~)/.test(lineText)) {
+        inFence = !inFence;
+        continue;
+      }
+
+      const heading = !inFence && lineText.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (!heading) continue;
+
+      if (start > sectionStart) {
+        segments.push(this.createSegment(sectionStart, start, sectionHeading));
+      }
+
+      const level = heading[1].length;
+      headingPath.length = level - 1;
+      headingPath[level - 1] = heading[2];
+      sectionHeading = headingPath.filter(Boolean).join(' > ');
+      sectionStart = start;
+    }
+
+    if (sectionStart < text.length) {
+      segments.push(this.createSegment(sectionStart, text.length, sectionHeading));
+    }
+
+    return this.packSegments(text, segments, lineStarts);
+  }
+
+  createSegment(start, end, heading) {
+    return {
+      start,
+      end,
+      boundary: true,
+      extra: heading ? { heading } : {}
+    };
+  }
+}
+
+module.exports = { MarkdownChunker };
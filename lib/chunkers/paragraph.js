@@ -0,0 +1,32 @@
+'use strict';
+
+const { BaseChunker } = require('./base');
+
+class ParagraphChunker extends BaseChunker {
+  static get strategy() {
+    return 'paragraph';
+  }
+
+  chunk(text) {
+    const lineStarts = this.buildLineIndex(text);
+    const segments = [];
+    const separator = /\n[ \t]*\n/g;
+    let start = 0;
+    let match;
+
+    while ((match = separator.exec(text)) !== null) {
+      if (match.index > start) {
+        segments.push({ start, end: match.index });
+      }
+      start = match.index + match[0].length;
+    }
+
+    if (start < text.length) {
+      segments.push({ start, end: text.length });
+    }
+
+    return this.packSegments(text, segments, lineStarts);
+  }
+}
+
+module.exports = { ParagraphChunker };
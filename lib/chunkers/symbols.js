@@ -0,0 +1,348 @@
+'use strict';
+
+const JS_KEYWORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'with', 'else', 'do', 'try', 'new', 'typeof', 'await', 'yield'
+]);
+
+const JS_TOP_LEVEL = [
+  { kind: 'function', pattern: /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/ },
+  { kind: 'class', pattern: /^(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/ },
+  { kind: 'interface', pattern: /^(?:export\s+)?(?:declare\s+)?interface\s+([A-Za-z_$][\w$]*)/ },
+  { kind: 'enum', pattern: /^(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/ },
+  { kind: 'function', pattern: /^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=>)/ },
+  { kind: 'function', pattern: /^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*=>)/ }
+];
+
+// A slash after one of these characters or keywords starts a regex literal, not a division
+const REGEX_PRECEDERS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_KEYWORDS = new Set([
+  'return', 'typeof', 'case', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await', 'instanceof', 'else', 'do'
+]);
+
+function startsRegex(text, slash) {
+  let i = slash - 1;
+  while (i >= 0 && /\s/.test(text[i])) i--;
+  if (i < 0) return true;
+
+  const ch = text[i];
+  if ((ch === '+' || ch === '-') && text[i - 1] === ch) return false;
+  if (REGEX_PRECEDERS.includes(ch)) return true;
+  if (!/[\w$]/.test(ch)) return false;
+
+  let start = i;
+  while (start > 0 && /[\w$]/.test(text[start - 1])) start--;
+  return REGEX_KEYWORDS.has(text.slice(start, i + 1));
+}
+
+const JS_METHOD = /^(?:(?:public|private|protected|static|readonly|abstract|override|async|get|set)\s+)*\*?\s*(#?[A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\(/;
+
+function scanJavaScript(text) {
+  const braces = new Map();
+  const parens = new Map();
+  const lineDepths = [0];
+  const stack = [];
+  const parenStack = [];
+  const templateDepths = [];
+  let state = 'code';
+  let regexClass = false;
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '\n') {
+      // An unterminated regex was a division after all
+      if (state === 'line-comment' || state === 'regex') state = 'code';
+      lineDepths.push(state === 'code' ? depth : -1);
+      continue;
+    }
+
+    if (state === 'line-comment') continue;
+
+    if (state === 'block-comment') {
+      if (ch === '*' && next === '/') {
+        state = 'code';
+        i++;
+      }
+      continue;
+    }
+
+    if (state === 'single' || state === 'double') {
+      if (ch === '\\') {
+        i++;
+      } else if ((state === 'single' && ch === "'") || (state === 'double' && ch === '"')) {
+        state = 'code';
+      }
+      continue;
+    }
+
+    if (state === 'regex') {
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '[' || ch === ']') {
+        regexClass = ch === '[';
+      } else if (ch === '/' && !regexClass) {
+        state = 'code';
+      }
+      continue;
+    }
+
+    if (state === 'template') {
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '`') {
+        state = 'code';
+      } else if (ch === '$' && next === '{') {
+        templateDepths.push(depth);
+        stack.push(i + 1);
+        depth++;
+        state = 'code';
+        i++;
+      }
+      continue;
+    }
+
+    if (ch === '/' && next === '/') {
+      state = 'line-comment';
+      i++;
+    } else if (ch === '/' && next === '*') {
+      state = 'block-comment';
+      i++;
+    } else if (ch === '/' && startsRegex(text, i)) {
+      state = 'regex';
+      regexClass = false;
+    } else if (ch === "'") {
+      state = 'single';
+    } else if (ch === '"') {
+      state = 'double';
+    } else if (ch === '`') {
+      state = 'template';
+    } else if (ch === '{') {
+      stack.push(i);
+      depth++;
+    } else if (ch === '}') {
+      const open = stack.pop();
+      depth = Math.max(0, depth - 1);
+      if (open !== undefined) braces.set(open, i);
+      if (templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === depth) {
+        templateDepths.pop();
+        state = 'template';
+      }
+    } else if (ch === '(') {
+      parenStack.push(i);
+    } else if (ch === ')') {
+      const open = parenStack.pop();
+      if (open !== undefined) parens.set(open, i);
+    }
+  }
+
+  return { braces, parens, lineDepths };
+}
+
+function buildLineStarts(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  return lineStarts;
+}
+
+function lineIndexAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+function lineEnd(text, lineStarts, line) {
+  return line + 1 < lineStarts.length ? lineStarts[line + 1] : text.length;
+}
+
+function includeLeadingLines(text, lineStarts, line, isLeading) {
+  let first = line;
+  while (first > 0) {
+    const previous = text.slice(lineStarts[first - 1], lineStarts[first]).trim();
+    if (!previous || !isLeading(previous)) break;
+    first--;
+  }
+  return lineStarts[first];
+}
+
+function findJavaScriptBodyEnd(text, scan, lineStarts, line, fromOffset) {
+  let i = fromOffset;
+  let expression = false;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '(' && scan.parens.has(i)) {
+      i = scan.parens.get(i) + 1;
+      continue;
+    }
+
+    if (ch === '{' && scan.braces.has(i)) {
+      if (!expression) return scan.braces.get(i) + 1;
+      i = scan.braces.get(i) + 1;
+      continue;
+    }
+
+    if (ch === '=' && text[i + 1] === '>') {
+      let j = i + 2;
+      while (j < text.length && /[ \t]/.test(text[j])) j++;
+      if (text[j] === '{' && scan.braces.has(j)) {
+        return scan.braces.get(j) + 1;
+      }
+      expression = true;
+      i = j;
+      continue;
+    }
+
+    if (ch === ';' || (ch === '\n' && expression)) {
+      return i + 1;
+    }
+
+    i++;
+  }
+
+  return lineEnd(text, lineStarts, line);
+}
+
+const bodyOffset = (start, match) => start + match.index + match[0].length - (match[0].endsWith('=>') ? 2 : 0);
+
+const isJavaScriptLeading = line => /^(\/\/|\/\*|\*|@)/.test(line);
+
+function findJavaScriptSymbols(text) {
+  const scan = scanJavaScript(text);
+  const lineStarts = buildLineStarts(text);
+  const symbols = [];
+
+  for (let line = 0; line < lineStarts.length; line++) {
+    if (scan.lineDepths[line] !== 0) continue;
+
+    const start = lineStarts[line];
+    const lineText = text.slice(start, lineEnd(text, lineStarts, line));
+    const indent = lineText.length - lineText.trimStart().length;
+    const trimmed = lineText.trimStart();
+
+    for (const { kind, pattern } of JS_TOP_LEVEL) {
+      const match = trimmed.match(pattern);
+      if (!match) continue;
+
+      const end = findJavaScriptBodyEnd(text, scan, lineStarts, line, bodyOffset(start + indent, match));
+      const symbol = {
+        name: match[1],
+        kind,
+        start: includeLeadingLines(text, lineStarts, line, isJavaScriptLeading),
+        end,
+        children: []
+      };
+
+      if (kind === 'class') {
+        symbol.children = findJavaScriptMethods(text, scan, lineStarts, symbol, line);
+      }
+
+      symbols.push(symbol);
+      line = lineIndexAt(lineStarts, Math.max(end - 1, start));
+      break;
+    }
+  }
+
+  return symbols;
+}
+
+function findJavaScriptMethods(text, scan, lineStarts, classSymbol, classLine) {
+  const methods = [];
+  const bodyDepth = scan.lineDepths[classLine] + 1;
+  const lastLine = lineIndexAt(lineStarts, classSymbol.end - 1);
+
+  for (let line = classLine + 1; line <= lastLine; line++) {
+    if (scan.lineDepths[line] !== bodyDepth) continue;
+
+    const start = lineStarts[line];
+    const lineText = text.slice(start, lineEnd(text, lineStarts, line));
+    const trimmed = lineText.trimStart();
+    const match = trimmed.match(JS_METHOD);
+    if (!match || JS_KEYWORDS.has(match[1])) continue;
+
+    const indent = lineText.length - trimmed.length;
+    const end = Math.min(
+      findJavaScriptBodyEnd(text, scan, lineStarts, line, start + indent + match[0].length - 1),
+      classSymbol.end
+    );
+
+    methods.push({
+      name: match[1],
+      kind: 'method',
+      parent: classSymbol.name,
+      start: includeLeadingLines(text, lineStarts, line, isJavaScriptLeading),
+      end,
+      children: []
+    });
+
+    line = lineIndexAt(lineStarts, Math.max(end - 1, start));
+  }
+
+  return methods;
+}
+
+const PYTHON_DECLARATION = /^(\s*)(async\s+def|def|class)\s+([A-Za-z_]\w*)/;
+
+function findPythonSymbols(text) {
+  const lineStarts = buildLineStarts(text);
+  const lines = lineStarts.map((start, i) => text.slice(start, lineEnd(text, lineStarts, i)).replace(/\r?\n$/, ''));
+  const symbols = [];
+  const open = [];
+
+  const blockEnd = (line, indent) => {
+    let last = line;
+    for (let i = line + 1; i < lines.length; i++) {
+      const current = lines[i];
+      if (!current.trim()) continue;
+      const currentIndent = current.length - current.trimStart().length;
+      if (currentIndent <= indent && !current.trimStart().startsWith('#')) break;
+      last = i;
+    }
+    return lineEnd(text, lineStarts, last);
+  };
+
+  for (let line = 0; line < lines.length; line++) {
+    const match = lines[line].match(PYTHON_DECLARATION);
+    if (!match) continue;
+
+    const indent = match[1].length;
+    while (open.length > 0 && open[open.length - 1].indent >= indent) open.pop();
+
+    const parent = open.length > 0 ? open[open.length - 1] : null;
+    if (parent && parent.symbol.kind !== 'class') continue;
+
+    const isClass = match[2] === 'class';
+    const symbol = {
+      name: match[3],
+      kind: isClass ? 'class' : (parent ? 'method' : 'function'),
+      start: includeLeadingLines(text, lineStarts, line, previous => previous.startsWith('@') || previous.startsWith('#')),
+      end: blockEnd(line, indent),
+      children: []
+    };
+
+    if (parent) {
+      symbol.parent = parent.symbol.name;
+      parent.symbol.children.push(symbol);
+    } else {
+      symbols.push(symbol);
+    }
+
+    open.push({ indent, symbol });
+  }
+
+  return symbols;
+}
+
+module.exports = { findJavaScriptSymbols, findPythonSymbols };
@@ -0,0 +1,16 @@
+'use strict';
+
+const { BaseChunker } = require('./base');
+
+class SlidingWindowChunker extends BaseChunker {
+  static get strategy() {
+    return 'window';
+  }
+
+  chunk(text) {
+    const lineStarts = this.buildLineIndex(text);
+    return this.windowRange(text, 0, text.length, lineStarts);
+  }
+}
+
+module.exports = { SlidingWindowChunker };
@@ -31,7 +31,12 @@ const MODEL_REGISTRY = {
   'Xenova/bge-large-en-v1.5': { dimension: 1024, provider: 'transformers' },
   'Xenova/multilingual-e5-small': { dimension: 384, provider: 'transformers' },
   'Xenova/multilingual-e5-base': { dimension: 768, provider: 'transformers' },
-  'Xenova/multilingual-e5-large': { dimension: 1024, provider: 'transformers' }
+  'Xenova/multilingual-e5-large': { dimension: 1024, provider: 'transformers' },
+
+  // OpenAI-compatible endpoints (other gateway models are probed on first call)
+  'text-embedding-3-small': { dimension: 1536, provider: 'openai', tags: ['default'] },
+  'text-embedding-3-large': { dimension: 3072, provider: 'openai' },
+  'text-embedding-ada-002': { dimension: 1536, provider: 'openai' }
 };
 
 const CONVENTIONS = {
@@ -48,6 +53,13 @@ const CONVENTIONS = {
     ollamaDefaultModel: 'embeddinggemma',
     ollamaDefaultHost: 'http://localhost:11434',
     vllmHost: 'http://localhost:8000',
+    openaiDefaultModel: 'text-embedding-3-small',
+    openaiDefaultHost: 'https://api.openai.com',
+    openaiPath: '/v1/embeddings',
+    transformersDefaultModel: 'Xenova/bge-base-en-v1.5',
+    codeModels: {
+      ollama: 'unclemusclez/jina-embeddings-v2-base-code'
+    },
     embedderType: 'auto'
   },
 
@@ -55,9 +67,11 @@ const CONVENTIONS = {
     defaultExtensions: null,
     recursive: true,
     watchMode: false,
+    watchDebounce: 500,
     ignoreDirs: ['node_modules', '.git', 'dist', 'build'],
     concurrency: 12,
-    embedBatchSize: 1,
+    embedBatchSize: 32,
+    embedBatchTokens: 8192,
     embedConcurrency: 5,
     bufferSize: 100,
     flushDelay: 300
@@ -110,8 +124,19 @@ const CONVENTIONS = {
     backgroundIndexingDelay: 1000
   },
 
+  chunking: {
+    strategy: 'auto',
+    maxTokens: 512,
+    overlapTokens: 64,
+    minTokens: 32
+  },
+
   search: {
     defaultTopK: 5,
+    defaultMode: 'vector',
+    hybridWeight: 0.5,
+    rerankCandidates: 50,
+    mmrLambda: 0.5,
     minScore: 0.0,
     algorithm: 'cosine'
   },
@@ -132,8 +157,12 @@ function getConfig(overrides = {}) {
   }
 
   const provider = cleanOverrides.embedderProvider !== undefined ? cleanOverrides.embedderProvider : CONVENTIONS.embedder.defaultProvider;
-  const defaultModel = provider === 'ollama' ? CONVENTIONS.embedder.ollamaDefaultModel : CONVENTIONS.embedder.defaultModel;
-  const defaultHost = provider === 'ollama' ? CONVENTIONS.embedder.ollamaDefaultHost : CONVENTIONS.embedder.defaultHost;
+  const defaultModel = provider === 'ollama' ? CONVENTIONS.embedder.ollamaDefaultModel
+    : provider === 'openai' ? CONVENTIONS.embedder.openaiDefaultModel
+    : CONVENTIONS.embedder.defaultModel;
+  const defaultHost = provider === 'ollama' ? CONVENTIONS.embedder.ollamaDefaultHost
+    : provider === 'openai' ? CONVENTIONS.embedder.openaiDefaultHost
+    : CONVENTIONS.embedder.defaultHost;
 
   return {
     dbPath: cleanOverrides.dbPath !== undefined ? cleanOverrides.dbPath : CONVENTIONS.db.defaultPath,
@@ -142,16 +171,25 @@ function getConfig(overrides = {}) {
     host: cleanOverrides.host !== undefined ? cleanOverrides.host : defaultHost,
     ollamaHost: cleanOverrides.ollamaHost !== undefined ? cleanOverrides.ollamaHost : CONVENTIONS.embedder.ollamaDefaultHost,
     vllmHost: cleanOverrides.vllmHost !== undefined ? cleanOverrides.vllmHost : CONVENTIONS.embedder.vllmHost,
+    embeddingPath: cleanOverrides.embeddingPath !== undefined ? cleanOverrides.embeddingPath : CONVENTIONS.embedder.openaiPath,
     embedderType: cleanOverrides.embedderType !== undefined ? cleanOverrides.embedderType : CONVENTIONS.embedder.embedderType,
     extensions: cleanOverrides.extensions !== undefined ? cleanOverrides.extensions : CONVENTIONS.sync.defaultExtensions,
     recursive: cleanOverrides.recursive !== undefined ? cleanOverrides.recursive : CONVENTIONS.sync.recursive,
+    watchMode: cleanOverrides.watchMode !== undefined ? cleanOverrides.watchMode : CONVENTIONS.sync.watchMode,
+    watchDebounce: cleanOverrides.watchDebounce !== undefined ? cleanOverrides.watchDebounce : CONVENTIONS.sync.watchDebounce,
     topK: cleanOverrides.topK !== undefined ? cleanOverrides.topK : CONVENTIONS.search.defaultTopK,
+    searchMode: cleanOverrides.searchMode !== undefined ? cleanOverrides.searchMode : CONVENTIONS.search.defaultMode,
+    hybridWeight: cleanOverrides.hybridWeight !== undefined ? cleanOverrides.hybridWeight : CONVENTIONS.search.hybridWeight,
+    rerankCandidates: cleanOverrides.rerankCandidates !== undefined ? cleanOverrides.rerankCandidates : CONVENTIONS.search.rerankCandidates,
+    mmrLambda: cleanOverrides.mmrLambda !== undefined ? cleanOverrides.mmrLambda : CONVENTIONS.search.mmrLambda,
     storeContent: cleanOverrides.storeContent !== undefined ? cleanOverrides.storeContent : CONVENTIONS.storage.storeContent,
     ignoreDirs: cleanOverrides.ignoreDirs !== undefined ? cleanOverrides.ignoreDirs : CONVENTIONS.sync.ignoreDirs,
     concurrency: cleanOverrides.concurrency !== undefined ? cleanOverrides.concurrency : CONVENTIONS.sync.concurrency,
     embedBatchSize: cleanOverrides.embedBatchSize !== undefined ? cleanOverrides.embedBatchSize : CONVENTIONS.sync.embedBatchSize,
+    embedBatchTokens: cleanOverrides.embedBatchTokens !== undefined ? cleanOverrides.embedBatchTokens : CONVENTIONS.sync.embedBatchTokens,
     embedConcurrency: cleanOverrides.embedConcurrency !== undefined ? cleanOverrides.embedConcurrency : CONVENTIONS.sync.embedConcurrency,
-    ...cleanOverrides
+    ...cleanOverrides,
+    chunking: { ...CONVENTIONS.chunking, ...cleanOverrides.chunking }
   };
 }
 
@@ -180,7 +218,24 @@ function getSupportedLanguages() {
   return result;
 }
 
-function detectOptimalModel(dirPath = process.cwd()) {
+function selectDefaultModel(provider = CONVENTIONS.embedder.defaultProvider, isCodeRepo = false) {
+  if (isCodeRepo && CONVENTIONS.embedder.codeModels[provider]) {
+    return CONVENTIONS.embedder.codeModels[provider];
+  }
+
+  switch (provider) {
+    case 'ollama':
+      return CONVENTIONS.embedder.ollamaDefaultModel;
+    case 'openai':
+      return CONVENTIONS.embedder.openaiDefaultModel;
+    case 'transformers':
+      return CONVENTIONS.embedder.transformersDefaultModel;
+    default:
+      return CONVENTIONS.embedder.defaultModel;
+  }
+}
+
+function detectOptimalModel(dirPath = process.cwd(), provider = CONVENTIONS.embedder.defaultProvider) {
   const fs = require('fs');
   const pathModule = require('path');
   const codeRepoIndicators = [
@@ -190,18 +245,19 @@ function detectOptimalModel(dirPath = process.cwd()) {
   const isCodeRepo = codeRepoIndicators.some(indicator =>
     fs.existsSync(pathModule.join(dirPath, indicator))
   );
-  return isCodeRepo ? 'jina-embeddings-v2-base-code' : CONVENTIONS.embedder.defaultModel;
+  return selectDefaultModel(provider, isCodeRepo);
 }
 
-function validateModelDimension(modelName, actualDimension) {
+function validateModelDimension(modelName, actualDimension, expectedDimension = null) {
   const spec = MODEL_REGISTRY[modelName];
-  if (!spec) {
+  const expected = expectedDimension || (spec && spec.dimension);
+  if (!expected) {
     throw new Error(`Unknown model: ${modelName}. Supported models: ${Object.keys(MODEL_REGISTRY).join(', ')}`);
   }
-  if (actualDimension !== spec.dimension) {
+  if (actualDimension !== expected) {
     throw new Error(
-      `Vector dimension mismatch for model ${modelName}: expected ${spec.dimension}, got ${actualDimension}. ` +
-      `This indicates a corrupted or incompatible vector database. Delete your .db file and resync.`
+      `Vector dimension mismatch for model ${modelName}: expected ${expected}, got ${actualDimension}. ` +
+      `The embedder no longer matches this database; rebuild it with: vexify reembed <db-path> --model ${modelName}`
     );
   }
 }
@@ -211,6 +267,7 @@ module.exports = {
   CONVENTIONS,
   getConfig,
   getModelDimension,
+  selectDefaultModel,
   getSupportedLanguages,
   detectOptimalModel,
   validateModelDimension
@@ -12,6 +12,8 @@ class CodeCrawler {
     this.includeBinary = options.includeBinary || false;
     this.customIgnorePatterns = options.customIgnorePatterns || [];
     this.silent = options.silent || false;
+    // Keeps ids apart when files of several trees share one collection
+    this.namespace = options.namespace || null;
     this.supportedLanguages = this.getSupportedLanguages();
     this.visitedFiles = new Set();
     this.stats = {
@@ -264,7 +266,8 @@ class CodeCrawler {
 
   generateDocumentId(filePath) {
     const relativePath = path.relative(this.rootPath, filePath);
-    const hash = require('crypto').createHash('sha256').update(relativePath).digest('hex').substring(0, 16);
+    const key = this.namespace ? `${this.namespace}/${relativePath}` : relativePath;
+    const hash = require('crypto').createHash('sha256').update(key).digest('hex').substring(0, 16);
     return `code-${hash}`;
   }
 
@@ -319,6 +322,34 @@ class CodeCrawler {
     return results;
   }
 
+  // The files crawlDirectory() would process, without reading them
+  listFiles(dirPath = this.rootPath, ignoreManager = new IgnoreManager(this.rootPath, this.customIgnorePatterns)) {
+    const depth = path.relative(this.rootPath, dirPath).split(path.sep).filter(Boolean).length;
+    if (depth > this.maxDepth) {
+      return [];
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      if (ignoreManager.shouldIgnore(fullPath)) continue;
+
+      if (entry.isDirectory()) {
+        files.push(...this.listFiles(fullPath, ignoreManager));
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
   async crawl(vecStore = null, onPageCallback = null) {
     console.error(`\n🔍 Starting code repository crawl: ${this.rootPath}`);
     console.error(`   Max depth: ${this.maxDepth}, Max file size: ${Math.round(this.maxFileSize / 1024)}KB`);
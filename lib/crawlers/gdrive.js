@@ -60,9 +60,10 @@ class GoogleDriveCrawler {
       SELECT DISTINCT json_extract(metadata, '$.fileId') as fileId,
                       json_extract(metadata, '$.modifiedTime') as modifiedTime
       FROM documents
-      WHERE json_extract(metadata, '$.source') = 'gdrive'
+      WHERE collection = ?
+      AND json_extract(metadata, '$.source') = 'gdrive'
       AND json_extract(metadata, '$.fileId') IS NOT NULL
-    `).all();
+    `).all(vecStore.store.collection);
 
     const existing = {};
     for (const row of rows) {
@@ -167,16 +168,12 @@ class GoogleDriveCrawler {
     });
 
     if (isUpdate) {
-      const db = vecStore.store.db;
-      db.prepare(`
-        DELETE FROM documents
-        WHERE json_extract(metadata, '$.fileId') = ?
-      `).run(file.id);
+      await vecStore.clearSource('fileId', file.id);
     }
 
     for (const doc of documents) {
       doc.metadata.driveUrl = `https://drive.google.com/file/d/${file.id}/view`;
-      await vecStore.addDocument(doc.id, doc.content, doc.metadata);
+      await vecStore.addChunkedDocument(doc.id, doc.content, doc.metadata);
     }
   }
 
@@ -191,9 +188,8 @@ class GoogleDriveCrawler {
 
     if (plan.toDelete.length > 0) {
       console.error(`\n🗑️  Removing ${plan.toDelete.length} deleted files...`);
-      const db = vecStore.store.db;
       for (const fileId of plan.toDelete) {
-        db.prepare(`DELETE FROM documents WHERE json_extract(metadata, '$.fileId') = ?`).run(fileId);
+        await vecStore.clearSource('fileId', fileId);
         delete state.fileMetadata[fileId];
       }
       results.deleted = plan.toDelete.length;
@@ -82,6 +82,43 @@ class OllamaEmbedder {
     }
   }
 
+  async embedBatch(texts, retries = 3) {
+    if (texts.length === 0) return [];
+    if (texts.some(text => !text || text.trim().length === 0)) {
+      throw new Error('Cannot embed empty text');
+    }
+
+    const effectiveHost = await this.detectHost();
+    const originalHost = this.host;
+    this.host = effectiveHost;
+
+    try {
+      for (let attempt = 0; attempt < retries; attempt++) {
+        try {
+          return await this._embedBatchOnce(texts);
+        } catch (error) {
+          if (error.message.includes('not found') && !this._modelPullAttempted) {
+            this._modelPullAttempted = true;
+            console.error(`Model ${this.modelName} not found, attempting to pull...`);
+            try {
+              await this._pullModel();
+              return await this._embedBatchOnce(texts);
+            } catch (pullError) {
+              throw new Error(`Failed to auto-pull model: ${pullError.message}`);
+            }
+          }
+
+          if (attempt === retries - 1) {
+            throw error;
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+      }
+    } finally {
+      this.host = originalHost;
+    }
+  }
+
   async _pullModel() {
     return new Promise((resolve, reject) => {
       const url = new URL('/api/pull', this.host);
@@ -124,10 +161,22 @@ class OllamaEmbedder {
   }
 
   async _embedOnce(text) {
+    const embeddings = await this._embedBatchOnce([text]);
+    return embeddings[0];
+  }
+
+  truncate(embedding) {
+    if (this.dimension && embedding.length > this.dimension) {
+      return embedding.slice(0, this.dimension);
+    }
+    return embedding;
+  }
+
+  async _embedBatchOnce(texts) {
     return new Promise((resolve, reject) => {
       const data = JSON.stringify({
         model: this.modelName,
-        input: text
+        input: texts
       });
 
       const url = new URL('/api/embed', this.host);
@@ -154,20 +203,12 @@ class OllamaEmbedder {
         res.on('end', () => {
           try {
             const response = JSON.parse(responseData);
-            if (response.embeddings && response.embeddings.length > 0) {
-              const embedding = response.embeddings[0];
-              if (this.dimension && embedding.length > this.dimension) {
-                resolve(embedding.slice(0, this.dimension));
-              } else {
-                resolve(embedding);
-              }
-            } else if (response.embedding) {
-              const embedding = response.embedding;
-              if (this.dimension && embedding.length > this.dimension) {
-                resolve(embedding.slice(0, this.dimension));
-              } else {
-                resolve(embedding);
-              }
+            if (response.embeddings && response.embeddings.length === texts.length) {
+              resolve(response.embeddings.map(embedding => this.truncate(embedding)));
+            } else if (response.embeddings && response.embeddings.length > 0) {
+              reject(new Error(`Expected ${texts.length} embeddings, got ${response.embeddings.length}`));
+            } else if (response.embedding && texts.length === 1) {
+              resolve([this.truncate(response.embedding)]);
             } else if (response.error) {
               reject(new Error(`Ollama error: ${response.error}`));
             } else {
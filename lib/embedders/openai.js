@@ -0,0 +1,174 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+class OpenAIEmbedder {
+  constructor(options = {}) {
+    this.modelName = options.modelName;
+    this.host = options.host || 'https://api.openai.com';
+    this.path = options.path || '/v1/embeddings';
+    this.apiKey = options.apiKey || null;
+    this.apiKeyHeader = options.apiKeyHeader || 'Authorization';
+    this.headers = options.headers || {};
+    this.dimension = options.dimension;
+    this.timeout = options.timeout || 300000;
+  }
+
+  endpoint() {
+    return new URL(this.path, this.host).toString();
+  }
+
+  buildHeaders(body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...this.headers
+    };
+
+    if (this.apiKey) {
+      headers[this.apiKeyHeader] = this.apiKeyHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${this.apiKey}`
+        : this.apiKey;
+    }
+
+    return headers;
+  }
+
+  async embed(text, retries = 3) {
+    if (!text || text.trim().length === 0) {
+      throw new Error('Cannot embed empty text');
+    }
+
+    const embeddings = await this.embedBatch([text], retries);
+    return embeddings[0];
+  }
+
+  async embedBatch(texts, retries = 3) {
+    if (texts.length === 0) return [];
+    if (texts.some(text => !text || text.trim().length === 0)) {
+      throw new Error('Cannot embed empty text');
+    }
+
+    for (let attempt = 0; attempt < retries; attempt++) {
+      try {
+        return await this._embedBatchOnce(texts);
+      } catch (error) {
+        if (error.permanent || attempt === retries - 1) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+      }
+    }
+  }
+
+  async _embedBatchOnce(texts) {
+    const response = await this._post({
+      model: this.modelName,
+      input: texts,
+      encoding_format: 'float'
+    });
+
+    if (!response.data || response.data.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings, got ${response.data ? response.data.length : 0}`);
+    }
+
+    const embeddings = [...response.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
+
+    // The first response tells us the model's native dimension
+    if (!this.dimension) {
+      this.dimension = embeddings[0].length;
+    }
+
+    return embeddings.map(embedding => (
+      embedding.length > this.dimension ? embedding.slice(0, this.dimension) : embedding
+    ));
+  }
+
+  _post(payload) {
+    return new Promise((resolve, reject) => {
+      const body = JSON.stringify(payload);
+      const url = new URL(this.path, this.host);
+      const options = {
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'https:' ? 443 : 80),
+        path: url.pathname + url.search,
+        method: 'POST',
+        headers: this.buildHeaders(body),
+        timeout: this.timeout
+      };
+
+      const protocol = url.protocol === 'https:' ? https : http;
+      const req = protocol.request(options, (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          let response;
+          try {
+            response = JSON.parse(responseData);
+          } catch (e) {
+            reject(new Error(`Failed to parse response (HTTP ${res.statusCode}): ${responseData.substring(0, 200)}`));
+            return;
+          }
+
+          if (res.statusCode >= 400 || response.error) {
+            const message = response.error ? (response.error.message || JSON.stringify(response.error)) : responseData.substring(0, 200);
+            const error = new Error(`Embedding endpoint error (HTTP ${res.statusCode}): ${message}`);
+            // Auth and request errors will not succeed on retry
+            error.permanent = res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429;
+            reject(error);
+            return;
+          }
+
+          resolve(response);
+        });
+
+        res.on('error', (error) => {
+          reject(new Error(`Response stream error: ${error.message}`));
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Embedding request to ${url.host} failed: ${error.message}`));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error(`Embedding request timeout after ${this.timeout / 1000}s`));
+      });
+
+      req.write(body);
+      req.end();
+    });
+  }
+
+  async probeDimension() {
+    if (this.dimension) return this.dimension;
+    await this._embedBatchOnce(['dimension probe']);
+    return this.dimension;
+  }
+
+  async checkConnection() {
+    try {
+      await this._embedBatchOnce(['connection check']);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getDimension() {
+    if (!this.dimension) {
+      throw new Error(`Dimension for ${this.modelName} is unknown until the endpoint has been probed`);
+    }
+    return this.dimension;
+  }
+}
+
+module.exports = { OpenAIEmbedder };
@@ -70,6 +70,35 @@ class TransformersEmbedder {
     }
   }
 
+  async embedBatch(texts, retries = 3) {
+    if (texts.length === 0) return [];
+    if (texts.some(text => !text || text.trim().length === 0)) {
+      throw new Error('Cannot embed empty text');
+    }
+
+    for (let attempt = 0; attempt < retries; attempt++) {
+      try {
+        const extractor = await this._ensureInitialized();
+        const result = await extractor(texts, {
+          pooling: 'mean',
+          normalize: true
+        });
+
+        return result.tolist().map(embedding => {
+          if (this.dimension && embedding.length > this.dimension) {
+            return embedding.slice(0, this.dimension);
+          }
+          return embedding;
+        });
+      } catch (error) {
+        if (attempt === retries - 1) {
+          throw new Error(`Batch embedding failed: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+      }
+    }
+  }
+
   async checkConnection() {
     try {
       if (!transformers) {
@@ -83,11 +83,49 @@ class VLLMEmbedder {
     }
   }
 
+  async embedBatch(texts, retries = 3) {
+    if (texts.length === 0) return [];
+    if (texts.some(text => !text || text.trim().length === 0)) {
+      throw new Error('Cannot embed empty text');
+    }
+
+    const effectiveHost = await this.detectHost();
+    const originalHost = this.host;
+    this.host = effectiveHost;
+
+    try {
+      for (let attempt = 0; attempt < retries; attempt++) {
+        try {
+          return await this._embedBatchOnce(texts);
+        } catch (error) {
+          if (attempt === retries - 1) {
+            throw error;
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+      }
+    } finally {
+      this.host = originalHost;
+    }
+  }
+
   async _embedOnce(text) {
+    const embeddings = await this._embedBatchOnce([text]);
+    return embeddings[0];
+  }
+
+  truncate(embedding) {
+    if (this.dimension && embedding.length > this.dimension) {
+      return embedding.slice(0, this.dimension);
+    }
+    return embedding;
+  }
+
+  async _embedBatchOnce(texts) {
     return new Promise((resolve, reject) => {
       const data = JSON.stringify({
         model: this.modelName,
-        input: text,
+        input: texts,
         encoding_format: 'float'
       });
 
@@ -115,13 +153,11 @@ class VLLMEmbedder {
         res.on('end', () => {
           try {
             const response = JSON.parse(responseData);
-            if (response.data && response.data.length > 0) {
-              const embedding = response.data[0].embedding;
-              if (this.dimension && embedding.length > this.dimension) {
-                resolve(embedding.slice(0, this.dimension));
-              } else {
-                resolve(embedding);
-              }
+            if (response.data && response.data.length === texts.length) {
+              const ordered = [...response.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+              resolve(ordered.map(item => this.truncate(item.embedding)));
+            } else if (response.data && response.data.length > 0) {
+              reject(new Error(`Expected ${texts.length} embeddings, got ${response.data.length}`));
             } else if (response.error) {
               reject(new Error(`vLLM error: ${JSON.stringify(response.error)}`));
             } else {
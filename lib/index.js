@@ -2,29 +2,62 @@
 
 const { VecStore } = require('./vecstore');
 const { OllamaEmbedder } = require('./embedders/ollama');
+const { OpenAIEmbedder } = require('./embedders/openai');
+const { TransformersReranker } = require('./rerankers/transformers');
+const { HttpReranker } = require('./rerankers/http');
 const { SQLiteStorageAdapter } = require('./adapters/sqlite');
+const { Migrator } = require('./adapters/migrations');
 const { CosineSearchAlgorithm } = require('./search/cosine');
+const { Fts5Search } = require('./search/fts5');
+const { reciprocalRankFusion, mergeCollectionResults } = require('./search/fusion');
+const { buildWhereClause, parseWhereExpression } = require('./search/filters');
+const { maximalMarginalRelevance, groupBySource } = require('./search/diversify');
+const { extractSnippet, highlightSnippet } = require('./search/snippet');
 const { PDFReader } = require('./readers/pdf');
 const { PDFEmbedder } = require('./utils/pdf-embedder');
 const { FolderSync } = require('./utils/folder-sync');
+const { FolderWatcher } = require('./utils/folder-watcher');
 const { Updater } = require('./utils/updater');
+const { Exporter } = require('./utils/exporter');
+const { Importer } = require('./utils/importer');
 const { VecStoreFactory } = require('./vecstore-factory');
-const { CONVENTIONS, getConfig } = require('./config/defaults');
+const { CONVENTIONS, getConfig, selectDefaultModel } = require('./config/defaults');
 const { WebCrawler } = require('./crawlers/web');
+const { ApiServer } = require('./api/server');
 const processors = require('./processors');
+const chunkers = require('./chunkers');
 
 module.exports = {
   VecStore,
   VecStoreFactory,
   OllamaEmbedder,
+  OpenAIEmbedder,
+  TransformersReranker,
+  HttpReranker,
   SQLiteStorageAdapter,
+  Migrator,
   CosineSearchAlgorithm,
+  Fts5Search,
+  reciprocalRankFusion,
+  mergeCollectionResults,
+  maximalMarginalRelevance,
+  groupBySource,
+  extractSnippet,
+  highlightSnippet,
+  buildWhereClause,
+  parseWhereExpression,
   PDFReader,
   PDFEmbedder,
   FolderSync,
+  FolderWatcher,
   Updater,
+  Exporter,
+  Importer,
   WebCrawler,
+  ApiServer,
   CONVENTIONS,
   getConfig,
-  processors
+  selectDefaultModel,
+  processors,
+  chunkers
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { allowedHostsFor, foreignRequestReason } = require('../utils/request-guard');
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Serves one MCPServer to many clients: streamable HTTP on /mcp, plus the older
+// HTTP+SSE transport on /sse and /messages. Every session gets its own protocol
+// server, while the index, background indexer and file watcher are shared.
+class MCPHttpServer {
+  constructor(mcpServer, options = {}) {
+    this.mcpServer = mcpServer;
+    this.port = options.port || 3100;
+    this.host = options.host || '127.0.0.1';
+    this.authToken = options.authToken || null;
+    this.sessions = new Map();
+    this.sseSessions = new Map();
+    this.allowedHosts = null;
+    this.httpServer = null;
+  }
+
+  start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.mcpServer.log('HTTP request error:', error.message);
+        if (!res.headersSent) {
+          this.sendError(res, error.statusCode || 500, error.statusCode ? -32700 : -32603, error.message);
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        this.allowedHosts = allowedHostsFor(this.host, this.httpServer.address().port);
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Without a token, any web page could otherwise drive the server through the browser
+    if (!this.authToken) {
+      const reason = foreignRequestReason(req, this.allowedHosts);
+      if (reason) {
+        return this.sendError(res, 403, -32000, `Forbidden: ${reason}`);
+      }
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.sendError(res, 401, -32001, 'Unauthorized');
+    }
+
+    if (url.pathname === '/mcp') {
+      return this.handleStreamable(req, res);
+    }
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      return this.openSseSession(res);
+    }
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      const transport = this.sseSessions.get(url.searchParams.get('sessionId'));
+      if (!transport) {
+        return this.sendError(res, 404, -32001, 'Session not found');
+      }
+      return transport.handlePostMessage(req, res, await this.readBody(req));
+    }
+
+    this.sendError(res, 404, -32601, `Not found: ${url.pathname}`);
+  }
+
+  isAuthorized(req) {
+    if (!this.authToken) return true;
+
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(this.authToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await this.readBody(req) : undefined;
+
+    if (sessionId) {
+      const transport = this.sessions.get(sessionId);
+      if (!transport) {
+        return this.sendError(res, 404, -32001, 'Session not found');
+      }
+      return transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return this.sendError(res, 400, -32000, 'Bad Request: no session; send an initialize request first');
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, transport);
+        this.mcpServer.log(`MCP session ${id} opened (${this.sessions.size + this.sseSessions.size} active)`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        this.mcpServer.log(`MCP session ${transport.sessionId} closed`);
+      }
+    };
+
+    await this.mcpServer.createProtocolServer().connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async openSseSession(res) {
+    const transport = new SSEServerTransport('/messages', res);
+    this.sseSessions.set(transport.sessionId, transport);
+    transport.onclose = () => this.sseSessions.delete(transport.sessionId);
+    res.on('close', () => this.sseSessions.delete(transport.sessionId));
+
+    await this.mcpServer.createProtocolServer().connect(transport);
+    this.mcpServer.log(`MCP SSE session ${transport.sessionId} opened (${this.sessions.size + this.sseSessions.size} active)`);
+  }
+
+  // Rejects with statusCode 400 so the client is told its request was at fault
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(badRequest(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        try {
+          resolve(text ? JSON.parse(text) : undefined);
+        } catch (error) {
+          reject(badRequest(`Invalid JSON body: ${error.message}`));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  sendError(res, status, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+
+  async close() {
+    const transports = [...this.sessions.values(), ...this.sseSessions.values()];
+    await Promise.all(transports.map(transport => transport.close().catch(() => {})));
+    this.sessions.clear();
+    this.sseSessions.clear();
+
+    if (this.httpServer) {
+      this.httpServer.closeAllConnections?.();
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+}
+
+module.exports = { MCPHttpServer };
@@ -1,7 +1,9 @@
 'use strict';
 
 const { MCPServer } = require('./server');
+const { MCPHttpServer } = require('./http-transport');
 
 module.exports = {
-  MCPServer
+  MCPServer,
+  MCPHttpServer
 };
\ No newline at end of file
@@ -1,10 +1,23 @@
 'use strict';
 
-class IndexingState {
+const { EventEmitter } = require('events');
+
+const MAX_RECENT_ERRORS = 20;
+
+// Emits 'progress' with the current counts whenever a file is indexed, skipped or fails
+class IndexingState extends EventEmitter {
   constructor() {
+    super();
     this.indexingPromise = null;
     this.indexingCompleted = false;
     this.backgroundIndexInterval = 1000;
+
+    this.phase = 'idle';
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.progress = { indexed: 0, skipped: 0, errors: 0 };
+    this.recentErrors = [];
+    this.lastReindex = null;
   }
 
   isIndexing() {
@@ -14,16 +27,82 @@ class IndexingState {
   markIndexingComplete() {
     this.indexingCompleted = true;
     this.indexingPromise = null;
+    this.phase = 'complete';
+    this.finishedAt = Date.now();
+  }
+
+  markIndexingFailed(error) {
+    this.indexingCompleted = true;
+    this.indexingPromise = null;
+    this.phase = 'failed';
+    this.finishedAt = Date.now();
+    this.recordError(null, error);
   }
 
   setIndexingPromise(promise) {
     this.indexingPromise = promise;
     this.indexingCompleted = false;
+    this.phase = 'indexing';
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+    this.progress = { indexed: 0, skipped: 0, errors: 0 };
+  }
+
+  recordFile(skipped = false) {
+    if (skipped) {
+      this.progress.skipped++;
+    } else {
+      this.progress.indexed++;
+    }
+    this.emit('progress', { ...this.progress });
+  }
+
+  recordError(filePath, error) {
+    this.progress.errors++;
+    this.recentErrors.push({ path: filePath, error: error.message || String(error), at: Date.now() });
+    if (this.recentErrors.length > MAX_RECENT_ERRORS) {
+      this.recentErrors.shift();
+    }
+    this.emit('progress', { ...this.progress });
+  }
+
+  // Takes the results object of FolderSync.sync()
+  recordSyncResults(results) {
+    this.progress.indexed += results.added + results.updated;
+    this.progress.skipped += results.skipped;
+    this.recordSyncErrors(results.errors);
+    this.emit('progress', { ...this.progress });
+  }
+
+  recordSyncErrors(errors) {
+    for (const { file, error } of errors) {
+      this.recordError(file, new Error(error));
+    }
+  }
+
+  recordReindex(paths, result) {
+    this.lastReindex = { paths, result, at: Date.now() };
+  }
+
+  snapshot() {
+    return {
+      phase: this.phase,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      progress: { ...this.progress },
+      recentErrors: [...this.recentErrors],
+      lastReindex: this.lastReindex
+    };
   }
 
   reset() {
     this.indexingPromise = null;
     this.indexingCompleted = false;
+    this.phase = 'idle';
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.progress = { indexed: 0, skipped: 0, errors: 0 };
+    this.recentErrors = [];
   }
 }
 
@@ -1,35 +1,159 @@
 'use strict';
 
-const { VecStoreFactory, getConfig } = require('../index');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  McpError,
+  ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
+const { VecStoreFactory, SQLiteStorageAdapter, getConfig, mergeCollectionResults, extractSnippet, highlightSnippet } = require('../index');
+const { CONVENTIONS, selectDefaultModel } = require('../config/defaults');
 const { CodeCrawler } = require('../crawlers/code');
-const { FolderSync } = require('../utils/folder-sync');
+const { FolderSync, readSignature, compareSignature } = require('../utils/folder-sync');
+const { FolderWatcher } = require('../utils/folder-watcher');
+const { IndexingState } = require('./indexing-state');
+const { createRoots } = require('./workspace');
+const { MCPHttpServer } = require('./http-transport');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
+const CODE_IGNORE_PATTERNS = [
+  '.git', '.svn', '.hg', '.bzr', '.cvs',
+  'node_modules', '.pnpm-store', 'vendor', 'bower_components', '.jspm',
+  '.gradle', '.mvn', 'target', 'build', 'out', 'dist', '.cargo',
+  '.cache', '.tmp', 'tmp', 'temp', '.temp', 'cache',
+  '.next', '.nuxt', '.parcel-cache', '.vite', '.angular', '.svelte-kit',
+  '.vscode', '.idea', '.vim', '.emacs.d', '.emacs', 'tags',
+  '.DS_Store', 'Thumbs.db', '.Spotlight-V100', '.Trashes',
+  'coverage', '.nyc_output', 'test-results', 'junit.xml',
+  '.pytest_cache', '.hypothesis', 'htmlcov',
+  '_build', '_site', 'site', '.jekyll', '.vuepress/dist',
+  'logs', '*.log', '.log', 'npm-debug.log*', 'yarn-debug.log*',
+  '.claude', '.claude-context', '.claude-flow', '.sequential-thoughts',
+  'glootie', '.mcp-metadata', '.transformers-cache',
+  '.env*', 'config.local.json', '.config/local.json',
+  '__pycache__', '*.py[cod]', '*$py.class', '.eggs', '*.egg-info',
+  'ios/build', 'android/build', 'build/android', 'build/ios'
+];
+
+// get_document returns at most this many lines unless a range is given
+const MAX_DOCUMENT_LINES = 500;
+
+// Shape of search_code's structuredContent
+const nullable = (type) => ({ type: [type, 'null'] });
+const LOCATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    score: { type: 'number' },
+    startLine: { type: 'number' },
+    endLine: { type: 'number' },
+    pageNumber: { type: 'number' }
+  },
+  required: ['id']
+};
+
+const SEARCH_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rank: { type: 'number' },
+          id: { type: 'string' },
+          score: { type: 'number', description: 'Relevance score; higher is better' },
+          path: { ...nullable('string'), description: 'File path relative to the indexed directory, prefixed with the root name in a workspace' },
+          url: { ...nullable('string'), description: 'URL of a crawled page or Drive file' },
+          root: { ...nullable('string'), description: 'Workspace root, when several are served' },
+          source: { ...nullable('string'), description: 'code, file, crawl or gdrive' },
+          language: nullable('string'),
+          title: nullable('string'),
+          symbol: { ...nullable('string'), description: 'Function or class the chunk belongs to' },
+          startLine: { ...nullable('number'), description: 'First line of the matching chunk' },
+          endLine: nullable('number'),
+          pageNumber: nullable('number'),
+          snippet: {
+            type: 'object',
+            properties: {
+              text: { type: 'string' },
+              highlights: {
+                type: 'array',
+                description: 'Character ranges of query terms in text',
+                items: {
+                  type: 'object',
+                  properties: { start: { type: 'number' }, end: { type: 'number' } },
+                  required: ['start', 'end']
+                }
+              },
+              startLine: { ...nullable('number'), description: 'Source line the snippet starts on' },
+              endLine: nullable('number')
+            },
+            required: ['text', 'highlights']
+          },
+          otherMatches: { type: 'array', items: LOCATION_SCHEMA },
+          content: { type: 'string' }
+        },
+        required: ['rank', 'id', 'score', 'snippet']
+      }
+    }
+  },
+  required: ['query', 'results']
+};
+
+const DOCUMENT_URI_PREFIX = 'vexify://doc/';
+const RESOURCE_PAGE_SIZE = 100;
+// JSON-RPC error code the MCP spec assigns to unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
 class MCPServer {
   constructor(options = {}) {
     this.dbPath = options.dbPath || './.vexify.db';
-    this.directory = options.directory || process.cwd();
+    // options.roots lists several directories (see ./workspace); directory is the single-root form
+    this.roots = createRoots(options.roots || [options.directory || process.cwd()]);
+    this.multiRoot = this.roots.length > 1;
+    this.directory = this.roots[0].directory;
     this.silent = options.silent !== undefined ? options.silent : false;
 
     // Embedder provider configuration
     this.embedderProvider = options.embedderProvider;
     this.host = options.host;
-
-    // Intelligent model selection based on project type
-    if (options.modelName) {
-      this.modelName = options.modelName;
-    } else {
-      this.modelName = this.detectOptimalModel();
+    this.apiKey = options.apiKey;
+    this.apiKeyHeader = options.apiKeyHeader;
+    this.embeddingPath = options.embeddingPath;
+
+    // Optional reranking of search results
+    this.rerankModel = options.rerankModel;
+    this.rerankHost = options.rerankHost;
+    this.rerankCandidates = options.rerankCandidates;
+    this.rerankApiKey = options.rerankApiKey;
+
+    // Intelligent model selection based on project type, per root unless a root names its model
+    for (const root of this.roots) {
+      root.isCodeRepo = this.isDirectoryCodeRepository(root.directory);
+      root.modelName = root.modelName || options.modelName || this.detectOptimalModel(root);
     }
+    this.modelName = this.roots[0].modelName;
+    this.assignCollections();
 
+    // One store per collection, shared by the roots indexed into it
+    this.stores = new Map();
     this.vecStore = null;
-    this.lastSyncTime = null;
+    this.indexingState = new IndexingState();
+    this.protocolServers = new Set();
 
     // Fast startup tracking
     this.isInitialized = false;
     this.initializationPromise = null;
+    this.initializationError = null;
   }
 
   log(...args) {
@@ -38,16 +162,20 @@ class MCPServer {
     }
   }
 
-  detectOptimalModel() {
-    // Check if this is a code repository
-    const isCodeRepo = this.isDirectoryCodeRepository(this.directory);
+  detectOptimalModel(root = this.roots[0]) {
+    // Code repositories get a code embedding model where the provider has one
+    const isCodeRepo = this.isDirectoryCodeRepository(root.directory);
+    return selectDefaultModel(this.embedderProvider || CONVENTIONS.embedder.defaultProvider, isCodeRepo);
+  }
 
-    if (isCodeRepo) {
-      // Use Jina code embeddings for code repositories
-      return 'unclemusclez/jina-embeddings-v2-base-code';
-    } else {
-      // Use Gemma for documents and general text
-      return 'embeddinggemma';
+  // Roots share the default collection unless they name one. A collection holds a single
+  // model, so a root whose model differs from the default collection's gets its own.
+  assignCollections() {
+    const defaultModel = this.roots.find(root => !root.collection)?.modelName;
+    for (const root of this.roots) {
+      if (!root.collection && root.modelName !== defaultModel) {
+        root.collection = root.name.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+      }
     }
   }
 
@@ -80,54 +208,71 @@ class MCPServer {
   }
 
   async initialize() {
+    for (const root of this.roots) {
+      const key = root.collection || 'default';
+      if (!this.stores.has(key)) {
+        this.stores.set(key, await this.openStore(root));
+      }
+      root.vecStore = this.stores.get(key);
+    }
+    this.vecStore = this.roots[0].vecStore;
+    this.modelName = this.roots[0].modelName;
+
+    this.watcher = null;
+
+    // Every start brings each root up to date, so files added, edited or deleted while
+    // the server was stopped are indexed before the watcher takes over
+    this.startBackgroundIndexing(this.roots);
+
+    // Reindex changed files as the watcher reports them
+    this.startFileWatching();
+  }
+
+  // Opens the collection a root indexes into, creating a named collection on first use
+  async openStore(root) {
     const config = getConfig({
       dbPath: this.dbPath,
-      modelName: this.modelName,
+      collection: root.collection || undefined,
+      modelName: root.modelName,
       embedderProvider: this.embedderProvider,
       host: this.host,
+      apiKey: this.apiKey,
+      apiKeyHeader: this.apiKeyHeader,
+      embeddingPath: this.embeddingPath,
+      rerankModel: this.rerankModel,
+      rerankHost: this.rerankHost,
+      rerankCandidates: this.rerankCandidates,
+      rerankApiKey: this.rerankApiKey,
       autoSetupOllama: this.embedderProvider === 'ollama' // Only auto-setup if using Ollama
     });
 
+    root.modelName = config.modelName;
+
     // Check if the provider is available
     if (config.embedderProvider === 'ollama') {
       const { OllamaEmbedder } = require('../embedders/ollama');
       const embedder = new OllamaEmbedder({
-        modelName: this.modelName
+        modelName: config.modelName
       });
       const ollamaAvailable = await embedder.checkConnection();
       config.autoSetupOllama = !ollamaAvailable;
     }
 
-    this.vecStore = await VecStoreFactory.create(config);
-    this.log(`Vexify MCP Server initialized - instant search ready (provider: ${config.embedderProvider}, model: ${this.modelName})`);
-
-    // Initialize optimization flags
-    this.indexingPromise = null;
-    this.indexingCompleted = false;
-    this.lastFileCheck = 0;
-    this.fileCheckInterval = 60000; // 60 seconds (reduced frequency)
-    this.knownFiles = new Map(); // Enhanced: stores file paths + mtime + size + CRC
-    this.fileCache = new Map(); // Cache for file content checksums
-    this.lastFullSync = 0;
-    this.fullSyncInterval = 300000; // 5 minutes minimum between full syncs
-
-    // Enhanced sync tracking
-    this.fileChecksums = new Map(); // CRC32 checksums for all files
-    this.syncValidationEnabled = true; // Ensure 100% sync before searches
-    this.lastSyncValidation = 0;
-    this.syncValidationInterval = 30000; // Validate sync every 30 seconds
-
-    // Start background indexing immediately if needed
-    const stats = await this.getDatabaseStats();
-    if (stats.totalDocuments === 0) {
-      setTimeout(() => this.startBackgroundIndexing(), 100);
-    } else {
-      this.log(`Database already has ${stats.totalDocuments} documents - skipping initial indexing`);
-      this.indexingCompleted = true;
+    if (root.collection) {
+      const store = new SQLiteStorageAdapter(config.dbPath, { collection: root.collection });
+      try {
+        if (!(await store.collectionExists(root.collection))) {
+          await store.createCollection(root.collection);
+        }
+      } finally {
+        store.close();
+      }
     }
 
-    // Start lightweight file monitoring (always enabled, uses internal logging only)
-    setTimeout(() => this.startFileMonitoring(), 5000);
+    const vecStore = await VecStoreFactory.create(config);
+    this.log(`Vexify MCP Server initialized - instant search ready (provider: ${config.embedderProvider}, model: ${vecStore.modelName}` +
+      `${root.collection ? `, collection: ${root.collection}` : ''})`);
+    return vecStore;
   }
 
   async initializeAsync() {
@@ -141,1047 +286,1205 @@ class MCPServer {
     try {
       await this.initialize();
       this.isInitialized = true;
+      this.notifyListChanged('tools');
+      this.notifyListChanged('resources');
       this.log('✓ Async initialization complete - full search functionality available');
     } catch (error) {
+      // index_status answers without initialization, so the failure is reported there
+      this.initializationError = error;
+      this.indexingState.markIndexingFailed(error);
       this.log('Async initialization failed:', error.message);
       throw error;
     }
   }
 
-  async startBackgroundIndexing() {
-    if (this.indexingPromise) return;
+  async startBackgroundIndexing(roots = this.roots) {
+    if (this.indexingState.isIndexing()) return;
 
-    this.log('Starting background indexing...');
+    this.log(`Starting background indexing${this.multiRoot ? ` of ${roots.map(root => root.name).join(', ')}` : ''}...`);
 
-    this.indexingPromise = this.performBackgroundSync();
+    // Give initialization a moment to finish before crawling
+    const indexing = new Promise(resolve => setTimeout(resolve, 100)).then(() => this.performBackgroundSync(roots));
+    this.indexingState.setIndexingPromise(indexing);
 
     try {
-      await this.indexingPromise;
-      this.indexingCompleted = true;
+      await indexing;
+      this.indexingState.markIndexingComplete();
       this.log('✓ Background indexing complete');
     } catch (error) {
+      // Don't throw - index_status reports the failure
+      this.indexingState.markIndexingFailed(error);
       this.log('Background indexing failed:', error.message);
     }
+    this.notifyListChanged('resources');
   }
 
-  async performBackgroundSync() {
-    try {
-      if (!fs.existsSync(this.directory)) {
-        throw new Error(`Directory not found: ${this.directory}`);
+  async performBackgroundSync(roots = this.roots) {
+    for (const root of roots) {
+      try {
+        await this.syncRoot(root);
+      } catch (error) {
+        // One unavailable root should not keep the others from being indexed
+        if (!this.multiRoot) throw error;
+        this.indexingState.recordError(root.directory, error);
+        this.log(`Indexing root ${root.name} failed:`, error.message);
       }
+    }
+  }
 
-      // Check if it's a code repository or document folder
-      const isCodeRepo = this.isDirectoryCodeRepository(this.directory);
+  async syncRoot(root) {
+    if (!fs.existsSync(root.directory)) {
+      throw new Error(`Directory not found: ${root.directory}`);
+    }
+
+    if (this.multiRoot) {
+      await this.removeUnlabelledDocuments(root);
+    }
 
-      if (isCodeRepo) {
-        await this.syncCodeRepositoryGracefully();
+    // Folder sync compares every file with its stored signature itself; a code root is
+    // crawled in full only until it has been indexed once
+    if (root.isCodeRepo) {
+      const known = await this.getKnownCodeFiles(root);
+      if (known.size === 0) {
+        await this.syncCodeRepositoryGracefully(root);
       } else {
-        await this.syncDocumentFolderGracefully();
+        await this.catchUpCodeRepository(root, known);
       }
+    } else {
+      await this.syncDocumentFolderGracefully(root);
+    }
+
+    // Ensure buffer is flushed
+    if (root.vecStore.flushBuffer) {
+      await root.vecStore.flushBuffer();
+    }
+  }
 
-      // Ensure buffer is flushed
-      if (this.vecStore.flushBuffer) {
-        await this.vecStore.flushBuffer();
+  // Documents indexed while the directory was served on its own have no root label and,
+  // for code, ids without the root name, so they are replaced rather than kept alongside
+  async removeUnlabelledDocuments(root) {
+    const store = root.vecStore.store;
+    const prefix = root.directory + path.sep;
+    const ids = [...new Set([
+      ...await store.getBySourcePrefix('absolutePath', prefix),
+      ...await store.getBySourcePrefix('filePath', prefix)
+    ])];
+
+    const unlabelled = [];
+    for (let i = 0; i < ids.length; i += 500) {
+      for (const doc of await store.getByIds(ids.slice(i, i + 500), ['id', 'metadata'])) {
+        if (doc.metadata?.root !== root.name) unlabelled.push(doc);
       }
+    }
+    if (unlabelled.length === 0) return;
 
-    } catch (error) {
-      this.log('Background sync error:', error.message);
-      // Don't throw - just log and continue
+    await root.vecStore.remove(unlabelled.map(doc => doc.id));
+    for (const doc of unlabelled) {
+      store.removeFileSignature(doc.metadata.absolutePath || doc.metadata.filePath);
     }
+    this.log(`Removed ${unlabelled.length} documents of ${root.name} indexed without a root label`);
   }
 
-  async syncCodeRepositoryGracefully() {
-    const crawler = new CodeCrawler({
-      rootPath: this.directory,
+  createCodeCrawler(root) {
+    return new CodeCrawler({
+      rootPath: root.directory,
       maxDepth: 10,
       maxFileSize: 1024 * 1024, // 1MB
       includeBinary: false,
       silent: this.silent,
-      customIgnorePatterns: [
-      '.git', '.svn', '.hg', '.bzr', '.cvs',
-      'node_modules', '.pnpm-store', 'vendor', 'bower_components', '.jspm',
-      '.gradle', '.mvn', 'target', 'build', 'out', 'dist', '.cargo',
-      '.cache', '.tmp', 'tmp', 'temp', '.temp', 'cache',
-      '.next', '.nuxt', '.parcel-cache', '.vite', '.angular', '.svelte-kit',
-      '.vscode', '.idea', '.vim', '.emacs.d', '.emacs', 'tags',
-      '.DS_Store', 'Thumbs.db', '.Spotlight-V100', '.Trashes',
-      'coverage', '.nyc_output', 'test-results', 'junit.xml',
-      '.pytest_cache', '.hypothesis', 'htmlcov',
-      '_build', '_site', 'site', '.jekyll', '.vuepress/dist',
-      'logs', '*.log', '.log', 'npm-debug.log*', 'yarn-debug.log*',
-      '.claude', '.claude-context', '.claude-flow', '.sequential-thoughts',
-      'glootie', '.mcp-metadata', '.transformers-cache',
-      '.env*', 'config.local.json', '.config/local.json',
-      '__pycache__', '*.py[cod]', '*$py.class', '.eggs', '*.egg-info',
-      'ios/build', 'android/build', 'build/android', 'build/ios'
-    ]
+      customIgnorePatterns: [...CODE_IGNORE_PATTERNS, ...root.ignore],
+      namespace: this.multiRoot ? root.name : null
     });
+  }
+
+  labelDocument(root, doc) {
+    if (this.multiRoot) {
+      doc.metadata.root = root.name;
+    }
+    return this.withFileSignature(doc);
+  }
+
+  // Adds the file signature used by sync validation
+  withFileSignature(doc) {
+    if (doc.metadata?.filePath) {
+      const signature = this.calculateEnhancedFileSignature(doc.metadata.absolutePath || doc.metadata.filePath);
+      if (signature) {
+        doc.metadata.fileSignature = signature;
+        doc.metadata.lastIndexed = Date.now();
+      }
+    }
+    return doc;
+  }
+
+  async syncCodeRepositoryGracefully(root) {
+    const crawler = this.createCodeCrawler(root);
 
     let indexed = { added: 0, skipped: 0, errors: 0 };
+    // The crawler does not wait for its callbacks, so they are awaited here before
+    // indexing counts as complete
+    const pending = [];
+    const signatures = [];
 
-    const onPageCrawled = async (doc) => {
+    const indexPage = async (doc) => {
       try {
-        // Enhanced metadata with file signature for sync validation
-        if (doc.metadata?.filePath) {
-          const signature = this.calculateEnhancedFileSignature(doc.metadata.filePath);
-          if (signature) {
-            doc.metadata.fileSignature = signature;
-            doc.metadata.lastIndexed = Date.now();
-          }
-        }
+        this.labelDocument(root, doc);
 
-        const result = await this.vecStore.addDocument(doc.id, doc.content, doc.metadata);
+        const signature = readSignature(doc.metadata.absolutePath);
+        const result = await root.vecStore.addChunkedDocument(doc.id, doc.content, doc.metadata);
+        signatures.push(signature);
         if (result.skipped) {
           indexed.skipped++;
         } else {
           indexed.added++;
         }
+        this.indexingState.recordFile(result.skipped);
       } catch (error) {
         indexed.errors++;
-        // Silently skip files with embedding errors
+        // Skip files with embedding errors; index_status lists them
+        this.indexingState.recordError(doc.metadata?.filePath || doc.id, error);
       }
     };
+    const onPageCrawled = (doc) => {
+      const indexing = indexPage(doc);
+      pending.push(indexing);
+      return indexing;
+    };
+
+    await crawler.crawl(root.vecStore, onPageCrawled);
+    await Promise.all(pending);
 
-    await crawler.crawl(this.vecStore, onPageCrawled);
+    // Signatures are stored once the buffered chunks are, so a failed flush is retried next start
+    await root.vecStore.flushBuffer();
+    for (const signature of signatures) {
+      root.vecStore.store.writeFileSignature(signature);
+    }
 
     this.log(`Code sync: ${indexed.added} files indexed, ${indexed.skipped} skipped, ${indexed.errors} errors`);
   }
 
-  async syncDocumentFolderGracefully() {
-    const folderSync = new FolderSync(this.vecStore, {
-      modelName: this.modelName,
-      recursive: true
-    });
-
-    // Override the individual document processing to handle embedding errors gracefully
-    const self = this;
-    const originalEmbedFile = folderSync.embedFile.bind(folderSync);
-    folderSync.embedFile = async function(file) {
-      try {
-        const result = await originalEmbedFile(file);
-
-        // Update metadata with file signature for documents processed through FolderSync
-        if (result && !result.skipped) {
-          const signature = self.calculateEnhancedFileSignature(file.fullPath);
-          if (signature) {
-            // Update the documents in the vector store with enhanced metadata
-            await self.updateDocumentMetadata(file.fullPath, {
-              fileSignature: signature,
-              lastIndexed: Date.now()
-            });
-          }
-        }
+  // Code files of a root that were indexed before, with or without a stored signature
+  async getKnownCodeFiles(root) {
+    const store = root.vecStore.store;
+    const prefix = root.directory + path.sep;
+    const known = new Set(await store.getSourceValuesByPrefix('absolutePath', prefix));
+    for (const filePath of (await store.getFileSignatures()).keys()) {
+      if (filePath.startsWith(prefix)) known.add(filePath);
+    }
+    return known;
+  }
 
-        return result;
-      } catch (error) {
-        this.log(`Skipping file due to error: ${error.message}`);
-        return null;
+  // Compares the files of a code root with the signatures stored when they were indexed,
+  // and reindexes only those added, edited or deleted while the server was stopped
+  async catchUpCodeRepository(root, known) {
+    const store = root.vecStore.store;
+    const signatures = await store.getFileSignatures();
+    const onDisk = this.createCodeCrawler(root).listFiles();
+    const changed = [];
+
+    for (const filePath of onDisk) {
+      const stored = signatures.get(filePath);
+      if (!stored) {
+        // New, or indexed before signatures were recorded
+        changed.push(filePath);
+        continue;
       }
-    };
 
-    const results = await folderSync.sync(this.directory);
-    this.log(`Document sync: ${results.added} files added, ${results.skipped} skipped`);
-  }
-
-  // Helper method to update document metadata with file signatures
-  async updateDocumentMetadata(filePath, additionalMetadata) {
-    try {
-      const allDocs = await this.vecStore.store.getAll();
-
-      for (const doc of allDocs) {
-        if (doc.metadata?.filePath === filePath) {
-          const updatedMetadata = { ...doc.metadata, ...additionalMetadata };
-          await this.vecStore.store.update(doc.id, {
-            ...doc,
-            metadata: updatedMetadata
-          });
-        }
+      try {
+        const { changed: differs, touched } = compareSignature(filePath, stored);
+        if (touched) store.writeFileSignature(touched);
+        if (differs) changed.push(filePath);
+      } catch {
+        // Deleted while comparing; reindexCodeFiles removes it
+        changed.push(filePath);
       }
-    } catch (error) {
-      this.log(`Error updating metadata for ${filePath}:`, error.message);
     }
-  }
 
-  async startFileMonitoring() {
-    // Initial file scan
-    await this.updateKnownFiles();
+    const present = new Set(onDisk);
+    const deleted = [...known].filter(filePath => !present.has(filePath));
+    const counts = await this.reindexCodeFiles(root, [...changed, ...deleted]);
+    this.log(`Code sync: ${counts.updated} files updated, ${counts.removed} removed, ${counts.errors} errors, ` +
+      `${onDisk.length - changed.length} unchanged`);
+  }
 
-    // Set up periodic file monitoring
-    setInterval(async () => {
-      const hasChanges = await this.checkForFileChanges();
-      if (hasChanges) {
-        this.log('File changes detected, triggering quick sync...');
-        this.performQuickSync();
-      }
-    }, this.fileCheckInterval);
+  createFolderSync(root) {
+    return new FolderSync(root.vecStore, {
+      modelName: root.modelName,
+      recursive: true,
+      ignoreDirs: [...CONVENTIONS.sync.ignoreDirs, ...root.ignore],
+      metadata: this.multiRoot ? { root: root.name } : null
+    });
   }
 
-  async updateKnownFiles() {
-    try {
-      const files = await this.getAllSourceFiles();
-      this.knownFiles.clear();
-      this.fileChecksums.clear();
-
-      // Enhanced file tracking with CRC checksums
-      for (const file of files) {
-        const signature = this.calculateEnhancedFileSignature(file.path);
-        if (signature) {
-          this.knownFiles.set(file.path, {
-            mtime: signature.mtime,
-            size: signature.size,
-            crc: signature.crc
-          });
-          this.fileChecksums.set(file.path, signature.crc);
-        }
-      }
+  // FolderSync records files that fail to process instead of aborting the sync
+  async syncDocumentFolderGracefully(root) {
+    const results = await this.createFolderSync(root).sync(root.directory);
+    this.indexingState.recordSyncResults(results);
+    this.log(`Document sync: ${results.added} files added, ${results.updated} updated, ${results.removed} removed, ${results.skipped} skipped`);
+  }
 
-      this.lastFileCheck = Date.now();
-      this.log(`Updated ${this.knownFiles.size} files with enhanced signatures`);
-    } catch (error) {
-      this.log('Error updating known files:', error.message);
+  startFileWatching() {
+    for (const root of this.roots) {
+      this.watchRoot(root);
     }
+    this.watcher = this.roots[0].watcher;
   }
 
-  async getAllSourceFiles() {
-    const processors = require('../processors');
-    const supportedExtensions = processors.getAllExtensions();
-    const sourceFiles = [];
+  watchRoot(root) {
+    const dbAbsPath = path.resolve(this.dbPath);
+    let ignore;
 
-    const scanDirectory = (dirPath, depth = 0) => {
-      if (depth > 10) return []; // Prevent infinite recursion
+    if (root.isCodeRepo) {
+      const { IgnoreManager } = require('../utils/ignore-manager');
+      const ignoreManager = new IgnoreManager(root.directory, [...CODE_IGNORE_PATTERNS, ...root.ignore]);
+      ignore = (fullPath) => fullPath.startsWith(dbAbsPath) || ignoreManager.shouldIgnore(fullPath);
+    } else {
+      const folderSync = this.createFolderSync(root);
+      ignore = (fullPath, isDirectory) => fullPath.startsWith(dbAbsPath) ||
+        folderSync.isIgnored(fullPath, root.directory, isDirectory);
+    }
 
-      try {
-        const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    root.watcher = new FolderWatcher(root.directory, {
+      debounce: CONVENTIONS.sync.watchDebounce,
+      ignore,
+      onChange: (paths) => this.reindexPaths(root, paths),
+      onError: (error) => this.log('File watch error:', error.message)
+    }).start();
 
-        for (const entry of entries) {
-          const fullPath = path.join(dirPath, entry.name);
+    this.log(`Watching ${root.directory} for file changes`);
+  }
 
-          if (entry.isDirectory()) {
-            // Comprehensive ignore patterns for all platforms and frameworks
-            const ignoreDirs = [
-              // Version control
-              '.git', '.svn', '.hg', '.bzr', '.cvs',
+  async reindexPaths(root, paths, onProgress = () => {}) {
+    // The initial index picks these changes up itself
+    if (this.indexingState.isIndexing()) {
+      await this.indexingState.indexingPromise;
+    }
 
-              // Dependencies and package managers
-              'node_modules', '.pnpm-store', 'vendor', 'bower_components', '.jspm',
-              '.gradle', '.mvn', 'target', 'build', 'out', 'dist',
-              '.cargo', 'vendor/bundle', '.bundle',
+    if (!root.isCodeRepo) {
+      const results = await this.createFolderSync(root).syncPaths(root.directory, paths);
+      this.indexingState.recordSyncErrors(results.errors);
 
-              // Build artifacts and cache
-              '.cache', '.tmp', 'tmp', 'temp', '.temp', 'cache',
-              '.next', '.nuxt', '.parcel-cache', '.vite',
-              '.angular', '.svelte-kit', '.storybook-out',
+      const counts = { updated: results.added + results.updated, removed: results.removed, errors: results.errors.length };
+      this.indexingState.recordReindex(paths, counts);
+      this.notifyListChanged('resources');
+      onProgress(paths.length, paths.length);
+      this.log(`Reindexed changed files: ${results.added} added, ${results.updated} updated, ${results.removed} removed`);
+      return counts;
+    }
 
-              // IDE and editor files
-              '.vscode', '.idea', '.vim', '.emacs.d', '.emacs',
-              'tags', '.ctags', '.cscope',
+    const counts = await this.reindexCodeFiles(root, paths, onProgress);
 
-              // OS files
-              '.DS_Store', 'Thumbs.db', '.Spotlight-V100', '.Trashes',
-              '.localized', '.com.apple.timemachine.donotpresent',
+    this.indexingState.recordReindex(paths, counts);
+    this.notifyListChanged('resources');
+    onProgress(paths.length, paths.length);
+    this.log(`Reindexed changed files: ${counts.updated} updated, ${counts.removed} removed, ${counts.errors} errors`);
+    return counts;
+  }
 
-              // Testing and coverage
-              'coverage', '.nyc_output', 'test-results', 'junit.xml',
-              '.pytest_cache', '.hypothesis', 'htmlcov',
+  // Reindexes code files and directories and removes the ones that no longer exist. Each
+  // file's signature is stored with it, so the next start can tell whether it changed.
+  async reindexCodeFiles(root, paths, onProgress = () => {}) {
+    const store = root.vecStore.store;
+    const crawler = this.createCodeCrawler(root);
+    const counts = { updated: 0, removed: 0, errors: 0 };
 
-              // Documentation builds
-              '_build', '_site', 'site', '.jekyll', '.vuepress/dist',
-              '.docusaurus', 'docs/_build', '.hugo_build.lock',
+    for (const [index, fullPath] of paths.entries()) {
+      if (index > 0) onProgress(index, paths.length);
 
-              // Logs and debugging
-              'logs', '*.log', '.log', 'npm-debug.log*', 'yarn-debug.log*',
-              'pm2-logs', 'supervisor-logs',
+      try {
+        let stats = null;
+        try {
+          stats = fs.statSync(fullPath);
+        } catch {
+          // Deleted or renamed away
+        }
 
-              // Database files
-              '*.db', '*.sqlite', '*.sqlite3', '*.mdb', '*.ldb',
+        if (!stats) {
+          // A deleted directory removes every file below it
+          const ids = [
+            ...await store.getBySource('absolutePath', fullPath),
+            ...await store.getBySourcePrefix('absolutePath', fullPath + path.sep)
+          ];
+          if (ids.length > 0) {
+            await root.vecStore.remove(ids);
+            counts.removed++;
+          }
+          for (const filePath of (await store.getFileSignatures()).keys()) {
+            if (filePath === fullPath || filePath.startsWith(fullPath + path.sep)) store.removeFileSignature(filePath);
+          }
+          continue;
+        }
 
-              // Claude and AI related
-              '.claude', '.claude-context', '.claude-flow', '.sequential-thoughts',
-              'glootie', '.mcp-metadata', '.transformers-cache',
+        const files = stats.isDirectory() ? crawler.listFiles(fullPath) : [fullPath];
+        for (const filePath of files) {
+          // Read before the content so an edit made meanwhile is seen as a change next time
+          const signature = readSignature(filePath);
+          const doc = await crawler.processFile(filePath);
+          if (!doc) continue;
+
+          this.labelDocument(root, doc);
+          await root.vecStore.upsert(doc.id, doc.content, doc.metadata);
+          store.writeFileSignature(signature);
+          counts.updated++;
+        }
+      } catch (error) {
+        counts.errors++;
+        this.indexingState.recordError(fullPath, error);
+        this.log(`Failed to reindex ${fullPath}:`, error.message);
+      }
+    }
 
-              // Environment and config
-              '.env*', 'config.local.json', '.config/local.json',
+    return counts;
+  }
 
-              // Docker and deployment
-              'docker-compose*.yml', 'docker-compose*.yaml', 'k8s', 'kubernetes',
+  async getDatabaseStats() {
+    try {
+      let totalDocuments = 0;
+      for (const vecStore of this.stores.values()) {
+        totalDocuments += await vecStore.store.countDocuments();
+      }
+      return { totalDocuments };
+    } catch (error) {
+      return { totalDocuments: 0 };
+    }
+  }
 
-              // Large binaries and archives
-              '*.zip', '*.tar.gz', '*.tgz', '*.rar', '*.7z', '*.iso',
-              '*.dmg', '*.img', '*.jar', '*.war', '*.ear',
+  // Paths from tool calls are relative to the served directory and may not leave it.
+  // With several roots they start with the root name, as displayPath() shows them.
+  resolveSourcePath(filePath) {
+    let root = this.roots[0];
+    let relativePath = filePath;
+
+    if (this.multiRoot) {
+      const [name, ...rest] = filePath.split(/[\\/]/);
+      root = this.roots.find(candidate => candidate.name === name);
+      if (!root) {
+        throw new Error(`Path must start with a root name (${this.roots.map(r => r.name).join(', ')}): ${filePath}`);
+      }
+      relativePath = rest.join(path.sep) || '.';
+    }
 
-              // Media files
-              '*.jpg', '*.jpeg', '*.png', '*.gif', '*.bmp', '*.tiff',
-              '*.svg', '*.mp4', '*.avi', '*.mov', '*.mp3', '*.wav',
+    const absolutePath = path.resolve(root.directory, relativePath);
+    if (!root.contains(absolutePath)) {
+      throw new Error(`Path is outside ${root.directory}: ${filePath}`);
+    }
+    return { root, absolutePath };
+  }
 
-              // Fonts and certificates
-              '*.ttf', '*.otf', '*.woff', '*.woff2', '*.pem', '*.key',
+  displayPath(sourcePath) {
+    if (!path.isAbsolute(sourcePath)) return sourcePath;
 
-              // Rust specific
-              'target', '**/*.rs.bk',
+    const root = this.roots.find(candidate => candidate.contains(sourcePath));
+    if (!root || sourcePath === root.directory) return sourcePath;
 
-              // Python specific
-              '__pycache__', '*.py[cod]', '*$py.class', 'build', 'dist',
-              '.eggs', '*.egg-info', '.tox', '.coverage',
+    const relativePath = path.relative(root.directory, sourcePath);
+    return this.multiRoot ? path.join(root.name, relativePath) : relativePath;
+  }
 
-              // Go specific
-              'vendor',
+  // Where a document came from; code documents keep the absolute path next to a relative one
+  documentSource(metadata = {}) {
+    return metadata.absolutePath || metadata.filePath || metadata.crawlUrl || metadata.fileId || null;
+  }
 
-              // Mobile development
-              'ios/build', 'android/build', 'build/android',
-              'build/ios', 'platforms', 'plugins',
+  rootOf(metadata = {}) {
+    if (metadata.root) {
+      return this.roots.find(root => root.name === metadata.root) || null;
+    }
+    const source = this.documentSource(metadata);
+    return (source && path.isAbsolute(source) && this.roots.find(root => root.contains(source))) || null;
+  }
 
-              // Framework specific
-              '.firebase', '.netlify', '.vercel', '.next',
-              '.angular', '.nuxt', '.gatsbypagecache'
-            ];
+  // Code documents store a relative filePath, folder sync an absolute one
+  async getDocumentIdsForPath(root, absolutePath) {
+    const store = root.vecStore.store;
+    const ids = [
+      ...await store.getBySource('absolutePath', absolutePath),
+      ...await store.getBySource('filePath', absolutePath),
+      // A relative path is ambiguous once several roots share a collection
+      ...(this.multiRoot ? [] : await store.getBySource('filePath', path.relative(root.directory, absolutePath)))
+    ];
+    return [...new Set(ids)];
+  }
 
-            if (!ignoreDirs.includes(entry.name)) {
-              const subFiles = scanDirectory(fullPath, depth + 1);
-              sourceFiles.push(...subFiles);
-            }
-          } else if (entry.isFile()) {
-            const ext = path.extname(entry.name).toLowerCase();
-            if (supportedExtensions.includes(ext)) {
-              try {
-                const stats = fs.statSync(fullPath);
-                // Filter out source files larger than 200KB (204800 bytes) - ~4000 lines max
-                if (stats.size <= 204800) {
-                  sourceFiles.push({
-                    path: fullPath,
-                    mtime: stats.mtime.getTime(),
-                    size: stats.size
-                  });
-                }
-              } catch (error) {
-                // Skip files we can't read
-              }
-            }
-          }
+  async getDocument({ id, filePath, startLine, endLine }) {
+    let store = this.vecStore.store;
+    let absolutePath = null;
+    let ids = [];
+
+    if (filePath) {
+      const resolved = this.resolveSourcePath(filePath);
+      absolutePath = resolved.absolutePath;
+      store = resolved.root.vecStore.store;
+      ids = await this.getDocumentIdsForPath(resolved.root, absolutePath);
+    } else if (id) {
+      // Ids are unique across collections, so the first one holding the id has it
+      for (const vecStore of this.stores.values()) {
+        ids = await vecStore.store.getDocumentIds(id);
+        if (ids.length > 0) {
+          store = vecStore.store;
+          break;
         }
-      } catch (error) {
-        // Skip directories we can't read
       }
+    } else {
+      throw new Error('Either id or path is required');
+    }
 
-      return sourceFiles;
-    };
-
-    scanDirectory(this.directory);
-    return sourceFiles;
-  }
+    const docs = (await store.getByIds(ids, ['id', 'content', 'metadata']))
+      .sort((a, b) => (a.metadata?.chunkIndex ?? 0) - (b.metadata?.chunkIndex ?? 0));
+    if (docs.length === 0) {
+      throw new Error(`Not indexed: ${filePath || id}`);
+    }
 
-  async checkForFileChanges() {
-    try {
-      const now = Date.now();
+    // Code is indexed verbatim, so a whole file is read from disk with its real line
+    // numbers. Other formats only exist as extracted text, returned chunk by chunk.
+    const diskPath = absolutePath || (docs.length > 1 ? docs[0].metadata?.absolutePath : null);
+    let text;
+    let firstLine = 1;
+    let fromDisk = false;
+
+    if (diskPath && docs.every(doc => doc.metadata?.source === 'code') && fs.existsSync(diskPath)) {
+      text = fs.readFileSync(diskPath, 'utf8');
+      fromDisk = true;
+    } else if (docs.length === 1) {
+      text = docs[0].content || '';
+      firstLine = docs[0].metadata?.startLine || 1;
+    } else {
+      text = docs.map(doc => doc.content || '').join('\n');
+    }
 
-      // Prevent too frequent full syncs
-      if (now - this.lastFullSync < this.fullSyncInterval) {
-        return false;
-      }
+    const lines = text.split('\n');
+    const lastLine = firstLine + lines.length - 1;
+    const from = Math.max(startLine || firstLine, firstLine);
+    const to = Math.min(endLine || from + MAX_DOCUMENT_LINES - 1, lastLine);
+
+    return {
+      id: docs.length === 1 ? docs[0].id : (id || docs[0].id.replace(/:chunk:\d+$/, '')),
+      path: filePath || (this.documentSource(docs[0].metadata) && this.displayPath(this.documentSource(docs[0].metadata))),
+      chunks: docs.length,
+      fromDisk,
+      startLine: from,
+      endLine: to,
+      totalLines: lastLine,
+      truncated: !endLine && to < lastLine,
+      content: lines.slice(from - firstLine, to - firstLine + 1).join('\n')
+    };
+  }
 
-      // Use git status for lightweight change detection
-      const gitChangedFiles = await this.getGitChangedFiles();
+  // One entry per file, URL or Drive file with its document count and last index time
+  async listSources({ source, pathPrefix, limit = 100 } = {}) {
+    const signatures = new Map();
+    const sources = new Map();
+    let documents = 0;
 
-      if (gitChangedFiles.length === 0) {
-        return false;
+    for (const vecStore of this.stores.values()) {
+      const store = vecStore.store;
+      for (const [filePath, signature] of await store.getFileSignatures()) {
+        signatures.set(filePath, signature);
       }
 
-      let hasChanges = false;
-      let changedFiles = [];
-      let changedTypes = { new: 0, modified: 0, deleted: 0 };
-
-      // Only check files that git reports as changed
-      for (const changedFile of gitChangedFiles) {
-        const fullPath = path.resolve(this.directory, changedFile.path);
-
-        // Skip if not a supported file type
-        const ext = path.extname(changedFile.path).toLowerCase();
-        const processors = require('../processors');
-        const supportedExtensions = processors.getAllExtensions();
-        if (!supportedExtensions.includes(ext)) {
-          continue;
-        }
+      for await (const batch of store.iterate({ columns: ['id', 'metadata'], where: source ? { source } : null })) {
+        for (const doc of batch) {
+          const metadata = doc.metadata || {};
+          const key = this.documentSource(metadata) || doc.id.replace(/:chunk:\d+$/, '');
+          const entry = sources.get(key) || { path: this.displayPath(key), source: metadata.source || null, documents: 0, lastIndexed: null };
+          if (pathPrefix && !entry.path.startsWith(pathPrefix)) continue;
 
-        // Check file size
-        try {
-          const stats = fs.statSync(fullPath);
-          if (stats.size > 204800) { // 200KB limit
-            continue;
+          const indexedAt = metadata.lastIndexed || (metadata.processedAt ? Date.parse(metadata.processedAt) : null);
+          if (indexedAt && indexedAt > (entry.lastIndexed || 0)) {
+            entry.lastIndexed = indexedAt;
           }
-        } catch (error) {
-          // File might be deleted
-        }
-
-        const knownFile = this.knownFiles.get(fullPath);
-        const currentSignature = this.calculateEnhancedFileSignature(fullPath);
 
-        if (changedFile.type === 'deleted' || !currentSignature) {
-          // Deleted file
-          if (knownFile) {
-            changedFiles.push({ path: fullPath, type: 'deleted' });
-            changedTypes.deleted++;
-            hasChanges = true;
-          }
-        } else if (!knownFile) {
-          // New file
-          changedFiles.push({ path: fullPath, type: 'new' });
-          changedTypes.new++;
-          hasChanges = true;
-        } else if (knownFile.mtime !== currentSignature.mtime ||
-                   knownFile.size !== currentSignature.size ||
-                   knownFile.crc !== currentSignature.crc) {
-          // Modified file (date + CRC both must be different)
-          const changeReason = [];
-          if (knownFile.mtime !== currentSignature.mtime) changeReason.push('mtime');
-          if (knownFile.size !== currentSignature.size) changeReason.push('size');
-          if (knownFile.crc !== currentSignature.crc) changeReason.push('content');
-
-          changedFiles.push({
-            path: fullPath,
-            type: 'modified',
-            reasons: changeReason
-          });
-          changedTypes.modified++;
-          hasChanges = true;
+          entry.documents++;
+          documents++;
+          sources.set(key, entry);
         }
       }
+    }
 
-      // Only trigger reindex if significant changes detected
-      if (changedTypes.deleted > 0) {
-        const deletedPaths = changedFiles.filter(f => f.type === 'deleted').map(f => f.path);
-        changedFiles.push({ type: 'deleted', count: changedTypes.deleted, paths: deletedPaths.slice(0, 3) });
-        hasChanges = true;
+    for (const [key, entry] of sources) {
+      const signature = signatures.get(key);
+      if (signature?.indexed_at) {
+        entry.lastIndexed = Math.max(entry.lastIndexed || 0, signature.indexed_at * 1000);
       }
+    }
 
-      if (hasChanges) {
-        const changeSummary = [];
-        if (changedTypes.new > 0) changeSummary.push(`${changedTypes.new} new`);
-        if (changedTypes.modified > 0) changeSummary.push(`${changedTypes.modified} modified`);
-        if (changedTypes.deleted > 0) changeSummary.push(`${changedTypes.deleted} deleted`);
+    const all = [...sources.values()].sort((a, b) => a.path.localeCompare(b.path));
+    return { total: all.length, documents, sources: all.slice(0, limit) };
+  }
 
-        const fileExamples = changedFiles
-          .filter(f => f.path)
-          .slice(0, 3)
-          .map(f => `${path.basename(f.path)}(${f.type})`)
-          .join(', ');
+  async getIndexStatus() {
+    return {
+      initialized: this.isInitialized,
+      directory: this.directory,
+      dbPath: this.dbPath,
+      model: this.modelName,
+      provider: this.embedderProvider || CONVENTIONS.embedder.defaultProvider,
+      documents: this.vecStore ? (await this.getDatabaseStats()).totalDocuments : null,
+      watching: this.roots.some(root => root.watcher),
+      roots: this.roots.map(root => ({
+        name: root.name,
+        directory: root.directory,
+        type: root.isCodeRepo ? 'code' : 'documents',
+        model: root.modelName,
+        collection: root.collection || 'default',
+        watching: !!root.watcher
+      })),
+      indexing: this.indexingState.snapshot()
+    };
+  }
 
-        this.log(`Enhanced change detection: ${changeSummary.join(', ')} files. Examples: ${fileExamples}${changedFiles.length > 3 ? '...' : ''}`);
-        this.lastFullSync = now;
-      }
+  async reindex(paths, onProgress = () => {}) {
+    if (!Array.isArray(paths) || paths.length === 0) {
+      throw new Error('paths must list at least one file or directory');
+    }
 
-      return hasChanges;
-    } catch (error) {
-      this.log('Error checking file changes:', error.message);
-      return false;
+    const pathsByRoot = new Map();
+    for (const filePath of paths) {
+      const { root, absolutePath } = this.resolveSourcePath(filePath);
+      pathsByRoot.set(root, [...(pathsByRoot.get(root) || []), absolutePath]);
     }
-  }
 
-  async performQuickSync() {
-    // Only sync changed files, not full directory
-    try {
-      await this.updateKnownFiles();
-      // In a full implementation, we'd track specific file changes
-      // For now, just trigger a light background sync
-      if (!this.indexingPromise) {
-        setTimeout(() => this.startBackgroundIndexing(), 100);
-      }
-    } catch (error) {
-      this.log('Quick sync error:', error.message);
+    const totals = { updated: 0, removed: 0, errors: 0 };
+    let done = 0;
+    for (const [root, rootPaths] of pathsByRoot) {
+      const counts = await this.reindexPaths(root, rootPaths, (progress) => onProgress(done + progress, paths.length));
+      done += rootPaths.length;
+      totals.updated += counts.updated;
+      totals.removed += counts.removed;
+      totals.errors += counts.errors;
     }
+    return totals;
   }
 
-  async getGitChangedFiles() {
-    try {
-      const { execSync } = require('child_process');
-
-      // Check if we're in a git repository
-      try {
-        execSync('git rev-parse --git-dir', { cwd: this.directory, stdio: 'ignore' });
-      } catch (error) {
-        // Not a git repository, fallback to full scan
-        this.log('Not in git repository, using full file scan');
-        return await this.getFullFileSystemChanges();
-      }
+  isDirectoryCodeRepository(dirPath) {
+    const indicators = [
+      'package.json',
+      'tsconfig.json',
+      'Cargo.toml',
+      'requirements.txt',
+      'pyproject.toml',
+      'pom.xml',
+      'build.gradle'
+    ];
 
-      // Get git status for changed files
-      const gitStatus = execSync('git status --porcelain', {
-        cwd: this.directory,
-        encoding: 'utf8'
-      }).trim();
+    return indicators.some(indicator =>
+      fs.existsSync(path.join(dirPath, indicator))
+    );
+  }
 
-      if (!gitStatus) {
-        return []; // No changes
-      }
+  async search(query, options = {}) {
+    const {
+      topK = 6,
+      mode = 'hybrid',
+      includeContent = true,
+      filters = {},
+      mmr,
+      maxPerSource,
+      roots
+    } = options;
 
-      const changedFiles = [];
-      const lines = gitStatus.split('\n');
-
-      for (const line of lines) {
-        const statusCode = line.substring(0, 2);
-        const filePath = line.substring(3);
-
-        // Parse git status codes
-        let fileType = 'modified';
-        if (statusCode[0] === '?' || statusCode[1] === '?') {
-          fileType = 'new';
-        } else if (statusCode[0] === 'D' || statusCode[1] === 'D') {
-          fileType = 'deleted';
-        } else if (statusCode[0] === 'M' || statusCode[1] === 'M' ||
-                   statusCode[0] === 'A' || statusCode[1] === 'A' ||
-                   statusCode[0] === 'R' || statusCode[1] === 'R') {
-          fileType = 'modified';
-        }
+    // The watchers keep every root in sync, so searches read the index as it is
+    try {
+      const startTime = Date.now();
+      const results = await this.queryRoots(query, this.selectRoots(roots), !!roots, { topK, mode, filters, mmr, maxPerSource });
+      const searchTime = Date.now() - startTime;
 
-        changedFiles.push({
-          path: filePath,
-          type: fileType,
-          statusCode: statusCode
-        });
+      if (process.env.NODE_ENV === 'development') {
+        this.log(`Search completed in ${searchTime}ms (${results.length} results)`);
       }
 
-      this.log(`Git detected ${changedFiles.length} changed files`);
-      return changedFiles;
-
+      return results.map(result => ({
+        id: result.id,
+        score: result.score,
+        content: includeContent ? result.content : null,
+        metadata: result.metadata || {},
+        root: this.rootOf(result.metadata)?.name || null,
+        snippet: extractSnippet(result.content, query, { firstLine: result.metadata?.startLine }),
+        otherMatches: result.otherMatches || []
+      }));
     } catch (error) {
-      this.log('Git status query failed, falling back to full scan:', error.message);
-      return await this.getFullFileSystemChanges();
+      this.log('Search error:', error.message);
+      throw new Error(`Search failed: ${error.message}`);
     }
   }
 
-  async getFullFileSystemChanges() {
-    // Fallback method that does a full file system comparison
-    // This is the original behavior when git is not available
-    const currentFiles = await this.getAllSourceFiles();
-    const changedFiles = [];
-
-    for (const file of currentFiles) {
-      const knownFile = this.knownFiles.get(file.path);
-      const currentSignature = this.calculateEnhancedFileSignature(file.path);
+  selectRoots(names) {
+    if (!names) return this.roots;
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new Error('roots must list at least one root name');
+    }
 
-      if (!currentSignature) {
-        continue;
+    return names.map(name => {
+      const root = this.roots.find(candidate => candidate.name === name);
+      if (!root) {
+        throw new Error(`Unknown root: ${name}. Roots: ${this.roots.map(candidate => candidate.name).join(', ')}`);
       }
+      return root;
+    });
+  }
+
+  // Queries each collection the roots are indexed into. Scores of different collections
+  // come from different models, so they are merged as for `vexify query --collection a,b`.
+  async queryRoots(query, roots, scoped, { filters, ...options }) {
+    const rootsByStore = new Map();
+    for (const root of roots) {
+      rootsByStore.set(root.vecStore, [...(rootsByStore.get(root.vecStore) || []), root]);
+    }
 
-      if (!knownFile) {
-        changedFiles.push({ path: file.path, type: 'new' });
-      } else if (knownFile.mtime !== currentSignature.mtime ||
-                 knownFile.size !== currentSignature.size ||
-                 knownFile.crc !== currentSignature.crc) {
-        changedFiles.push({ path: file.path, type: 'modified' });
+    const resultsByCollection = {};
+    for (const [vecStore, storeRoots] of rootsByStore) {
+      const where = { ...filters };
+      if (scoped && this.multiRoot) {
+        where.root = storeRoots.map(root => root.name);
       }
+      resultsByCollection[storeRoots[0].collection || 'default'] = await vecStore.query(query, {
+        ...options,
+        where: Object.keys(where).length > 0 ? where : null
+      });
     }
 
-    return changedFiles;
+    const lists = Object.values(resultsByCollection);
+    return lists.length === 1 ? lists[0] : mergeCollectionResults(resultsByCollection, options.topK);
   }
 
-  async ensureIndexSync() {
-    try {
-      // Check if database exists and has content
-      const stats = await this.getDatabaseStats();
-
-      if (stats.totalDocuments === 0) {
-        this.log('Performing initial index sync...');
-        await this.performSync();
-        this.lastSyncTime = Date.now();
-        return;
-      }
+  buildSearchFilters(args) {
+    const filters = {};
 
-      // Enhanced sync validation
-      if (this.syncValidationEnabled) {
-        const isFullySynced = await this.validateDatabaseSync();
-        if (!isFullySynced) {
-          this.log('Database sync validation failed, performing full sync...');
-          await this.performSync();
-          this.lastSyncTime = Date.now();
-          return;
-        }
-      } else {
-        // Fallback to basic sync check
-        const needsSync = await this.checkIfSyncNeeded();
-        if (needsSync) {
-          this.log('Detected file changes, performing sync...');
-          await this.performSync();
-          this.lastSyncTime = Date.now();
-          return;
-        }
-      }
+    if (args.source) filters.source = args.source;
+    if (args.language) filters.language = args.language;
+    if (args.file_path) filters.filePath = args.file_path;
+    if (args.url_prefix) filters.crawlUrl = args.url_prefix;
+    if (args.mime_type) filters.mimeType = args.mime_type;
 
-      this.log('✓ Database is 100% in sync with codebase');
-    } catch (error) {
-      this.log('Error during index sync:', error.message);
-      throw error;
+    if (args.processed_after || args.processed_before) {
+      filters.processedAt = { from: args.processed_after, to: args.processed_before };
     }
+    if (args.modified_after || args.modified_before) {
+      filters.modifiedTime = { from: args.modified_after, to: args.modified_before };
+    }
+
+    return filters;
   }
 
-  // Comprehensive database sync validation using CRC checksums
-  async validateDatabaseSync() {
-    try {
-      const now = Date.now();
+  // One search_code hit as structuredContent. Snippet lines are only reported where the
+  // indexed text has source lines: code, and chunks that record where they start.
+  describeResult(result, index) {
+    const metadata = result.metadata;
+    const filePath = metadata.absolutePath || metadata.filePath;
+    const hasLines = metadata.source === 'code' || metadata.startLine !== undefined;
+
+    return {
+      rank: index + 1,
+      id: result.id,
+      score: result.score,
+      path: filePath ? this.displayPath(filePath) : null,
+      url: metadata.crawlUrl || metadata.driveUrl || null,
+      root: this.multiRoot ? result.root : null,
+      source: metadata.source || null,
+      language: metadata.language || null,
+      title: metadata.title || null,
+      symbol: metadata.symbolName || null,
+      startLine: metadata.startLine ?? null,
+      endLine: metadata.endLine ?? null,
+      pageNumber: metadata.pageNumber ?? null,
+      snippet: {
+        text: result.snippet.text,
+        highlights: result.snippet.highlights,
+        startLine: hasLines ? result.snippet.startLine : null,
+        endLine: hasLines ? result.snippet.endLine : null
+      },
+      otherMatches: result.otherMatches,
+      ...(result.content !== null && { content: result.content })
+    };
+  }
 
-      // Don't validate too frequently
-      if (now - this.lastSyncValidation < this.syncValidationInterval) {
-        return true; // Assume still valid if recently checked
-      }
+  formatResult(item) {
+    const location = item.path || item.url || item.id;
+    const lines = item.startLine ? ` (lines ${item.startLine}-${item.endLine})` : (item.pageNumber ? ` (page ${item.pageNumber})` : '');
+    const snippet = highlightSnippet(item.snippet).replace(/\n/g, '\n      ');
+
+    return `${item.rank}. [${item.language || item.source || 'unknown'}] (score: ${item.score.toFixed(4)})\n` +
+      (item.root ? `   Root: ${item.root}\n` : '') +
+      `   File: ${location}${lines}\n` +
+      (item.path && item.url ? `   URL: ${item.url}\n` : '') +
+      `   Id: ${item.id}\n` +
+      `   Snippet${item.snippet.startLine ? ` (line ${item.snippet.startLine})` : ''}: ${snippet}\n` +
+      (item.otherMatches.length > 0 ? `   Also matches: ${item.otherMatches.map(match => match.id).join(', ')}\n` : '') +
+      (item.content ? `   Content: ${item.content.substring(0, 300)}${item.content.length > 300 ? '...' : ''}\n` : '');
+  }
 
-      this.log('Performing comprehensive database sync validation...');
+  // MCP protocol methods
 
-      // Get current files on disk with signatures
-      const currentFiles = await this.getAllSourceFiles();
-      const currentSignatures = new Map();
+  describePathArgument(kind) {
+    return this.multiRoot
+      ? `${kind} starting with the root name (${this.roots.map(root => root.name).join(', ')}), e.g. ${this.roots[0].name}/src`
+      : `${kind} relative to the indexed directory`;
+  }
 
-      for (const file of currentFiles) {
-        const signature = this.calculateEnhancedFileSignature(file.path);
-        if (signature) {
-          currentSignatures.set(file.path, signature);
+  // search_code's description reflects initialization, so clients are told when it changes
+  getToolDefinitions() {
+    return [
+      {
+        name: 'search_code',
+        description: `Search through indexed code and documents using semantic search${this.isInitialized ? '' : ' (initializing...)'}`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query to find relevant code or documents'
+            },
+            top_k: {
+              type: 'number',
+              description: 'Maximum number of results to return (default: 6)',
+              default: 6,
+              minimum: 1,
+              maximum: 20
+            },
+            mode: {
+              type: 'string',
+              enum: ['hybrid', 'vector', 'keyword'],
+              description: 'Search mode: hybrid fuses keyword (BM25) and semantic rankings, vector is semantic only, keyword matches exact identifiers and error codes (default: hybrid)',
+              default: 'hybrid'
+            },
+            roots: {
+              type: 'array',
+              items: { type: 'string', enum: this.roots.map(root => root.name) },
+              description: 'Only search these workspace roots (default: all roots)'
+            },
+            source: {
+              type: 'string',
+              description: 'Only return results from this source type (code, file, crawl, gdrive)'
+            },
+            language: {
+              type: 'string',
+              description: 'Only return results in this language (e.g. javascript, python)'
+            },
+            file_path: {
+              type: 'string',
+              description: 'Glob that result file paths must match (e.g. src/**/*.ts)'
+            },
+            url_prefix: {
+              type: 'string',
+              description: 'Only return crawled pages whose URL starts with this prefix'
+            },
+            mime_type: {
+              type: 'string',
+              description: 'Only return documents with this MIME type'
+            },
+            processed_after: {
+              type: 'string',
+              description: 'Only return documents indexed on or after this ISO date'
+            },
+            processed_before: {
+              type: 'string',
+              description: 'Only return documents indexed on or before this ISO date'
+            },
+            modified_after: {
+              type: 'string',
+              description: 'Only return documents modified on or after this ISO date'
+            },
+            modified_before: {
+              type: 'string',
+              description: 'Only return documents modified on or before this ISO date'
+            },
+            mmr: {
+              type: 'boolean',
+              description: 'Diversify results with maximal marginal relevance so near-duplicate chunks do not crowd out other matches (default: false)',
+              default: false
+            },
+            max_per_source: {
+              type: 'number',
+              description: 'Return at most this many results per file, URL or Drive file; further hits are listed as other matching locations',
+              minimum: 1
+            },
+            include_content: {
+              type: 'boolean',
+              description: 'Whether to include full content in results (default: true)',
+              default: true
+            }
+          },
+          required: ['query']
+        },
+        outputSchema: SEARCH_OUTPUT_SCHEMA
+      },
+      {
+        name: 'get_document',
+        description: 'Fetch a whole indexed file or document by path or id, optionally limited to a line range. Use it to read the full context around a search_code hit.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: this.describePathArgument('File path')
+            },
+            id: {
+              type: 'string',
+              description: 'Document id from a search result; a file id returns all of its chunks'
+            },
+            start_line: {
+              type: 'number',
+              description: 'First line to return (default: 1)',
+              minimum: 1
+            },
+            end_line: {
+              type: 'number',
+              description: `Last line to return (default: start_line + ${MAX_DOCUMENT_LINES - 1})`,
+              minimum: 1
+            }
+          }
         }
-      }
-
-      // Get files tracked in database
-      const dbFiles = await this.getTrackedDatabaseFiles();
-      const dbSignatures = new Map();
-
-      for (const dbFile of dbFiles) {
-        if (dbFile.metadata?.filePath && dbFile.metadata?.fileSignature) {
-          dbSignatures.set(dbFile.metadata.filePath, dbFile.metadata.fileSignature);
+      },
+      {
+        name: 'list_sources',
+        description: 'List indexed files, URLs and Drive files with their document counts and when they were last indexed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            source: {
+              type: 'string',
+              description: 'Only list sources of this type (code, file, crawl, gdrive)'
+            },
+            path_prefix: {
+              type: 'string',
+              description: 'Only list sources whose path starts with this prefix (e.g. src/)'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of sources to list (default: 100)',
+              default: 100,
+              minimum: 1
+            }
+          }
         }
-      }
-
-      // Compare disk vs database
-      const mismatches = [];
-
-      // Check for files on disk that aren't in database or have different signatures
-      for (const [filePath, signature] of currentSignatures) {
-        const dbSignature = dbSignatures.get(filePath);
-        if (!dbSignature) {
-          mismatches.push({ path: filePath, issue: 'missing_in_db' });
-        } else if (dbSignature.crc !== signature.crc ||
-                   dbSignature.mtime !== signature.mtime ||
-                   dbSignature.size !== signature.size) {
-          mismatches.push({ path: filePath, issue: 'signature_mismatch' });
+      },
+      {
+        name: 'index_status',
+        description: 'Report background indexing progress, recent indexing errors and the size of the index',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            wait: {
+              type: 'boolean',
+              description: 'Wait until background indexing finishes, reporting progress along the way (default: false)',
+              default: false
+            }
+          }
         }
-      }
-
-      // Check for files in database that no longer exist on disk
-      for (const [filePath] of dbSignatures) {
-        if (!currentSignatures.has(filePath)) {
-          mismatches.push({ path: filePath, issue: 'deleted_from_disk' });
+      },
+      {
+        name: 'reindex',
+        description: 'Re-index files or directories now, e.g. after editing them when file watching is unavailable. Deleted paths are removed from the index.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            paths: {
+              type: 'array',
+              items: { type: 'string' },
+              description: this.describePathArgument('Files or directories')
+            }
+          },
+          required: ['paths']
         }
       }
-
-      this.lastSyncValidation = now;
-
-      if (mismatches.length === 0) {
-        this.log(`✓ Sync validation passed: ${currentSignatures.size} files verified`);
-        return true;
-      } else {
-        const issueCounts = mismatches.reduce((acc, m) => {
-          acc[m.issue] = (acc[m.issue] || 0) + 1;
-          return acc;
-        }, {});
-
-        const issuesSummary = Object.entries(issueCounts)
-          .map(([issue, count]) => `${count} ${issue.replace(/_/g, ' ')}`)
-          .join(', ');
-
-        this.log(`⚠ Sync validation failed: ${issuesSummary}`);
-        this.log(`Sample mismatches:`, mismatches.slice(0, 3).map(m => path.basename(m.path)).join(', '));
-        return false;
-      }
-    } catch (error) {
-      this.log('Error during sync validation:', error.message);
-      return false; // Assume out of sync on error
-    }
+    ];
   }
 
-  // Get files currently tracked in the database
-  async getTrackedDatabaseFiles() {
-    try {
-      const allDocs = await this.vecStore.store.getAll();
-      const trackedFiles = [];
-
-      for (const doc of allDocs) {
-        if (doc.metadata?.source === 'file' && doc.metadata?.filePath) {
-          trackedFiles.push({
-            id: doc.id,
-            filePath: doc.metadata.filePath,
-            metadata: doc.metadata
-          });
+  // One protocol server per connected client, all sharing this index
+  createProtocolServer() {
+    const server = new Server(
+      { name: 'vexify-mcp', version: require('../../package.json').version },
+      {
+        capabilities: {
+          tools: { listChanged: true },
+          resources: { listChanged: true },
+          logging: {}
         }
       }
+    );
 
-      return trackedFiles;
-    } catch (error) {
-      this.log('Error getting tracked database files:', error.message);
-      return [];
-    }
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: this.getToolDefinitions() }));
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => this.handleToolCall(request, extra));
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => this.listResources(request.params?.cursor));
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [{
+        uriTemplate: `${DOCUMENT_URI_PREFIX}{id}`,
+        name: 'Indexed document',
+        description: 'Text of an indexed document or file by document id',
+        mimeType: 'text/plain'
+      }]
+    }));
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => this.readResource(request.params.uri));
+
+    this.protocolServers.add(server);
+    server.onclose = () => this.protocolServers.delete(server);
+    return server;
   }
 
-  async getDatabaseStats() {
-    try {
-      const stmt = this.vecStore.db.prepare('SELECT COUNT(*) as count FROM documents');
-      const result = stmt.get();
-      return { totalDocuments: result.count || 0 };
-    } catch (error) {
-      return { totalDocuments: 0 };
+  notifyListChanged(list) {
+    for (const server of this.protocolServers) {
+      const notification = list === 'tools' ? server.sendToolListChanged() : server.sendResourceListChanged();
+      // Clients that have not finished connecting miss the notification and list later anyway
+      Promise.resolve(notification).catch(() => {});
     }
   }
 
-  async checkIfSyncNeeded() {
-    try {
-      // Simple check: if directory exists and we haven't synced recently
-      if (!fs.existsSync(this.directory)) {
-        return false;
-      }
-
-      // Check if any files have been modified recently
-      const checkFile = (filePath) => {
-        try {
-          const stats = fs.statSync(filePath);
-          const fileTime = stats.mtime.getTime();
-          return fileTime > (this.lastSyncTime || 0);
-        } catch {
-          return false;
-        }
-      };
+  // Progress notifications are only sent when the client asked for them with a progressToken.
+  // report.sent settles once the latest notification is out.
+  createProgressReporter(request, extra) {
+    const progressToken = request.params._meta?.progressToken;
+    const report = (progress, total, message) => {
+      if (progressToken === undefined) return;
+      report.sent = extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, ...(total !== undefined && { total }), message }
+      }).catch(() => {});
+    };
+    report.sent = Promise.resolve();
+    return report;
+  }
 
-      // Check a few key files for changes
-      const packageJsonPath = path.join(this.directory, 'package.json');
-      if (checkFile(packageJsonPath)) return true;
+  documentUri(id) {
+    return DOCUMENT_URI_PREFIX + encodeURIComponent(id);
+  }
 
-      // Check if this is a code directory and look for source files
-      const srcPath = path.join(this.directory, 'src');
-      if (fs.existsSync(srcPath)) {
-        const srcFiles = fs.readdirSync(srcPath).slice(0, 5); // Check first 5 files
-        for (const file of srcFiles) {
-          if (checkFile(path.join(srcPath, file))) return true;
+  // Indexed documents with chunks folded into their parent document
+  async getIndexedDocuments() {
+    const documents = new Map();
+
+    for (const vecStore of this.stores.values()) {
+      for await (const batch of vecStore.store.iterate({ columns: ['id', 'metadata'] })) {
+        for (const doc of batch) {
+          const id = doc.id.replace(/:chunk:\d+$/, '');
+          const entry = documents.get(id) || { id, metadata: doc.metadata || {}, chunks: 0 };
+          entry.chunks++;
+          documents.set(id, entry);
         }
       }
-
-      return false;
-    } catch (error) {
-      this.log('Error checking sync status:', error.message);
-      return false; // Don't sync if we can't determine status
     }
-  }
 
-  async performSync() {
-    try {
-      if (!fs.existsSync(this.directory)) {
-        throw new Error(`Directory not found: ${this.directory}`);
-      }
+    return [...documents.values()];
+  }
 
-      // Check if it's a code repository or document folder
-      const isCodeRepo = this.isDirectoryCodeRepository(this.directory);
+  async listResources(cursor) {
+    if (!this.isInitialized) {
+      return { resources: [] };
+    }
 
-      if (isCodeRepo) {
-        await this.syncCodeRepository();
-      } else {
-        await this.syncDocumentFolder();
-      }
+    const offset = cursor ? parseInt(cursor) || 0 : 0;
+    const documents = await this.getIndexedDocuments();
+    const page = documents.slice(offset, offset + RESOURCE_PAGE_SIZE);
+
+    return {
+      resources: page.map(doc => {
+        const sourcePath = this.documentSource(doc.metadata);
+        return {
+          uri: this.documentUri(doc.id),
+          name: sourcePath ? this.displayPath(sourcePath) : doc.id,
+          description: `${doc.metadata.source || 'document'}${doc.metadata.pageNumber ? `, page ${doc.metadata.pageNumber}` : ''}` +
+            `${doc.chunks > 1 ? `, ${doc.chunks} chunks` : ''}`,
+          mimeType: 'text/plain'
+        };
+      }),
+      ...(offset + RESOURCE_PAGE_SIZE < documents.length && { nextCursor: String(offset + RESOURCE_PAGE_SIZE) })
+    };
+  }
 
-      // Ensure buffer is flushed
-      await this.vecStore.flushBuffer();
+  async readResource(uri) {
+    if (!uri.startsWith(DOCUMENT_URI_PREFIX)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+    }
+    if (!this.isInitialized) {
+      throw new McpError(ErrorCode.InternalError, 'Server is still initializing, try again in a moment');
+    }
 
-      this.log('Sync completed successfully');
+    let doc;
+    try {
+      doc = await this.getDocument({ id: decodeURIComponent(uri.slice(DOCUMENT_URI_PREFIX.length)), endLine: Infinity });
     } catch (error) {
-      this.log('Error during sync:', error.message);
-      throw error;
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
     }
-  }
 
-  isDirectoryCodeRepository(dirPath) {
-    const indicators = [
-      'package.json',
-      'tsconfig.json',
-      'Cargo.toml',
-      'requirements.txt',
-      'pyproject.toml',
-      'pom.xml',
-      'build.gradle'
-    ];
+    return { contents: [{ uri, mimeType: 'text/plain', text: doc.content }] };
+  }
 
-    return indicators.some(indicator =>
-      fs.existsSync(path.join(dirPath, indicator))
-    );
+  textResult(text) {
+    return { content: [{ type: 'text', text }] };
   }
 
-  async syncCodeRepository() {
-    const crawler = new CodeCrawler({
-      rootPath: this.directory,
-      maxDepth: 10,
-      maxFileSize: 1024 * 1024, // 1MB
-      includeBinary: false,
-      customIgnorePatterns: []
-    });
+  errorResult(text) {
+    return { content: [{ type: 'text', text }], isError: true };
+  }
 
-    let indexed = { added: 0, skipped: 0 };
+  initializingResult() {
+    if (this.initializationError) {
+      return this.errorResult(`Server failed to initialize: ${this.initializationError.message}\n\n` +
+        'Fix the problem and restart the server; index_status shows the details.');
+    }
 
-    const onPageCrawled = async (doc) => {
-      const result = await this.vecStore.addDocument(doc.id, doc.content, doc.metadata);
-      if (result.skipped) {
-        indexed.skipped++;
-      } else {
-        indexed.added++;
-      }
-    };
+    // If initialization is still in progress, respond immediately
+    return this.errorResult(`🔍 Server is still initializing... Please try again in a moment.\n\nBackground tasks in progress:\n• Setting up vector database\n• Initializing embedding model\n• Preparing search functionality\n\nThis should complete within 30 seconds.`);
+  }
 
-    await crawler.crawl(this.vecStore, onPageCrawled);
+  formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : 'never';
+  }
 
-    this.log(`Code sync: ${indexed.added} files indexed, ${indexed.skipped} skipped`);
+  formatProgress(progress) {
+    return `${progress.indexed} indexed, ${progress.skipped} skipped, ${progress.errors} errors`;
   }
 
-  async syncDocumentFolder() {
-    const folderSync = new FolderSync(this.vecStore, {
-      modelName: this.modelName,
-      recursive: true
-    });
+  // Resolves once background indexing has finished, reporting its progress meanwhile
+  async waitForIndexing(reportProgress) {
+    if (this.initializationPromise) {
+      await this.initializationPromise.catch(() => {});
+    }
+    if (!this.indexingState.isIndexing()) return;
 
-    const results = await folderSync.sync(this.directory);
+    const listener = (progress) => {
+      reportProgress(progress.indexed + progress.skipped + progress.errors, undefined, this.formatProgress(progress));
+    };
 
-    this.log(`Document sync: ${results.added} files added, ${results.skipped} skipped`);
+    this.indexingState.on('progress', listener);
+    try {
+      await this.indexingState.indexingPromise.catch(() => {});
+    } finally {
+      this.indexingState.off('progress', listener);
+    }
   }
 
-  async search(query, options = {}) {
-    const {
-      topK = 6,
-      includeContent = true,
-      filters = {},
-      ensureSync = true // Default to ensuring sync before search
-    } = options;
+  async handleToolCall(request, extra) {
+    const { name, arguments: args = {} } = request.params;
+    const reportProgress = this.createProgressReporter(request, extra);
 
     try {
-      // ENHANCED SEARCH: Ensure 100% database sync before searching
-      const startTime = Date.now();
-
-      // Comprehensive sync validation before search (if enabled)
-      if (ensureSync && this.syncValidationEnabled) {
-        await this.ensureIndexSync();
-      }
-
-      // Perform the actual search
-      const results = await this.vecStore.query(query, topK);
-      const searchTime = Date.now() - startTime;
-
-      // Log performance metrics with sync status
-      if (process.env.NODE_ENV === 'development') {
-        const syncStatus = ensureSync && this.syncValidationEnabled ? 'with validation' : 'fast mode';
-        this.log(`Search completed in ${searchTime}ms (${results.length} results, ${syncStatus})`);
-      }
-
-      // Prioritize source code files over documents
-      const prioritizedResults = this.prioritizeSourceFiles(results);
-
-      return prioritizedResults.map(result => ({
-        id: result.id,
-        score: result.score,
-        content: includeContent ? result.content : null,
-        metadata: result.metadata || {},
-        snippet: this.createSnippet(result.content, query)
-      }));
+      return await this.callTool(name, args, reportProgress);
     } catch (error) {
-      this.log('Search error:', error.message);
-      throw new Error(`Search failed: ${error.message}`);
+      if (error instanceof McpError) throw error;
+      return this.errorResult(`Tool execution error: ${error.message}`);
+    } finally {
+      // Progress must not arrive after the result it belongs to
+      await reportProgress.sent;
     }
   }
 
-  prioritizeSourceFiles(results) {
-    // Sort results: source code files first, then documents
-    const sourceExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c', '.cs', '.go', '.rs', '.php', '.rb', '.swift', '.kt', '.scala', '.r', '.m', '.sh', '.sql', '.html', '.css', '.scss', '.less', '.vue', '.svelte'];
+  async callTool(name, args, reportProgress) {
+    switch (name) {
+      case 'search_code': {
+        // If still initializing, provide immediate feedback
+        if (!this.isInitialized) {
+          return this.initializingResult();
+        }
 
-    return results.sort((a, b) => {
-      const aIsSource = sourceExtensions.some(ext =>
-        a.metadata.filename && a.metadata.filename.toLowerCase().endsWith(ext)
-      );
-      const bIsSource = sourceExtensions.some(ext =>
-        b.metadata.filename && b.metadata.filename.toLowerCase().endsWith(ext)
-      );
+        const results = await this.search(args.query, {
+          topK: args.top_k || 6,
+          mode: args.mode || 'hybrid',
+          filters: this.buildSearchFilters(args),
+          includeContent: args.include_content !== false,
+          mmr: args.mmr === true,
+          maxPerSource: args.max_per_source,
+          roots: args.roots
+        });
 
-      // Source files first, then by score
-      if (aIsSource && !bIsSource) return -1;
-      if (!aIsSource && bIsSource) return 1;
-      return b.score - a.score; // Higher scores first
-    });
-  }
+        // Readable text for clients that ignore structuredContent
+        const items = results.map((result, i) => this.describeResult(result, i));
+        return {
+          ...this.textResult(`Found ${items.length} results for "${args.query}":\n\n` +
+            items.map(item => this.formatResult(item)).join('\n')),
+          structuredContent: { query: args.query, results: items }
+        };
+      }
 
-  createSnippet(content, query, maxLength = 200) {
-    if (!content) return '';
+      case 'get_document': {
+        if (!this.isInitialized) {
+          return this.initializingResult();
+        }
 
-    const contentLower = content.toLowerCase();
-    const queryLower = query.toLowerCase();
-    const queryIndex = contentLower.indexOf(queryLower);
+        const doc = await this.getDocument({
+          id: args.id,
+          filePath: args.path,
+          startLine: args.start_line,
+          endLine: args.end_line
+        });
 
-    if (queryIndex === -1) {
-      return content.substring(0, maxLength) + (content.length > maxLength ? '...' : '');
-    }
+        return this.textResult(
+          `${doc.path || doc.id} (lines ${doc.startLine}-${doc.endLine} of ${doc.totalLines}` +
+          `${doc.fromDisk ? '' : `, indexed text from ${doc.chunks} document${doc.chunks === 1 ? '' : 's'}`})\n\n` +
+          doc.content +
+          (doc.truncated ? `\n\n[Truncated: pass start_line: ${doc.endLine + 1} to continue]` : ''));
+      }
 
-    const start = Math.max(0, queryIndex - 50);
-    const end = Math.min(content.length, queryIndex + query.length + 50);
+      case 'list_sources': {
+        if (!this.isInitialized) {
+          return this.initializingResult();
+        }
 
-    let snippet = content.substring(start, end);
-    if (start > 0) snippet = '...' + snippet;
-    if (end < content.length) snippet = snippet + '...';
+        const listing = await this.listSources({
+          source: args.source,
+          pathPrefix: args.path_prefix,
+          limit: args.limit || 100
+        });
 
-    return snippet;
-  }
+        return this.textResult(
+          `${listing.total} sources, ${listing.documents} documents` +
+          `${listing.sources.length < listing.total ? ` (showing ${listing.sources.length})` : ''}:\n\n` +
+          listing.sources.map(entry =>
+            `${entry.path} [${entry.source || 'unknown'}] ${entry.documents} document${entry.documents === 1 ? '' : 's'}, indexed ${this.formatTime(entry.lastIndexed)}`
+          ).join('\n'));
+      }
 
-  // MCP protocol methods
-  async handleRequest(request) {
-    const { method, params, id } = request;
+      case 'index_status': {
+        if (args.wait) {
+          await this.waitForIndexing(reportProgress);
+        }
 
-    try {
-      switch (method) {
-        case 'initialize':
-          return {
-            jsonrpc: '2.0',
-            id,
-            result: {
-              protocolVersion: '2024-11-05',
-              capabilities: {
-                tools: {
-                  listChanged: false
-                },
-                logging: {}
-              },
-              serverInfo: {
-                name: 'vexify-mcp',
-                version: require('../../package.json').version
-              }
-            }
-          };
-
-        case 'tools/list':
-          return {
-            jsonrpc: '2.0',
-            id,
-            result: {
-              tools: [
-                {
-                  name: 'search_code',
-                  description: `Search through indexed code and documents using semantic search${this.isInitialized ? '' : ' (initializing...)'}`,
-                  inputSchema: {
-                    type: 'object',
-                    properties: {
-                      query: {
-                        type: 'string',
-                        description: 'Search query to find relevant code or documents'
-                      },
-                      top_k: {
-                        type: 'number',
-                        description: 'Maximum number of results to return (default: 6)',
-                        default: 6,
-                        minimum: 1,
-                        maximum: 20
-                      },
-                      include_content: {
-                        type: 'boolean',
-                        description: 'Whether to include full content in results (default: true)',
-                        default: true
-                      }
-                    },
-                    required: ['query']
-                  }
-                }
-              ]
-            }
-          };
-
-        case 'tools/call':
-          return await this.handleToolCall(params, id);
-
-        default:
-          return {
-            jsonrpc: '2.0',
-            id,
-            error: {
-              code: -32601,
-              message: 'Method not found'
-            }
-          };
+        const status = await this.getIndexStatus();
+        const { indexing } = status;
+
+        return this.textResult([
+          ...(this.multiRoot
+            ? ['Roots:', ...status.roots.map(root =>
+              `  ${root.name}: ${root.directory} (${root.type}, model ${root.model}, collection ${root.collection}` +
+              `${root.watching ? '' : ', not watched'})`)]
+            : [`Directory: ${status.directory}`]),
+          `Database: ${status.dbPath} (${status.documents === null ? 'not open yet' : `${status.documents} documents`})`,
+          this.multiRoot ? `Provider: ${status.provider}` : `Model: ${status.model} (${status.provider})`,
+          `Server: ${status.initialized ? 'ready' : 'initializing'}, file watching ${status.watching ? 'on' : 'off'}`,
+          `Indexing: ${indexing.phase}, started ${this.formatTime(indexing.startedAt)}, finished ${this.formatTime(indexing.finishedAt)}`,
+          `Progress: ${this.formatProgress(indexing.progress)}`,
+          indexing.lastReindex
+            ? `Last reindex: ${this.formatTime(indexing.lastReindex.at)} of ${indexing.lastReindex.paths.map(p => this.displayPath(p)).join(', ')}`
+            : 'Last reindex: never',
+          ...(indexing.recentErrors.length > 0
+            ? ['', 'Recent errors:', ...indexing.recentErrors.map(e => `${this.formatTime(e.at)} ${e.path ? `${this.displayPath(e.path)}: ` : ''}${e.error}`)]
+            : [])
+        ].join('\n'));
       }
-    } catch (error) {
-      this.log('Request handling error:', error);
-      return {
-        jsonrpc: '2.0',
-        id,
-        error: {
-          code: -32603,
-          message: `Internal error: ${error.message}`
-        }
-      };
-    }
-  }
 
-  async handleToolCall(params, id) {
-    const { name, arguments: args } = params;
+      case 'reindex': {
+        if (!this.isInitialized) {
+          return this.initializingResult();
+        }
 
-    try {
-      switch (name) {
-        case 'search_code':
-          // If still initializing, provide immediate feedback
-          if (!this.isInitialized) {
-            // Check if initialization failed
-            if (this.initializationPromise && this.initializationPromise.catch) {
-              this.initializationPromise.catch(() => {});
-            }
+        const counts = await this.reindex(args.paths, (done, total) => {
+          reportProgress(done, total, `Reindexed ${done} of ${total} paths`);
+        });
+        return this.textResult(
+          `Reindexed ${args.paths.join(', ')}: ${counts.updated} updated, ${counts.removed} removed, ${counts.errors} errors`);
+      }
 
-            // If initialization is still in progress, respond immediately
-            return {
-              jsonrpc: '2.0',
-              id,
-              result: {
-                content: [
-                  {
-                    type: 'text',
-                    text: `🔍 Server is still initializing... Please try again in a moment.\n\nBackground tasks in progress:\n• Setting up vector database\n• Initializing embedding model\n• Preparing search functionality\n\nThis should complete within 30 seconds.`
-                  }
-                ]
-              }
-            };
-          }
+      default:
+        throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+    }
+  }
 
-          const results = await this.search(args.query, {
-            topK: args.top_k || 6,
-            includeContent: args.include_content !== false,
-            ensureSync: false // Optimize: skip sync validation for faster responses
-          });
-
-          return {
-            jsonrpc: '2.0',
-            id,
-            result: {
-              content: [
-                {
-                  type: 'text',
-                  text: `Found ${results.length} results for "${args.query}":\n\n` +
-                    results.map((result, i) =>
-                      `${i + 1}. [${result.metadata.language || 'unknown'}] (score: ${result.score.toFixed(4)})\n` +
-                      `   File: ${result.metadata.filename || result.id}\n` +
-                      `   Snippet: ${result.snippet}\n` +
-                      (result.content ? `   Content: ${result.content.substring(0, 300)}${result.content.length > 300 ? '...' : ''}\n` : '')
-                    ).join('\n')
-                }
-              ]
-            }
-          };
-
-        default:
-          return {
-            jsonrpc: '2.0',
-            id,
-            error: {
-              code: -32601,
-              message: `Unknown tool: ${name}`
-            }
-          };
+  close() {
+    for (const root of this.roots) {
+      if (root.watcher) {
+        root.watcher.close();
       }
-    } catch (error) {
-      return {
-        jsonrpc: '2.0',
-        id,
-        error: {
-          code: -32603,
-          message: `Tool execution error: ${error.message}`
-        }
-      };
+    }
+    for (const vecStore of this.stores.values()) {
+      vecStore.store.close();
     }
   }
 
@@ -1189,65 +1492,48 @@ class MCPServer {
     this.log('Vexify MCP Server initializing...');
 
     // Start async initialization but don't wait for it to complete
-    // This allows tool reporting to happen immediately
-    this.initializeAsync();
+    // This allows tool reporting to happen immediately; failures are logged and shown by index_status
+    this.initializeAsync().catch(() => {});
 
-    this.log('Vexify MCP Server ready - listening on stdio...');
+    await this.createProtocolServer().connect(new StdioServerTransport());
 
-    let buffer = '';
-
-    // Set up stdin handlers
-    process.stdin.setEncoding('utf8');
-    process.stdin.resume();
-
-    process.stdin.on('data', (chunk) => {
-      buffer += chunk;
-
-      // Process complete JSON-RPC messages
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const request = JSON.parse(line);
-            this.handleRequest(request)
-              .then(response => {
-                console.log(JSON.stringify(response));
-              })
-              .catch(error => {
-                this.log('Error handling request:', error.message);
-              });
-          } catch (error) {
-            this.log('Invalid JSON-RPC message:', line);
-          }
-        }
-      }
-    });
+    this.log('Vexify MCP Server ready - listening on stdio...');
 
     process.stdin.on('end', () => {
       this.log('Vexify MCP Server shutting down...');
-      if (this.vecStore && this.vecStore.db) {
-        this.vecStore.db.close();
-      }
+      this.close();
     });
 
-    // Graceful shutdown
-    process.on('SIGINT', () => {
-      this.log('Received SIGINT, shutting down...');
-      if (this.vecStore && this.vecStore.db) {
-        this.vecStore.db.close();
-      }
-      process.exit(0);
-    });
+    this.handleShutdownSignals();
+  }
+
+  // A single long-lived process that many agents connect to, sharing one indexer
+  async startHttp(options = {}) {
+    this.log('Vexify MCP Server initializing...');
+    this.initializeAsync().catch(() => {});
+
+    this.httpServer = new MCPHttpServer(this, options);
+    const address = await this.httpServer.start();
 
-    process.on('SIGTERM', () => {
-      this.log('Received SIGTERM, shutting down...');
-      if (this.vecStore && this.vecStore.db) {
-        this.vecStore.db.close();
+    this.log(`Vexify MCP Server ready - streamable HTTP on http://${address.address}:${address.port}/mcp` +
+      ` (SSE on /sse)${options.authToken ? ', bearer token required' : ''}`);
+
+    this.handleShutdownSignals();
+    return address;
+  }
+
+  handleShutdownSignals() {
+    const shutdown = async (signal) => {
+      this.log(`Received ${signal}, shutting down...`);
+      if (this.httpServer) {
+        await this.httpServer.close();
       }
+      this.close();
       process.exit(0);
-    });
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
   }
 }
 
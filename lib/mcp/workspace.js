@@ -0,0 +1,94 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// One indexed directory of a workspace. With several roots, documents carry the root
+// name in metadata.root and paths shown to agents are prefixed with it (api/src/app.js).
+class WorkspaceRoot {
+  constructor(spec) {
+    this.name = spec.name;
+    this.directory = spec.directory;
+    this.modelName = spec.modelName || null;
+    this.collection = spec.collection || null;
+    this.ignore = spec.ignore || [];
+    this.isCodeRepo = false;
+
+    // Filled in by the server once the root's collection is open
+    this.vecStore = null;
+    this.watcher = null;
+  }
+
+  contains(absolutePath) {
+    return absolutePath === this.directory || absolutePath.startsWith(this.directory + path.sep);
+  }
+}
+
+const ROOT_NAME_PATTERN = /^[\w.-]+$/;
+
+// Turns root specs ({ path, name, model, collection, ignore }) into WorkspaceRoots.
+// Relative paths are resolved against baseDir; names default to the directory name.
+function createRoots(specs, baseDir = process.cwd()) {
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw new Error('A workspace needs at least one root');
+  }
+
+  const roots = specs.map(spec => {
+    if (spec instanceof WorkspaceRoot) return spec;
+    if (typeof spec === 'string') spec = { path: spec };
+    if (!spec || typeof spec.path !== 'string') {
+      throw new Error(`Workspace root needs a path: ${JSON.stringify(spec)}`);
+    }
+
+    const directory = path.resolve(baseDir, spec.path);
+    const name = spec.name || path.basename(directory);
+    if (!ROOT_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid root name: ${name}. Use letters, digits, dots, dashes and underscores.`);
+    }
+    if (spec.ignore !== undefined && !Array.isArray(spec.ignore)) {
+      throw new Error(`ignore of root ${name} must be a list of patterns`);
+    }
+
+    return new WorkspaceRoot({
+      name,
+      directory,
+      modelName: spec.model,
+      collection: spec.collection,
+      ignore: spec.ignore
+    });
+  });
+
+  const names = new Set();
+  for (const root of roots) {
+    if (names.has(root.name)) {
+      throw new Error(`Duplicate root name: ${root.name}. Give one of the roots a name.`);
+    }
+    names.add(root.name);
+  }
+
+  // A file must belong to exactly one root
+  for (const root of roots) {
+    const overlapping = roots.find(other => other !== root && root.contains(other.directory));
+    if (overlapping) {
+      throw new Error(`Root ${overlapping.name} (${overlapping.directory}) is inside root ${root.name}; roots must not overlap`);
+    }
+  }
+
+  return roots;
+}
+
+// A workspace file lists the roots, with paths relative to the file:
+//   { "roots": [{ "path": "../api" }, { "path": "../docs", "model": "nomic-embed-text", "collection": "docs" }] }
+function loadWorkspaceFile(filePath) {
+  let workspace;
+  try {
+    workspace = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read workspace file ${filePath}: ${error.message}`);
+  }
+
+  const specs = Array.isArray(workspace) ? workspace : workspace.roots;
+  return createRoots(specs, path.dirname(path.resolve(filePath)));
+}
+
+module.exports = { WorkspaceRoot, createRoots, loadWorkspaceFile };
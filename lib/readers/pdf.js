@@ -53,7 +53,8 @@ class PDFReader {
   }
 
   async loadFromBuffer(buffer) {
-    const uint8Array = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    // pdfjs rejects Node Buffers and detaches what it is given, so always hand it a copy
+    const uint8Array = new Uint8Array(buffer);
 
     try {
       this.document = await getDocumentProxy(uint8Array, {
@@ -0,0 +1,122 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+// Reranker served over HTTP. The request carries both the TEI field (texts) and the
+// Cohere/Jina/vLLM field (documents), and either response shape is accepted.
+class HttpReranker {
+  constructor(options = {}) {
+    this.modelName = options.modelName;
+    this.host = options.host || 'http://localhost:8080';
+    this.path = options.path || '/rerank';
+    this.apiKey = options.apiKey || null;
+    this.timeout = options.timeout || 60000;
+  }
+
+  endpoint() {
+    return new URL(this.path, this.host).toString();
+  }
+
+  // Returns one relevance score per document, in input order
+  async rerank(query, documents) {
+    if (documents.length === 0) return [];
+
+    const response = await this._post({
+      model: this.modelName,
+      query,
+      texts: documents,
+      documents,
+      top_n: documents.length,
+      return_documents: false
+    });
+
+    const results = Array.isArray(response) ? response : response.results;
+    if (!Array.isArray(results)) {
+      throw new Error(`Unexpected response from reranker at ${this.endpoint()}`);
+    }
+
+    const scores = new Array(documents.length).fill(null);
+    for (const result of results) {
+      scores[result.index] = result.relevance_score ?? result.score;
+    }
+
+    if (scores.some(score => typeof score !== 'number')) {
+      throw new Error(`Reranker at ${this.endpoint()} did not score every document`);
+    }
+    return scores;
+  }
+
+  _post(payload) {
+    return new Promise((resolve, reject) => {
+      const body = JSON.stringify(payload);
+      const url = new URL(this.path, this.host);
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+      const protocol = url.protocol === 'https:' ? https : http;
+      const req = protocol.request({
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'https:' ? 443 : 80),
+        path: url.pathname + url.search,
+        method: 'POST',
+        headers,
+        timeout: this.timeout
+      }, (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          let response;
+          try {
+            response = JSON.parse(responseData);
+          } catch (e) {
+            reject(new Error(`Failed to parse reranker response (HTTP ${res.statusCode}): ${responseData.substring(0, 200)}`));
+            return;
+          }
+
+          if (res.statusCode >= 400 || response.error) {
+            const message = response.error ? (response.error.message || JSON.stringify(response.error)) : responseData.substring(0, 200);
+            reject(new Error(`Reranker endpoint error (HTTP ${res.statusCode}): ${message}`));
+            return;
+          }
+
+          resolve(response);
+        });
+
+        res.on('error', (error) => {
+          reject(new Error(`Response stream error: ${error.message}`));
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Rerank request to ${url.host} failed: ${error.message}`));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error(`Rerank request timeout after ${this.timeout / 1000}s`));
+      });
+
+      req.write(body);
+      req.end();
+    });
+  }
+
+  async checkConnection() {
+    try {
+      await this.rerank('connection check', ['connection check']);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = { HttpReranker };
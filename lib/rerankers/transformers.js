@@ -0,0 +1,78 @@
+'use strict';
+
+let transformers = null;
+const loadedModels = new Map();
+
+// Cross-encoder scoring (query, passage) pairs in-process, e.g. Xenova/ms-marco-MiniLM-L-6-v2
+// or Xenova/bge-reranker-base
+class TransformersReranker {
+  constructor(options = {}) {
+    this.modelName = options.modelName || 'Xenova/ms-marco-MiniLM-L-6-v2';
+    this.batchSize = options.batchSize || 16;
+  }
+
+  async _ensureInitialized() {
+    if (!transformers) {
+      try {
+        transformers = require('@huggingface/transformers');
+      } catch (error) {
+        throw new Error('transformers.js not installed. Run: npm install @huggingface/transformers');
+      }
+    }
+
+    if (!loadedModels.has(this.modelName)) {
+      const loading = Promise.all([
+        transformers.AutoTokenizer.from_pretrained(this.modelName),
+        transformers.AutoModelForSequenceClassification.from_pretrained(this.modelName, { quantized: false })
+      ]).then(([tokenizer, model]) => ({ tokenizer, model }));
+
+      // Forget failed loads so the next query can retry
+      loading.catch(() => loadedModels.delete(this.modelName));
+      loadedModels.set(this.modelName, loading);
+    }
+
+    try {
+      return await loadedModels.get(this.modelName);
+    } catch (error) {
+      throw new Error(`Failed to load reranker ${this.modelName}: ${error.message}`);
+    }
+  }
+
+  // Returns one relevance score in 0..1 per document, in input order
+  async rerank(query, documents) {
+    if (documents.length === 0) return [];
+
+    const { tokenizer, model } = await this._ensureInitialized();
+    const scores = [];
+
+    for (let i = 0; i < documents.length; i += this.batchSize) {
+      const batch = documents.slice(i, i + this.batchSize);
+      const inputs = tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true
+      });
+
+      const { logits } = await model(inputs);
+      // Single-logit models score relevance directly; two-label models put it last
+      for (const row of logits.tolist()) {
+        scores.push(1 / (1 + Math.exp(-row[row.length - 1])));
+      }
+    }
+
+    return scores;
+  }
+
+  async checkConnection() {
+    try {
+      if (!transformers) {
+        transformers = require('@huggingface/transformers');
+      }
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = { TransformersReranker };
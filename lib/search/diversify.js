@@ -0,0 +1,93 @@
+'use strict';
+
+const { cosineSimilarity } = require('./cosine');
+
+const SOURCE_FIELDS = ['filePath', 'crawlUrl', 'fileId'];
+const LOCATION_FIELDS = ['pageNumber', 'startLine', 'endLine', 'rowIndex', 'paragraphIndex', 'chunkIndex'];
+
+// Documents from the same file, page or Drive file share a source; anything else is its own source
+const sourceKey = (result) => {
+  const metadata = result.metadata || {};
+  for (const field of SOURCE_FIELDS) {
+    if (metadata[field]) return `${field}:${metadata[field]}`;
+  }
+  return `id:${result.id}`;
+};
+
+const resultLocation = (result) => {
+  const location = { id: result.id, score: result.score };
+  for (const field of LOCATION_FIELDS) {
+    if (result.metadata?.[field] !== undefined) location[field] = result.metadata[field];
+  }
+  return location;
+};
+
+// Greedy MMR: each pick maximises lambda * relevance - (1 - lambda) * similarity to the
+// results already picked. Relevance is the result score min-max normalised, so the same
+// trade-off works for vector, keyword, hybrid and reranked scores.
+const maximalMarginalRelevance = (results, vectors, options = {}) => {
+  const lambda = options.lambda ?? 0.5;
+  const topK = options.topK ?? results.length;
+  if (results.length <= 1) return results.slice(0, topK);
+
+  const scores = results.map(result => result.score);
+  const max = Math.max(...scores);
+  const range = max - Math.min(...scores);
+  const relevance = scores.map(score => (range > 0 ? 1 - (max - score) / range : 1));
+
+  const remaining = results.map((result, i) => i);
+  const maxSimilarity = new Array(results.length).fill(0);
+  const selected = [];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestPosition = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((index, position) => {
+      const value = lambda * relevance[index] - (1 - lambda) * maxSimilarity[index];
+      if (value > bestValue) {
+        bestValue = value;
+        bestPosition = position;
+      }
+    });
+
+    const [picked] = remaining.splice(bestPosition, 1);
+    selected.push(results[picked]);
+
+    const pickedVector = vectors.get(results[picked].id);
+    if (!pickedVector) continue;
+    for (const index of remaining) {
+      const vector = vectors.get(results[index].id);
+      if (vector) maxSimilarity[index] = Math.max(maxSimilarity[index], cosineSimilarity(pickedVector, vector));
+    }
+  }
+
+  return selected;
+};
+
+// Keeps at most maxPerSource results per source, in order. Results beyond the limit are
+// listed as otherMatches on the best result of their source instead of being returned.
+const groupBySource = (results, maxPerSource = 1) => {
+  const groups = new Map();
+  const kept = [];
+
+  for (const result of results) {
+    const key = sourceKey(result);
+    const group = groups.get(key);
+
+    if (!group) {
+      const best = { ...result, otherMatches: [] };
+      groups.set(key, { best, count: 1 });
+      kept.push(best);
+    } else if (group.count < maxPerSource) {
+      group.count++;
+      kept.push(result);
+    } else {
+      group.best.otherMatches.push(resultLocation(result));
+    }
+  }
+
+  return kept;
+};
+
+module.exports = { maximalMarginalRelevance, groupBySource, sourceKey, resultLocation };
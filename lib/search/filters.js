@@ -0,0 +1,126 @@
+'use strict';
+
+const FILTER_FIELDS = {
+  source: 'match',
+  language: 'match',
+  mimeType: 'match',
+  type: 'match',
+  filePath: 'glob',
+  crawlUrl: 'prefix',
+  processedAt: 'range',
+  modifiedTime: 'range',
+  root: 'match'
+};
+
+const metadataField = (field, alias) => {
+  const column = alias ? `${alias}.metadata` : 'metadata';
+  if (field === 'modifiedTime') {
+    return `COALESCE(json_extract(${column}, '$.modifiedTime'), json_extract(${column}, '$.lastModified'))`;
+  }
+  return `json_extract(${column}, '$.${field}')`;
+};
+
+const toIsoDate = (field, value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${field}: ${value}`);
+  }
+  return date.toISOString();
+};
+
+function buildWhereClause(where, alias = null) {
+  const clauses = [];
+  const params = [];
+
+  if (!where) {
+    return { sql: '', params };
+  }
+
+  for (const [field, value] of Object.entries(where)) {
+    if (value === undefined || value === null) continue;
+
+    const kind = FILTER_FIELDS[field];
+    if (!kind) {
+      throw new Error(`Unknown filter field: ${field}. Allowed: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+    }
+
+    const column = metadataField(field, alias);
+
+    if (kind === 'match') {
+      const values = Array.isArray(value) ? value : [value];
+      clauses.push(`${column} IN (${values.map(() => '?').join(',')})`);
+      params.push(...values);
+    } else if (kind === 'glob') {
+      const pattern = String(value).replace(/\*\*/g, '*');
+      if (pattern.startsWith('/') || pattern.startsWith('*')) {
+        clauses.push(`${column} GLOB ?`);
+        params.push(pattern);
+      } else {
+        clauses.push(`(${column} GLOB ? OR ${column} GLOB ?)`);
+        params.push(pattern, `*/${pattern}`);
+      }
+    } else if (kind === 'prefix') {
+      clauses.push(`substr(${column}, 1, ?) = ?`);
+      params.push(String(value).length, String(value));
+    } else if (kind === 'range') {
+      const range = typeof value === 'object' ? value : { from: value };
+      if (range.from !== undefined) {
+        clauses.push(`${column} >= ?`);
+        params.push(toIsoDate(field, range.from));
+      }
+      if (range.after !== undefined) {
+        clauses.push(`${column} > ?`);
+        params.push(toIsoDate(field, range.after));
+      }
+      if (range.to !== undefined) {
+        clauses.push(`${column} <= ?`);
+        params.push(toIsoDate(field, range.to));
+      }
+      if (range.before !== undefined) {
+        clauses.push(`${column} < ?`);
+        params.push(toIsoDate(field, range.before));
+      }
+    }
+  }
+
+  return { sql: clauses.join(' AND '), params };
+}
+
+function parseWhereExpression(expression) {
+  if (!expression) return null;
+
+  const trimmed = expression.trim();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+
+  const where = {};
+  const rangeKeys = { '>=': 'from', '>': 'after', '<=': 'to', '<': 'before' };
+
+  for (const part of trimmed.split(',')) {
+    if (!part.trim()) continue;
+
+    const match = part.match(/^\s*([A-Za-z]+)\s*(>=|<=|>|<|=)\s*(.*?)\s*$/);
+    if (!match) {
+      throw new Error(`Invalid filter expression: ${part}. Expected field=value, field>=value or field<=value`);
+    }
+
+    const [, field, operator, value] = match;
+    if (!FILTER_FIELDS[field]) {
+      throw new Error(`Unknown filter field: ${field}. Allowed: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+    }
+
+    if (operator === '=') {
+      where[field] = FILTER_FIELDS[field] === 'match' && value.includes('|') ? value.split('|') : value;
+    } else {
+      if (FILTER_FIELDS[field] !== 'range') {
+        throw new Error(`Filter field ${field} does not support ${operator}`);
+      }
+      where[field] = { ...(typeof where[field] === 'object' ? where[field] : {}), [rangeKeys[operator]]: value };
+    }
+  }
+
+  return where;
+}
+
+module.exports = { FILTER_FIELDS, buildWhereClause, parseWhereExpression };
@@ -0,0 +1,50 @@
+'use strict';
+
+const { buildWhereClause } = require('./filters');
+
+class Fts5Search {
+  constructor(db, tableName = 'documents_fts', collection = 'default') {
+    this.db = db;
+    this.tableName = tableName;
+    this.collection = collection;
+  }
+
+  buildMatchExpression(queryText) {
+    const terms = (queryText || '').match(/[\p{L}\p{N}_]+/gu) || [];
+    const unique = Array.from(new Set(terms.map(t => t.toLowerCase())));
+    return unique.map(term => `"${term}"`).join(' OR ');
+  }
+
+  async searchKeyword(queryText, topK, where = null) {
+    const match = this.buildMatchExpression(queryText);
+    if (!match) return [];
+
+    const filter = buildWhereClause(where, 'd');
+
+    const stmt = this.db.prepare(`
+      SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        bm25(${this.tableName}) AS rank
+      FROM ${this.tableName}
+      JOIN documents d ON d.rowid = ${this.tableName}.rowid
+      WHERE ${this.tableName} MATCH ?
+        AND d.collection = ?
+        ${filter.sql ? `AND ${filter.sql}` : ''}
+      ORDER BY rank
+      LIMIT ?
+    `);
+
+    const rows = stmt.all(match, this.collection, ...filter.params, topK);
+
+    return rows.map(row => ({
+      id: row.id,
+      content: row.content ? JSON.parse(row.content) : null,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null,
+      score: -row.rank
+    }));
+  }
+}
+
+module.exports = { Fts5Search };
@@ -0,0 +1,56 @@
+'use strict';
+
+const reciprocalRankFusion = (vectorResults, keywordResults, options = {}) => {
+  const weight = options.weight ?? 0.5;
+  const k = options.k ?? 60;
+  const fused = new Map();
+
+  const addRanking = (results, rankWeight, scoreField, rankField) => {
+    results.forEach((result, rank) => {
+      const entry = fused.get(result.id) || {
+        ...result,
+        score: 0,
+        vectorScore: null,
+        keywordScore: null,
+        vectorRank: null,
+        keywordRank: null
+      };
+      entry.score += rankWeight / (k + rank + 1);
+      entry[scoreField] = result.score;
+      entry[rankField] = rank + 1;
+      fused.set(result.id, entry);
+    });
+  };
+
+  addRanking(vectorResults, weight, 'vectorScore', 'vectorRank');
+  addRanking(keywordResults, 1 - weight, 'keywordScore', 'keywordRank');
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+};
+
+// Scores of different collections come from different models (or from bm25), so each
+// list is min-max normalised to 0..1 before the lists are merged.
+const mergeCollectionResults = (resultsByCollection, topK) => {
+  const merged = [];
+
+  for (const [collection, results] of Object.entries(resultsByCollection)) {
+    if (results.length === 0) continue;
+
+    const scores = results.map(result => result.score);
+    const max = Math.max(...scores);
+    const range = max - Math.min(...scores);
+
+    for (const result of results) {
+      merged.push({
+        ...result,
+        collection,
+        rawScore: result.score,
+        score: range > 0 ? 1 - (max - result.score) / range : 1
+      });
+    }
+  }
+
+  return merged.sort((a, b) => b.score - a.score).slice(0, topK);
+};
+
+module.exports = { reciprocalRankFusion, mergeCollectionResults };
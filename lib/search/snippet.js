@@ -0,0 +1,154 @@
+'use strict';
+
+const DEFAULT_SNIPPET_LENGTH = 240;
+// Context kept before the first match of the chosen window
+const LEADING_CONTEXT = 60;
+
+const isWordChar = (char) => /[\p{L}\p{N}_]/u.test(char);
+const isUpper = (char) => char !== char.toLowerCase();
+
+// Query words as the keyword index tokenizes them, plus the parts of camelCase and
+// snake_case identifiers so that "parseConfig" also highlights "config" on its own
+const queryTerms = (query) => {
+  const terms = new Set();
+
+  for (const token of (query || '').match(/[\p{L}\p{N}_]+/gu) || []) {
+    terms.add(token.toLowerCase());
+    for (const part of token.split(/_|(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u)) {
+      if (part.length >= 2) terms.add(part.toLowerCase());
+    }
+  }
+
+  // Single letters only count when nothing longer was asked for
+  const long = [...terms].filter(term => term.length >= 2);
+  return (long.length > 0 ? long : [...terms]).sort((a, b) => b.length - a.length);
+};
+
+// A term matches at the start of a word or of a camelCase part, so "add" finds
+// "addItem" and "address" but not "padding"
+const startsWord = (content, index) => {
+  if (index === 0) return true;
+  const previous = content[index - 1];
+  return !isWordChar(previous) || (!isUpper(previous) && isUpper(content[index]));
+};
+
+// Non-overlapping matches in content order; longer terms win where terms overlap
+const findMatches = (content, terms) => {
+  const lower = content.toLowerCase();
+  const taken = new Uint8Array(content.length);
+  const matches = [];
+
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      const end = index + term.length;
+      if (startsWord(content, index) && !taken.subarray(index, end).some(Boolean)) {
+        taken.fill(1, index, end);
+        matches.push({ start: index, end, term });
+      }
+      index = lower.indexOf(term, index + 1);
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+};
+
+// The window of maxLength characters covering the most distinct terms, then the most matches
+const bestWindow = (matches, maxLength) => {
+  let best = null;
+
+  for (let first = 0; first < matches.length; first++) {
+    const limit = matches[first].start + maxLength;
+    const terms = new Set();
+    let last = first;
+    for (let i = first; i < matches.length && matches[i].end <= limit; i++) {
+      terms.add(matches[i].term);
+      last = i;
+    }
+
+    const score = terms.size * matches.length + (last - first + 1);
+    if (!best || score > best.score) {
+      best = { score, first, last };
+    }
+  }
+
+  return best;
+};
+
+const countLines = (content, from, to) => {
+  let lines = 0;
+  for (let i = from; i < to; i++) {
+    if (content[i] === '\n') lines++;
+  }
+  return lines;
+};
+
+// Picks the passage of content that best matches the query and reports where the query
+// terms are in it. Returns { text, highlights: [{ start, end }], startLine, endLine }:
+// highlight offsets index into text, and lines count from options.firstLine (the line
+// the content starts on) so they point into the source file.
+const extractSnippet = (content, query, options = {}) => {
+  const maxLength = options.maxLength || DEFAULT_SNIPPET_LENGTH;
+  const firstLine = options.firstLine || 1;
+  if (!content) return { text: '', highlights: [], startLine: firstLine, endLine: firstLine };
+
+  const matches = findMatches(content, queryTerms(query));
+  let start = 0;
+  let end = Math.min(content.length, maxLength);
+
+  const window = bestWindow(matches, maxLength);
+  if (window) {
+    const covered = matches[window.last].end - matches[window.first].start;
+    start = Math.max(0, matches[window.first].start - Math.min(LEADING_CONTEXT, Math.floor((maxLength - covered) / 2)));
+
+    // Start at a line start when one is close, otherwise at a word boundary
+    const lineStart = content.lastIndexOf('\n', matches[window.first].start - 1) + 1;
+    if (lineStart >= start - LEADING_CONTEXT && lineStart <= matches[window.first].start && matches[window.first].start - lineStart < maxLength / 2) {
+      start = lineStart;
+    } else {
+      while (start > 0 && isWordChar(content[start - 1]) && isWordChar(content[start])) start++;
+    }
+    end = Math.min(content.length, start + maxLength);
+  }
+
+  // Never cut a word in half at the end
+  if (end < content.length) {
+    let cut = end;
+    while (cut > start && isWordChar(content[cut - 1]) && isWordChar(content[cut])) cut--;
+    if (cut > start) end = cut;
+  }
+
+  while (start < end && /\s/.test(content[start])) start++;
+  while (end > start && /\s/.test(content[end - 1])) end--;
+
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < content.length ? '...' : '';
+  const text = prefix + content.slice(start, end) + suffix;
+
+  // Touching matches, e.g. the parts of parseConfig, become one highlight
+  const highlights = [];
+  for (const match of matches) {
+    if (match.start < start || match.end > end) continue;
+    const offset = prefix.length - start;
+    const previous = highlights[highlights.length - 1];
+    if (previous && previous.end === match.start + offset) {
+      previous.end = match.end + offset;
+    } else {
+      highlights.push({ start: match.start + offset, end: match.end + offset });
+    }
+  }
+
+  const startLine = firstLine + countLines(content, 0, start);
+  return { text, highlights, startLine, endLine: startLine + countLines(content, start, end) };
+};
+
+// Marks the highlights of a snippet inline, e.g. for plain-text output
+const highlightSnippet = (snippet, open = '**', close = '**') => {
+  let text = snippet.text;
+  for (const { start, end } of [...snippet.highlights].reverse()) {
+    text = text.slice(0, start) + open + text.slice(start, end) + close + text.slice(end);
+  }
+  return text;
+};
+
+module.exports = { extractSnippet, highlightSnippet, queryTerms };
@@ -1,10 +1,16 @@
 'use strict';
 
+const { buildWhereClause } = require('./filters');
+
+const MAX_KNN_K = 4096;
+
 class SqliteVecSearch {
-  constructor(db, tableName = 'vec_index', dimensions = 768) {
+  constructor(db, tableName = 'vec_index', dimensions = 768, collection = 'default') {
     this.db = db;
     this.tableName = tableName;
     this.dimensions = dimensions;
+    this.collection = collection;
+    this.overFetchFactor = 4;
   }
 
   async initialize() {
@@ -16,40 +22,109 @@ class SqliteVecSearch {
     `);
   }
 
+  getIndexDimension() {
+    const row = this.db.prepare(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?"
+    ).get(this.tableName);
+    if (!row) return null;
+
+    const match = row.sql.match(/float\s*\[\s*(\d+)\s*\]/i);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  async reset() {
+    this.db.exec(`DROP TABLE IF EXISTS ${this.tableName}`);
+    await this.initialize();
+  }
+
+  // vec0 has no upsert, so replace is delete + insert. Synchronous so it can run
+  // inside the storage adapter's transaction.
+  writeVector(id, vector) {
+    this.db.prepare(`DELETE FROM ${this.tableName} WHERE id = ?`).run(id);
+    this.db.prepare(`INSERT INTO ${this.tableName} (id, embedding) VALUES (?, ?)`).run(id, JSON.stringify(vector));
+  }
+
+  deleteVectors(ids) {
+    const stmt = this.db.prepare(`DELETE FROM ${this.tableName} WHERE id = ?`);
+    let removed = 0;
+    for (const id of ids) {
+      removed += stmt.run(id).changes;
+    }
+    return removed;
+  }
+
   async addDocument(doc) {
-    const vectorJson = JSON.stringify(doc.vector);
-    try {
+    this.writeVector(doc.id, doc.vector);
+  }
+
+  async searchIndex(queryVector, topK, where = null) {
+    const queryJson = JSON.stringify(queryVector);
+    const filter = buildWhereClause(where, 'd');
+
+    if (!filter.sql) {
       const stmt = this.db.prepare(`
-        INSERT INTO ${this.tableName} (id, embedding)
-        VALUES (?, ?)
+        SELECT
+          d.id,
+          d.content,
+          d.metadata,
+          distance
+        FROM ${this.tableName} v
+        JOIN documents d ON v.id = d.id AND d.collection = ?
+        WHERE embedding MATCH ?
+          AND k = ?
+        ORDER BY distance
       `);
-      stmt.run(doc.id, vectorJson);
-    } catch (e) {
-      if (e.message && e.message.includes('UNIQUE constraint')) {
-        return;
-      }
-      throw e;
+
+      return this.mapRows(stmt.all(this.collection, queryJson, topK));
     }
-  }
 
-  async searchIndex(queryVector, topK) {
-    const queryJson = JSON.stringify(queryVector);
+    const overFetchStmt = this.db.prepare(`
+      SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        v.distance
+      FROM (
+        SELECT id, distance FROM ${this.tableName}
+        WHERE embedding MATCH ?
+          AND k = ?
+      ) v
+      JOIN documents d ON v.id = d.id AND d.collection = ?
+      WHERE ${filter.sql}
+      ORDER BY v.distance
+      LIMIT ?
+    `);
+
+    const total = this.db.prepare(`SELECT COUNT(*) as count FROM ${this.tableName}`).get().count;
+    if (total === 0) return [];
+
+    let k = Math.min(topK * this.overFetchFactor, total);
 
-    const stmt = this.db.prepare(`
+    while (k <= MAX_KNN_K) {
+      const rows = overFetchStmt.all(queryJson, k, this.collection, ...filter.params, topK);
+      if (rows.length >= topK || k >= total) {
+        return this.mapRows(rows);
+      }
+      k = Math.min(k * this.overFetchFactor, total);
+    }
+
+    const scanStmt = this.db.prepare(`
       SELECT
         d.id,
         d.content,
         d.metadata,
-        distance
-      FROM ${this.tableName} v
-      JOIN documents d ON v.id = d.id
-      WHERE embedding MATCH ?
-        AND k = ?
+        vec_distance_l2(v.embedding, ?) AS distance
+      FROM documents d
+      JOIN ${this.tableName} v ON v.id = d.id
+      WHERE d.collection = ? AND ${filter.sql}
       ORDER BY distance
+      LIMIT ?
     `);
 
-    const rows = stmt.all(queryJson, topK);
+    return this.mapRows(scanStmt.all(queryJson, this.collection, ...filter.params, topK));
+  }
 
+  mapRows(rows) {
     return rows.map(row => ({
       id: row.id,
       content: row.content ? JSON.parse(row.content) : null,
@@ -59,8 +134,32 @@ class SqliteVecSearch {
   }
 
   async delete(id) {
-    const stmt = this.db.prepare(`DELETE FROM ${this.tableName} WHERE id = ?`);
-    stmt.run(id);
+    this.deleteVectors([id]);
+  }
+
+  // Makes the index match documents.vector: drops vectors of deleted or changed
+  // documents and adds missing ones. Synchronous so it can run inside a transaction.
+  syncWithDocuments() {
+    const removed = this.db.prepare(`
+      DELETE FROM ${this.tableName} WHERE id IN (
+        SELECT v.id FROM ${this.tableName} v
+        LEFT JOIN documents d ON d.id = v.id AND d.collection = ?
+        WHERE d.id IS NULL OR v.embedding != d.vector
+      )
+    `).run(this.collection).changes;
+
+    const added = this.db.prepare(`
+      INSERT INTO ${this.tableName} (id, embedding)
+      SELECT id, vector FROM documents
+      WHERE collection = ? AND id NOT IN (SELECT id FROM ${this.tableName})
+    `).run(this.collection).changes;
+
+    return { removed, added };
+  }
+
+  async getExistingIds(ids) {
+    const stmt = this.db.prepare(`SELECT id FROM ${this.tableName} WHERE id = ?`);
+    return ids.filter(id => stmt.get(id));
   }
 
   async getAllIds() {
@@ -4,8 +4,10 @@ class EmbeddingQueue {
   constructor(embedder, options = {}) {
     this.embedder = embedder;
     this.batchSize = options.batchSize || 1;
+    this.maxBatchTokens = options.maxBatchTokens || 8192;
     this.queue = [];
     this.processing = false;
+    this.scheduled = false;
     this.maxConcurrent = options.maxConcurrent || 5; // Allow 5 parallel Ollama calls by default
     this.activeBatches = 0;
   }
@@ -13,10 +15,38 @@ class EmbeddingQueue {
   async embed(text) {
     return new Promise((resolve, reject) => {
       this.queue.push({ text, resolve, reject });
+      this.scheduleProcessing();
+    });
+  }
+
+  // Defer to the next tick so bursts of embed() calls can share one request
+  scheduleProcessing() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    setImmediate(() => {
+      this.scheduled = false;
       this.processBatches();
     });
   }
 
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  takeBatch() {
+    const batch = [this.queue.shift()];
+    let tokens = this.estimateTokens(batch[0].text);
+
+    while (this.queue.length > 0 && batch.length < this.batchSize) {
+      const nextTokens = this.estimateTokens(this.queue[0].text);
+      if (tokens + nextTokens > this.maxBatchTokens) break;
+      batch.push(this.queue.shift());
+      tokens += nextTokens;
+    }
+
+    return batch;
+  }
+
   async processBatches() {
     if (this.processing) return;
     if (this.queue.length === 0 && this.activeBatches === 0) return;
@@ -24,8 +54,7 @@ class EmbeddingQueue {
     this.processing = true;
 
     while (this.queue.length > 0 && this.activeBatches < this.maxConcurrent) {
-      const batchSize = Math.min(this.batchSize, this.queue.length);
-      const batch = this.queue.splice(0, batchSize);
+      const batch = this.takeBatch();
 
       this.activeBatches++;
 
@@ -40,6 +69,20 @@ class EmbeddingQueue {
   }
 
   async processBatch(batch) {
+    if (batch.length > 1 && typeof this.embedder.embedBatch === 'function') {
+      try {
+        const embeddings = await this.embedder.embedBatch(batch.map(item => item.text));
+        batch.forEach((item, i) => item.resolve(embeddings[i]));
+        return;
+      } catch (error) {
+        console.error(`Batch embedding failed for ${batch.length} texts, falling back to single requests:`, error.message);
+      }
+    }
+
+    return this.processIndividually(batch);
+  }
+
+  async processIndividually(batch) {
     try {
       const embeddings = await Promise.all(
         batch.map(item => this.embedder.embed(item.text).catch(err => {
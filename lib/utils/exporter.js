@@ -0,0 +1,131 @@
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+
+const EXPORT_FORMAT = 'vexify-export';
+const EXPORT_VERSION = 1;
+const LAYOUTS = ['jsonl', 'columnar'];
+
+// Vectors are packed as little-endian float32 so columnar files read the same on any platform
+function encodeVectors(vectors) {
+  const dimension = vectors.length > 0 ? vectors[0].length : 0;
+  const buffer = Buffer.alloc(vectors.length * dimension * 4);
+  vectors.forEach((vector, row) => {
+    vector.forEach((value, i) => buffer.writeFloatLE(value, (row * dimension + i) * 4));
+  });
+  return buffer.toString('base64');
+}
+
+function decodeVectors(encoded, count) {
+  const buffer = Buffer.from(encoded, 'base64');
+  const dimension = count > 0 ? buffer.length / 4 / count : 0;
+  const vectors = [];
+  for (let row = 0; row < count; row++) {
+    const vector = new Array(dimension);
+    for (let i = 0; i < dimension; i++) {
+      vector[i] = buffer.readFloatLE((row * dimension + i) * 4);
+    }
+    vectors.push(vector);
+  }
+  return vectors;
+}
+
+async function* readLines(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (line.trim()) yield line;
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+// Writes one collection to a file: a header line describing the model, followed by one
+// line per document (jsonl) or one line per row group of batchSize documents (columnar).
+class Exporter {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.layout = options.format || 'jsonl';
+    this.vectors = options.vectors ?? true;
+    this.batchSize = options.batchSize || 500;
+
+    if (!LAYOUTS.includes(this.layout)) {
+      throw new Error(`Unknown export format: ${this.layout}. Use ${LAYOUTS.join(' or ')}.`);
+    }
+  }
+
+  async describe() {
+    const model = await this.store.getMeta('model');
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      layout: this.layout,
+      collection: this.store.collection,
+      model: model ? {
+        name: model,
+        dimension: parseInt(await this.store.getMeta('dimension')) || null,
+        provider: await this.store.getMeta('provider')
+      } : null,
+      vectors: this.vectors,
+      documents: await this.store.countDocuments(),
+      vexifyVersion: require('../../package.json').version,
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  async exportTo(filePath, onProgress = () => {}) {
+    const header = await this.describe();
+    if (this.vectors && !header.model) {
+      throw new Error('The database has no recorded model, so its vectors cannot be described. Export with --no-vectors instead.');
+    }
+
+    const columns = ['id', 'content', 'metadata', 'checksum', 'version', ...(this.vectors ? ['vector'] : [])];
+    const output = fs.createWriteStream(filePath);
+    const write = async (record) => {
+      if (!output.write(JSON.stringify(record) + '\n')) await once(output, 'drain');
+    };
+
+    let exported = 0;
+    try {
+      await write(header);
+
+      for await (const batch of this.store.iterate({ columns, batchSize: this.batchSize })) {
+        if (this.layout === 'jsonl') {
+          for (const doc of batch) {
+            await write({
+              id: doc.id,
+              content: doc.content ?? null,
+              metadata: doc.metadata ?? null,
+              checksum: doc.checksum,
+              version: doc.version,
+              ...(this.vectors && { vector: doc.vector })
+            });
+          }
+        } else {
+          await write({
+            count: batch.length,
+            id: batch.map(doc => doc.id),
+            content: batch.map(doc => doc.content ?? null),
+            metadata: batch.map(doc => doc.metadata ?? null),
+            checksum: batch.map(doc => doc.checksum),
+            version: batch.map(doc => doc.version),
+            ...(this.vectors && { vector: encodeVectors(batch.map(doc => doc.vector)) })
+          });
+        }
+
+        exported += batch.length;
+        onProgress(exported, header.documents);
+      }
+    } finally {
+      output.end();
+      await once(output, 'close');
+    }
+
+    return { documents: exported, layout: this.layout, vectors: this.vectors, model: header.model };
+  }
+}
+
+module.exports = { Exporter, EXPORT_FORMAT, EXPORT_VERSION, encodeVectors, decodeVectors, readLines };
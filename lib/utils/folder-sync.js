@@ -1,10 +1,37 @@
 'use strict';
 
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const { getConfig } = require('../config/defaults');
 const { getProcessor, getAllExtensions } = require('../processors');
 
+function isInside(filePath, dirPath) {
+  return filePath.startsWith(dirPath + path.sep);
+}
+
+function readSignature(filePath, stats = fs.statSync(filePath)) {
+  return {
+    path: filePath,
+    mtime: stats.mtime.getTime(),
+    size: stats.size,
+    hash: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+  };
+}
+
+// Size and mtime are compared first; the content hash is only computed when they differ.
+// touched is a fresh signature for a file whose content did not change, to store so the
+// next comparison is cheap again.
+function compareSignature(filePath, stored, stats = fs.statSync(filePath)) {
+  if (stored.size === stats.size && stored.mtime === stats.mtime.getTime()) {
+    return { changed: false, touched: null };
+  }
+  const signature = readSignature(filePath, stats);
+  return signature.hash === stored.hash
+    ? { changed: false, touched: signature }
+    : { changed: true, touched: null };
+}
+
 class FolderSync {
   constructor(vecStore, options = {}) {
     const config = getConfig(options);
@@ -13,36 +40,49 @@ class FolderSync {
     this.recursive = config.recursive;
     this.ignoreDirs = config.ignoreDirs;
     this.concurrency = config.concurrency || 4;
+    // Extra metadata stored on every document, e.g. the workspace root it belongs to
+    this.metadata = options.metadata || null;
   }
 
-  async sync(folderPath) {
-    const folderAbsPath = path.resolve(folderPath);
-
-    if (!fs.existsSync(folderAbsPath)) {
-      throw new Error(`Folder not found: ${folderAbsPath}`);
-    }
-
-    const filesOnDisk = this.scanFolder(folderAbsPath);
-    const filesInDb = await this.getTrackedFiles();
+  async sync(folderPath, options = {}) {
+    const plan = await this.plan(folderPath);
+    return options.dryRun ? this.createResults(plan) : this.applyPlan(plan);
+  }
 
-    const toAdd = filesOnDisk.filter(f => !filesInDb.has(f.fullPath));
-    const toRemove = Array.from(filesInDb).filter(dbPath =>
-      !filesOnDisk.some(f => f.fullPath === dbPath)
-    );
+  // Re-indexes only the given paths, e.g. from a watcher. A missing path removes
+  // that file, or every file below it when a directory was deleted or moved away.
+  async syncPaths(folderPath, paths) {
+    const plan = await this.planPaths(folderPath, paths);
+    return this.applyPlan(plan);
+  }
 
-    const results = {
+  createResults(plan) {
+    return {
       added: 0,
+      updated: 0,
+      unchanged: plan.unchanged.length,
       skipped: 0,
       removed: 0,
-      errors: []
+      errors: [],
+      plan
     };
+  }
 
-    const total = toAdd.length;
-    let processed = 0;
+  async applyPlan(plan) {
+    const results = this.createResults(plan);
 
-    await this.processWithContinuousPipeline(toAdd, total, results);
+    const store = this.vecStore.store;
+    for (const signature of plan.touched) {
+      store.writeFileSignature(signature);
+    }
 
-    for (const filePath of toRemove) {
+    const changed = [
+      ...plan.add.map(file => ({ ...file, action: 'add' })),
+      ...plan.update.map(file => ({ ...file, action: 'update' }))
+    ];
+    await this.processWithContinuousPipeline(changed, changed.length, results);
+
+    for (const filePath of plan.delete) {
       try {
         await this.removeFile(filePath);
         results.removed++;
@@ -54,6 +94,128 @@ class FolderSync {
     return results;
   }
 
+  async plan(folderPath) {
+    const folderAbsPath = path.resolve(folderPath);
+
+    if (!fs.existsSync(folderAbsPath)) {
+      throw new Error(`Folder not found: ${folderAbsPath}`);
+    }
+
+    const state = await this.loadState();
+    const plan = { add: [], update: [], delete: [], unchanged: [], touched: [] };
+    const onDisk = new Set();
+
+    for (const file of this.scanFolder(folderAbsPath)) {
+      onDisk.add(file.fullPath);
+      this.classifyFile(file, state, plan);
+    }
+
+    for (const filePath of state.known) {
+      if (isInside(filePath, folderAbsPath) && !onDisk.has(filePath)) {
+        plan.delete.push(filePath);
+      }
+    }
+
+    return plan;
+  }
+
+  async planPaths(folderPath, paths) {
+    const folderAbsPath = path.resolve(folderPath);
+    const state = await this.loadState();
+    const plan = { add: [], update: [], delete: [], unchanged: [], touched: [] };
+    const files = new Map();
+    const missing = [];
+
+    for (const changedPath of paths) {
+      const fullPath = path.resolve(changedPath);
+      if (!isInside(fullPath, folderAbsPath)) continue;
+
+      let stats;
+      try {
+        stats = fs.statSync(fullPath);
+      } catch {
+        missing.push(fullPath);
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        if (this.isIgnored(fullPath, folderAbsPath, true)) continue;
+        for (const file of this.scanFolder(fullPath, folderAbsPath)) {
+          files.set(file.fullPath, file);
+        }
+      } else if (stats.isFile() && !this.isIgnored(fullPath, folderAbsPath, false)) {
+        files.set(fullPath, this.describeFile(fullPath, folderAbsPath));
+      }
+    }
+
+    for (const file of files.values()) {
+      this.classifyFile(file, state, plan);
+    }
+
+    for (const filePath of state.known) {
+      if (!files.has(filePath) && missing.some(p => filePath === p || isInside(filePath, p))) {
+        plan.delete.push(filePath);
+      }
+    }
+
+    return plan;
+  }
+
+  async loadState() {
+    const store = this.vecStore.store;
+    const signatures = await store.getFileSignatures();
+    const trackedPaths = await store.getTrackedFilePaths();
+    return { signatures, trackedPaths, known: new Set([...signatures.keys(), ...trackedPaths]) };
+  }
+
+  classifyFile(file, state, plan) {
+    let stats;
+    try {
+      stats = fs.statSync(file.fullPath);
+    } catch {
+      return;
+    }
+
+    const stored = state.signatures.get(file.fullPath);
+    if (!stored) {
+      // Indexed before signatures were recorded: re-index once to capture one
+      plan[state.trackedPaths.has(file.fullPath) ? 'update' : 'add'].push(file);
+      return;
+    }
+
+    const { changed, touched } = compareSignature(file.fullPath, stored, stats);
+    if (changed) {
+      plan.update.push(file);
+    } else {
+      plan.unchanged.push(file);
+      if (touched) plan.touched.push(touched);
+    }
+  }
+
+  // Applies the same rules as scanFolder to a single path below folderAbsPath
+  isIgnored(fullPath, folderAbsPath, isDirectory) {
+    const relativeDirs = path.relative(folderAbsPath, isDirectory ? fullPath : path.dirname(fullPath))
+      .split(path.sep)
+      .filter(Boolean);
+
+    if (relativeDirs.some(dir => this.ignoreDirs.includes(dir))) return true;
+    if (!this.recursive && (isDirectory || relativeDirs.length > 0)) return true;
+    return !isDirectory && !this.extensions.includes(path.extname(fullPath).toLowerCase());
+  }
+
+  describeFile(fullPath, baseAbs) {
+    return {
+      fullPath,
+      relativePath: path.relative(baseAbs, fullPath),
+      extension: path.extname(fullPath).toLowerCase(),
+      name: path.basename(fullPath)
+    };
+  }
+
+  getSignature(filePath, stats) {
+    return readSignature(filePath, stats);
+  }
+
   scanFolder(folderPath, basePath = null) {
     const base = basePath || folderPath;
     const baseAbs = path.resolve(base);
@@ -73,13 +235,7 @@ class FolderSync {
       } else if (entry.isFile()) {
         const ext = path.extname(entry.name).toLowerCase();
         if (this.extensions.includes(ext)) {
-          const fullPathAbs = path.resolve(fullPath);
-          files.push({
-            fullPath: fullPathAbs,
-            relativePath: path.relative(baseAbs, fullPathAbs),
-            extension: ext,
-            name: entry.name
-          });
+          files.push(this.describeFile(path.resolve(fullPath), baseAbs));
         }
       }
     }
@@ -87,54 +243,40 @@ class FolderSync {
     return files;
   }
 
-  async getTrackedFiles() {
-    const allDocs = await this.vecStore.store.getAll();
-    const files = new Set();
-
-    for (const doc of allDocs) {
-      if (doc.metadata?.source === 'file' && doc.metadata?.filePath) {
-        files.add(doc.metadata.filePath);
-      }
-    }
-
-    return files;
-  }
-
   async embedFile(file) {
-    const ProcessorClass = getProcessor(file.extension);
-
-    if (!ProcessorClass) {
-      throw new Error(`No processor found for extension: ${file.extension}`);
-    }
-
-    const processor = new ProcessorClass();
-    const documents = await processor.process(file.fullPath);
+    const signature = this.getSignature(file.fullPath);
+    const documents = await this.extractDocuments(file);
+    const count = await this.replaceFile(file, documents, signature);
 
-    let added = 0;
-    let skipped = 0;
+    return { skipped: count === 0, count };
+  }
 
-    await Promise.all(documents.map(async (doc) => {
-      const result = await this.vecStore.addDocument(doc.id, doc.content, doc.metadata);
-      if (result.skipped) {
-        skipped++;
-      } else {
-        added++;
-      }
-    }));
+  // Replaces all documents of a file and its signature in one transaction
+  async replaceFile(file, documents, signature) {
+    const store = this.vecStore.store;
+    const docs = await this.vecStore.prepareDocuments(documents);
+    const previousIds = await store.getBySource('filePath', file.fullPath);
 
-    await this.vecStore.flushBuffer();
+    store.transaction(() => {
+      this.vecStore.writeDocuments(docs, previousIds);
+      store.writeFileSignature(signature);
+      store.removeIngestError(file.fullPath);
+    });
 
-    return skipped > 0 ? { skipped: true, count: skipped } : { skipped: false, count: added };
+    return docs.length;
   }
 
   async removeFile(filePath) {
-    const allDocs = await this.vecStore.store.getAll();
+    const removed = await this.vecStore.clearSource('filePath', filePath);
+    this.vecStore.store.removeFileSignature(filePath);
+    this.vecStore.store.removeIngestError(filePath);
+    return removed;
+  }
 
-    for (const doc of allDocs) {
-      if (doc.metadata?.filePath === filePath) {
-        await this.vecStore.store.delete(doc.id);
-      }
-    }
+  // Failures are kept in the store as well, so they can be inspected after the sync
+  recordError(results, file, error) {
+    results.errors.push({ file: file.relativePath, error: error.message });
+    this.vecStore.store.writeIngestError(file.fullPath, error.message);
   }
 
   async processWithContinuousPipeline(files, total, results) {
@@ -142,6 +284,7 @@ class FolderSync {
     const fileQueue = [...files];
     const prefetchQueue = [];
     const MAX_PREFETCH = 5;
+    let prefetchDone = false;
 
     const prefetchWorker = async () => {
       while (fileQueue.length > 0 || prefetchQueue.length > 0) {
@@ -149,37 +292,41 @@ class FolderSync {
           const file = fileQueue.shift();
           if (file) {
             try {
+              // Hash before extracting so a write during extraction is picked up next sync
+              const signature = this.getSignature(file.fullPath);
               const documents = await this.extractDocuments(file);
-              prefetchQueue.push({ file, documents });
+              prefetchQueue.push({ file, documents, signature });
             } catch (error) {
-              results.errors.push({ file: file.relativePath, error: error.message });
+              this.recordError(results, file, error);
               processed++;
             }
           }
         }
         await new Promise(resolve => setTimeout(resolve, 10));
       }
+      prefetchDone = true;
     };
 
     const prefetchPromise = prefetchWorker();
 
     const processWorker = async () => {
-      while (prefetchQueue.length > 0 || fileQueue.length > 0) {
+      while (prefetchQueue.length > 0 || !prefetchDone) {
         if (prefetchQueue.length > 0) {
-          const { file, documents } = prefetchQueue.shift();
+          const { file, documents, signature } = prefetchQueue.shift();
           processed++;
-          console.error(`[${processed}/${total}] Processing: ${file.relativePath}`);
-
-          documents.forEach(doc => {
-            this.vecStore.addDocument(doc.id, doc.content, doc.metadata).catch((err) => {
-              console.error(`Failed to add document ${doc.id}:`, err.message);
-            });
-          });
-
-          results.added += documents.length;
-
-          if (processed % 100 === 0) {
-            await this.vecStore.flushBuffer();
+          console.error(`[${processed}/${total}] ${file.action === 'update' ? 'Updating' : 'Processing'}: ${file.relativePath}`);
+
+          try {
+            const chunks = await this.replaceFile(file, documents, signature);
+            if (chunks === 0) {
+              results.skipped++;
+            } else if (file.action === 'update') {
+              results.updated++;
+            } else {
+              results.added++;
+            }
+          } catch (error) {
+            this.recordError(results, file, error);
           }
         } else {
           await new Promise(resolve => setTimeout(resolve, 50));
@@ -188,9 +335,6 @@ class FolderSync {
     };
 
     await Promise.all([prefetchPromise, processWorker()]);
-    await this.vecStore.flushBuffer();
-    await this.vecStore.embeddingQueue.drain();
-    await this.vecStore.flushBuffer();
   }
 
   async extractDocuments(file) {
@@ -202,8 +346,9 @@ class FolderSync {
     const processor = new ProcessorClass();
     const documents = await processor.process(file.fullPath);
 
-    return documents;
+    if (!this.metadata) return documents;
+    return documents.map(doc => ({ ...doc, metadata: { ...doc.metadata, ...this.metadata } }));
   }
 }
 
-module.exports = { FolderSync };
+module.exports = { FolderSync, readSignature, compareSignature };
@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// One fs.watch handle per directory, so ignored trees never use inotify watches.
+// Debounced batches of absolute paths are passed to onChange; a rename arrives as
+// the old (now missing) path plus the new one.
+class FolderWatcher {
+  constructor(rootPath, options = {}) {
+    this.rootPath = path.resolve(rootPath);
+    this.recursive = options.recursive ?? true;
+    this.debounce = options.debounce ?? 500;
+    this.ignore = options.ignore || (() => false);
+    this.onChange = options.onChange || (async () => {});
+    this.onError = options.onError || ((error) => console.error('Watch error:', error.message));
+
+    this.watchers = new Map();
+    this.pending = new Set();
+    this.timer = null;
+    this.running = null;
+    this.closed = false;
+  }
+
+  start() {
+    this.watchDirectory(this.rootPath);
+    return this;
+  }
+
+  watchDirectory(dirPath) {
+    if (this.closed || this.watchers.has(dirPath)) return;
+
+    let watcher;
+    try {
+      watcher = fs.watch(dirPath, (eventType, fileName) => {
+        if (fileName) this.handleEvent(path.join(dirPath, fileName.toString()));
+      });
+    } catch (error) {
+      this.onError(new Error(`Cannot watch ${dirPath}: ${error.message}`));
+      return;
+    }
+
+    watcher.on('error', () => this.unwatchDirectory(dirPath));
+    this.watchers.set(dirPath, watcher);
+
+    if (!this.recursive) return;
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory() && !this.ignore(fullPath, true)) {
+        this.watchDirectory(fullPath);
+      }
+    }
+  }
+
+  unwatchDirectory(dirPath) {
+    for (const [watchedPath, watcher] of this.watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        this.watchers.delete(watchedPath);
+      }
+    }
+  }
+
+  handleEvent(fullPath) {
+    let stats = null;
+    try {
+      stats = fs.statSync(fullPath);
+    } catch {
+      // Deleted or renamed away
+    }
+
+    const isDirectory = stats ? stats.isDirectory() : this.watchers.has(fullPath);
+    if (this.ignore(fullPath, isDirectory)) return;
+
+    if (stats && isDirectory) {
+      // New or moved-in directories need watches of their own
+      if (this.recursive) this.watchDirectory(fullPath);
+    } else if (!stats && isDirectory) {
+      this.unwatchDirectory(fullPath);
+    }
+
+    this.pending.add(fullPath);
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.debounce);
+  }
+
+  // Delivers batches one at a time; events that arrive meanwhile form the next batch
+  async flush() {
+    if (this.running || this.pending.size === 0 || this.closed) return;
+
+    const paths = [...this.pending];
+    this.pending.clear();
+
+    this.running = Promise.resolve()
+      .then(() => this.onChange(paths))
+      .catch(error => this.onError(error));
+
+    await this.running;
+    this.running = null;
+
+    if (this.pending.size > 0) this.schedule();
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.timer) clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    if (this.running) await this.running;
+  }
+}
+
+module.exports = { FolderWatcher };
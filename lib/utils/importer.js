@@ -0,0 +1,128 @@
+'use strict';
+
+const { EXPORT_FORMAT, EXPORT_VERSION, decodeVectors, readLines } = require('./exporter');
+
+// Loads a file written by Exporter into a VecStore. Stored vectors are used when they
+// come from the store's model; otherwise every document is embedded again from its content.
+class Importer {
+  constructor(vecStore, options = {}) {
+    this.vecStore = vecStore;
+    this.batchSize = options.batchSize || 100;
+  }
+
+  static async readHeader(filePath) {
+    for await (const line of readLines(filePath)) {
+      let header;
+      try {
+        header = JSON.parse(line);
+      } catch {
+        header = null;
+      }
+
+      if (!header || header.format !== EXPORT_FORMAT) {
+        throw new Error(`${filePath} is not a vexify export`);
+      }
+      if (header.version > EXPORT_VERSION) {
+        throw new Error(`${filePath} uses export version ${header.version}; upgrade vexify to import it`);
+      }
+      return header;
+    }
+
+    throw new Error(`${filePath} is empty`);
+  }
+
+  static canUseVectors(header, modelName, dimension) {
+    return !!(header.vectors && header.model &&
+      header.model.name === modelName && header.model.dimension === dimension);
+  }
+
+  async *readBatches(filePath, header) {
+    let batch = [];
+    let first = true;
+
+    for await (const line of readLines(filePath)) {
+      if (first) {
+        first = false;
+        continue;
+      }
+
+      const record = JSON.parse(line);
+      if (header.layout === 'columnar') {
+        const vectors = record.vector ? decodeVectors(record.vector, record.count) : [];
+        for (let i = 0; i < record.count; i++) {
+          batch.push({
+            id: record.id[i],
+            content: record.content[i],
+            metadata: record.metadata[i],
+            checksum: record.checksum[i],
+            version: record.version[i],
+            vector: vectors[i]
+          });
+        }
+      } else {
+        batch.push(record);
+      }
+
+      if (batch.length >= this.batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) yield batch;
+  }
+
+  async importFrom(filePath, onProgress = () => {}) {
+    const { vecStore } = this;
+    const header = await Importer.readHeader(filePath);
+    const reembed = !Importer.canUseVectors(header, vecStore.modelName, vecStore.dimension);
+
+    if (reembed && !vecStore.embedder) {
+      throw new Error(`${filePath} has no vectors for ${vecStore.modelName}, so an embedder is needed to import it`);
+    }
+
+    const results = { imported: 0, skipped: 0, reembedded: reembed, errors: [] };
+
+    await vecStore.flushBuffer();
+
+    for await (const batch of this.readBatches(filePath, header)) {
+      const docs = [];
+
+      await Promise.all(batch.map(async (record) => {
+        const content = typeof record.content === 'string' ? record.content : null;
+        const checksum = record.checksum || (content !== null ? vecStore.calculateChecksum(content) : null);
+
+        if (!checksum || (reembed && (content === null || !content.trim()))) {
+          results.skipped++;
+          return;
+        }
+
+        try {
+          const vector = reembed ? await vecStore.embedWithCache(content, checksum) : record.vector;
+          if (!reembed && vector.length !== vecStore.dimension) {
+            throw new Error(`vector has ${vector.length} dimensions, expected ${vecStore.dimension}`);
+          }
+
+          docs.push({
+            id: record.id,
+            vector,
+            checksum,
+            version: reembed ? vecStore.version : (record.version || vecStore.version),
+            ...(vecStore.storeContent && content !== null && { content }),
+            metadata: record.metadata || undefined
+          });
+        } catch (error) {
+          results.errors.push({ id: record.id, error: error.message });
+        }
+      }));
+
+      vecStore.writeDocuments(docs);
+      results.imported += docs.length;
+      onProgress(results.imported + results.skipped + results.errors.length, header.documents);
+    }
+
+    return results;
+  }
+}
+
+module.exports = { Importer };
@@ -5,7 +5,9 @@ const METADATA_SCHEMA = {
   optional: [
     'filePath', 'source', 'title', 'format', 'language', 'hash', 'checksum',
     'lastIndexed', 'fileSignature', 'keywords', 'type', 'length', 'crawlUrl',
-    'fileName', 'contentHash', 'pageNumber', 'itemIndex', 'itemData', 'processedAt'
+    'fileName', 'contentHash', 'pageNumber', 'itemIndex', 'itemData', 'processedAt',
+    'chunkIndex', 'chunkCount', 'chunkStrategy', 'startLine', 'endLine', 'startOffset', 'endOffset', 'heading',
+    'symbolName', 'symbolKind', 'parentSymbol'
   ],
   types: {
     filePath: 'string',
@@ -26,7 +28,18 @@ const METADATA_SCHEMA = {
     pageNumber: 'number',
     itemIndex: 'number',
     itemData: 'object',
-    processedAt: 'string'
+    processedAt: 'string',
+    chunkIndex: 'number',
+    chunkCount: 'number',
+    chunkStrategy: 'string',
+    startLine: 'number',
+    endLine: 'number',
+    startOffset: 'number',
+    endOffset: 'number',
+    heading: 'string',
+    symbolName: 'string',
+    symbolKind: 'string',
+    parentSymbol: 'string'
   }
 };
 
@@ -0,0 +1,38 @@
+'use strict';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+const hostHeader = (name, port) => {
+  const host = name.includes(':') ? `[${name}]` : name;
+  return port === 80 ? [host, `${host}:80`] : [`${host}:${port}`];
+};
+
+// Host header values a server listening on host:port answers to. A loopback bind
+// answers to every loopback name; a wildcard bind has no fixed names, so it gets null.
+function allowedHostsFor(host, port) {
+  if (WILDCARD_HOSTS.includes(host)) return null;
+  const names = LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTS : [host.toLowerCase()];
+  return names.flatMap(name => hostHeader(name, port));
+}
+
+// Guards servers without a token against DNS rebinding and cross-site browser requests:
+// returns why the request must be refused, or null. A page on another site can reach a
+// local server by pointing its own name at 127.0.0.1, but its Host header keeps that name.
+function foreignRequestReason(req, allowedHosts) {
+  const host = (req.headers.host || '').toLowerCase();
+  if (allowedHosts && !allowedHosts.includes(host)) {
+    return `Host ${req.headers.host || '(missing)'} is not allowed`;
+  }
+
+  const origin = req.headers.origin;
+  if (!origin) return null;
+  try {
+    if (new URL(origin).host === host) return null;
+  } catch {
+    // "null" and other opaque origins are refused below
+  }
+  return `Origin ${origin} is not allowed`;
+}
+
+module.exports = { allowedHostsFor, foreignRequestReason };
@@ -1,59 +1,241 @@
 'use strict';
 
+const { SqliteVecSearch } = require('../search/sqlite-vec');
+
+function hasContent(doc) {
+  return typeof doc.content === 'string' && doc.content.trim().length > 0;
+}
+
 class Updater {
   constructor(vecStore) {
     this.vecStore = vecStore;
   }
 
+  // Re-embeds documents written by an older version of vexify
   async updateAll() {
-    const allDocs = await this.vecStore.store.getAll();
     const currentVersion = this.vecStore.version;
 
     const results = {
-      checked: allDocs.length,
+      checked: 0,
       reprocessed: 0,
       errors: []
     };
 
-    for (const doc of allDocs) {
-      if (!doc.metadata) {
-        continue;
-      }
+    for await (const batch of this.vecStore.store.iterate({ columns: ['id', 'content', 'metadata', 'version'] })) {
+      results.checked += batch.length;
 
-      const docVersion = doc.version || '0.0.0';
-      if (this.compareVersions(currentVersion, docVersion) <= 0) {
-        continue;
-      }
+      for (const doc of batch) {
+        if (!doc.metadata || !hasContent(doc)) {
+          continue;
+        }
 
-      try {
-        const content = doc.content ? JSON.parse(doc.content) : null;
-        if (!content) {
+        const docVersion = doc.version || '0.0.0';
+        if (this.compareVersions(currentVersion, docVersion) <= 0) {
           continue;
         }
 
-        const vector = await this.vecStore.embedder.embed(content);
-        const checksum = this.vecStore.calculateChecksum(content);
+        try {
+          const checksum = this.vecStore.calculateChecksum(doc.content);
+          const vector = await this.vecStore.embedWithCache(doc.content, checksum);
+
+          this.vecStore.writeDocuments([{
+            id: doc.id,
+            vector,
+            checksum,
+            version: currentVersion,
+            ...(this.vecStore.storeContent && { content: doc.content }),
+            metadata: doc.metadata
+          }]);
+          results.reprocessed++;
+
+        } catch (error) {
+          results.errors.push({ id: doc.id, error: error.message });
+        }
+      }
+    }
 
-        const updatedDoc = {
-          id: doc.id,
-          vector,
-          checksum,
-          version: currentVersion,
-          ...(this.vecStore.storeContent && { content }),
-          metadata: doc.metadata ? JSON.parse(doc.metadata) : null
-        };
+    return results;
+  }
+
+  // Embeds documents that have no cached embedding for the current model yet.
+  // The cache doubles as the staging area for re-embedding.
+  async stageEmbeddings(docs) {
+    const { store, modelName, dimension } = this.vecStore;
+    const errors = [];
 
-        await this.vecStore.store.put(updatedDoc);
-        results.reprocessed++;
+    await Promise.all(docs.map(async (doc) => {
+      try {
+        if (await store.getCachedEmbedding(doc.checksum, modelName, dimension)) return;
 
+        const vector = await this.vecStore.embeddingQueue.embed(doc.content);
+        this.vecStore.validateVector(vector);
+        await store.putCachedEmbedding(doc.checksum, modelName, dimension, vector);
       } catch (error) {
-        results.errors.push({ id: doc.id, error: error.message });
+        errors.push({ id: doc.id, error: error.message });
+      }
+    }));
+
+    return errors;
+  }
+
+  // Vectors are rebuilt from stored content, so a store written with storeContent: false
+  // has to be indexed again from its sources
+  assertReembeddable() {
+    const { store, modelName, dimension } = this.vecStore;
+    if (!modelName || !dimension) {
+      throw new Error('Re-embedding requires the model name and dimension of the new embedder');
+    }
+
+    const withoutContent = store.countDocumentsWithoutContent();
+    if (withoutContent > 0) {
+      throw new Error(
+        `Cannot re-embed: ${withoutContent} document(s) were stored without content (storeContent: false). ` +
+        `Index the original sources again with ${modelName} instead.`
+      );
+    }
+  }
+
+  // Re-embed every stored document with the current embedder, e.g. after a model change.
+  // New vectors are staged in the embedding cache batch by batch and swapped into the
+  // documents table in one transaction at the end, so a failed run leaves documents untouched.
+  async reembedAll({ batchSize = 500 } = {}) {
+    this.assertReembeddable();
+    const { store, modelName, dimension } = this.vecStore;
+
+    const results = {
+      checked: 0,
+      reprocessed: 0,
+      removed: 0,
+      errors: []
+    };
+
+    for await (const batch of store.iterate({ columns: ['id', 'content', 'checksum'], batchSize })) {
+      results.checked += batch.length;
+      results.errors.push(...await this.stageEmbeddings(batch.filter(hasContent)));
+
+      if (results.errors.length > 0) {
+        throw new Error(`Re-embedding failed for ${results.errors.length} document(s), database left unchanged: ${results.errors[0].error}`);
       }
     }
 
+    const swapped = store.applyCachedEmbeddings(modelName, dimension, this.vecStore.version);
+    results.reprocessed = swapped.updated;
+    results.removed = swapped.removed;
     return results;
   }
 
+  static async getReembedJob(store) {
+    const model = await store.getMeta('reembed.model');
+    if (!model) return null;
+
+    const number = async key => parseInt(await store.getMeta(key)) || 0;
+    return {
+      model,
+      dimension: await number('reembed.dimension'),
+      provider: await store.getMeta('reembed.provider'),
+      table: await store.getMeta('reembed.table'),
+      processed: await number('reembed.processed'),
+      total: await number('reembed.total'),
+      startedAt: await store.getMeta('reembed.started_at'),
+      updatedAt: await store.getMeta('reembed.updated_at')
+    };
+  }
+
+  // Builds a vector index for the current embedder next to the active one, which keeps
+  // serving queries until the final swap. Staged embeddings and the new index table
+  // persist, so an interrupted run resumes where it stopped.
+  async reembed({ provider = null, batchSize = 500, restart = false, onProgress = () => {} } = {}) {
+    this.assertReembeddable();
+    const { store, modelName, dimension } = this.vecStore;
+
+    const activeTable = await store.getVectorTable();
+    const job = await Updater.getReembedJob(store);
+
+    if (job && (job.model !== modelName || job.dimension !== dimension) && !restart) {
+      throw new Error(
+        `A re-embed to ${job.model} (${job.dimension} dimensions) is already in progress. ` +
+        `Resume it with --model ${job.model}, or pass --restart to discard it.`
+      );
+    }
+
+    const resuming = job && job.model === modelName && job.dimension === dimension && !restart;
+    const baseTable = store.defaultVectorTable();
+    const nextTable = resuming ? job.table : (activeTable === baseTable ? `${baseTable}_next` : baseTable);
+    const next = new SqliteVecSearch(store.db, nextTable, dimension, store.collection);
+
+    if (!resuming || next.getIndexDimension() !== dimension) {
+      await next.reset();
+      store.transaction(() => {
+        store.removeMeta('reembed.');
+        store.writeMeta('reembed.model', modelName);
+        store.writeMeta('reembed.dimension', dimension);
+        store.writeMeta('reembed.provider', provider || '');
+        store.writeMeta('reembed.table', nextTable);
+        store.writeMeta('reembed.started_at', new Date().toISOString());
+      });
+    }
+
+    // Documents written while the index was being built are picked up by another pass
+    for (let pass = 0; pass < 5; pass++) {
+      await this.buildIndex(next, batchSize, onProgress);
+
+      const swapped = this.swapIndex(activeTable, next, provider);
+      if (swapped) return swapped;
+    }
+
+    throw new Error('Documents kept changing while re-embedding; run the command again to resume');
+  }
+
+  async buildIndex(next, batchSize, onProgress) {
+    const { store, modelName, dimension } = this.vecStore;
+    const total = await store.countDocuments();
+    let processed = 0;
+
+    for await (const batch of store.iterate({ columns: ['id', 'content', 'checksum'], batchSize })) {
+      const docs = batch.filter(hasContent);
+
+      const errors = await this.stageEmbeddings(docs);
+      if (errors.length > 0) {
+        throw new Error(`Re-embedding failed for ${errors.length} document(s): ${errors[0].error}. Run the command again to resume`);
+      }
+
+      const indexed = new Set(await next.getExistingIds(docs.map(doc => doc.id)));
+      const missing = docs.filter(doc => !indexed.has(doc.id));
+      const vectors = await Promise.all(missing.map(doc => store.getCachedEmbedding(doc.checksum, modelName, dimension)));
+
+      processed += batch.length;
+      store.transaction(() => {
+        missing.forEach((doc, i) => next.writeVector(doc.id, vectors[i]));
+        store.writeMeta('reembed.processed', processed);
+        store.writeMeta('reembed.total', total);
+        store.writeMeta('reembed.updated_at', new Date().toISOString());
+      });
+
+      onProgress({ processed, total });
+    }
+  }
+
+  // Returns null without changing anything if documents changed since the last pass
+  swapIndex(activeTable, next, provider) {
+    const { store, modelName, dimension, version } = this.vecStore;
+
+    return store.transaction(() => {
+      if (store.countMissingEmbeddings(modelName, dimension) > 0) return null;
+
+      const { updated, removed } = store.applyCachedEmbeddings(modelName, dimension, version);
+      next.syncWithDocuments();
+      store.db.exec(`DROP TABLE IF EXISTS ${activeTable}`);
+
+      store.writeMeta('vector_table', next.tableName);
+      store.writeMeta('model', modelName);
+      store.writeMeta('dimension', dimension);
+      if (provider) store.writeMeta('provider', provider);
+      store.removeMeta('reembed.');
+
+      return { reprocessed: updated, removed, table: next.tableName };
+    });
+  }
+
   compareVersions(v1, v2) {
     const parts1 = v1.split('.').map(Number);
     const parts2 = v2.split('.').map(Number);
@@ -0,0 +1,112 @@
+'use strict';
+
+// Cross-checks the documents table against the vector index and the FTS index.
+class IndexVerifier {
+  constructor(store, search) {
+    this.store = store;
+    this.search = search;
+    this.db = store.db;
+    this.collection = store.collection || 'default';
+  }
+
+  async check() {
+    const dimension = this.search.getIndexDimension();
+    const expectedDimension = dimension || this.search.dimensions;
+    const vectorTable = this.search.tableName;
+
+    const report = {
+      documents: this.db.prepare('SELECT COUNT(*) as count FROM documents WHERE collection = ?').get(this.collection).count,
+      vectors: 0,
+      indexDimension: dimension,
+      orphanVectors: [],
+      missingVectors: [],
+      staleVectors: [],
+      wrongDimension: [],
+      orphanFts: 0,
+      missingFts: 0
+    };
+
+    const vectorIds = dimension ? `SELECT id FROM ${vectorTable}` : 'SELECT NULL WHERE 0';
+
+    const missing = this.db.prepare(`
+      SELECT d.id, length(d.vector) as bytes FROM documents d
+      WHERE d.collection = ? AND d.id NOT IN (${vectorIds})
+    `).all(this.collection);
+    report.missingVectors = missing.filter(row => row.bytes === expectedDimension * 4).map(row => row.id);
+    report.wrongDimension = missing.filter(row => row.bytes !== expectedDimension * 4).map(row => row.id);
+
+    if (dimension) {
+      report.vectors = this.db.prepare(`SELECT COUNT(*) as count FROM ${vectorTable}`).get().count;
+
+      report.orphanVectors = this.db.prepare(`
+        SELECT v.id FROM ${vectorTable} v
+        WHERE NOT EXISTS (SELECT 1 FROM documents d WHERE d.id = v.id AND d.collection = ?)
+      `).all(this.collection).map(row => row.id);
+
+      // Vectors that no longer match the stored document vector, e.g. left behind by re-inserts
+      report.staleVectors = this.db.prepare(`
+        SELECT d.id FROM documents d
+        JOIN ${vectorTable} v ON v.id = d.id
+        WHERE d.collection = ? AND v.embedding != d.vector
+      `).all(this.collection).map(row => row.id);
+    }
+
+    report.orphanFts = this.db.prepare(`
+      SELECT COUNT(*) as count FROM documents_fts
+      WHERE rowid NOT IN (SELECT rowid FROM documents)
+    `).get().count;
+
+    report.missingFts = this.db.prepare(`
+      SELECT COUNT(*) as count FROM documents
+      WHERE content IS NOT NULL AND rowid NOT IN (SELECT rowid FROM documents_fts)
+    `).get().count;
+
+    report.ok = report.orphanVectors.length === 0 &&
+      report.missingVectors.length === 0 &&
+      report.staleVectors.length === 0 &&
+      report.wrongDimension.length === 0 &&
+      report.orphanFts === 0 &&
+      report.missingFts === 0;
+
+    return report;
+  }
+
+  async repair(report) {
+    const readVector = this.db.prepare('SELECT vector FROM documents WHERE collection = ? AND id = ?');
+
+    if (!report.indexDimension) {
+      await this.search.initialize();
+    }
+
+    const toVector = (blob) => Array.from(new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4));
+
+    return this.store.transaction(() => {
+      const counts = { orphanVectors: 0, missingVectors: 0, staleVectors: 0, fts: 0 };
+
+      counts.orphanVectors = this.search.deleteVectors(report.orphanVectors);
+
+      for (const key of ['missingVectors', 'staleVectors']) {
+        for (const id of report[key]) {
+          const row = readVector.get(this.collection, id);
+          if (!row) continue;
+          this.search.writeVector(id, toVector(row.vector));
+          counts[key]++;
+        }
+      }
+
+      if (report.orphanFts > 0 || report.missingFts > 0) {
+        this.db.exec(`
+          DELETE FROM documents_fts WHERE rowid NOT IN (SELECT rowid FROM documents);
+          INSERT INTO documents_fts (rowid, content)
+          SELECT rowid, json_extract(content, '$') FROM documents
+          WHERE content IS NOT NULL AND rowid NOT IN (SELECT rowid FROM documents_fts);
+        `);
+        counts.fts = report.orphanFts + report.missingFts;
+      }
+
+      return counts;
+    });
+  }
+}
+
+module.exports = { IndexVerifier };
@@ -4,20 +4,139 @@ const { VecStore } = require('./vecstore');
 const { OllamaEmbedder } = require('./embedders/ollama');
 const { VLLMEmbedder } = require('./embedders/vllm');
 const { TransformersEmbedder } = require('./embedders/transformers');
+const { OpenAIEmbedder } = require('./embedders/openai');
+const { TransformersReranker } = require('./rerankers/transformers');
+const { HttpReranker } = require('./rerankers/http');
 const { SQLiteStorageAdapter } = require('./adapters/sqlite');
 const { SqliteVecSearch } = require('./search/sqlite-vec');
-const { getConfig, detectOptimalModel, getModelDimension, validateModelDimension } = require('./config/defaults');
+const { MODEL_REGISTRY, CONVENTIONS, getConfig, detectOptimalModel, validateModelDimension } = require('./config/defaults');
 const { OllamaSetup } = require('./utils/ollama-setup');
+const { Updater } = require('./utils/updater');
 
 class VecStoreFactory {
   static async create(options = {}) {
+    const store = new SQLiteStorageAdapter(getConfig(options).dbPath, { collection: options.collection });
+    try {
+      options = await VecStoreFactory.withCollectionSettings(store, options);
+    } catch (error) {
+      store.close();
+      throw error;
+    }
+
     const config = getConfig(options);
 
     if (!options.modelName) {
-      const detectedModel = detectOptimalModel(options.directory || process.cwd());
+      const detectedModel = detectOptimalModel(options.directory || process.cwd(), config.embedderProvider);
       config.modelName = detectedModel;
     }
 
+    const { embedder, embedderType } = await VecStoreFactory.createEmbedder(config);
+
+    const modelName = embedder.modelName;
+    const modelDimension = await VecStoreFactory.probeDimension(embedder, config);
+
+    const search = new SqliteVecSearch(store.db, await store.getVectorTable(), modelDimension, store.collection);
+    const migrate = await VecStoreFactory.checkModelCompatibility(store, search, modelName, modelDimension, config);
+
+    const vecStore = new VecStore({
+      embedder,
+      store,
+      search,
+      storeContent: config.storeContent,
+      chunking: config.chunking,
+      embedBatchSize: config.embedBatchSize,
+      embedBatchTokens: config.embedBatchTokens,
+      embedConcurrency: config.embedConcurrency,
+      bufferSize: config.bufferSize || 100,
+      flushDelay: config.flushDelay || 1000,
+      searchMode: config.searchMode,
+      hybridWeight: config.hybridWeight,
+      reranker: await VecStoreFactory.createReranker(config),
+      rerankCandidates: config.rerankCandidates,
+      mmrLambda: config.mmrLambda,
+      modelName,
+      dimension: modelDimension,
+      validateDimension: validateModelDimension
+    });
+
+    if (migrate) {
+      console.error(`Re-embedding documents with ${modelName} (${modelDimension} dimensions)...`);
+      const results = await new Updater(vecStore).reembedAll();
+      await search.reset();
+      console.error(`✓ Re-embedded ${results.reprocessed} documents`);
+    }
+
+    await store.setMeta('model', modelName);
+    await store.setMeta('dimension', modelDimension);
+    await store.setMeta('provider', embedderType);
+
+    await vecStore.initialize();
+
+    return vecStore;
+  }
+
+  // Opens a store for vectors computed elsewhere, e.g. an import that carries them,
+  // so no embedding service has to be reachable
+  static async openWithoutEmbedder(options = {}) {
+    const config = getConfig(options);
+    const { modelName, dimension } = options;
+
+    const store = new SQLiteStorageAdapter(config.dbPath, { collection: options.collection });
+    const search = new SqliteVecSearch(store.db, await store.getVectorTable(), dimension, store.collection);
+    try {
+      await VecStoreFactory.withCollectionSettings(store, options);
+      await VecStoreFactory.checkModelCompatibility(store, search, modelName, dimension, { ...config, migrateModel: false });
+    } catch (error) {
+      store.close();
+      throw error;
+    }
+
+    const vecStore = new VecStore({
+      embedder: null,
+      store,
+      search,
+      storeContent: config.storeContent,
+      chunker: null,
+      modelName,
+      dimension,
+      validateDimension: validateModelDimension
+    });
+
+    await store.setMeta('model', modelName);
+    await store.setMeta('dimension', dimension);
+    if (options.provider) await store.setMeta('provider', options.provider);
+
+    await vecStore.initialize();
+
+    return vecStore;
+  }
+
+  // A named collection keeps the embedder it was created with; options passed
+  // explicitly still win, and a different model is rejected as for any database.
+  static async withCollectionSettings(store, options) {
+    if (!options.collection) return options;
+
+    if (!(await store.collectionExists(store.collection))) {
+      throw new Error(
+        `Collection ${store.collection} does not exist in ${store.dbPath}. ` +
+        `Create it with: vexify collection create ${store.dbPath} ${store.collection} --model <model>`
+      );
+    }
+
+    const settings = {
+      modelName: await store.getMeta('model'),
+      embedderProvider: await store.getMeta('provider'),
+      host: await store.getMeta('host')
+    };
+
+    const merged = { ...options };
+    for (const [key, value] of Object.entries(settings)) {
+      if (merged[key] == null && value) merged[key] = value;
+    }
+    return merged;
+  }
+
+  static async createEmbedder(config) {
     let embedder;
     let embedderType = config.embedderProvider || config.embedderType || 'auto';
 
@@ -46,7 +165,7 @@ class VecStoreFactory {
           embedderType = 'ollama';
         } else {
           const transformersEmbedder = new TransformersEmbedder({
-            modelName: config.transformersModel || 'Xenova/bge-base-en-v1.5',
+            modelName: config.transformersModel || CONVENTIONS.embedder.transformersDefaultModel,
             dimension: config.dimension
           });
 
@@ -112,37 +231,102 @@ class VecStoreFactory {
     } else if (embedderType === 'transformers') {
       // Explicit transformers.js provider
       embedder = new TransformersEmbedder({
-        modelName: config.transformersModel || 'Xenova/bge-base-en-v1.5',
+        modelName: config.transformersModel || CONVENTIONS.embedder.transformersDefaultModel,
         dimension: config.dimension
       });
       const transformersAvailable = await embedder.checkConnection();
       if (!transformersAvailable) {
         throw new Error('transformers.js not available. Run: npm install @huggingface/transformers');
       }
+    } else if (embedderType === 'openai') {
+      // OpenAI-compatible gateway (OpenAI, LiteLLM, text-embeddings-inference, LocalAI, ...)
+      embedder = new OpenAIEmbedder({
+        modelName: config.modelName,
+        host: config.host,
+        path: config.embeddingPath,
+        apiKey: config.apiKey,
+        apiKeyHeader: config.apiKeyHeader,
+        headers: config.headers,
+        dimension: config.dimension
+      });
+
+      try {
+        await embedder.probeDimension();
+      } catch (error) {
+        throw new Error(`Cannot reach OpenAI-compatible embedding endpoint at ${embedder.endpoint()}: ${error.message}`);
+      }
     } else {
-      throw new Error(`Unknown embedder provider: ${embedderType}. Use 'vllm', 'ollama', 'transformers', or 'auto'.`);
+      throw new Error(`Unknown embedder provider: ${embedderType}. Use 'vllm', 'ollama', 'transformers', 'openai', or 'auto'.`);
     }
 
-    const store = new SQLiteStorageAdapter(config.dbPath);
-    const modelDimension = getModelDimension(config.modelName);
-    const search = new SqliteVecSearch(store.db, 'vec_index', modelDimension);
+    return { embedder, embedderType };
+  }
 
-    const vecStore = new VecStore({
-      embedder,
-      store,
-      search,
-      storeContent: config.storeContent,
-      embedBatchSize: config.embedBatchSize,
-      embedConcurrency: config.embedConcurrency,
-      bufferSize: config.bufferSize || 100,
-      flushDelay: config.flushDelay || 1000,
-      modelName: config.modelName,
-      validateDimension: validateModelDimension
-    });
+  // rerankModel enables reranking: served by rerankHost when given, in-process otherwise
+  static async createReranker(config) {
+    if (!config.rerankModel) return null;
 
-    await vecStore.initialize();
+    if (config.rerankHost) {
+      return new HttpReranker({
+        modelName: config.rerankModel,
+        host: config.rerankHost,
+        path: config.rerankPath,
+        apiKey: config.rerankApiKey
+      });
+    }
 
-    return vecStore;
+    const reranker = new TransformersReranker({ modelName: config.rerankModel });
+    if (!(await reranker.checkConnection())) {
+      throw new Error('In-process reranking needs transformers.js. Run: npm install @huggingface/transformers, or pass --rerank-host');
+    }
+    return reranker;
+  }
+
+  static async probeDimension(embedder, config) {
+    if (config.dimension) return config.dimension;
+
+    try {
+      if (typeof embedder.probeDimension === 'function') {
+        return await embedder.probeDimension();
+      }
+      const vector = await embedder.embed('dimension probe');
+      return vector.length;
+    } catch (error) {
+      const spec = MODEL_REGISTRY[embedder.modelName];
+      if (spec) {
+        console.error(`⚠️  Could not probe ${embedder.modelName} (${error.message}), using registry dimension ${spec.dimension}`);
+        return spec.dimension;
+      }
+      throw new Error(`Cannot determine embedding dimension for ${embedder.modelName}: ${error.message}`);
+    }
+  }
+
+  // Returns true when the database was built with another model and should be re-embedded
+  static async checkModelCompatibility(store, search, modelName, dimension, config) {
+    const storedModel = await store.getMeta('model');
+    const storedDimension = parseInt(await store.getMeta('dimension')) || search.getIndexDimension();
+
+    const modelChanged = storedModel && storedModel !== modelName;
+    const dimensionChanged = storedDimension && storedDimension !== dimension;
+    if (!modelChanged && !dimensionChanged) return false;
+
+    if (config.migrateModel) return true;
+
+    store.close();
+    let mismatch;
+    if (!dimensionChanged) {
+      mismatch = `was indexed with ${storedModel}, not ${modelName}`;
+    } else if (storedModel) {
+      mismatch = `was indexed with ${storedModel} (${storedDimension} dimensions), but ${modelName} produces ${dimension}-dimensional vectors`;
+    } else {
+      mismatch = `was indexed with an unrecorded model with ${storedDimension} dimensions, but ${modelName} produces ${dimension}-dimensional vectors`;
+    }
+    throw new Error(
+      `Database ${config.dbPath} ${mismatch}.\n` +
+      (storedModel ? `Reopen it with model ${storedModel}, or re-embed` : 'Re-embed') +
+      ` every document for the new model with: vexify reembed ${config.dbPath} --model ${modelName}` +
+      (store.collection !== 'default' ? ` --collection ${store.collection}` : '')
+    );
   }
 }
 
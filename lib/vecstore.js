@@ -3,19 +3,40 @@
 const crypto = require('crypto');
 const { SQLiteStorageAdapter } = require('./adapters/sqlite');
 const { SqliteVecSearch } = require('./search/sqlite-vec');
+const { Fts5Search } = require('./search/fts5');
+const { reciprocalRankFusion } = require('./search/fusion');
+const { maximalMarginalRelevance, groupBySource } = require('./search/diversify');
 const { EmbeddingQueue } = require('./utils/embedding-queue');
+const { ChunkingPipeline } = require('./chunkers');
+
+const MIN_CONTENT_LENGTH = 150;
+// Diversification needs a larger pool than topK to choose from
+const DIVERSITY_POOL_FACTOR = 4;
 
 class VecStore {
   constructor(options) {
     this.embedder = options.embedder;
     this.embeddingQueue = options.embeddingQueue || new EmbeddingQueue(options.embedder, {
       batchSize: options.embedBatchSize || 1,
+      maxBatchTokens: options.embedBatchTokens,
       maxConcurrent: options.embedConcurrency || 1
     });
     this.store = options.store || new SQLiteStorageAdapter(options.dbName || './vecstore.db');
-    this.search = options.search || new SqliteVecSearch(this.store.db);
+    this.search = options.search || this.createVectorSearch(options.dimension);
+    this.keywordSearch = options.keywordSearch ||
+      (this.store.db ? new Fts5Search(this.store.db, 'documents_fts', this.store.collection) : null);
+    this.searchMode = options.searchMode || 'vector';
+    this.hybridWeight = options.hybridWeight ?? 0.5;
     this.storeContent = options.storeContent ?? true;
+    this.chunker = options.chunker !== undefined ? options.chunker : new ChunkingPipeline(options.chunking);
     this.version = options.version || require('../package.json').version;
+    this.modelName = options.modelName || null;
+    this.dimension = options.dimension || null;
+    this.validateDimension = options.validateDimension || null;
+    this.embeddingCache = options.embeddingCache ?? true;
+    this.reranker = options.reranker || null;
+    this.rerankCandidates = options.rerankCandidates || 50;
+    this.mmrLambda = options.mmrLambda ?? 0.5;
 
     this.documentBuffer = [];
     this.bufferSize = options.bufferSize || 100;
@@ -23,17 +44,61 @@ class VecStore {
     this.flushDelay = options.flushDelay || 1000;
   }
 
+  // Without an explicit search the active index is used, sized for the embedder's
+  // dimension or for the one the database was indexed with
+  createVectorSearch(dimension) {
+    const indexDimension = dimension || parseInt(this.store.readMeta('dimension'));
+    if (!indexDimension) {
+      throw new Error('Cannot create the vector index: pass options.dimension, the database has no dimension stored');
+    }
+    const table = this.store.readMeta('vector_table') || this.store.defaultVectorTable();
+    return new SqliteVecSearch(this.store.db, table, indexDimension, this.store.collection);
+  }
+
   calculateChecksum(content) {
     return crypto.createHash('sha256').update(content).digest('hex');
   }
 
+  validateVector(vector) {
+    if (this.validateDimension) {
+      this.validateDimension(this.modelName, vector.length, this.dimension);
+    }
+  }
+
+  canUseEmbeddingCache() {
+    return this.embeddingCache && this.modelName && this.dimension &&
+      typeof this.store.getCachedEmbedding === 'function';
+  }
+
+  async embedWithCache(content, checksum = this.calculateChecksum(content)) {
+    const useCache = this.canUseEmbeddingCache();
+
+    if (useCache) {
+      const cached = await this.store.getCachedEmbedding(checksum, this.modelName, this.dimension);
+      if (cached) return cached;
+    }
+
+    const vector = await this.embeddingQueue.embed(content);
+    this.validateVector(vector);
+
+    if (useCache) {
+      await this.store.putCachedEmbedding(checksum, this.modelName, this.dimension, vector);
+    }
+
+    return vector;
+  }
+
   async addDocument(id, content, metadata) {
-    if (content.length < 150) {
+    if (content.length < MIN_CONTENT_LENGTH) {
       return { skipped: true, reason: 'too_short', length: content.length };
     }
 
+    return this.bufferDocument(id, content, metadata);
+  }
+
+  async bufferDocument(id, content, metadata) {
     const checksum = this.calculateChecksum(content);
-    const vector = await this.embeddingQueue.embed(content);
+    const vector = await this.embedWithCache(content, checksum);
 
     const doc = {
       id,
@@ -55,6 +120,32 @@ class VecStore {
     return { skipped: false, id, checksum };
   }
 
+  chunkDocument(id, content, metadata) {
+    return this.chunker
+      ? this.chunker.chunkDocument({ id, content, metadata })
+      : [{ id, content, metadata }];
+  }
+
+  // Short documents and prose chunks are skipped. Code chunks of a long enough file
+  // are kept: the code chunker already packs small symbols up to minTokens.
+  indexableChunks(content, chunks) {
+    if (!content || content.length < MIN_CONTENT_LENGTH) return [];
+    return chunks.filter(chunk =>
+      chunk.content.length >= MIN_CONTENT_LENGTH || chunk.metadata?.chunkStrategy === 'code'
+    );
+  }
+
+  async addChunkedDocument(id, content, metadata) {
+    const chunks = this.chunkDocument(id, content, metadata);
+    const indexable = this.indexableChunks(content, chunks);
+
+    await Promise.all(
+      indexable.map(chunk => this.bufferDocument(chunk.id, chunk.content, chunk.metadata))
+    );
+
+    return { skipped: indexable.length === 0, id, chunks: chunks.length, added: indexable.length };
+  }
+
   async flushBuffer() {
     if (this.flushTimeout) {
       clearTimeout(this.flushTimeout);
@@ -71,11 +162,74 @@ class VecStore {
 
     if (uniqueDocs.length === 0) return;
 
-    await this.store.putBatch(uniqueDocs);
+    this.writeDocuments(uniqueDocs);
+  }
 
-    if (this.isIndexedSearch(this.search)) {
-      await Promise.all(uniqueDocs.map(doc => this.search.addDocument(doc)));
+  // Writes documents and their vectors in one transaction, removing removeIds first
+  writeDocuments(docs, removeIds = []) {
+    const indexed = this.isIndexedSearch(this.search);
+
+    return this.store.transaction(() => {
+      if (indexed) this.followVectorTable();
+
+      let removed = 0;
+      if (removeIds.length > 0) {
+        removed = this.store.removeDocuments(removeIds);
+        if (indexed) this.search.deleteVectors(removeIds);
+      }
+
+      for (const doc of docs) {
+        this.store.writeDocument(doc);
+        if (indexed) this.search.writeVector(doc.id, doc.vector);
+      }
+
+      return removed;
+    });
+  }
+
+  // Chunks and embeds documents without writing them; short chunks are dropped
+  async prepareDocuments(documents) {
+    const chunks = documents
+      .flatMap(doc => this.indexableChunks(doc.content, this.chunkDocument(doc.id, doc.content, doc.metadata)));
+
+    return Promise.all(chunks.map(async (chunk) => {
+      const checksum = this.calculateChecksum(chunk.content);
+      return {
+        id: chunk.id,
+        vector: await this.embedWithCache(chunk.content, checksum),
+        checksum,
+        version: this.version,
+        ...(this.storeContent && { content: chunk.content }),
+        metadata: chunk.metadata
+      };
+    }));
+  }
+
+  // Replaces a document and all of its chunks. Every chunk is embedded before
+  // anything is written, so readers see either the old or the new version.
+  async upsert(id, content, metadata) {
+    await this.flushBuffer();
+
+    const docs = await this.prepareDocuments([{ id, content, metadata }]);
+    const previousIds = await this.store.getDocumentIds(id);
+    const removed = this.writeDocuments(docs, previousIds);
+
+    return { id, chunks: docs.length, replaced: removed > 0, skipped: docs.length === 0 };
+  }
+
+  // Removes documents (and their chunks) from storage and the vector index
+  async remove(ids) {
+    await this.flushBuffer();
+
+    const allIds = new Set();
+    for (const id of Array.isArray(ids) ? ids : [ids]) {
+      for (const documentId of await this.store.getDocumentIds(id)) {
+        allIds.add(documentId);
+      }
     }
+
+    if (allIds.size === 0) return 0;
+    return this.writeDocuments([], [...allIds]);
   }
 
   async drain() {
@@ -88,19 +242,119 @@ class VecStore {
   async clearSource(sourceType, sourceValue) {
     await this.flushBuffer();
     const ids = await this.store.getBySource(sourceType, sourceValue);
-    await this.store.deleteByIds(ids);
-    return ids.length;
+    if (ids.length === 0) return 0;
+    return this.writeDocuments([], ids);
+  }
+
+  // Candidates are retrieved, then optionally reranked (top rerankCandidates), reordered by
+  // MMR (opts.mmr: true or a lambda) and capped per source file (opts.maxPerSource).
+  async query(queryContent, options = {}) {
+    const opts = typeof options === 'number' ? { topK: options } : options;
+    const topK = opts.topK || 5;
+    const rerank = this.reranker && opts.rerank !== false;
+    const mmr = opts.mmr === true ? this.mmrLambda : (typeof opts.mmr === 'number' ? opts.mmr : null);
+    const maxPerSource = opts.maxPerSource || null;
+
+    if (!rerank && mmr === null && !maxPerSource) {
+      return this.retrieve(queryContent, topK, opts);
+    }
+
+    let candidates = topK;
+    if (rerank) candidates = Math.max(candidates, opts.rerankCandidates || this.rerankCandidates);
+    if (mmr !== null || maxPerSource) candidates = Math.max(candidates, topK * DIVERSITY_POOL_FACTOR, 20);
+
+    let results = await this.retrieve(queryContent, candidates, opts);
+
+    if (rerank) {
+      results = await this.rerankResults(queryContent, results);
+    }
+    if (mmr !== null) {
+      const vectors = await this.store.getVectors(results.map(result => result.id));
+      results = maximalMarginalRelevance(results, vectors, { lambda: mmr });
+    }
+    if (maxPerSource) {
+      results = groupBySource(results, maxPerSource);
+    }
+
+    return results.slice(0, topK);
   }
 
-  async query(queryContent, topK = 5) {
+  async rerankResults(queryContent, results) {
+    if (results.length === 0) return results;
+
+    const scores = await this.reranker.rerank(queryContent, results.map(result => result.content || ''));
+
+    return results
+      .map((result, i) => ({ ...result, score: scores[i], retrievalScore: result.score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  async retrieve(queryContent, topK, opts) {
+    const mode = opts.mode || this.searchMode;
+    const where = opts.where || null;
+
+    if (mode === 'vector') {
+      return this.vectorQuery(queryContent, topK, where);
+    }
+
+    if (!this.keywordSearch) {
+      throw new Error(`Search mode "${mode}" requires a store with full-text search support`);
+    }
+
+    if (mode === 'keyword') {
+      return this.keywordSearch.searchKeyword(queryContent, topK, where);
+    }
+
+    if (mode === 'hybrid') {
+      const candidates = Math.max(topK * 4, 20);
+      const [vectorResults, keywordResults] = await Promise.all([
+        this.vectorQuery(queryContent, candidates, where),
+        this.keywordSearch.searchKeyword(queryContent, candidates, where)
+      ]);
+
+      return reciprocalRankFusion(vectorResults, keywordResults, {
+        weight: opts.hybridWeight ?? this.hybridWeight
+      }).slice(0, topK);
+    }
+
+    throw new Error(`Unknown search mode: ${mode}. Use 'hybrid', 'vector', or 'keyword'.`);
+  }
+
+  async vectorQuery(queryContent, topK, where = null) {
     const queryVec = await this.embedder.embed(queryContent);
 
     if (this.isIndexedSearch(this.search)) {
-      return this.search.searchIndex(queryVec, topK);
+      this.followVectorTable();
+      return this.search.searchIndex(queryVec, topK, where);
+    }
+
+    // Brute-force search one batch at a time, keeping only the best topK
+    let best = [];
+    for await (const batch of this.store.iterate({ where })) {
+      best = await this.search.search(queryVec, best.concat(batch), topK);
+    }
+    return best;
+  }
+
+  // `vexify reembed` in another process swaps in a new index table and drops the old one,
+  // so the active table is read from meta before every indexed read and write
+  followVectorTable() {
+    if (typeof this.store.readMeta !== 'function') return;
+
+    const active = this.store.readMeta('vector_table') || this.store.defaultVectorTable();
+    if (active === this.search.tableName) return;
+
+    const model = this.store.readMeta('model');
+    const dimension = parseInt(this.store.readMeta('dimension'));
+    if (this.modelName && (model !== this.modelName || dimension !== this.dimension)) {
+      throw new Error(
+        `The index was re-embedded with ${model} (${dimension} dimensions) while this store was open ` +
+        `with ${this.modelName}; reopen it with ${model}`
+      );
     }
 
-    const allDocs = await this.store.getAll();
-    return this.search.search(queryVec, allDocs, topK);
+    this.search.tableName = active;
+    this.search.dimensions = dimension || this.search.dimensions;
   }
 
   isIndexedSearch(search) {
@@ -111,13 +365,17 @@ class VecStore {
     if (this.isIndexedSearch(this.search)) {
       await this.search.initialize();
 
-      const existingDocs = await this.store.getAll();
-      const existingIds = await this.search.getAllIds();
-      const idsSet = new Set(existingIds);
+      // Index documents whose vectors are missing, e.g. after the index was rebuilt
+      for await (const batch of this.store.iterate({ columns: ['id', 'vector'] })) {
+        const indexed = new Set(await this.search.getExistingIds(batch.map(doc => doc.id)));
+        const missing = batch.filter(doc => !indexed.has(doc.id));
 
-      for (const doc of existingDocs) {
-        if (!idsSet.has(doc.id)) {
-          await this.search.addDocument(doc);
+        if (missing.length > 0) {
+          this.store.transaction(() => {
+            for (const doc of missing) {
+              this.search.writeVector(doc.id, doc.vector);
+            }
+          });
         }
       }
     }